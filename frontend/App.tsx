@@ -5,9 +5,10 @@ import AuthView from './components/AuthView';
 import HomeView from './components/HomeView';
 import RecycleView from './components/RecycleView';
 import RecycleMapView from './components/RecycleMapView';
+import CompareView from './components/CompareView';
 import { checkSession, User } from './services/authService';
 
-export type AppView = 'home' | 'scanner' | 'about' | 'login' | 'signup' | 'map';
+export type AppView = 'home' | 'scanner' | 'about' | 'login' | 'signup' | 'map' | 'compare';
 
 interface MapData {
   analysisData: any;
@@ -61,6 +62,8 @@ const App: React.FC = () => {
     <Layout>
       {currentView === 'about' ? (
         <AboutView onBack={() => setCurrentView('home')} />
+      ) : currentView === 'compare' ? (
+        <CompareView onBack={() => setCurrentView('home')} initialZip={user?.zip_code} />
       ) : currentView === 'login' || currentView === 'signup' ? (
         <AuthView mode={currentView} onBack={() => setCurrentView('home')} onAuthSuccess={handleAuthSuccess} />
       ) : currentView === 'map' && mapData ? (
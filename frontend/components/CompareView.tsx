@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { API_BASE } from '../config';
+
+interface CompareViewProps {
+  onBack: () => void;
+  initialZip?: string | null;
+}
+
+interface ComparedMaterial {
+  material: string;
+  notes?: string;
+  confidence?: string;
+  jurisdiction?: string;
+}
+
+interface MaterialSplit {
+  onlyA: ComparedMaterial[];
+  onlyB: ComparedMaterial[];
+  both: string[];
+}
+
+interface Comparison {
+  a: { zip: string; location: string };
+  b: { zip: string; location: string };
+  accepted: MaterialSplit;
+  not_accepted: MaterialSplit;
+  plastics: {
+    accepted: { onlyA: string[]; onlyB: string[] };
+    not_accepted: { onlyA: string[]; onlyB: string[] };
+  };
+  notes: { material: string; list: string; a: string | null; b: string | null }[];
+  tips: { onlyA: string[]; onlyB: string[]; both: string[] };
+  same: boolean;
+}
+
+const inputClass = 'w-full bg-white/5 border border-white/10 rounded-2xl px-6 py-4 text-white focus:outline-none focus:border-green-400/50 transition-all placeholder:text-white/10 uppercase';
+
+const MaterialList: React.FC<{ title: string; items: ComparedMaterial[]; plastics?: string[]; tone: 'green' | 'red' }> = ({ title, items, plastics = [], tone }) => (
+  <div className="space-y-2">
+    <h4 className={`text-[10px] uppercase tracking-widest font-bold ${tone === 'green' ? 'text-green-400' : 'text-red-400'}`}>{title}</h4>
+    {items.length === 0 && plastics.length === 0 ? (
+      <p className="text-white/30 text-xs italic">Nothing different</p>
+    ) : (
+      <ul className="space-y-1">
+        {items.map((item) => (
+          <li key={item.material} className="text-sm text-white/80">
+            {tone === 'green' ? '✓' : '✗'} {item.material}
+            {item.jurisdiction && item.jurisdiction !== 'zip' && (
+              <span className="text-white/30 text-[10px] ml-1">[{item.jurisdiction === 'state' ? 'statewide' : 'countywide'}]</span>
+            )}
+          </li>
+        ))}
+        {plastics.map((plastic) => (
+          <li key={plastic} className="text-sm text-white/80">{tone === 'green' ? '✓' : '✗'} {plastic}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const CompareView: React.FC<CompareViewProps> = ({ onBack, initialZip }) => {
+  const [zipA, setZipA] = useState(initialZip || '');
+  const [zipB, setZipB] = useState('');
+  const [comparison, setComparison] = useState<Comparison | null>(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleCompare = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setComparison(null);
+    setLoading(true);
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/recycling/compare?a=${encodeURIComponent(zipA.trim())}&b=${encodeURIComponent(zipB.trim())}`
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Comparison failed');
+      setComparison(data);
+    } catch (err: any) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const label = (side: { zip: string; location: string }) => `${side.location} (${side.zip})`;
+
+  return (
+    <div className="relative min-h-screen flex flex-col p-6 items-center">
+      <div className="w-full max-w-4xl flex justify-between items-center mb-12">
+        <button
+          onClick={onBack}
+          className="flex items-center space-x-2 text-white/60 hover:text-white transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor" className="w-5 h-5">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10.5 19.5 3 12m0 0 7.5-7.5M3 12h18" />
+          </svg>
+          <span className="uppercase text-sm tracking-widest font-bold">Leave Scrying Pool</span>
+        </button>
+      </div>
+
+      <div className="w-full max-w-4xl space-y-10">
+        <div className="text-center">
+          <h2 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-green-400 to-purple-400 mb-2">Compare Realms</h2>
+          <p className="text-white/40 text-xs uppercase tracking-[0.2em] font-bold">Home vs. work, here vs. where you're moving</p>
+        </div>
+
+        <form className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-4 items-end" onSubmit={handleCompare}>
+          <div className="space-y-1">
+            <label className="text-[10px] text-white/40 uppercase tracking-widest font-bold ml-4">Realm A</label>
+            <input type="text" value={zipA} onChange={(e) => setZipA(e.target.value)} placeholder="30602" className={inputClass} />
+          </div>
+          <div className="space-y-1">
+            <label className="text-[10px] text-white/40 uppercase tracking-widest font-bold ml-4">Realm B</label>
+            <input type="text" value={zipB} onChange={(e) => setZipB(e.target.value)} placeholder="30605" className={inputClass} />
+          </div>
+          <motion.button
+            type="submit"
+            disabled={loading || !zipA.trim() || !zipB.trim()}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            className="py-4 px-8 rounded-2xl font-black text-black tracking-[0.2em] uppercase text-sm bg-green-400 glow-green disabled:opacity-50"
+          >
+            {loading ? 'Scrying...' : 'Compare'}
+          </motion.button>
+        </form>
+
+        {error && (
+          <p className="text-red-400 text-xs text-center font-bold">{error}</p>
+        )}
+
+        {comparison && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-8"
+          >
+            {comparison.same && (
+              <p className="text-center text-green-300 text-sm font-bold">✨ Both realms follow the same recycling rules.</p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {(['a', 'b'] as const).map((side) => {
+                const key = side === 'a' ? 'onlyA' : 'onlyB';
+                return (
+                  <div key={side} className="p-6 rounded-[2rem] bg-black/40 border border-white/10 space-y-5">
+                    <h3 className="text-lg font-black text-white/90">Only in {label(comparison[side])}</h3>
+                    <MaterialList
+                      title="Recycled here, not there"
+                      items={comparison.accepted[key]}
+                      plastics={comparison.plastics.accepted[key]}
+                      tone="green"
+                    />
+                    <MaterialList
+                      title="Refused here, not there"
+                      items={comparison.not_accepted[key]}
+                      plastics={comparison.plastics.not_accepted[key]}
+                      tone="red"
+                    />
+                    {comparison.tips[key].length > 0 && (
+                      <div className="space-y-2">
+                        <h4 className="text-[10px] uppercase tracking-widest font-bold text-purple-300">Tips</h4>
+                        <ul className="space-y-1">
+                          {comparison.tips[key].map((tip) => (
+                            <li key={tip} className="text-sm text-white/60">💡 {tip}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {comparison.notes.length > 0 && (
+              <div className="p-6 rounded-[2rem] bg-black/40 border border-white/10 space-y-3">
+                <h3 className="text-lg font-black text-white/90">Same material, different instructions</h3>
+                {comparison.notes.map((note) => (
+                  <div key={`${note.list}-${note.material}`} className="grid grid-cols-1 md:grid-cols-[10rem_1fr_1fr] gap-2 text-sm">
+                    <span className="font-bold text-white/80">{note.material}</span>
+                    <span className="text-white/60">A: {note.a || '—'}</span>
+                    <span className="text-white/60">B: {note.b || '—'}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {comparison.accepted.both.length > 0 && (
+              <p className="text-center text-white/40 text-xs">
+                Recycled in both: {comparison.accepted.both.join(', ')}
+              </p>
+            )}
+          </motion.div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
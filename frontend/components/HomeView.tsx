@@ -96,6 +96,16 @@ const HomeView: React.FC<HomeViewProps> = ({ onNavigate, user, onLogout }) => {
     <span className="text-xl md:text-2xl font-black tracking-widest text-white uppercase leading-none">The Archive</span>
     <span className="text-[10px] text-pink-200 mt-2 uppercase tracking-widest font-bold">Wand Selection Portal</span>
   </button>
+
+  {/* Compare Realms button */}
+  <button
+    onClick={(e) => onNavigate('compare', e)}
+    className="group relative h-32 md:col-span-2 rounded-[2.5rem] overflow-hidden bg-black/40 border border-white/10 flex flex-col items-center justify-center transition-all hover:border-purple-400/50"
+  >
+    <div className="absolute inset-0 bg-gradient-to-r from-green-500/10 via-transparent to-purple-500/10 opacity-0 group-hover:opacity-100 transition-opacity" />
+    <span className="relative z-10 text-xl md:text-2xl font-black tracking-tight text-white/90 uppercase leading-none">Compare Realms</span>
+    <span className="relative z-10 text-[10px] text-purple-300/60 mt-2 uppercase tracking-widest font-bold">Home vs. Work Recycling Rules</span>
+  </button>
 </div>
     </div>
   );
@@ -5,7 +5,12 @@ import { API_BASE } from '../config';
 interface RecycleMapViewProps {
   onBack: () => void;
   analysisData: {
-    items?: Array<{ name: string; materials?: string[]; confidence?: string }>;
+    items?: Array<{
+      name: string;
+      materials?: string[];
+      confidence?: string;
+      components?: Array<{ name: string; material: string; removable?: boolean }>;
+    }>;
     summary?: string;
   };
   location: {
@@ -32,14 +37,14 @@ const RecycleMapView: React.FC<RecycleMapViewProps> = ({ onBack, analysisData, l
 
         if (!geocodeRes.ok) throw new Error('Failed to get location info');
         const geocodeData = await geocodeRes.json();
-        setZipCode(geocodeData.zip);
+        setZipCode(geocodeData.postalCode || geocodeData.zip);
 
         // Get primary material from analysis
         const primaryMaterial = analysisData.items?.[0]?.materials?.[0] || 'recycling';
 
         // Get nearby recycling centers map
         const mapRes = await fetch(
-          `${API_BASE}/api/ai/nearby-recycling?lat=${location.lat}&lng=${location.lng}&material=${encodeURIComponent(primaryMaterial)}&zip=${geocodeData.zip}`
+          `${API_BASE}/api/ai/nearby-recycling?lat=${location.lat}&lng=${location.lng}&material=${encodeURIComponent(primaryMaterial)}&zip=${encodeURIComponent(geocodeData.postalCode || geocodeData.zip)}`
         );
 
         if (!mapRes.ok) throw new Error('Failed to load map');
@@ -70,7 +75,7 @@ const RecycleMapView: React.FC<RecycleMapViewProps> = ({ onBack, analysisData, l
         </button>
         <div className="flex flex-col items-end">
           <div className="text-green-400 font-mono text-xs">
-            {zipCode ? `ZIP: ${zipCode}` : 'LOCATING...'}
+            {zipCode ? `POSTAL CODE: ${zipCode}` : 'LOCATING...'}
           </div>
           <div className="text-[8px] text-white/20 uppercase tracking-widest">Recycling Locator v1.0</div>
         </div>
@@ -84,7 +89,11 @@ const RecycleMapView: React.FC<RecycleMapViewProps> = ({ onBack, analysisData, l
             {analysisData.items.map((item, idx) => (
               <div key={idx} className="text-sm text-white/80">
                 <span className="text-green-300 font-bold">{item.name}</span>
-                {item.materials && item.materials.length > 0 && (
+                {item.components && item.components.length > 0 ? (
+                  <span className="text-white/60 ml-2">
+                    ({item.components.map((part) => `${part.name}: ${part.material}${part.removable ? ' — removable' : ''}`).join(', ')})
+                  </span>
+                ) : item.materials && item.materials.length > 0 && (
                   <span className="text-white/60 ml-2">
                     ({item.materials.join(', ')})
                   </span>
@@ -24,6 +24,9 @@ const ScannerView: React.FC<ScannerViewProps> = ({ onBack, onShowMap }) => {
   const [imageStatus, setImageStatus] = useState<string | null>(null);
   const [imageResult, setImageResult] = useState<string | null>(null);
   const [recycleResult, setRecycleResult] = useState<any>(null);
+  const [openWhy, setOpenWhy] = useState<number | null>(null);
+  // What the last check sent, so answering a question can check again
+  const [lastCheck, setLastCheck] = useState<{ items: any[]; lat: number; lng: number } | null>(null);
 
   useEffect(() => {
     const startCamera = async () => {
@@ -63,31 +66,6 @@ const ScannerView: React.FC<ScannerViewProps> = ({ onBack, onShowMap }) => {
     return entries[0][0];
   };
 
-  const fetchMaterialsForItem = async (itemName: string, itemDetails: string) => {
-    const prompt = `You are a recycling assistant. Given a product, identify the PACKAGING MATERIALS (what the product is physically packaged in), NOT the food ingredients or contents inside.
-
-For example, a cereal box has packaging materials like: cardboard, plastic bag (inner liner), ink/dye.
-A soda can has: aluminum. A water bottle has: plastic (PET), plastic cap.
-
-Return ONLY valid JSON in this exact format: { "items": [ { "name": "...", "materials": ["cardboard", "plastic bag"], "confidence": "high" } ] }
-
-Do NOT list food ingredients, chemicals, vitamins, or nutritional contents. ONLY list physical packaging materials.
-
-Item: ${itemName}\nDetails: ${itemDetails}`;
-    const response = await fetch(`${API_BASE}/api/ai/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message: prompt })
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to get AI materials response');
-    }
-
-    const data = await response.json();
-    return data.response as string;
-  };
-
   const stopBarcodeScanner = async () => {
     if (barcodeScannerRef.current) {
       try { await barcodeScannerRef.current.stop(); } catch (_) {}
@@ -113,6 +91,53 @@ Item: ${itemName}\nDetails: ${itemDetails}`;
     }
   };
 
+  const checkRecyclability = async (items: any[], lat: number, lng: number) => {
+    setBarcodeStatus('Checking local recycling rules...');
+    const checkRes = await fetch(`${API_BASE}/api/ai/check-recyclability`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, lat, lng, explain: true })
+    });
+
+    if (!checkRes.ok) throw new Error('Recyclability check failed');
+    showRecycleResult(await checkRes.json(), items, lat, lng);
+  };
+
+  // Show a verdict (check-recyclability or scan response) and remember what was checked
+  const showRecycleResult = (recycleData: any, items: any[], lat: number, lng: number) => {
+    setLastCheck({ items, lat, lng });
+    setOpenWhy(null);
+    setRecycleResult(recycleData);
+
+    const where = recycleData.location?.postalCode || recycleData.zip;
+    if (recycleData.canRecycle) {
+      setBarcodeStatus(`✓ Recyclable in your area (${where})`);
+    } else if (recycleData.needsAnswers && recycleData.comparison?.summary?.notRecyclable === 0) {
+      // Local rules depend on the item's state — wait for the answers
+      setBarcodeStatus(`? Depends on the item — answer below (${where})`);
+    } else {
+      setBarcodeStatus(`✗ Not recyclable curbside in ${where}`);
+      // Navigate to map to show nearby recycling centers
+      setTimeout(() => {
+        onShowMap({ items }, { lat, lng });
+      }, 2000);
+    }
+  };
+
+  // Answer one of an item's condition questions ("Is it greasy?") and check again
+  const answerQuestion = async (itemIndex: number, key: string, answer: boolean) => {
+    if (!lastCheck) return;
+    const items = lastCheck.items.map((item, i) =>
+      i === itemIndex ? { ...item, answers: { ...(item.answers || {}), [key]: answer } } : item
+    );
+    try {
+      await checkRecyclability(items, lastCheck.lat, lastCheck.lng);
+    } catch (err) {
+      console.error('Recyclability re-check error:', err);
+      setBarcodeStatus('Failed to check again with your answer.');
+    }
+  };
+
   const processBarcodeResult = async (best: string | null) => {
     setIsBarcodeScanning(false);
     await stopBarcodeScanner();
@@ -128,81 +153,58 @@ Item: ${itemName}\nDetails: ${itemDetails}`;
     setRecycleResult(null);
 
     try {
-      // Step 1: UPC lookup to get product info
-      setBarcodeStatus(`Looking up product for ${best}...`);
-      const lookupUrl = `${API_BASE}/api/ai/upc-lookup?upc=${encodeURIComponent(best)}`;
-      const upcRes = await fetch(lookupUrl);
-      if (!upcRes.ok) throw new Error('UPC lookup failed');
-      const upcData = await upcRes.json();
-      const item = upcData.items && upcData.items[0];
-      const itemName = item?.title || item?.description || item?.brand || 'unknown item';
-      const itemDetails = item ? JSON.stringify(item) : 'No details found';
-
-      // Step 2: Ask AI to figure out materials
-      setBarcodeStatus(`Identifying materials for: ${itemName}`);
-      const aiMaterials = await fetchMaterialsForItem(itemName, itemDetails);
-      setMaterialResult(aiMaterials);
-
-      // Step 3: Parse the AI materials JSON
-      let parsedItems: { name: string; materials: string[]; confidence?: string }[] = [];
-      try {
-        // The AI response may have markdown fences — strip them
-        const cleaned = aiMaterials.replace(/```json\n?|```\n?/g, '').trim();
-        const parsed = JSON.parse(cleaned);
-        if (parsed.items && Array.isArray(parsed.items)) {
-          parsedItems = parsed.items;
-        } else if (Array.isArray(parsed)) {
-          parsedItems = parsed;
-        }
-      } catch {
-        // Fallback: wrap product name as a single item
-        parsedItems = [{ name: itemName, materials: [itemName] }];
-      }
-
-      if (parsedItems.length === 0) {
-        parsedItems = [{ name: itemName, materials: [itemName] }];
-      }
-
-      // Step 4: Get user location and check recyclability
+      // Step 1: Get user location
       setBarcodeStatus('Getting your location...');
       const position = await new Promise<GeolocationPosition>((resolve, reject) => {
         navigator.geolocation.getCurrentPosition(resolve, reject, { timeout: 10000 });
       });
       const { latitude, longitude } = position.coords;
 
-      setBarcodeStatus('Checking local recycling rules...');
-      const checkRes = await fetch(`${API_BASE}/api/ai/check-recyclability`, {
+      // Step 2: The server looks the product up, works out its packaging
+      // and checks it against local rules, reporting each stage as it goes
+      const scanRes = await fetch(`${API_BASE}/api/products/scan?stream=true`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          items: parsedItems,
-          lat: latitude,
-          lng: longitude
-        })
+        body: JSON.stringify({ gtin: best, lat: latitude, lng: longitude, explain: true })
       });
-
-      if (!checkRes.ok) throw new Error('Recyclability check failed');
-      const recycleData = await checkRes.json();
-      setRecycleResult(recycleData);
-
-      if (recycleData.canRecycle) {
-        setBarcodeStatus(`✓ Recyclable in your area (ZIP ${recycleData.zip})`);
-      } else {
-        setBarcodeStatus(`✗ Not recyclable curbside in ZIP ${recycleData.zip}`);
-        // Navigate to map to show nearby recycling centers
-        setTimeout(() => {
-          onShowMap(
-            { items: parsedItems },
-            { lat: latitude, lng: longitude }
-          );
-        }, 2000);
+      if (!scanRes.ok || !scanRes.body) throw new Error('Product scan failed');
+
+      const reader = scanRes.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = '';
+      let scan: any = null;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+
+        const lines = buffered.split('\n');
+        buffered = lines.pop() || '';
+        for (const line of lines.filter(Boolean)) {
+          const event = JSON.parse(line);
+          if (event.type === 'stage') {
+            setBarcodeStatus(event.status === 'started'
+              ? `${event.label}...`
+              : `${event.label}: ${event.detail}`);
+          } else if (event.type === 'result') {
+            scan = event;
+          } else if (event.type === 'error') {
+            throw new Error(event.error);
+          }
+        }
       }
+      if (!scan) throw new Error('Product scan ended without a verdict');
+
+      setMaterialResult(scan.product?.packaging
+        ? JSON.stringify(scan.product.packaging, null, 2)
+        : 'Packaging unknown — checked the product name instead.');
+      showRecycleResult(scan, scan.items, latitude, longitude);
     } catch (err: any) {
       console.error('Barcode flow error:', err);
       if (err?.code === 1) {
         setBarcodeStatus('Location access denied. Enable location to check local rules.');
       } else {
-        setMaterialResult('Failed to complete recyclability check.');
+        setMaterialResult(`Failed to complete recyclability check${err?.message ? `: ${err.message}` : '.'}`);
       }
     }
   };
@@ -424,21 +426,93 @@ Item: ${itemName}\nDetails: ${itemDetails}`;
           )}
           {recycleResult && (
             <div className="space-y-2">
-              <div className={recycleResult.canRecycle ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
-                {recycleResult.canRecycle ? '♻ RECYCLABLE LOCALLY' : '✗ NOT RECYCLABLE CURBSIDE'}
-              </div>
+              {recycleResult.needsAnswers && !recycleResult.canRecycle && recycleResult.comparison?.summary?.notRecyclable === 0 ? (
+                <div className="text-yellow-300 font-bold">? ANSWER TO DECIDE</div>
+              ) : (
+                <div className={recycleResult.canRecycle ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+                  {recycleResult.canRecycle ? '♻ RECYCLABLE LOCALLY' : '✗ NOT RECYCLABLE CURBSIDE'}
+                </div>
+              )}
               {recycleResult.comparison?.items?.map((item: any, i: number) => (
                 <div key={i} className="pl-2 border-l border-white/10">
                   <span className="text-white">{item.name}:</span>{' '}
-                  {item.materials?.map((m: any, j: number) => (
+                  {(item.components || item.materials)?.map((m: any, j: number) => (
                     <span key={j} className={`inline-block mr-2 px-1 rounded ${
                       m.status === 'recyclable' ? 'bg-green-900/50 text-green-300' :
                       m.status === 'not_recyclable' ? 'bg-red-900/50 text-red-300' :
                       'bg-yellow-900/50 text-yellow-300'
                     }`}>
-                      {m.material} ({m.status})
+                      {m.name ? `${m.name}: ` : ''}{m.material} ({m.status === 'not_recyclable' && m.stream ? m.stream.name : m.status})
                     </span>
                   ))}
+                  {item.questions?.map((q: any) => (
+                    <div key={q.key} className="mt-1 text-yellow-200">
+                      {q.part ? `${q.part}: ` : ''}{q.question}{' '}
+                      <span className="text-white/40">(rule: "{q.rule}")</span>{' '}
+                      <button
+                        onClick={() => answerQuestion(i, q.key, true)}
+                        className="ml-1 px-2 rounded bg-white/10 hover:bg-white/20 text-white"
+                      >
+                        Yes
+                      </button>
+                      <button
+                        onClick={() => answerQuestion(i, q.key, false)}
+                        className="ml-1 px-2 rounded bg-white/10 hover:bg-white/20 text-white"
+                      >
+                        No
+                      </button>
+                    </div>
+                  ))}
+                  {item.instructions?.length > 0 && (
+                    <ol className="mt-1 list-decimal list-inside text-white/80">
+                      {item.instructions.map((step: any, j: number) => (
+                        <li key={j} className={
+                          step.action === 'separate' ? 'text-yellow-300' :
+                          step.action === 'recycle' ? 'text-green-300' : ''
+                        }>
+                          {step.text}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  {item.stream && item.stream.id !== 'curbside' && (
+                    <div className="text-yellow-300/80 mt-1">
+                      {item.stream.icon} {item.stream.name}: {item.stream.instructions}
+                    </div>
+                  )}
+                  {item.deposit && (
+                    <div className="text-green-300/80 mt-1">
+                      💰 {item.deposit.label} deposit{item.deposit.confirmed ? '' : ' (if it held a covered drink)'} — {item.deposit.redemption}
+                    </div>
+                  )}
+                  {(item.components || item.materials)?.some((m: any) => m.explanation) && (
+                    <button
+                      onClick={() => setOpenWhy(openWhy === i ? null : i)}
+                      className="mt-1 text-purple-300 hover:text-purple-200 underline"
+                    >
+                      {openWhy === i ? 'Hide why' : 'Why?'}
+                    </button>
+                  )}
+                  {openWhy === i && (item.components || item.materials)?.filter((m: any) => m.explanation).map((m: any, j: number) => (
+                    <div key={j} className="mt-1 pl-2 border-l border-purple-400/30 text-white/60 space-y-0.5">
+                      <div className="text-white/80">
+                        {m.name ? `${m.name}: ` : ''}{m.material} — {m.explanation.summary}
+                      </div>
+                      {m.explanation.chosen && (
+                        <div>
+                          Matched {m.explanation.chosen.name || m.explanation.chosen.resin}
+                          {m.explanation.chosen.term && ` on "${m.explanation.chosen.term}"`}
+                          {m.explanation.chosen.why && ` (${m.explanation.chosen.why})`}
+                        </div>
+                      )}
+                      {m.explanation.candidates.map((c: any, k: number) => (
+                        <div key={k} className={c.won ? 'text-green-300' : ''}>
+                          {c.won ? '✓' : '·'} {c.rule}: {c.list ? c.list.replace('_', ' ') : 'varies'}{' '}
+                          [{c.source === 'zip' ? (c.jurisdiction && c.jurisdiction !== 'zip' ? `local, ${c.jurisdiction}` : 'local') : 'usual'}]
+                        </div>
+                      ))}
+                    </div>
+                  ))}
                 </div>
               ))}
               {!recycleResult.canRecycle && recycleResult.nearbyRecycling && (
@@ -30,11 +30,127 @@ db.exec(`
     username TEXT NOT NULL UNIQUE,
     password_hash TEXT NOT NULL,
     zip_code TEXT DEFAULT NULL,
+    is_admin INTEGER NOT NULL DEFAULT 0,
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now'))
   )
 `);
 
+// Databases created before admin flags existed lack the column
+// (grant it with scripts/grantAdmin.js, see middleware/adminMiddleware.js)
+const userColumns = db.prepare('PRAGMA table_info(users)').all().map(column => column.name);
+if (!userColumns.includes('is_admin')) {
+  db.exec('ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0');
+}
+
+// Cached recycling rules per ZIP (see services/rulesCacheService.js)
+// Stores both the extracted rules and the raw search results they came from,
+// so we don't burn SerpAPI quota re-searching the same ZIP over and over.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rules_cache (
+    zip TEXT PRIMARY KEY,
+    rules_json TEXT NOT NULL,
+    search_results_json TEXT NOT NULL,
+    fetched_at INTEGER NOT NULL
+  )
+`);
+
+// Hand-verified municipal rule sets (see services/curatedRulesService.js)
+// These override whatever we scrape from search results for the ZIPs they cover.
+// zip_codes, accepted and not_accepted are JSON arrays; schedule is a
+// JSON collection schedule (see services/scheduleService.js).
+// level is "zip" (covers zip_codes), "county" or "state" (covers region:
+// a 5-digit county FIPS code or a state postal code).
+db.exec(`
+  CREATE TABLE IF NOT EXISTS curated_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    jurisdiction TEXT NOT NULL,
+    zip_codes TEXT NOT NULL DEFAULT '[]',
+    accepted TEXT NOT NULL DEFAULT '[]',
+    not_accepted TEXT NOT NULL DEFAULT '[]',
+    notes TEXT DEFAULT NULL,
+    source TEXT DEFAULT NULL,
+    last_verified TEXT DEFAULT NULL,
+    schedule TEXT DEFAULT NULL,
+    level TEXT NOT NULL DEFAULT 'zip',
+    region TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`);
+
+// Databases created before these columns existed lack them
+const curatedColumns = db.prepare('PRAGMA table_info(curated_rules)').all().map(column => column.name);
+const addedCuratedColumns = {
+  schedule: 'TEXT DEFAULT NULL',
+  level: "TEXT NOT NULL DEFAULT 'zip'",
+  region: 'TEXT DEFAULT NULL'
+};
+for (const [column, definition] of Object.entries(addedCuratedColumns)) {
+  if (!curatedColumns.includes(column)) {
+    db.exec(`ALTER TABLE curated_rules ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Versioned snapshots of the rules resolved for each ZIP
+// (see services/rulesHistoryService.js). A new version is only written
+// when the rules actually change; last_seen_at tracks re-confirmations.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rules_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    zip TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    rules_json TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    resolved_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    UNIQUE (zip, version)
+  )
+`);
+
+// Bundled ZIP → place dataset (see services/zipPlacesService.js),
+// imported from datasets/zipPlaces.tsv. county_fips is state + county FIPS.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS zip_places (
+    zip TEXT PRIMARY KEY,
+    city TEXT NOT NULL,
+    county TEXT DEFAULT NULL,
+    state TEXT NOT NULL,
+    county_fips TEXT DEFAULT NULL,
+    latitude REAL DEFAULT NULL,
+    longitude REAL DEFAULT NULL
+  )
+`);
+
+// Which version of each bundled dataset is imported (SHA-1 of the file)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS dataset_imports (
+    name TEXT PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    rows INTEGER NOT NULL,
+    imported_at INTEGER NOT NULL
+  )
+`);
+
+// Scanned products by GTIN (see services/productCatalogService.js):
+// the UPCItemDB item, and the packaging resolved for it — components
+// and materials are JSON arrays, materials_source "llm" or "curated".
+db.exec(`
+  CREATE TABLE IF NOT EXISTS products (
+    gtin TEXT PRIMARY KEY,
+    title TEXT DEFAULT NULL,
+    brand TEXT DEFAULT NULL,
+    upc_json TEXT DEFAULT NULL,
+    components TEXT DEFAULT NULL,
+    materials TEXT DEFAULT NULL,
+    materials_confidence REAL DEFAULT NULL,
+    materials_source TEXT DEFAULT NULL,
+    looked_up_at INTEGER DEFAULT NULL,
+    updated_at INTEGER NOT NULL
+  )
+`);
+
 // Quick connectivity test
 function testConnection() {
   try {
@@ -0,0 +1,33 @@
+/**
+ * Admin Authorization Middleware
+ *
+ * Runs the regular JWT check, then only lets through accounts whose
+ * users.is_admin flag is set. The flag is looked up by user id, so a
+ * username that is deleted and registered again by someone else does
+ * not inherit admin access. Grant it from the server:
+ *
+ *   npm run grant-admin -- anthony
+ *
+ *   router.post('/rules', adminMiddleware, (req, res) => {
+ *     // req.user is an admin
+ *   });
+ */
+
+const authMiddleware = require('./authMiddleware');
+const { db } = require('../config/database');
+
+function isAdmin(userId) {
+  const user = db.prepare('SELECT is_admin FROM users WHERE id = ?').get(userId);
+  return Boolean(user && user.is_admin);
+}
+
+function adminMiddleware(req, res, next) {
+  authMiddleware(req, res, () => {
+    if (!isAdmin(req.user.id)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+}
+
+module.exports = adminMiddleware;
@@ -0,0 +1,160 @@
+/**
+ * ============================================
+ * Admin Routes
+ * ============================================
+ *
+ * CRUD endpoints for curated municipal rule sets.
+ * Every route requires an admin JWT (see middleware/adminMiddleware.js).
+ *
+ * AVAILABLE ENDPOINTS:
+ * - GET    /api/admin/rules      - List curated rule sets
+ * - GET    /api/admin/rules/:id  - Get one rule set
+ * - POST   /api/admin/rules      - Create a rule set
+ * - PUT    /api/admin/rules/:id  - Update a rule set (partial)
+ * - DELETE /api/admin/rules/:id  - Delete a rule set
+ *
+ * RULE SET BODY:
+ *   {
+ *     "jurisdiction": "Athens-Clarke County, GA",
+ *     "zip_codes": ["30601", "30602"],
+ *     "accepted": ["Cardboard", { "material": "Glass", "notes": "Drop-off only" }],
+ *     "not_accepted": ["Plastic Bags", { "material": "Batteries", "streams": ["hhw"] }],
+ *     "notes": "Place recyclables loose in the cart",
+ *     "source": "https://www.accgov.com/recycling",
+ *     "last_verified": "2026-02-01",
+ *     "schedule": {
+ *       "collections": [
+ *         { "type": "recycling", "day": "tuesday", "frequency": "biweekly", "startDate": "2026-01-06" },
+ *         { "type": "trash", "day": "tuesday" }
+ *       ],
+ *       "holidayShift": "next_day"
+ *     }
+ *   }
+ *
+ * COUNTY / STATE RULE SETS:
+ *   { "jurisdiction": "Clarke County, GA", "level": "county", "region": "13059", ... }
+ *   { "jurisdiction": "Georgia", "level": "state", "region": "GA", ... }
+ *
+ * level (optional) is "zip" (default — covers zip_codes), "county"
+ * (region = 5-digit county FIPS code) or "state" (region = postal code).
+ * County and state rules are layered under the rules of every ZIP in
+ * the region; a state rule set replaces the bundled statewide rules.
+ * Changing region on update requires sending level too.
+ *
+ * CANADIAN / UK RULE SETS:
+ *   { "jurisdiction": "City of Westminster", "zip_codes": ["GB-SW1A", "SW1P 3AD"], ... }
+ *
+ * zip_codes takes full Canadian / UK codes ("K1A 0B1"), location keys
+ * ("CA-K1A0B1") and, for whole areas, keys of a UK outward code or
+ * Canadian FSA ("GB-SW1A", "CA-K1A"). They're stored as location keys.
+ *
+ * streams (optional, not_accepted only) says where a material goes
+ * instead — see services/disposalStreams.js for the ids.
+ * schedule (optional) is served by GET /api/recycling/:zip/schedule —
+ * see services/scheduleService.js for the fields.
+ *
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminMiddleware = require('../middleware/adminMiddleware');
+const {
+  validateRuleSet,
+  listRuleSets,
+  getRuleSet,
+  createRuleSet,
+  updateRuleSet,
+  deleteRuleSet
+} = require('../services/curatedRulesService');
+
+router.use(adminMiddleware);
+
+// ============================================
+// GET /api/admin/rules
+// ============================================
+router.get('/rules', (req, res) => {
+  try {
+    const ruleSets = listRuleSets();
+    res.json({ ruleSets, total: ruleSets.length });
+  } catch (err) {
+    console.error('List curated rules error:', err);
+    res.status(500).json({ error: 'Failed to list curated rules' });
+  }
+});
+
+// ============================================
+// GET /api/admin/rules/:id
+// ============================================
+router.get('/rules/:id', (req, res) => {
+  try {
+    const ruleSet = getRuleSet(Number(req.params.id));
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    res.json({ ruleSet });
+  } catch (err) {
+    console.error('Get curated rules error:', err);
+    res.status(500).json({ error: 'Failed to fetch curated rules' });
+  }
+});
+
+// ============================================
+// POST /api/admin/rules
+// ============================================
+router.post('/rules', (req, res) => {
+  try {
+    const errors = validateRuleSet(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule set', details: errors });
+    }
+
+    const ruleSet = createRuleSet(req.body);
+    res.status(201).json({ message: 'Rule set created', ruleSet });
+  } catch (err) {
+    console.error('Create curated rules error:', err);
+    res.status(500).json({ error: 'Failed to create curated rules' });
+  }
+});
+
+// ============================================
+// PUT /api/admin/rules/:id
+// ============================================
+router.put('/rules/:id', (req, res) => {
+  try {
+    const errors = validateRuleSet(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule set', details: errors });
+    }
+
+    const ruleSet = updateRuleSet(Number(req.params.id), req.body);
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    res.json({ message: 'Rule set updated', ruleSet });
+  } catch (err) {
+    console.error('Update curated rules error:', err);
+    res.status(500).json({ error: 'Failed to update curated rules' });
+  }
+});
+
+// ============================================
+// DELETE /api/admin/rules/:id
+// ============================================
+router.delete('/rules/:id', (req, res) => {
+  try {
+    if (!deleteRuleSet(Number(req.params.id))) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    res.json({ message: 'Rule set deleted' });
+  } catch (err) {
+    console.error('Delete curated rules error:', err);
+    res.status(500).json({ error: 'Failed to delete curated rules' });
+  }
+});
+
+module.exports = router;
@@ -9,8 +9,8 @@
  * - POST /api/ai/chat - Chat with recycling assistant
  * - POST /api/ai/analyze-image - Identify items/materials in an image
  * - POST /api/ai/check-recyclability - Check materials against local rules + map
- * - POST /api/ai/geocode - Convert coordinates to ZIP code
- * - GET  /api/ai/upc-lookup - UPCItemDB proxy (avoids CORS)
+ * - POST /api/ai/geocode - Convert coordinates to a postal code
+ * - GET  /api/ai/upc-lookup - UPCItemDB lookup, served from the product catalog first
  * 
  * ============================================
  */
@@ -30,8 +30,11 @@ const {
   compareMaterials 
 } = require('../services/recyclingService');
 
-// Import geocoding service for coordinate-to-ZIP conversion
-const { coordsToZip } = require('../services/geocodingService');
+// Import geocoding service for coordinate-to-postal-code conversion
+const { reverseGeocode } = require('../services/geocodingService');
+const { parseLocationInput } = require('../utils/validators');
+const { SearchError } = require('../services/searchService');
+const { UpcLookupError, normalizeGtin, lookupProduct } = require('../services/productCatalogService');
 
 // Database for user ZIP lookup
 const { db } = require('../config/database');
@@ -89,38 +92,46 @@ router.post('/chat', async (req, res) => {
 // GET /api/ai/upc-lookup
 // ============================================
 //
-// Proxies UPCItemDB lookup to avoid browser CORS restrictions.
+// UPCItemDB lookup, served from the product catalog when the code
+// was scanned before (see services/productCatalogService.js) — and
+// proxied to avoid browser CORS restrictions when it wasn't.
 //
 // REQUEST:
-//   Query: ?upc=016000170995
+//   Query: ?upc=016000170995 (UPC-A, UPC-E, EAN-8, EAN-13 or GTIN-14)
 //
 // RESPONSE (JSON):
-//   Raw UPCItemDB response JSON
+//   UPCItemDB's shape, plus the catalog entry:
+//   {
+//     "code": "OK", "total": 1, "items": [{ "ean": "...", "title": "...", ... }],
+//     "gtin": "00016000170995",
+//     "product": { "gtin": "...", "title": "...", "packaging": { ... } | null, ... },
+//     "cached": true                // served from the catalog
+//   }
+//   Unknown codes: items is empty and product null.
 //
 router.get('/upc-lookup', async (req, res) => {
   try {
     const upc = String(req.query.upc || '').trim();
-    if (!upc) {
+    const gtin = normalizeGtin(upc);
+    if (!gtin) {
       return res.status(400).json({
         error: 'Missing or invalid upc parameter',
         example: '/api/ai/upc-lookup?upc=016000170995'
       });
     }
 
-    const lookupUrl = `https://api.upcitemdb.com/prod/trial/lookup?upc=${encodeURIComponent(upc)}`;
-    const response = await fetch(lookupUrl);
+    const { product, cached } = await lookupProduct(gtin);
+    const items = product && product.upc ? [product.upc] : [];
 
-    if (!response.ok) {
-      return res.status(response.status).json({
+    res.json({ code: 'OK', total: items.length, items, gtin, product, cached });
+  } catch (error) {
+    console.error('Error in UPC lookup proxy:', error);
+    if (error instanceof UpcLookupError && error.status) {
+      return res.status(error.status).json({
         error: 'UPC lookup failed',
-        status: response.status
+        status: error.status
       });
     }
-
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error('Error in UPC lookup proxy:', error);
     res.status(500).json({
       error: 'Failed to lookup UPC',
       details: error.message
@@ -141,11 +152,20 @@ router.get('/upc-lookup', async (req, res) => {
 // RESPONSE (JSON):
 //   {
 //     "analysis": {
-//       "items": [{ "name": "plastic bottle", "materials": ["plastic"], "confidence": "high" }],
+//       "items": [{
+//         "name": "coffee cup", "materials": ["paper", "plastic"], "confidence": "high",
+//         "components": [
+//           { "name": "cup", "material": "paper", "removable": false },
+//           { "name": "lid", "material": "plastic", "removable": true }
+//         ]
+//       }],
 //       "summary": "..."
 //     }
 //   }
 // 
+//   components is only set for items with separate parts (lid, cap,
+//   label, sleeve...); it can be passed on to /check-recyclability as is.
+// 
 router.post('/analyze-image', async (req, res) => {
   try {
     const { image, zip, lat, lng } = req.body;
@@ -200,7 +220,8 @@ router.post('/analyze-image', async (req, res) => {
 // ============================================
 // 
 // Takes a list of items/materials and the user's location
-// (lat/lng), resolves the ZIP internally, then checks against
+// (lat/lng, or a ZIP / postal code), resolves the postal code
+// internally, then checks against
 // local recycling rules. If not recyclable, returns a Google
 // Maps embed URL.
 // 
@@ -210,6 +231,13 @@ router.post('/analyze-image', async (req, res) => {
 //   is missing, the "name" is used as a fallback.
 //   { "name": "plastic bottle", "materials": ["plastic"], "confidence": "high" }
 // 
+//   Items made of parts can list them instead — each part is judged
+//   on its own, and a rejected part that comes off doesn't sink the
+//   whole item:
+//   { "name": "coffee cup", "components": [
+//       { "name": "cup", "material": "paper", "removable": false },
+//       { "name": "lid", "material": "polystyrene", "removable": true } ] }
+// 
 // REQUEST:
 //   Body: {
 //     "items": [
@@ -219,17 +247,113 @@ router.post('/analyze-image', async (req, res) => {
 //     "lng": -118.4065
 //   }
 // 
+//   Instead of lat/lng: { "zip": "90210" } or
+//   { "location": { "country": "CA", "postalCode": "K1A 0B1" } }
+//   (same shapes as POST /api/recycling).
+// 
+//   Optional: "explain": true (or ?explain=true) to get, per material,
+//   why it got its verdict — see EXPLAIN below.
+// 
+//   Optional per item: "answers" to the questions of a conditional
+//   verdict — see CONDITIONS below.
+// 
 // RESPONSE (JSON):
 //   {
-//     "comparison": { ... },
-//     "zip": "90210",
+//     "comparison": {
+//       "items": [
+//         {
+//           "name": "AA battery", "overallStatus": "not_recyclable",
+//           "stream": { "id": "hhw", "name": "Household Hazardous Waste", "icon": "☣️", "instructions": "...", "mapQuery": "..." },
+//           "materials": [{ "material": "battery", "status": "not_recyclable", "stream": { ... }, "streams": ["hhw", "retail_takeback"] }]
+//         },
+//         {
+//           "name": "12 oz soda can", "overallStatus": "recyclable", "stream": { "id": "curbside", ... },
+//           "deposit": { "state": "MI", "program": "Michigan Bottle Deposit", "value": 0.1, "label": "10¢",
+//                        "confirmed": true, "redemption": "Return to any retailer...", "source": "https://..." },
+//           "materials": [...]
+//         },
+//         {
+//           "name": "coffee cup", "overallStatus": "separate", "stream": { "id": "curbside", ... },
+//           "materials": [...],
+//           "components": [{ "name": "lid", "removable": true, "material": "polystyrene", "status": "not_recyclable", ... }, ...],
+//           "instructions": [
+//             { "action": "separate", "parts": ["lid"], "stream": null, "text": "Separate the lid from the coffee cup" },
+//             { "action": "recycle", "parts": ["cup"], "stream": "curbside", "text": "Recycle the cup curbside" },
+//             { "action": "dispose", "parts": ["lid"], "stream": "landfill", "text": "Put the lid in the trash" }
+//           ]
+//         }
+//       ],
+//       "summary": { "recyclable": 1, "notRecyclable": 1, "unknown": 0, "separate": 1, "conditional": 0,
+//                    "total": 3, "byStream": { "hhw": 1, "curbside": 2 }, "depositEligible": 1 }
+//     },
+//     "zip": "90210",              // location key ("CA-K1A0B1" outside the US)
+//     "location": { "country": "US", "postalCode": "90210", "key": "90210", "state": "06", ... },
 //     "canRecycle": true/false,
-//     "nearbyRecycling": { ... }   // only when canRecycle is false
+//     "needsAnswers": true/false,  // some item is conditional — see CONDITIONS
+//     "nearbyRecycling": { ... }   // only when canRecycle is false (and nothing waits for answers)
+//   }
+// 
+//   deposit is set for beverage containers in bottle bill states (state
+//   and county come from the geocoder, so their rules apply as well).
+//   label is a range ("5¢–10¢") and value null when the refund depends
+//   on a size the item name doesn't give.
+// 
+//   nearbyRecycling searches for the stream the item needs
+//   ("household hazardous waste drop-off near 90210") when there is one.
+// 
+//   "separate" items count as recyclable for canRecycle — their
+//   instructions say which parts to take off first. "conditional"
+//   ones don't: canRecycle stays false until every question is answered.
+// 
+// CONDITIONS:
+//   Rules like "pizza boxes if not greasy", "nothing smaller than a
+//   credit card" or "no black plastic" make an item "conditional"
+//   until the user answers:
+//   {
+//     "name": "pizza box", "overallStatus": "conditional", "stream": null,
+//     "questions": [
+//       { "key": "clean", "type": "clean", "question": "Is it clean and empty — no food, grease or liquid left?",
+//         "passIf": true, "rule": "not greasy" }
+//     ],
+//     "materials": [{ "material": "cardboard", "status": "conditional", "conditions": [...], "questions": [...],
+//                     "preparation": ["Flatten it"], ... }]
 //   }
+//   Send the items again with the answers (key -> true / false):
+//     { "name": "pizza box", "materials": ["cardboard"], "answers": { "clean": false } }
+//   → "not_recyclable", stream compost. Questions about one part of a
+//   multi-part item have "<part>.<type>" keys ("lid.clean") and a "part".
+// 
+// EXPLAIN:
+//   With explain, every material (and component) has an "explanation":
+//   {
+//     "path": "taxonomy",            // or "resin" for #1-#7 / PP, PET...
+//     "matches": [                   // everything the words matched
+//       { "from": "item", "id": "plastic-bags", "name": "Plastic Bags",
+//         "term": "grocery bags", "match": "term", "specificity": 12 }, ...
+//     ],
+//     "chosen": { "id": "plastic-bags", "from": "item", "term": "grocery bags",
+//                 "specificity": 12, "depth": 1, "why": "..." },
+//     "candidates": [                // every rule considered, in order
+//       { "node": { ... }, "rule": "Plastic Bags", "list": "not_accepted",
+//         "source": "zip", "jurisdiction": "zip", "score": 0.8, "won": true },
+//       { "node": { ... }, "rule": "Plastic Bags", "list": "not_accepted",
+//         "source": "global", "won": false }
+//     ],
+//     "winner": { ... },             // the candidate with won: true (null when unknown)
+//     "summary": "Local rule \"Plastic Bags\" (not accepted) applies to Plastic Bags"
+//   }
+//   source: "zip" = the location's rules (jurisdiction says whether
+//   they're the ZIP's own, county or statewide), "global" = the usual
+//   status from MATERIAL_DATABASE / the resin's typical acceptance.
+//   specificity is the length of the matched term — the longest wins.
+//   match is "name", "term", "fuzzy" (a term give or take a typo) or
+//   "partial" (the words are part of a longer term).
 // 
 router.post('/check-recyclability', async (req, res) => {
   try {
     const { items, lat, lng } = req.body;
+    const explain = req.body.explain === true || req.body.explain === 'true' || req.query.explain === 'true';
+    const hasPostalCode = req.body.zip != null || req.body.postalCode != null || req.body.location != null;
 
     // Validate items input
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -240,35 +364,56 @@ router.post('/check-recyclability', async (req, res) => {
     }
 
     // Validate location
-    if (lat == null || lng == null) {
+    if ((lat == null || lng == null) && !hasPostalCode) {
       return res.status(400).json({
         error: 'Missing location',
-        details: 'Request body must include "lat" and "lng" numbers from browser geolocation.'
+        details: 'Request body must include "lat" and "lng" numbers from browser geolocation, or a "zip" / "location".'
       });
     }
 
-    // Resolve coordinates to ZIP code
+    // Resolve coordinates (or the given postal code) to a location key
     let resolvedZip = null;
     let locationInfo = null;
-    try {
-      locationInfo = await coordsToZip(lat, lng);
-      resolvedZip = locationInfo.zip;
-      console.log(`[GEO] Resolved (${lat}, ${lng}) -> ZIP ${resolvedZip}`);
-    } catch (error) {
-      console.error('Error converting coordinates to ZIP:', error.message);
-      return res.status(500).json({
-        error: 'Failed to resolve location',
-        details: error.message
-      });
+    if (lat == null || lng == null) {
+      const { location, error, example } = parseLocationInput(req.body);
+      if (error) {
+        return res.status(400).json({ error, example });
+      }
+      locationInfo = location;
+      resolvedZip = location.key;
+    } else {
+      try {
+        locationInfo = await reverseGeocode(lat, lng);
+        resolvedZip = locationInfo.key;
+        console.log(`[GEO] Resolved (${lat}, ${lng}) -> ${locationInfo.country} ${locationInfo.postalCode}`);
+      } catch (error) {
+        console.error('Error converting coordinates to a postal code:', error.message);
+        return res.status(500).json({
+          error: 'Failed to resolve location',
+          details: error.message
+        });
+      }
     }
 
     // Compare against local recycling rules
     let comparison = null;
     try {
-      const recyclingRules = await getRecyclingRules(resolvedZip);
-      comparison = compareMaterials(items, recyclingRules);
+      // The geocoder knows the state and county, so their rules apply too
+      const recyclingRules = await getRecyclingRules(resolvedZip, {
+        state: locationInfo.state,
+        county: locationInfo.county
+      });
+      comparison = compareMaterials(items, recyclingRules, { explain });
     } catch (error) {
       console.error('Error fetching recycling rules for comparison:', error);
+      if (error instanceof SearchError) {
+        return res.status(503).json({
+          error: 'Recycling search is unavailable',
+          code: error.code,
+          provider: error.provider,
+          details: error.message
+        });
+      }
       return res.status(500).json({
         error: 'Failed to fetch local recycling rules',
         details: error.message
@@ -280,23 +425,37 @@ router.post('/check-recyclability', async (req, res) => {
       comparison,
       zip: resolvedZip,
       location: locationInfo,
-      canRecycle: comparison.summary?.recyclable > 0 && comparison.summary?.notRecyclable === 0,
+      canRecycle: (comparison.summary?.recyclable + comparison.summary?.separate) > 0 &&
+        comparison.summary?.notRecyclable === 0 && comparison.summary?.conditional === 0,
+      needsAnswers: comparison.summary?.conditional > 0,
       timestamp: new Date().toISOString()
     };
 
-    // If NOT recyclable locally, provide Google Maps embed
-    if (!response.canRecycle) {
+    // If NOT recyclable locally, provide Google Maps embed — unless
+    // that's only because the user hasn't answered yet
+    const undecided = response.needsAnswers && comparison.summary?.notRecyclable === 0;
+    if (!response.canRecycle && !undecided) {
       const materials = items
-        .flatMap(item => item.materials || [item.name])
+        .flatMap(item => item.materials ||
+          (Array.isArray(item.components) ? item.components.map(part => part && part.material) : [item.name]))
         .filter(Boolean);
       const searchMaterial = materials[0] || 'recycling';
-      const query = encodeURIComponent(`${searchMaterial} recycling near ${resolvedZip}`);
+
+      // Look for where the item actually goes (HHW facility, e-waste
+      // drop-off...) — there's nothing to find for plain trash
+      const stream = comparison.items
+        .map(item => item.stream)
+        .find(s => s && s.mapQuery);
+      const near = locationInfo.postalCode;
+      const searchQuery = stream
+        ? `${stream.mapQuery} near ${near}`
+        : `${searchMaterial} recycling near ${near}`;
       const mapsKey = process.env.GOOGLE_MAPS_API_KEY;
 
       if (mapsKey) {
         response.nearbyRecycling = {
-          searchQuery: `${searchMaterial} recycling near ${resolvedZip}`,
-          mapEmbedUrl: `https://www.google.com/maps/embed/v1/search?key=${mapsKey}&q=${query}`
+          searchQuery,
+          mapEmbedUrl: `https://www.google.com/maps/embed/v1/search?key=${mapsKey}&q=${encodeURIComponent(searchQuery)}`
         };
       }
     }
@@ -365,15 +524,24 @@ router.get('/nearby-recycling', async (req, res) => {
 // POST /api/ai/geocode
 // ============================================
 // 
-// Convert browser geolocation coordinates to a ZIP code.
+// Convert browser geolocation coordinates to a postal code.
 // The frontend calls navigator.geolocation.getCurrentPosition()
-// and sends the coordinates here.
+// and sends the coordinates here. Works in the US, Canada and
+// the UK; coordinates elsewhere fail with a 500.
 // 
 // REQUEST:
 //   Body: { "lat": 34.0901, "lng": -118.4065 }
 // 
 // RESPONSE:
-//   { "zip": "90210", "city": "Beverly Hills", "state": "California" }
+//   { "country": "US", "postalCode": "90210", "key": "90210", "zip": "90210",
+//     "city": null, "state": "06", "county": "037", "region": null }
+//   { "country": "GB", "postalCode": "SW1A 1AA", "key": "GB-SW1A1AA", "zip": null,
+//     "city": "London", "state": "ENG", "county": null, "region": "England" }
+// 
+//   key is what POST /api/recycling and /api/recycling/:zip/... take;
+//   zip is only set in the US (Census results give state / county as
+//   FIPS codes). Outside the US, state is the province / nation code
+//   and region its name.
 // 
 router.post('/geocode', async (req, res) => {
   try {
@@ -386,7 +554,7 @@ router.post('/geocode', async (req, res) => {
       });
     }
 
-    const location = await coordsToZip(lat, lng);
+    const location = await reverseGeocode(lat, lng);
 
     res.json({
       ...location,
@@ -396,7 +564,7 @@ router.post('/geocode', async (req, res) => {
   } catch (error) {
     console.error('Error in geocode endpoint:', error);
     res.status(500).json({
-      error: 'Failed to convert coordinates to ZIP code',
+      error: 'Failed to convert coordinates to a postal code',
       details: error.message
     });
   }
@@ -420,7 +588,7 @@ router.get('/health', async (req, res) => {
         'POST /api/ai/chat': 'Chat with recycling assistant',
         'POST /api/ai/analyze-image': 'Identify items/materials in an image (AI only)',
         'POST /api/ai/check-recyclability': 'Check materials against local rules + map',
-        'POST /api/ai/geocode': 'Convert coordinates to ZIP code'
+        'POST /api/ai/geocode': 'Convert coordinates to a postal code'
       }
     });
   } catch (error) {
@@ -0,0 +1,222 @@
+/**
+ * ============================================
+ * Product Routes
+ * ============================================
+ *
+ * The local product catalog: UPC details and packaging of scanned
+ * products, by GTIN (see services/productCatalogService.js), and the
+ * scan pipeline built on it (services/scanService.js).
+ *
+ * AVAILABLE ENDPOINTS:
+ * - POST /api/products/scan  - Barcode → packaging → local verdict
+ * - GET  /api/products/:gtin - Product details and packaging
+ * - PUT  /api/products/:gtin - Curate a product (admin only)
+ *
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminMiddleware = require('../middleware/adminMiddleware');
+const {
+  UpcLookupError,
+  normalizeGtin,
+  lookupProduct,
+  resolvePackaging,
+  validateProduct,
+  updateProduct
+} = require('../services/productCatalogService');
+const { ScanError, scanProduct, validateScanInput } = require('../services/scanService');
+
+// ============================================
+// POST /api/products/scan
+// ============================================
+//
+// The whole barcode flow in one request: UPC lookup, packaging
+// inference and the local rules comparison (see services/scanService.js).
+//
+// REQUEST:
+//   Body: {
+//     "gtin": "049000028904",
+//     "lat": 34.0901, "lng": -118.4065     // or "zip": "90210" / "location": { ... }
+//   }
+//   Optional: "answers" to the verdict's questions ({ "clean": true },
+//   see CONDITIONS on POST /api/ai/check-recyclability) and "explain": true.
+//
+// RESPONSE (JSON):
+//   The check-recyclability response (comparison, zip, location,
+//   canRecycle, needsAnswers) plus:
+//   {
+//     "gtin": "00049000028904",
+//     "product": { "title": "...", "packaging": { "materials": ["aluminum"], ... }, ... },
+//     "items": [{ "name": "...", "materials": ["aluminum"] }],   // what was compared
+//     "verdict": {
+//       "status": "recyclable",        // overallStatus of the product
+//       "canRecycle": true, "needsAnswers": false,
+//       "stream": { "id": "curbside", ... }, "instructions": [], "questions": [],
+//       "deposit": { ... } | null
+//     },
+//     "stages": [
+//       { "stage": "lookup", "label": "Looking up product", "status": "done", "detail": "... (catalog)", "ms": 3 },
+//       { "stage": "packaging", ... }, { "stage": "location", ... }, { "stage": "rules", ... }, { "stage": "compare", ... }
+//     ]
+//   }
+//
+// PROGRESS (NDJSON):
+//   With ?stream=true (or Accept: application/x-ndjson) the answer is
+//   one JSON object per line, as it happens:
+//     { "type": "stage", "stage": "lookup", "label": "Looking up product", "status": "started" }
+//     { "type": "stage", "stage": "lookup", "status": "done", "detail": "...", "ms": 240 }
+//     ...
+//     { "type": "result", ...the response above }
+//   or, when a stage fails, a last line
+//     { "type": "error", "error": "...", "stage": "lookup", "status": 404 }
+//   A bad barcode or location is checked before streaming starts, so
+//   it's a plain JSON 400 in both modes.
+//
+// ERRORS:
+//   400 bad barcode / location, 404 unknown product, 429 / 502 UPC
+//   lookup failed, 503 recycling search unavailable
+//
+router.post('/scan', async (req, res) => {
+  const body = req.body || {};
+  const stream = req.query.stream === 'true' || (req.get('Accept') || '').includes('application/x-ndjson');
+
+  // Bad requests get a real 400, before any progress line commits us to 200
+  try {
+    validateScanInput(body);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message, stage: error.stage, ...error.details });
+  }
+
+  if (stream) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    const send = line => res.write(JSON.stringify(line) + '\n');
+
+    try {
+      const result = await scanProduct(body, { onStage: event => send({ type: 'stage', ...event }) });
+      send({ type: 'result', ...result });
+    } catch (error) {
+      console.error('Product scan error:', error);
+      send({
+        type: 'error',
+        error: error.message,
+        stage: error instanceof ScanError ? error.stage : null,
+        status: error instanceof ScanError ? error.status : 500
+      });
+    }
+    return res.end();
+  }
+
+  try {
+    res.json(await scanProduct(body));
+  } catch (error) {
+    console.error('Product scan error:', error);
+    if (error instanceof ScanError) {
+      return res.status(error.status).json({
+        error: error.message,
+        stage: error.stage,
+        ...error.details
+      });
+    }
+    res.status(500).json({ error: 'Failed to scan product', details: error.message });
+  }
+});
+
+// ============================================
+// GET /api/products/:gtin
+// ============================================
+//
+// Product details and what it's packaged in. Unknown products are
+// looked up on UPCItemDB and their packaging is worked out by the
+// model — both are stored, so the next request is served locally.
+//
+// REQUEST:
+//   Params: gtin — any of UPC-A, UPC-E, EAN-8, EAN-13, GTIN-14
+//
+// RESPONSE (JSON):
+//   {
+//     "product": {
+//       "gtin": "00049000028904", "title": "Coca-Cola Classic 12 oz can", "brand": "Coca-Cola",
+//       "upc": { ... },               // UPCItemDB item
+//       "packaging": { "components": null, "materials": ["aluminum"], "confidence": 0.9, "source": "llm" },
+//       "lookedUpAt": "2026-10-19T...", "updatedAt": "2026-10-19T..."
+//     },
+//     "cached": true                  // served from the catalog, no UPCItemDB lookup
+//   }
+//
+//   packaging is null when the model couldn't be reached — try again later.
+//
+router.get('/:gtin', async (req, res) => {
+  try {
+    const gtin = normalizeGtin(req.params.gtin);
+    if (!gtin) {
+      return res.status(400).json({
+        error: 'Invalid GTIN',
+        details: 'Expected a UPC-A, UPC-E, EAN-8, EAN-13 or GTIN-14 code with a valid check digit',
+        example: '/api/products/049000028904'
+      });
+    }
+
+    const { product, cached } = await lookupProduct(gtin);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found', gtin });
+    }
+
+    res.json({ product: await resolvePackaging(product), cached });
+  } catch (error) {
+    console.error('Get product error:', error);
+    if (error instanceof UpcLookupError) {
+      return res.status(error.status === 429 ? 429 : 502).json({
+        error: 'UPC lookup failed',
+        status: error.status,
+        details: error.message
+      });
+    }
+    res.status(500).json({ error: 'Failed to fetch product', details: error.message });
+  }
+});
+
+// ============================================
+// PUT /api/products/:gtin
+// ============================================
+//
+// Create or correct a catalog entry (admin only). Packaging sent
+// here is marked "curated" and never replaced by a model guess.
+//
+// REQUEST:
+//   Body (every field optional, at least one required):
+//   {
+//     "title": "Coca-Cola Classic 12 oz can",
+//     "brand": "Coca-Cola",
+//     "materials": ["aluminum"],
+//     "components": [{ "name": "can", "material": "aluminum", "removable": false }],
+//     "materials_confidence": 1      // 0–1, default 1
+//   }
+//   Packaging that ends up with no materials ("components": null and no
+//   "materials", or "materials": []) is cleared back to unknown.
+//
+// RESPONSE (JSON):
+//   { "message": "Product saved", "product": { ... } }
+//
+router.put('/:gtin', adminMiddleware, (req, res) => {
+  try {
+    const gtin = normalizeGtin(req.params.gtin);
+    if (!gtin) {
+      return res.status(400).json({ error: 'Invalid GTIN', example: '/api/products/049000028904' });
+    }
+
+    const errors = validateProduct(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid product', details: errors });
+    }
+
+    res.json({ message: 'Product saved', product: updateProduct(gtin, req.body) });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ error: 'Failed to save product' });
+  }
+});
+
+module.exports = router;
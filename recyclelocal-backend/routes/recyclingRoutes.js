@@ -8,7 +8,11 @@
  * Business logic lives in the services layer.
  * 
  * AVAILABLE ENDPOINTS:
- * - POST /api/recycling - Get recycling rules for a ZIP code
+ * - POST /api/recycling - Get recycling rules for a ZIP / postal code
+ * - POST /api/recycling/batch - Rules for many ZIPs at once (JSON or CSV)
+ * - GET  /api/recycling/compare?a=&b= - What differs between two locations
+ * - GET  /api/recycling/:zip/schedule - Collection days and upcoming pickups
+ * - GET  /api/recycling/:zip/schedule.ics - The same as a calendar feed
  * 
  * FRONTEND INTEGRATION:
  * All endpoints accept and return JSON by default.
@@ -24,7 +28,49 @@ const router = express.Router();
 
 // Import services and utilities
 const { getRecyclingRules } = require('../services/recyclingService');
-const { formatAsText, formatAsHtml, formatAsMarkdown } = require('../utils/formatters');
+const { SearchError, getSearchConcurrency } = require('../services/searchService');
+const {
+  listHistory,
+  getSnapshot,
+  getLatestVersion,
+  diffSnapshots
+} = require('../services/rulesHistoryService');
+const { compareRules } = require('../services/rulesComparisonService');
+const { EXTRACTION_MODES, isExtractionMode } = require('../services/llmRuleExtractor');
+const {
+  upcomingPickups,
+  unscheduledCollections,
+  toICalendar
+} = require('../services/scheduleService');
+const { formatAsText, formatAsHtml, formatAsMarkdown, formatBatchAsCsv } = require('../utils/formatters');
+const {
+  parseLocationKey,
+  parseLocationInput,
+  toLocationKey,
+  INVALID_POSTAL_CODE_ERROR
+} = require('../utils/validators');
+
+// ============================================
+// :zip route parameter
+// ============================================
+// 
+// Every /recycling/:zip/... route gets the same check, before its
+// handler runs. :zip is a location key: the ZIP in the US
+// (/recycling/90210/...), "<country>-<postal code>" elsewhere
+// (/recycling/CA-K1A0B1/..., /recycling/GB-SW1A1AA/...). Handlers
+// read the canonical key from req.locationKey.
+// 
+//   400: { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode" }
+// 
+// ============================================
+router.param('zip', (req, res, next, zip) => {
+  const location = parseLocationKey(zip);
+  if (!location) {
+    return res.status(400).json({ error: INVALID_POSTAL_CODE_ERROR });
+  }
+  req.locationKey = location.key;
+  next();
+});
 
 // ============================================
 // POST /api/recycling
@@ -34,37 +80,151 @@ const { formatAsText, formatAsHtml, formatAsMarkdown } = require('../utils/forma
 // 
 // REQUEST:
 //   Body: { "zip": "90210" }
+//         { "zip": "30601", "state": "GA", "county": "13059" }   // optional hints
+//         { "location": { "country": "CA", "postalCode": "K1A 0B1" } }
+//         { "location": { "country": "GB", "postalCode": "SW1A 1AA" } }
+//         { "zip": "90210", "extraction": "llm" }
 //   Query params:
 //     - format: "json" (default) | "text" | "html" | "md"
+//     - refresh: "true" to skip the cache and search again
+//     - extraction: "keyword" | "llm" (same as the body field)
+// 
+//   state (postal code, FIPS code or name) and county (FIPS code)
+//   default to the ZIP's own, from the bundled ZIP dataset.
+// 
+//   extraction picks how searched pages are read: "keyword" scans for
+//   known material terms, "llm" has the local model extract rules and
+//   keeps only claims whose quotes are really on the page (see
+//   llmRuleExtractor.js). Default: RULES_EXTRACTION_MODE ("keyword").
+// 
+//   location is the preferred shape; "zip" still works and also takes
+//   full Canadian / UK codes ({ "zip": "K1A 0B1" }), told apart by their
+//   format. country is "US" | "CA" | "GB" ("UK" works too). Outside the
+//   US a partial code (UK outward code "SW1A", Canadian FSA "K1A") is
+//   accepted for area-wide rules, but only with its country
+//   ({ "location": { "country": "GB", "postalCode": "SW1A" } }) — in
+//   "zip" it's a 400 that says so. There are no county / state layers
+//   or bottle bills outside the US yet.
 // 
 // RESPONSE (JSON):
 //   {
 //     "location": "Beverly Hills, CA",
+//     "place": {
+//       "key": "90210", "country": "US", "postalCode": "90210",
+//       "zip": "90210", "city": "Beverly Hills", "county": "Los Angeles", "state": "CA",
+//       "fips": { "state": "06", "county": "06037" }, "centroid": { "lat": 34.0901, "lng": -118.4065 }
+//     },
 //     "accepted": [
-//       { "material": "Cardboard", "notes": "Flatten", "confidence": "high" }
+//       {
+//         "material": "Cardboard", "notes": "Flatten", "confidence": "high", "score": 0.91,
+//         "streams": ["curbside"],
+//         "evidence": [
+//           { "url": "https://...", "title": "...", "quote": "Flatten all cardboard boxes.", "weight": 0.85 }
+//         ]
+//       }
+//     ],
+//     "not_accepted": [
+//       { "material": "Batteries", "streams": ["hhw", "retail_takeback"], ... }
+//     ],
+//     "plastics": [
+//       { "code": 5, "resin": "PP", "status": "accepted", "forms": ["tub"], "confidence": "medium", "score": 0.55 }
+//     ],
+//     "conflicts": [
+//       {
+//         "material": "Glass",
+//         "accepted": { "score": 0.1, "evidence": [...] },
+//         "not_accepted": { "score": 0.75, "evidence": [...] },
+//         "resolution": "not_accepted"     // or "accepted" | "unresolved"
+//       }
 //     ],
-//     "not_accepted": [...],
 //     "tips": ["Rinse containers before recycling"],
 //     "sources": [{ "title": "...", "url": "..." }],
-//     "meta": { "sourcesAnalyzed": 5, "materialsFound": 12 }
+//     "jurisdictions": [
+//       { "level": "zip", "region": "90210", "name": "Beverly Hills, CA", "source": "search", "materials": 12 },
+//       { "level": "state", "region": "CA", "name": "California", "source": "dataset", "materials": 2 }
+//     ],
+//     "bottleBill": {
+//       "state": "CA", "name": "California", "program": "California Redemption Value (CRV)",
+//       "deposits": [{ "value": 0.05, "maxOunces": 24 }, { "value": 0.1, "minOunces": 24 }],
+//       "materials": [...], "beverages": [...], "redemption": "...", "source": "https://..."
+//     },
+//     "meta": {
+//       "sourcesAnalyzed": 5,
+//       "materialsFound": 12,
+//       "resolvedBy": "search",       // or "curated"
+//       "cache": { "status": "hit", "cachedAt": "...", "expiresAt": "..." },
+//       "search": { "provider": "serpapi", "status": "ok" },  // or "empty"
+//       "extraction": {
+//         "requested": "llm", "mode": "llm",     // mode "keyword" after a fallback
+//         "claims": { "received": 14, "verified": 12, "rejected": [{ "material": "Glass", "mention": "glass", "reason": "quote_not_found" }] }
+//       }
+//     }
 //   }
 // 
+//   score is 0–1: source authority (.gov > hauler > .org > commercial > blog)
+//   × closeness to the ZIP / place name, combined across agreeing sources
+//   and lowered by contradicting ones. confidence is its label
+//   (high ≥ 0.75, medium ≥ 0.45, low). Materials the sources disagree
+//   on appear in both lists and in conflicts.
+// 
+//   evidence lists every source behind a rule with the exact span it
+//   said (quote is null for curated rules). The html / md formats
+//   render it as footnotes.
+// 
+//   streams says where a material goes, most likely first: "curbside"
+//   for accepted materials, otherwise "compost" | "yard_waste" | "hhw" |
+//   "e_waste" | "retail_takeback" | "drop_off" | "reuse" | "landfill".
+//   Names and instructions: GET /api/recycling/materials. The text /
+//   html / md formats group materials by stream.
+// 
+//   Every material also has a "jurisdiction": "zip" | "county" | "state".
+//   County rules (curated) and state rules (curated, else the bundled
+//   statewide bans) only fill in materials the ZIP's own rules don't
+//   cover — the most local level always wins. jurisdictions lists the
+//   levels that had rules; source is "curated" | "dataset" | "search".
+//   bottleBill is the state's container deposit program, or null.
+// 
+//   location is the display name; place is the same place resolved from
+//   the bundled ZIP dataset. place always has key (the location key used
+//   in /recycling/:zip/... URLs), country and postalCode; the rest is
+//   null outside the US and for ZIPs the dataset doesn't know (zip is
+//   null outside the US).
+// 
+//   meta.cache.status is one of: "hit" | "stale" | "miss" | "refresh" | "fallback"
+//   "fallback" = the search provider failed, so older cached rules were
+//   served; meta.searchError = { code, provider, message } says why.
+// 
+//   meta.extraction.fallback = { reason, message } when "llm" was asked
+//   for but the keyword path produced the rules; reason is
+//   "unavailable" | "invalid_output" | "no_verified_claims".
+// 
 // ERRORS:
-//   400: { "error": "Please provide a valid 5-digit ZIP code" }
+//   400: { "error": "Please provide a valid 5-digit ZIP code", "example": { "zip": "90210" } }
+//        { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode", "example": {...} }
+//        { "error": "Partial postal code \"SW1A\" needs a country (GB)", "example": { "location": { "country": "GB", "postalCode": "SW1A" } } }
+//        { "error": "Unsupported country \"FR\" (supported: US, CA, GB)", "example": {...} }
+//        { "error": "Unknown extraction mode \"regex\" (supported: keyword, llm)" }
+//   503: { "error": "Recycling search is unavailable", "code": "quota_exceeded", "provider": "serpapi", "details": "..." }
+//        code: "not_configured" | "auth_failed" | "quota_exceeded" | "provider_error"
 //   500: { "error": "Failed to fetch recycling rules", "details": "..." }
 // 
 // ============================================
 router.post('/recycling', async (req, res) => {
   // ----------------------------------------------------------------
-  // Extract and validate the ZIP code
+  // Extract and validate the location
   // ----------------------------------------------------------------
-  const { zip } = req.body;
+  const { state, county } = req.body;
+  const { location, error, example } = parseLocationInput(req.body);
 
-  // Validate: must be exactly 5 digits
-  if (!zip || !/^\d{5}$/.test(zip)) {
-    return res.status(400).json({ 
-      error: 'Please provide a valid 5-digit ZIP code',
-      example: { zip: '90210' }
+  if (error) {
+    return res.status(400).json({ error, example });
+  }
+  const zip = location.key;
+
+  const extraction = req.body.extraction ?? req.query.extraction ?? null;
+  if (extraction !== null && !isExtractionMode(extraction)) {
+    return res.status(400).json({
+      error: `Unknown extraction mode "${extraction}" (supported: ${EXTRACTION_MODES.join(', ')})`
     });
   }
 
@@ -72,7 +232,8 @@ router.post('/recycling', async (req, res) => {
     // ----------------------------------------------------------------
     // Get recycling rules from the service layer
     // ----------------------------------------------------------------
-    const rules = await getRecyclingRules(zip);
+    const refresh = req.query.refresh === 'true';
+    const rules = await getRecyclingRules(zip, { refresh, state, county, extraction });
 
     // ----------------------------------------------------------------
     // Format the response based on the requested format
@@ -107,6 +268,16 @@ router.post('/recycling', async (req, res) => {
     // Handle errors
     // ----------------------------------------------------------------
     console.error('Error fetching recycling rules:', err);
+
+    // The search provider is down, misconfigured or out of quota
+    if (err instanceof SearchError) {
+      return res.status(503).json({
+        error: 'Recycling search is unavailable',
+        code: err.code,
+        provider: err.provider,
+        details: err.message
+      });
+    }
     
     return res.status(500).json({ 
       error: 'Failed to fetch recycling rules',
@@ -115,6 +286,177 @@ router.post('/recycling', async (req, res) => {
   }
 });
 
+// ============================================
+// POST /api/recycling/batch
+// ============================================
+// 
+// Rules for many ZIPs in one request — for reports across a metro
+// area. Each ZIP is looked up exactly like POST /api/recycling
+// (curated → cache → search), and one bad or failing ZIP doesn't
+// fail the batch.
+// 
+// REQUEST:
+//   Body: { "zips": ["30601", "30602", "K1A 0B1", { "country": "GB", "postalCode": "SW1A 1AA" }] }
+//   Query params:
+//     - format: "json" (default) | "csv"
+//     - refresh: "true" to skip the cache and search again
+// 
+//   Entries are ZIPs, Canadian / UK postal codes, location keys
+//   ("CA-K1A0B1") or location objects (same shapes as POST /api/recycling).
+//   At most BATCH_MAX_ZIPS entries (default 50). Entries that resolve
+//   to the same location ("30601", "30601-1234") are looked up once.
+// 
+//   At most BATCH_CONCURRENCY locations (default 2) are looked up at
+//   once — search, page fetches and extraction together. Searches also
+//   run at most SEARCH_CONCURRENCY at a time across all requests (see
+//   searchService.js); concurrent lookups of the same ZIP — from this
+//   batch or any other request — share one search.
+// 
+// RESPONSE (JSON):
+//   {
+//     "results": [
+//       { "input": "30601", "zip": "30601", "status": "ok", "rules": { ...same as POST /api/recycling... } },
+//       { "input": "3060", "zip": null, "status": "error", "error": "Please provide a valid ..." },
+//       { "input": "30602", "zip": "30602", "status": "error", "error": "Recycling search is unavailable",
+//         "code": "quota_exceeded", "provider": "serpapi", "details": "..." }
+//     ],
+//     "summary": { "requested": 4, "unique": 3, "ok": 1, "failed": 2, "batchConcurrency": 2, "searchConcurrency": 2 }
+//   }
+// 
+//   Results are in request order, one per unique location (invalid
+//   entries each get their own).
+// 
+// RESPONSE (CSV, ?format=csv):
+//   zip,country,postal_code,location,status,resolved_by,list,material,jurisdiction,confidence,score,streams,notes,error
+//   One row per ZIP and material (streams are ";"-separated); failed
+//   ZIPs and ZIPs without materials get a single row.
+// 
+// ERRORS:
+//   400: { "error": "\"zips\" must be a non-empty array", "example": { "zips": ["30601", "30602"] } }
+//   400: { "error": "Too many ZIPs in one batch (max 50)" }
+// 
+// ============================================
+const DEFAULT_BATCH_MAX_ZIPS = 50;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+
+/**
+ * Max batch locations looked up at once
+ *
+ * @returns {number} BATCH_CONCURRENCY, default 2
+ */
+function getBatchConcurrency() {
+  const value = parseInt(process.env.BATCH_CONCURRENCY, 10);
+  return value > 0 ? value : DEFAULT_BATCH_CONCURRENCY;
+}
+
+/**
+ * Look one batch location up; failures stay with their ZIP
+ *
+ * @param {Object} lookup - { input, zip, error? }
+ * @param {boolean} refresh - Skip the cache
+ * @returns {Promise<Object>} The entry's result (see RESPONSE above)
+ */
+async function lookupBatchEntry({ input, zip, error }, refresh) {
+  if (error) return { input, zip, status: 'error', error };
+
+  try {
+    return { input, zip, status: 'ok', rules: await getRecyclingRules(zip, { refresh }) };
+  } catch (err) {
+    console.error(`Error fetching recycling rules for ${zip} in batch:`, err.message);
+
+    if (err instanceof SearchError) {
+      return {
+        input, zip, status: 'error',
+        error: 'Recycling search is unavailable',
+        code: err.code,
+        provider: err.provider,
+        details: err.message
+      };
+    }
+    return { input, zip, status: 'error', error: 'Failed to fetch recycling rules', details: err.message };
+  }
+}
+
+/**
+ * Read one batch entry
+ *
+ * @param {string|Object} entry - ZIP / postal code / location key, or a location object
+ * @returns {{location: Object}|{error: string}} Same shape as parseLocationInput()
+ */
+function parseBatchEntry(entry) {
+  if (entry && typeof entry === 'object') return parseLocationInput(entry);
+
+  const key = typeof entry === 'string' ? toLocationKey(entry.trim()) : null;
+  return key ? { location: parseLocationKey(key) } : { error: INVALID_POSTAL_CODE_ERROR };
+}
+
+router.post('/recycling/batch', async (req, res) => {
+  const { zips } = req.body;
+  const maxZips = parseInt(process.env.BATCH_MAX_ZIPS, 10) || DEFAULT_BATCH_MAX_ZIPS;
+
+  if (!Array.isArray(zips) || zips.length === 0) {
+    return res.status(400).json({
+      error: '"zips" must be a non-empty array',
+      example: { zips: ['30601', '30602'] }
+    });
+  }
+  if (zips.length > maxZips) {
+    return res.status(400).json({ error: `Too many ZIPs in one batch (max ${maxZips})` });
+  }
+
+  // ----------------------------------------------------------------
+  // Validate every entry and collapse duplicates
+  // ----------------------------------------------------------------
+  const lookups = [];
+  const seen = new Set();
+  for (const entry of zips) {
+    const { location, error } = parseBatchEntry(entry);
+    if (error) {
+      lookups.push({ input: entry, zip: null, error });
+    } else if (!seen.has(location.key)) {
+      seen.add(location.key);
+      lookups.push({ input: entry, zip: location.key });
+    }
+  }
+
+  // ----------------------------------------------------------------
+  // Look every location up, BATCH_CONCURRENCY at a time
+  // ----------------------------------------------------------------
+  // Each worker takes the next location until none are left, so
+  // results stay in request order
+  // ----------------------------------------------------------------
+  const refresh = req.query.refresh === 'true';
+  const batchConcurrency = getBatchConcurrency();
+  const results = new Array(lookups.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < lookups.length) {
+      const i = next++;
+      results[i] = await lookupBatchEntry(lookups[i], refresh);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(batchConcurrency, lookups.length) }, worker));
+
+  if ((req.query.format || 'json').toLowerCase() === 'csv') {
+    res.type('text/csv');
+    res.set('Content-Disposition', 'attachment; filename="recycling-rules.csv"');
+    return res.send(formatBatchAsCsv(results));
+  }
+
+  const ok = results.filter(result => result.status === 'ok').length;
+  return res.json({
+    results,
+    summary: {
+      requested: zips.length,
+      unique: results.length,
+      ok,
+      failed: results.length - ok,
+      batchConcurrency,
+      searchConcurrency: getSearchConcurrency()
+    }
+  });
+});
+
 // ============================================
 // POST /api/chat
 // ============================================
@@ -198,25 +540,356 @@ router.get('/recycling/health', (req, res) => {
   });
 });
 
+// ============================================
+// GET /api/recycling/compare?a=30602&b=30605
+// ============================================
+// 
+// What's different between two places — home and work, or where
+// you live now and where you're moving. Both sides are resolved like
+// POST /api/recycling (curated → cache → search), then compared.
+// 
+// REQUEST:
+//   Query params:
+//     - a, b: ZIPs, Canadian / UK postal codes or location keys
+//             ("30602", "K1A 0B1", "CA-K1A0B1")
+//     - refresh: "true" to skip the cache and search again
+// 
+// RESPONSE:
+//   {
+//     "a": { "zip": "30602", "location": "Athens, GA", "place": { ... }, "meta": { ... } },
+//     "b": { "zip": "30605", "location": "Athens, GA", "place": { ... }, "meta": { ... } },
+//     "accepted": {
+//       "onlyA": [{ "material": "Glass", "notes": "Rinse", "confidence": "high", "jurisdiction": "zip" }],
+//       "onlyB": [],
+//       "both": ["Cardboard", "Aluminum Cans"]
+//     },
+//     "not_accepted": { "onlyA": [], "onlyB": [...], "both": ["Plastic Bags"] },
+//     "plastics": { "accepted": { "onlyA": ["#5 PP"], "onlyB": [] }, "not_accepted": { "onlyA": [], "onlyB": [] } },
+//     "notes": [{ "material": "Cardboard", "list": "accepted", "a": "Flatten", "b": "Flatten and bundle with twine" }],
+//     "tips": { "onlyA": ["Rinse containers before recycling"], "onlyB": [], "both": [] },
+//     "same": false
+//   }
+// 
+//   A group covers its members: if B accepts "Glass", A's "Glass
+//   Bottles" count as accepted in both. notes only lists materials both
+//   sides have in the same list; a / b are null where that side has no
+//   specific note.
+// 
+// ERRORS:
+//   400: { "error": "Please provide two locations to compare", "example": "/api/recycling/compare?a=30602&b=30605" }
+//   400: { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode", "param": "b" }
+//   503: { "error": "Recycling search is unavailable", "code": "...", "provider": "...", "details": "..." }
+//   500: { "error": "Failed to compare recycling rules", "details": "..." }
+// 
+// ============================================
+router.get('/recycling/compare', async (req, res) => {
+  if (!req.query.a || !req.query.b) {
+    return res.status(400).json({
+      error: 'Please provide two locations to compare',
+      example: '/api/recycling/compare?a=30602&b=30605'
+    });
+  }
+
+  const keys = {};
+  for (const param of ['a', 'b']) {
+    keys[param] = toLocationKey(String(req.query[param]).trim());
+    if (!keys[param]) {
+      return res.status(400).json({ error: INVALID_POSTAL_CODE_ERROR, param });
+    }
+  }
+
+  try {
+    const refresh = req.query.refresh === 'true';
+    const [rulesA, rulesB] = await Promise.all([
+      getRecyclingRules(keys.a, { refresh }),
+      getRecyclingRules(keys.b, { refresh })
+    ]);
+
+    const side = (zip, rules) => ({ zip, location: rules.location, place: rules.place, meta: rules.meta });
+
+    return res.json({
+      a: side(keys.a, rulesA),
+      b: side(keys.b, rulesB),
+      ...compareRules(rulesA, rulesB)
+    });
+  } catch (err) {
+    console.error('Error comparing recycling rules:', err);
+
+    if (err instanceof SearchError) {
+      return res.status(503).json({
+        error: 'Recycling search is unavailable',
+        code: err.code,
+        provider: err.provider,
+        details: err.message
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to compare recycling rules',
+      details: err.message
+    });
+  }
+});
+
 // ============================================
 // GET /api/recycling/materials
 // ============================================
 // 
-// Returns the list of materials the system can detect.
+// Returns the material taxonomy the system can detect, and the
+// disposal streams materials resolve to.
 // Useful for frontend to show what's supported.
 // 
+// RESPONSE:
+//   {
+//     "taxonomy": [
+//       {
+//         "id": "glass", "name": "Glass", "status": "accepted", "streams": null, "terms": ["glass"],
+//         "children": [
+//           { "id": "mirrors", "name": "Mirrors", "status": "notAccepted", "streams": ["landfill"], "terms": [...], "children": [] },
+//           ...
+//         ]
+//       },
+//       ...
+//     ],
+//     "plastics": { "resins": [{ "code": 1, "abbr": "PET", "name": "..." }], "forms": ["bottle", ...] },
+//     "streams": [
+//       { "id": "hhw", "name": "Household Hazardous Waste", "icon": "☣️", "instructions": "Take to a ..." },
+//       ...
+//     ],
+//     "total": 27
+//   }
+// 
+//   status is the material's usual curbside status ("accepted" | "notAccepted"),
+//   or null for pure groups like "Plastics". streams is where it usually
+//   goes when not recycled curbside (null = inherited from its parent).
+// 
 // ============================================
 router.get('/recycling/materials', (req, res) => {
-  const { MATERIAL_DATABASE } = require('../services/recyclingService');
+  const { getTaxonomyTree, listMaterialNodes } = require('../services/materialTaxonomy');
+  const { PLASTIC_RESINS, PLASTIC_FORMS } = require('../services/plasticsModel');
+  const { listStreams } = require('../services/disposalStreams');
   
   res.json({
-    accepted: Object.keys(MATERIAL_DATABASE.accepted),
-    not_accepted: Object.keys(MATERIAL_DATABASE.notAccepted),
-    total: Object.keys(MATERIAL_DATABASE.accepted).length + 
-           Object.keys(MATERIAL_DATABASE.notAccepted).length
+    taxonomy: getTaxonomyTree(),
+    plastics: {
+      resins: Object.values(PLASTIC_RESINS).map(({ code, abbr, name }) => ({ code, abbr, name })),
+      forms: Object.keys(PLASTIC_FORMS)
+    },
+    streams: listStreams(),
+    total: listMaterialNodes().length
   });
 });
 
+// ============================================
+// GET /api/recycling/:zip/history
+// ============================================
+// 
+// Lists every version of the rules we've resolved for a ZIP.
+// A new version is recorded only when the materials change.
+// 
+// RESPONSE:
+//   {
+//     "zip": "30602",
+//     "versions": [
+//       {
+//         "version": 2,
+//         "createdAt": "2026-03-01T12:00:00.000Z",    // first resolved like this
+//         "lastSeenAt": "2026-03-09T08:30:00.000Z",   // last re-confirmed
+//         "resolvedBy": "search",                     // or "curated"
+//         "counts": { "accepted": 8, "not_accepted": 5, "plastics": 3 }
+//       },
+//       ...
+//     ]
+//   }
+// 
+// ERRORS:
+//   400: { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode" }
+// 
+// ============================================
+router.get('/recycling/:zip/history', (req, res) => {
+  const zip = req.locationKey;
+
+  try {
+    return res.json({ zip, versions: listHistory(zip) });
+  } catch (err) {
+    console.error('Error fetching rules history:', err);
+    return res.status(500).json({
+      error: 'Failed to fetch rules history',
+      details: err.message
+    });
+  }
+});
+
+// ============================================
+// GET /api/recycling/:zip/history/diff
+// ============================================
+// 
+// Lists materials added / removed between two versions.
+// 
+// REQUEST:
+//   Query params:
+//     - from: older version (default: the one before "to")
+//     - to: newer version (default: latest)
+// 
+// RESPONSE:
+//   {
+//     "zip": "30602",
+//     "from": { "version": 1, "createdAt": "..." },
+//     "to": { "version": 2, "createdAt": "..." },
+//     "accepted": { "added": [], "removed": ["Glass"] },
+//     "not_accepted": { "added": ["Glass"], "removed": [] },
+//     "plastics": {
+//       "accepted": { "added": ["#5 PP (tub)"], "removed": [] },
+//       "not_accepted": { "added": [], "removed": [] }
+//     },
+//     "changed": true
+//   }
+// 
+// ERRORS:
+//   400: { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode" }
+//   400: { "error": "from and to must be version numbers" }
+//   404: { "error": "Not enough history to compare" }
+//   404: { "error": "Version not found", "version": 7 }
+// 
+// ============================================
+router.get('/recycling/:zip/history/diff', (req, res) => {
+  const zip = req.locationKey;
+
+  // ----------------------------------------------------------------
+  // Work out which two versions to compare
+  // ----------------------------------------------------------------
+  const parseVersion = value => (value === undefined ? null : Number(value));
+  let to = parseVersion(req.query.to);
+  let from = parseVersion(req.query.from);
+
+  if ((to !== null && !Number.isInteger(to)) || (from !== null && !Number.isInteger(from))) {
+    return res.status(400).json({ error: 'from and to must be version numbers' });
+  }
+
+  try {
+    if (to === null) to = getLatestVersion(zip);
+    if (from === null && to !== null) from = to - 1;
+
+    if (to === null || from === null || from < 1) {
+      return res.status(404).json({ error: 'Not enough history to compare' });
+    }
+
+    const older = getSnapshot(zip, from);
+    const newer = getSnapshot(zip, to);
+
+    if (!older || !newer) {
+      return res.status(404).json({ error: 'Version not found', version: older ? to : from });
+    }
+
+    return res.json({ zip, ...diffSnapshots(older, newer) });
+  } catch (err) {
+    console.error('Error diffing rules history:', err);
+    return res.status(500).json({
+      error: 'Failed to compare rules history',
+      details: err.message
+    });
+  }
+});
+
+// ============================================
+// GET /api/recycling/:zip/schedule
+// GET /api/recycling/:zip/schedule.ics
+// ============================================
+// 
+// Which day is recycling (and trash, yard waste...) pickup?
+// Comes from the curated rule set covering the ZIP, or is parsed
+// from the same municipal pages as the rules.
+// 
+// REQUEST:
+//   Query params:
+//     - format: "json" (default) | "ics"
+//     - days: how many days of upcoming pickups (default 30, max 366)
+// 
+//   The .ics URL is the one to paste into a calendar app's
+//   "subscribe to calendar" — it always returns the next year of pickups.
+// 
+// RESPONSE (JSON):
+//   {
+//     "zip": "30602",
+//     "location": "Athens-Clarke County, GA",
+//     "schedule": {
+//       "source": "curated",          // or "parsed"
+//       "collections": [
+//         { "type": "recycling", "day": "tuesday", "frequency": "biweekly", "startDate": "2026-01-06" },
+//         { "type": "trash", "day": "tuesday", "frequency": "weekly", "startDate": null }
+//       ],
+//       "holidayShift": "next_day",   // or "none" | null (unknown)
+//       "evidence": [{ "url": "...", "title": "...", "quote": "..." }]   // parsed only
+//     },
+//     "upcoming": [
+//       { "type": "trash", "name": "Trash", "date": "2026-11-24", "day": "tuesday", "shifted": false },
+//       { "type": "trash", "name": "Trash", "date": "2026-12-02", "day": "wednesday", "shifted": true, "holiday": "Thanksgiving" }
+//     ],
+//     "unscheduled": [...]   // biweekly collections with no known start week
+//   }
+// 
+// RESPONSE (ICS): text/calendar, one all-day event per pickup
+// 
+// ERRORS:
+//   400: { "error": "Please provide a valid US ZIP code, Canadian postal code or UK postcode" }
+//   400: { "error": "days must be a number from 1 to 366" }
+//   404: { "error": "No collection schedule found for this area" }
+//   503: { "error": "Recycling search is unavailable", ... }
+// 
+// ============================================
+async function getSchedule(req, res, format) {
+  const zip = req.locationKey;
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return res.status(400).json({ error: 'days must be a number from 1 to 366' });
+  }
+
+  try {
+    const rules = await getRecyclingRules(zip);
+
+    if (!rules.schedule) {
+      return res.status(404).json({
+        error: 'No collection schedule found for this area',
+        location: rules.location
+      });
+    }
+
+    if (format === 'ics') {
+      res.type('text/calendar');
+      res.set('Content-Disposition', `inline; filename="recycling-${zip}.ics"`);
+      return res.send(toICalendar(rules.schedule, { zip, location: rules.location }));
+    }
+
+    return res.json({
+      zip,
+      location: rules.location,
+      schedule: rules.schedule,
+      upcoming: upcomingPickups(rules.schedule, { days }),
+      unscheduled: unscheduledCollections(rules.schedule)
+    });
+  } catch (err) {
+    console.error('Error fetching collection schedule:', err);
+
+    if (err instanceof SearchError) {
+      return res.status(503).json({
+        error: 'Recycling search is unavailable',
+        code: err.code,
+        provider: err.provider,
+        details: err.message
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to fetch collection schedule',
+      details: err.message
+    });
+  }
+}
+
+router.get('/recycling/:zip/schedule.ics', (req, res) => getSchedule(req, res, 'ics'));
+router.get('/recycling/:zip/schedule', (req, res) => getSchedule(req, res, (req.query.format || 'json').toLowerCase()));
+
 // ============================================
 // Export the router
 // ============================================
@@ -0,0 +1,103 @@
+/**
+ * ============================================
+ * Classifier Check
+ * ============================================
+ *
+ * Runs a labelled sentence corpus through services/materialClassifier.js
+ * with the real extraction lexicon and reports every mention whose
+ * polarity — or whose conditions (services/ruleConditions.js, read from
+ * the mention's phrase the way extractRules does) — don't match the labels.
+ *
+ * CORPUS LAYOUT (fixtures/classifier/sentences.json):
+ *   [
+ *     {
+ *       "text": "We accept cardboard; no plastic bags",
+ *       "expect": { "cardboard": "accepted", "plastic bags": "not_accepted" },
+ *       "conditions": { "cardboard": [] }                  // optional
+ *     }
+ *   ]
+ *   Keys are the matched text (case-insensitive). expect values are a
+ *   polarity: "accepted", "not_accepted" or "neutral"; conditions values
+ *   the condition types found, in any order ("clean", "rinse", "caps"...).
+ *   Every mention of a key must match; unlabelled mentions are ignored.
+ *
+ * USAGE:
+ *   npm run check:classifier
+ *   npm run check:classifier -- --corpus ./my-sentences.json
+ *
+ * Exits with code 1 when any label is missed, so it can gate CI.
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { classifyMentions } = require('../services/materialClassifier');
+const { buildLexicon } = require('../services/recyclingService');
+const { detectConditions } = require('../services/ruleConditions');
+
+/**
+ * Compare one labelled case with what the classifier says
+ *
+ * @param {{text: string, expect?: Object<string, string>, conditions?: Object<string, string[]>}} labelled - Corpus entry
+ * @param {Array<Object>} lexicon - buildLexicon() output
+ * @returns {Array<{match: string, expected: string, actual: string[]}>} Mismatches
+ */
+function checkCase(labelled, lexicon) {
+  const mentions = classifyMentions(labelled.text, lexicon);
+  const mentionsOf = match => mentions.filter(mention => mention.match.toLowerCase() === match.toLowerCase());
+  const conditionTypes = mention => detectConditions(mention.phrase).map(condition => condition.type).sort().join(', ') || 'none';
+  const mismatches = [];
+
+  for (const [match, expected] of Object.entries(labelled.expect || {})) {
+    const actual = mentionsOf(match).map(mention => mention.polarity);
+    if (actual.length === 0 || actual.some(polarity => polarity !== expected)) {
+      mismatches.push({ match, expected, actual });
+    }
+  }
+
+  for (const [match, types] of Object.entries(labelled.conditions || {})) {
+    const expected = `conditions ${[...types].sort().join(', ') || 'none'}`;
+    const actual = mentionsOf(match).map(mention => `conditions ${conditionTypes(mention)}`);
+    if (actual.length === 0 || actual.some(found => found !== expected)) {
+      mismatches.push({ match, expected, actual });
+    }
+  }
+
+  return mismatches;
+}
+
+function main() {
+  const corpusIndex = process.argv.indexOf('--corpus');
+  const corpusPath = corpusIndex === -1
+    ? path.join(__dirname, '..', 'fixtures', 'classifier', 'sentences.json')
+    : path.resolve(process.argv[corpusIndex + 1]);
+
+  const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+  const lexicon = buildLexicon();
+
+  let labels = 0;
+  let failed = 0;
+
+  for (const labelled of corpus) {
+    labels += Object.keys(labelled.expect || {}).length + Object.keys(labelled.conditions || {}).length;
+    const mismatches = checkCase(labelled, lexicon);
+    if (mismatches.length === 0) continue;
+
+    failed += mismatches.length;
+    console.log(`✗ ${JSON.stringify(labelled.text)}`);
+    for (const { match, expected, actual } of mismatches) {
+      console.log(`    ${match}: expected ${expected}, got ${actual.length ? actual.join(' / ') : '(not found)'}`);
+    }
+  }
+
+  console.log(`${labels - failed}/${labels} labels right across ${corpus.length} sentence(s)`);
+  return failed > 0 ? 1 : 0;
+}
+
+try {
+  process.exit(main());
+} catch (error) {
+  console.error(`Classifier check failed: ${error.message}`);
+  process.exit(2);
+}
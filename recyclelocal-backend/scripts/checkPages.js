@@ -0,0 +1,177 @@
+/**
+ * ============================================
+ * Page Extraction Check
+ * ============================================
+ *
+ * Runs saved municipal pages through the page stage, offline, and
+ * compares the result with what each page should produce:
+ * 1. utils/htmlExtractor.js on every fixture (title, lists, text)
+ * 2. pageFetchService.fetchPage() against a local HTTP server serving
+ *    the same fixtures, so robots.txt, redirects and content types are
+ *    covered without touching the network
+ *
+ * FIXTURE LAYOUT:
+ *   fixtures/html/<name>.html   → saved page
+ *   fixtures/html/<name>.json   → what extractPageText() should return:
+ *     {
+ *       "title": "Recycling Guide – City of Springfield",
+ *       "lists": [{ "heading": "Accepted", "items": ["Metal cans"], "isRecyclingList": true }],
+ *       "textIncludes": ["Accepted:\n- Metal cans"],      // optional
+ *       "textExcludes": ["Yard Waste"]                     // optional, e.g. nav / footer text
+ *     }
+ *
+ * USAGE:
+ *   npm run check:pages
+ *   npm run check:pages -- --dir ./my-pages
+ *
+ * Exits with code 1 when any check fails, so it can gate CI.
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const assert = require('assert');
+const { extractPageText } = require('../utils/htmlExtractor');
+const { fetchPage } = require('../services/pageFetchService');
+
+/**
+ * Load every fixture page with its expectations
+ *
+ * @param {string} dir - Fixture directory
+ * @returns {Array<{name: string, html: string, expected: Object}>}
+ */
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => {
+      const name = file.replace(/\.html$/, '');
+      return {
+        name,
+        html: fs.readFileSync(path.join(dir, file), 'utf8'),
+        expected: JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'))
+      };
+    });
+}
+
+/**
+ * Check extractPageText() output against a fixture's expectations
+ *
+ * @param {{title: string|null, text: string, lists: Array}} page - extractPageText() output
+ * @param {Object} expected - Fixture expectations
+ * @throws {assert.AssertionError} On the first mismatch
+ */
+function checkExtraction(page, expected) {
+  assert.strictEqual(page.title, expected.title, 'title');
+  assert.deepStrictEqual(page.lists, expected.lists, 'lists');
+  for (const snippet of expected.textIncludes || []) {
+    assert.ok(page.text.includes(snippet), `text should include ${JSON.stringify(snippet)}`);
+  }
+  for (const snippet of expected.textExcludes || []) {
+    assert.ok(!page.text.includes(snippet), `text should not include ${JSON.stringify(snippet)}`);
+  }
+}
+
+/**
+ * Serve fixtures on localhost, municipal-site style
+ *
+ * - /robots.txt disallows /private/
+ * - /pages/<name> serves a fixture as HTML
+ * - /old/<name> redirects to /pages/<name>
+ * - /private/<name> serves a fixture robots.txt forbids
+ * - /files/<name> serves a fixture as a PDF
+ *
+ * @param {Array<{name: string, html: string}>} fixtures
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startFixtureServer(fixtures) {
+  const byName = new Map(fixtures.map(fixture => [fixture.name, fixture.html]));
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/robots.txt') {
+      res.setHeader('Content-Type', 'text/plain');
+      return res.end('User-agent: *\nDisallow: /private/\n');
+    }
+
+    const [, section, name] = req.url.split('/');
+    if (section === 'old') {
+      res.writeHead(301, { Location: `/pages/${name}` });
+      return res.end();
+    }
+    if (!byName.has(name)) {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', section === 'files' ? 'application/pdf' : 'text/html; charset=utf-8');
+    res.end(byName.get(name));
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function main() {
+  const dirIndex = process.argv.indexOf('--dir');
+  const dir = dirIndex === -1
+    ? path.join(__dirname, '..', 'fixtures', 'html')
+    : path.resolve(process.argv[dirIndex + 1]);
+
+  const fixtures = loadFixtures(dir);
+  if (fixtures.length === 0) {
+    throw new Error(`No fixture pages found in ${dir}`);
+  }
+
+  const failures = [];
+  const check = async (label, fn) => {
+    try {
+      await fn();
+      console.log(`  ✓ ${label}`);
+    } catch (error) {
+      failures.push(label);
+      console.log(`  ✗ ${label}: ${error.message}`);
+    }
+  };
+
+  const server = await startFixtureServer(fixtures);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    for (const { name, html, expected } of fixtures) {
+      console.log(name);
+      const extracted = extractPageText(html);
+
+      await check('extractPageText', () => checkExtraction(extracted, expected));
+      await check('fetchPage', async () => {
+        const page = await fetchPage(`${base}/pages/${name}`);
+        assert.deepStrictEqual(page, { title: extracted.title, text: extracted.text, truncated: false });
+      });
+      await check('fetchPage follows redirects', async () => {
+        const page = await fetchPage(`${base}/old/${name}`);
+        assert.strictEqual(page.text, extracted.text);
+      });
+      await check('fetchPage respects robots.txt', async () => {
+        const page = await fetchPage(`${base}/private/${name}`);
+        assert.strictEqual(page.skipped, 'robots_disallowed');
+      });
+      await check('fetchPage skips non-HTML', async () => {
+        const page = await fetchPage(`${base}/files/${name}`);
+        assert.strictEqual(page.skipped, 'not_html');
+      });
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log(`\n${failures.length === 0 ? 'All page checks passed' : `${failures.length} check(s) failed`}`);
+  return failures.length > 0 ? 1 : 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(`Page check failed: ${error.message}`);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,174 @@
+/**
+ * ============================================
+ * Extraction Evaluation
+ * ============================================
+ *
+ * Runs extraction over a golden dataset, prints precision / recall
+ * per material and per stream, and what regressed since the saved
+ * baseline. Fully offline with the default keyword extraction.
+ *
+ * USAGE:
+ *   npm run eval                          # fixtures/, compare with fixtures/baseline.json
+ *   npm run eval -- --save-baseline       # ...and save this run as the new baseline
+ *   npm run eval -- --dir ./my-golden-set --baseline ./my-baseline.json
+ *   npm run eval -- --extraction llm      # evaluate LLM extraction (needs Ollama)
+ *   npm run eval -- --json                # full report as JSON
+ *
+ * Exits with code 1 when anything regressed, so it can gate CI.
+ * Dataset layout: see services/evaluationService.js.
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isExtractionMode } = require('../services/llmRuleExtractor');
+
+/**
+ * Read command line flags
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{dir: string, baseline: string, saveBaseline: boolean, extraction: string, json: boolean}}
+ * @throws {Error} On unknown flags or a bad --extraction value
+ */
+function parseArgs(argv) {
+  const args = {
+    dir: path.join(__dirname, '..', 'fixtures'),
+    baseline: null,
+    saveBaseline: false,
+    extraction: 'keyword',
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dir': args.dir = path.resolve(argv[++i]); break;
+      case '--baseline': args.baseline = path.resolve(argv[++i]); break;
+      case '--save-baseline': args.saveBaseline = true; break;
+      case '--extraction': args.extraction = argv[++i]; break;
+      case '--json': args.json = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  if (!isExtractionMode(args.extraction)) {
+    throw new Error(`Unknown extraction mode "${args.extraction}" (supported: keyword, llm)`);
+  }
+  args.baseline = args.baseline || path.join(args.dir, 'baseline.json');
+  return args;
+}
+
+const percent = value => (value === null ? '   —' : `${Math.round(value * 100)}%`.padStart(4));
+
+/**
+ * Metrics table, one row per material / stream
+ *
+ * @param {string} title - First column heading
+ * @param {Object<string, Object>} rows - Name -> precisionRecall() result
+ * @returns {string[]} Lines
+ */
+function formatTable(title, rows) {
+  const width = Math.max(title.length, ...Object.keys(rows).map(name => name.length)) + 2;
+  const lines = [`${title.padEnd(width)}  prec  rec   tp  fp  fn`];
+
+  for (const [name, m] of Object.entries(rows)) {
+    lines.push(`${name.padEnd(width)}  ${percent(m.precision)}  ${percent(m.recall)}  ${String(m.tp).padStart(3)} ${String(m.fp).padStart(3)} ${String(m.fn).padStart(3)}`);
+  }
+  return lines;
+}
+
+/**
+ * Human-readable report
+ *
+ * @param {Object} report - evaluateDataset() output
+ * @param {Object|null} diff - diffReports() output, null without a baseline
+ * @returns {string}
+ */
+function formatReport(report, diff) {
+  const { metrics } = report;
+  const keys = Object.keys(report.locations);
+  const lines = [
+    `Extraction evaluation — ${keys.length} location(s) [${keys.join(', ')}], ${report.extraction} extraction`,
+    '',
+    ...formatTable('Material', metrics.materials),
+    '',
+    ...formatTable('Stream', metrics.streams),
+    '',
+    ...formatTable('Overall', metrics.tips ? { materials: metrics.overall, tips: metrics.tips } : { materials: metrics.overall })
+  ];
+
+  if (metrics.items) {
+    lines.push('', `Items (compareMaterials): ${metrics.items.correct}/${metrics.items.total} right (${percent(metrics.items.accuracy).trim()})`);
+  }
+
+  for (const [key, scored] of Object.entries(report.locations)) {
+    const wrong = Object.entries(scored.materials).filter(([, m]) => !m.correct);
+    const missedTips = scored.tips ? scored.tips.missing : [];
+    const wrongItems = (scored.items || []).filter(item => !item.correct);
+    if (wrong.length + missedTips.length + wrongItems.length === 0) continue;
+
+    lines.push('', `${key} (${scored.location}):`);
+    for (const [name, m] of wrong) {
+      lines.push(`  ✗ ${name}: expected ${m.expected || '(unlabelled)'}, got ${m.predicted || '(missing)'}`);
+    }
+    for (const tip of missedTips) lines.push(`  ✗ tip missing: ${tip}`);
+    for (const item of wrongItems) {
+      lines.push(`  ✗ item ${item.name}: expected ${item.expected.overallStatus}/${item.expected.stream || '*'}, got ${item.actual.overallStatus}/${item.actual.stream}`);
+    }
+  }
+
+  lines.push('');
+  if (!diff) {
+    lines.push('No baseline yet — run with --save-baseline to start tracking regressions.');
+    return lines.join('\n');
+  }
+
+  lines.push(`Regressions since baseline: ${diff.regressions.length}`);
+  for (const change of diff.regressions) {
+    lines.push(`  ↓ ${change.key} ${change.kind} ${change.name}: ${JSON.stringify(change.was)} → ${JSON.stringify(change.now)}`);
+  }
+  lines.push(`Fixed since baseline: ${diff.fixed.length}`);
+  for (const change of diff.fixed) {
+    lines.push(`  ↑ ${change.key} ${change.kind} ${change.name}: ${JSON.stringify(change.was)} → ${JSON.stringify(change.now)}`);
+  }
+  for (const change of diff.metrics) {
+    lines.push(`  ${change.delta < 0 ? '↓' : '↑'} ${change.scope} ${change.name} ${change.metric}: ${percent(change.was).trim()} → ${percent(change.now).trim()}`);
+  }
+  if (diff.newLocations.length > 0) lines.push(`New locations: ${diff.newLocations.join(', ')}`);
+  if (diff.missingLocations.length > 0) lines.push(`Locations no longer labelled: ${diff.missingLocations.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The fixture provider reads recorded searches / pages from here
+  process.env.SEARCH_FIXTURES_DIR = args.dir;
+  const { evaluateDataset, diffReports } = require('../services/evaluationService');
+
+  const report = await evaluateDataset(args.dir, { extraction: args.extraction });
+  if (Object.keys(report.locations).length === 0) {
+    throw new Error(`No expected rules found in ${path.join(args.dir, 'expected')}`);
+  }
+
+  const baseline = fs.existsSync(args.baseline) ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+  const diff = baseline ? diffReports(baseline, report) : null;
+
+  console.log(args.json ? JSON.stringify({ report, diff }, null, 2) : formatReport(report, diff));
+
+  if (args.saveBaseline) {
+    fs.writeFileSync(args.baseline, JSON.stringify(report, null, 2) + '\n');
+    if (!args.json) console.log(`\nBaseline saved to ${args.baseline}`);
+  }
+
+  return diff && diff.regressions.length > 0 ? 1 : 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(`Evaluation failed: ${error.message}`);
+    process.exit(2);
+  }
+);
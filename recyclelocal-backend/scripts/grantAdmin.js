@@ -0,0 +1,39 @@
+/**
+ * ============================================
+ * Grant / Revoke Admin Access
+ * ============================================
+ *
+ * Sets users.is_admin for a registered account. Admin routes check the
+ * flag by user id (see middleware/adminMiddleware.js), so run this after
+ * the account exists and re-run it if the account is ever recreated.
+ *
+ * USAGE:
+ *   npm run grant-admin -- anthony             # grant
+ *   npm run grant-admin -- anthony --revoke    # revoke
+ *
+ * ============================================
+ */
+
+const { db } = require('../config/database');
+
+function main() {
+  const args = process.argv.slice(2);
+  const revoke = args.includes('--revoke');
+  const username = args.find(arg => !arg.startsWith('--'));
+
+  if (!username) {
+    console.error('Usage: npm run grant-admin -- <username> [--revoke]');
+    process.exit(1);
+  }
+
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (!user) {
+    console.error(`No registered user named "${username}"`);
+    process.exit(1);
+  }
+
+  db.prepare("UPDATE users SET is_admin = ?, updated_at = datetime('now') WHERE id = ?").run(revoke ? 0 : 1, user.id);
+  console.log(`${revoke ? 'Revoked' : 'Granted'} admin access for ${username} (user ${user.id})`);
+}
+
+main();
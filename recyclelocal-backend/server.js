@@ -4,33 +4,86 @@
  * ============================================
  * 
  * A hackathon project that helps users find recycling 
- * rules for their local area based on ZIP code.
+ * rules for their local area based on ZIP code (or Canadian /
+ * UK postal code).
  * 
  * HOW IT WORKS:
- * 1. User submits a ZIP code from the frontend
+ * 1. User submits a ZIP / postal code from the frontend
  * 2. Backend searches Google (via SerpAPI) for real municipal recycling pages
- * 3. Backend parses those search results to extract structured rules
+ * 3. Backend downloads those pages and parses them to extract structured rules
  * 4. Returns clean JSON with accepted materials, restrictions, tips, and sources
  * 
  * PROJECT STRUCTURE:
  * ├── server.js           ← You are here (entry point)
  * ├── routes/
- * │   └── recyclingRoutes.js   ← HTTP route handlers
+ * │   ├── recyclingRoutes.js   ← HTTP route handlers
+ * │   ├── adminRoutes.js       ← Curated rules CRUD (admin only)
+ * │   └── productRoutes.js     ← Product catalog by GTIN, barcode scan pipeline
  * ├── services/
  * │   ├── recyclingService.js  ← Business logic (parsing, extraction)
- * │   └── searchService.js     ← SerpAPI integration
+ * │   ├── rulesCacheService.js ← SQLite cache of rules per ZIP
+ * │   ├── curatedRulesService.js ← Hand-verified rules that override scraping
+ * │   ├── pageFetchService.js  ← Downloads full municipal pages (robots.txt aware)
+ * │   ├── materialClassifier.js ← Per-mention accepted / not accepted detection
+ * │   ├── llmRuleExtractor.js  ← Model-extracted rules, checked against source quotes
+ * │   ├── evaluationService.js ← Extraction precision / recall against golden labels
+ * │   ├── materialTaxonomy.js  ← Material tree (Glass → Glass Bottles, Mirrors...)
+ * │   ├── materialMatcher.js   ← Word matching: plurals, UK / Spanish spellings, typos
+ * │   ├── productCatalogService.js ← Scanned products: UPC details + packaging by GTIN
+ * │   ├── scanService.js       ← Barcode → packaging → verdict, with progress stages
+ * │   ├── ruleConditions.js    ← "If not greasy", size / color limits, caps on
+ * │   ├── disposalStreams.js   ← Where rejected materials go (compost, HHW, trash...)
+ * │   ├── confidenceScorer.js  ← 0–1 rule scores from source authority + agreement
+ * │   ├── rulesHistoryService.js ← Versioned rule snapshots per ZIP + diffs
+ * │   ├── rulesComparisonService.js ← What differs between two locations' rules
+ * │   ├── scheduleService.js   ← Collection days, holiday shifts, iCal export
+ * │   ├── jurisdictionService.js ← ZIP → county → state rule layering
+ * │   ├── containerDeposits.js ← Bottle bill refunds for beverage containers
+ * │   ├── zipPlacesService.js  ← Offline ZIP → city / county / state / FIPS
+ * │   ├── plasticsModel.js     ← Resin codes (#1–#7) and plastic form factors
+ * │   ├── searchService.js     ← Search provider selection
+ * │   └── searchProviders/     ← SerpAPI, DuckDuckGo, offline fixtures
+ * ├── fixtures/                ← Recorded search results + pages (SEARCH_PROVIDER=fixture),
+ * │                              expected rules and the evaluation baseline
+ * ├── scripts/evaluate.js      ← npm run eval: offline extraction accuracy report
+ * ├── datasets/                ← Bundled ZIP places, statewide rules and bottle bills
  * └── utils/
- *     └── formatters.js        ← Output formatters (text, HTML, etc.)
+ *     ├── formatters.js        ← Output formatters (text, HTML, etc.)
+ *     ├── validators.js        ← Shared input checks (ZIP / postal codes, location keys)
+ *     └── htmlExtractor.js     ← Pulls bin lists/tables out of page HTML
  * 
  * API ENDPOINTS:
- * - POST /api/recycling          Get recycling rules for a ZIP code
+ * - POST /api/recycling          Get recycling rules for a ZIP / postal code
+ * - POST /api/recycling/batch    Rules for many ZIPs at once (JSON or CSV)
+ * - GET  /api/recycling/compare?a=&b=   What differs between two locations
  * - GET  /api/recycling/health   Health check
- * - GET  /api/recycling/materials   List detectable materials
+ * - GET  /api/recycling/materials   Material taxonomy tree
+ * - GET  /api/recycling/:zip/history        Versions of a ZIP's rules
+ * - GET  /api/recycling/:zip/history/diff   Materials added/removed between versions
+ * - GET  /api/recycling/:zip/schedule       Collection days + upcoming pickups
+ * - GET  /api/recycling/:zip/schedule.ics   Pickup calendar feed (iCal)
+ * - GET/POST/PUT/DELETE /api/admin/rules   Manage curated rule sets (admin)
+ * - POST /api/products/scan      Barcode → local verdict in one request (NDJSON progress)
+ * - GET  /api/products/:gtin     Product details + packaging (catalog, UPCItemDB, model)
+ * - PUT  /api/products/:gtin     Curate a product's packaging (admin)
  * 
  * ENVIRONMENT VARIABLES:
  * - SERP_API_KEY: Your SerpAPI key (https://serpapi.com)
+ * - SEARCH_PROVIDER: serpapi | duckduckgo | fixture (default: serpapi)
+ * - SEARCH_FIXTURES_DIR: Fixture root for SEARCH_PROVIDER=fixture (default: ./fixtures)
  * - PORT: Server port (default: 3000)
  * - DEBUG: Set to "true" for verbose logging
+ * - PAGE_FETCH_ENABLED: Set to "false" to only use search snippets (default: true)
+ * - PAGE_FETCH_TIMEOUT_MS / PAGE_FETCH_HOST_TIMEOUTS / PAGE_FETCH_MAX_BYTES: Page fetch limits
+ * - RULES_CACHE_TTL_HOURS: How long cached rules stay fresh (default: 168)
+ * - RULES_CACHE_STALE_HOURS: How long stale rules may be served while refreshing (default: 720)
+ * - SEARCH_CONCURRENCY: Max search provider requests in flight at once (default: 2)
+ * - SEARCH_TIMEOUT_MS: Give up on a search provider request after this long (default: 10000)
+ * - BATCH_MAX_ZIPS: Max ZIPs per POST /api/recycling/batch (default: 50)
+ * - BATCH_CONCURRENCY: Max ZIPs of a batch looked up at once (default: 2)
+ * - RULES_EXTRACTION_MODE: keyword | llm — how searched pages are read (default: keyword)
+ * - OLLAMA_EXTRACTION_MODEL: Model for llm extraction (default: qwen2.5:3b)
+ * - OLLAMA_EXTRACTION_TIMEOUT_MS: Give up on the model after this long (default: 60000)
  * 
  * ============================================
  */
@@ -54,6 +107,8 @@ const express = require('express');
 const recyclingRoutes = require('./routes/recyclingRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const productRoutes = require('./routes/productRoutes');
 
 // Database
 const { testConnection } = require('./config/database');
@@ -96,7 +151,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   // Allow these HTTP methods
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -132,6 +187,8 @@ if (process.env.DEBUG === 'true') {
 app.use('/api', recyclingRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/products', productRoutes);
 
 /**
  * Root Route
@@ -145,17 +202,51 @@ app.get('/', (req, res) => {
     description: 'Get local recycling rules by ZIP code',
     endpoints: {
       'POST /api/recycling': {
-        description: 'Get recycling rules for a ZIP code',
-        body: { zip: '90210' },
+        description: 'Get recycling rules for a ZIP code or Canadian / UK postal code',
+        body: {
+          zip: '90210',
+          location: 'or { country: "CA", postalCode: "K1A 0B1" } (US, CA, GB)',
+          state: 'optional (defaults to the ZIP\'s state)',
+          county: 'optional county FIPS code',
+          extraction: 'optional keyword | llm (default: RULES_EXTRACTION_MODE)'
+        },
         queryParams: {
-          format: 'json | text | html | md (default: json)'
+          format: 'json | text | html | md (default: json)',
+          refresh: 'true to bypass the rules cache',
+          extraction: 'keyword | llm (same as the body field)'
         }
       },
+      'POST /api/recycling/batch': {
+        description: 'Get recycling rules for many ZIPs at once, with per-ZIP errors',
+        body: { zips: ['30601', '30602', 'K1A 0B1'] },
+        queryParams: {
+          format: 'json | csv (default: json; csv has one row per ZIP and material)',
+          refresh: 'true to bypass the rules cache'
+        }
+      },
+      'GET /api/recycling/compare': {
+        description: 'Materials, notes and tips that differ between two locations',
+        queryParams: { a: 'first ZIP / postal code', b: 'second ZIP / postal code', refresh: 'true to bypass the rules cache' }
+      },
       'GET /api/recycling/health': {
         description: 'Health check endpoint'
       },
       'GET /api/recycling/materials': {
-        description: 'List all detectable materials'
+        description: 'Material taxonomy tree (groups → specific materials) and plastic resin codes'
+      },
+      'GET /api/recycling/:zip/history': {
+        description: 'Versions of the rules resolved for a ZIP (:zip is a location key outside the US, e.g. CA-K1A0B1)'
+      },
+      'GET /api/recycling/:zip/history/diff': {
+        description: 'Materials added / removed between two versions',
+        queryParams: { from: 'older version (default: previous)', to: 'newer version (default: latest)' }
+      },
+      'GET /api/recycling/:zip/schedule': {
+        description: 'Recycling, trash and yard waste collection days with upcoming pickup dates',
+        queryParams: { format: 'json | ics (default: json)', days: 'days of upcoming pickups (default: 30)' }
+      },
+      'GET /api/recycling/:zip/schedule.ics': {
+        description: 'Subscribable calendar of the next year of pickups (holiday shifts applied)'
       },
       'POST /api/ai/chat': {
         description: 'Chat with AI recycling assistant',
@@ -167,6 +258,20 @@ app.get('/', (req, res) => {
       },
       'GET /api/ai/health': {
         description: 'AI services health check'
+      },
+      'GET|POST /api/admin/rules, GET|PUT|DELETE /api/admin/rules/:id': {
+        description: 'Manage curated municipal rule sets (admin JWT required)'
+      },
+      'POST /api/products/scan': {
+        description: 'Barcode to local recycling verdict in one request (?stream=true for NDJSON progress)',
+        body: { gtin: '049000028904', lat: 34.0901, lng: -118.4065, zip: 'or instead of lat/lng' }
+      },
+      'GET /api/products/:gtin': {
+        description: 'Product details and packaging materials by barcode (UPC / EAN / GTIN)'
+      },
+      'PUT /api/products/:gtin': {
+        description: 'Curate a product\'s packaging (admin JWT required)',
+        body: { materials: ['aluminum'], components: '[{ name, material, removable }] (optional)' }
       }
     },
     example: `curl -X POST http://localhost:${PORT}/api/recycling -H "Content-Type: application/json" -d '{"zip":"90210"}'`
@@ -188,6 +293,7 @@ app.use((req, res) => {
     message: `Route ${req.method} ${req.url} does not exist`,
     availableEndpoints: [
       'POST /api/recycling',
+      'POST /api/recycling/batch',
       'GET /api/recycling/health',
       'GET /api/recycling/materials'
     ]
@@ -0,0 +1,309 @@
+/**
+ * ============================================
+ * Confidence Scorer
+ * ============================================
+ *
+ * Turns the evidence behind each rule into a 0–1 score and a
+ * label ("high" | "medium" | "low"), and reports rules that
+ * sources disagree on.
+ *
+ * HOW IT WORKS:
+ * 1. Each piece of evidence gets a weight:
+ *      authority of the source's domain
+ *        .gov / .us / municipal sites  0.85
+ *        waste haulers                 0.70
+ *        .org / .edu                   0.55
+ *        other commercial sites        0.40
+ *        blogs / forums                0.25
+ *    × how close the mention is to the location we matched
+ *        (ZIP or place name near the mention → 1.0, elsewhere on
+ *        the page → 0.85, never mentioned → 0.6)
+ * 2. Agreeing sources combine like independent witnesses:
+ *      support = 1 − Π(1 − weight)
+ * 3. Sources saying the opposite pull the score down:
+ *      score = support × (1 − 0.75 × opposition)
+ * 4. Materials / resin codes found in BOTH lists become conflicts.
+ *
+ * ============================================
+ */
+
+// Domain authority weights
+const AUTHORITY = {
+  government: 0.85,
+  hauler: 0.7,
+  nonprofit: 0.55,
+  commercial: 0.4,
+  blog: 0.25
+};
+
+// Private waste haulers — they run the actual curbside programs
+const HAULER_DOMAINS = [
+  'wm.com', 'republicservices.com', 'wasteconnections.com', 'recology.com',
+  'gflenv.com', 'casella.com', 'wasteindustries.com', 'rumpke.com', 'wasteprousa.com'
+];
+
+// Local governments on generic TLDs — too few to guess from the name
+const MUNICIPAL_DOMAINS = ['accgov.com', 'lacity.org'];
+
+// User-generated content — anyone can write anything
+const BLOG_DOMAINS = [
+  'medium.com', 'blogspot.com', 'wordpress.com', 'reddit.com', 'quora.com',
+  'tumblr.com', 'substack.com', 'facebook.com', 'nextdoor.com'
+];
+
+// Proximity multipliers (see HOW IT WORKS)
+const PROXIMITY_NEAR = 1;
+const PROXIMITY_SAME_PAGE = 0.85;
+const PROXIMITY_NONE = 0.6;
+const NEAR_DISTANCE = 300; // characters
+
+// How much a contradicting source can pull the score down
+const CONTRADICTION_PENALTY = 0.75;
+
+// Score → label thresholds
+const HIGH_THRESHOLD = 0.75;
+const MEDIUM_THRESHOLD = 0.45;
+
+// A conflict is resolved when one side beats the other by this much
+const RESOLUTION_MARGIN = 0.2;
+
+/**
+ * Classify a source's domain
+ *
+ * @param {string} url - Source URL
+ * @returns {string} "government" | "hauler" | "nonprofit" | "commercial" | "blog"
+ *
+ * @example
+ * sourceType('https://www.accgov.com/recycling'); // => 'government' (known municipal site)
+ * sourceType('https://www.someshop.co.uk/'); // => 'commercial'
+ * sourceType('https://www.wm.com/us/en/recycle-right'); // => 'hauler'
+ */
+function sourceType(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return 'commercial';
+  }
+
+  const onDomain = domains => domains.some(d => host === d || host.endsWith(`.${d}`));
+
+  // "cityof…" / "county." only as the leading label: "bestcounty.com"
+  // and "someshop.co.uk" are shops
+  if (/\.(gov|us|mil)$/.test(host) || /\.gov\.[a-z]{2}$/.test(host) || onDomain(MUNICIPAL_DOMAINS) ||
+      /^(cityof|townof|countyof|villageof)[a-z-]*\.|^(city|county|town|township|borough|parish)\./.test(host)) {
+    return 'government';
+  }
+  if (onDomain(HAULER_DOMAINS)) return 'hauler';
+  if (onDomain(BLOG_DOMAINS) || /(^|\.)blog\./.test(host)) return 'blog';
+  if (/\.(org|edu)$/.test(host)) return 'nonprofit';
+  return 'commercial';
+}
+
+/**
+ * Authority weight of a source
+ *
+ * @param {string} url - Source URL
+ * @returns {number} 0–1
+ */
+function sourceAuthority(url) {
+  return AUTHORITY[sourceType(url)];
+}
+
+/**
+ * Where a result's text mentions the location we matched
+ *
+ * @param {string} text - Result text (snippet + page text)
+ * @param {string} zip - ZIP / postal code ("30602", "K1A 0B1")
+ * @param {string} location - Location name ("Athens, GA", "ZIP 30602"...)
+ * @param {string|null} [county] - County name ("Clarke"), when known
+ * @returns {number[]} Character offsets of the ZIP / place / county name
+ */
+function findLocationAnchors(text, zip, location, county = null) {
+  const lower = (text || '').toLowerCase();
+  const names = [String(zip).toLowerCase()];
+
+  // "Athens, GA" → "athens"; "Clarke County" → "clarke county"
+  const place = (location || '').replace(/^ZIP\s+\d+$/i, '').split(',')[0].trim().toLowerCase();
+  if (place.length >= 3) names.push(place);
+  if (county) names.push(`${county.toLowerCase()} county`);
+
+  const anchors = [];
+  for (const name of names) {
+    for (let i = lower.indexOf(name); i !== -1; i = lower.indexOf(name, i + 1)) {
+      anchors.push(i);
+    }
+  }
+  return anchors;
+}
+
+/**
+ * How close a mention is to the matched location
+ *
+ * @param {number} index - Mention offset in the result text
+ * @param {number[]} anchors - Offsets from findLocationAnchors()
+ * @returns {number} Proximity multiplier
+ */
+function locationProximity(index, anchors) {
+  if (anchors.length === 0) return PROXIMITY_NONE;
+  const distance = Math.min(...anchors.map(anchor => Math.abs(anchor - index)));
+  return distance <= NEAR_DISTANCE ? PROXIMITY_NEAR : PROXIMITY_SAME_PAGE;
+}
+
+/**
+ * Weight of one mention as evidence
+ *
+ * @param {string} url - Source URL
+ * @param {number} index - Mention offset in the result text
+ * @param {number[]} anchors - Location offsets in the same text
+ * @returns {number} 0–1, rounded to 2 decimals
+ */
+function evidenceWeight(url, index, anchors) {
+  return round(sourceAuthority(url) * locationProximity(index, anchors));
+}
+
+/**
+ * Combine independent pieces of evidence
+ *
+ * @param {Array<{weight?: number}>} evidence - Evidence entries
+ * @returns {number} 1 − Π(1 − weight), 0 when there is none
+ */
+function combine(evidence) {
+  return 1 - (evidence || []).reduce((rest, e) => rest * (1 - (e.weight ?? AUTHORITY.commercial)), 1);
+}
+
+/**
+ * Score a rule from its supporting and contradicting evidence
+ *
+ * @param {Array} supporting - Evidence for the rule
+ * @param {Array} [opposing] - Evidence for the opposite rule
+ * @returns {{score: number, confidence: string}}
+ *
+ * @example
+ * scoreRule([{ weight: 0.85 }]);                 // => { score: 0.85, confidence: 'high' }
+ * scoreRule([{ weight: 0.4 }], [{ weight: 0.85 }]); // => { score: 0.14, confidence: 'low' }
+ */
+function scoreRule(supporting, opposing = []) {
+  const score = round(combine(supporting) * (1 - CONTRADICTION_PENALTY * combine(opposing)));
+  return { score, confidence: labelFor(score) };
+}
+
+/**
+ * Label for a score
+ *
+ * @param {number} score - 0–1
+ * @returns {string} "high" | "medium" | "low"
+ */
+function labelFor(score) {
+  if (score >= HIGH_THRESHOLD) return 'high';
+  if (score >= MEDIUM_THRESHOLD) return 'medium';
+  return 'low';
+}
+
+/**
+ * Score both material lists against each other and find conflicts
+ *
+ * A material in both lists is scored with the other side's evidence
+ * as contradiction, and reported in `conflicts`.
+ *
+ * @param {Array} accepted - [{ material, evidence, ... }]
+ * @param {Array} notAccepted - [{ material, evidence, ... }]
+ * @returns {{accepted: Array, notAccepted: Array, conflicts: Array}}
+ *          Lists gain { score, confidence } and are sorted by score
+ */
+function scoreMaterialLists(accepted, notAccepted) {
+  const byName = list => new Map(list.map(item => [item.material.toLowerCase(), item]));
+  const acceptedByName = byName(accepted);
+  const notAcceptedByName = byName(notAccepted);
+
+  const score = (list, opposite) => list
+    .map(item => {
+      const other = opposite.get(item.material.toLowerCase());
+      return { ...item, ...scoreRule(item.evidence, other ? other.evidence : []) };
+    })
+    .sort((a, b) => b.score - a.score || a.material.localeCompare(b.material));
+
+  const scoredAccepted = score(accepted, notAcceptedByName);
+  const scoredNotAccepted = score(notAccepted, acceptedByName);
+
+  const conflicts = scoredAccepted
+    .filter(item => notAcceptedByName.has(item.material.toLowerCase()))
+    .map(item => describeConflict(
+      item.material,
+      item,
+      scoredNotAccepted.find(other => other.material.toLowerCase() === item.material.toLowerCase())
+    ));
+
+  return { accepted: scoredAccepted, notAccepted: scoredNotAccepted, conflicts };
+}
+
+/**
+ * Score per-resin-code plastics rules and find conflicts
+ *
+ * "#5 accepted" and "#5 not accepted" conflict when their forms
+ * overlap (an empty forms list means any form).
+ *
+ * @param {Array} plastics - [{ code, resin, status, forms, evidence }]
+ * @returns {{plastics: Array, conflicts: Array}}
+ */
+function scorePlastics(plastics) {
+  const overlaps = (a, b) => a.forms.length === 0 || b.forms.length === 0 ||
+    a.forms.some(form => b.forms.includes(form));
+  const opposite = rule => plastics.find(other =>
+    other.code === rule.code && other.status !== rule.status && overlaps(rule, other));
+
+  const scored = plastics.map(rule => {
+    const other = opposite(rule);
+    return { ...rule, ...scoreRule(rule.evidence, other ? other.evidence : []) };
+  });
+
+  const conflicts = [];
+  for (const rule of scored) {
+    if (rule.status !== 'accepted') continue;
+    const other = scored.find(o => o.code === rule.code && o.status !== rule.status && overlaps(rule, o));
+    if (other) {
+      conflicts.push(describeConflict(`#${rule.code} ${rule.resin}`, rule, other));
+    }
+  }
+
+  return { plastics: scored, conflicts };
+}
+
+/**
+ * Build a conflict entry
+ *
+ * @param {string} material - What the sources disagree about
+ * @param {Object} acceptedRule - Scored rule saying accepted
+ * @param {Object} rejectedRule - Scored rule saying not accepted
+ * @returns {Object} { material, accepted: {score, evidence}, not_accepted: {score, evidence}, resolution }
+ *          resolution: "accepted" | "not_accepted" | "unresolved"
+ */
+function describeConflict(material, acceptedRule, rejectedRule) {
+  const diff = acceptedRule.score - rejectedRule.score;
+  let resolution = 'unresolved';
+  if (diff >= RESOLUTION_MARGIN) resolution = 'accepted';
+  if (diff <= -RESOLUTION_MARGIN) resolution = 'not_accepted';
+
+  return {
+    material,
+    accepted: { score: acceptedRule.score, evidence: acceptedRule.evidence || [] },
+    not_accepted: { score: rejectedRule.score, evidence: rejectedRule.evidence || [] },
+    resolution
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  sourceType,
+  sourceAuthority,
+  findLocationAnchors,
+  locationProximity,
+  evidenceWeight,
+  scoreRule,
+  labelFor,
+  scoreMaterialLists,
+  scorePlastics
+};
@@ -0,0 +1,188 @@
+/**
+ * ============================================
+ * Container Deposits (Bottle Bills)
+ * ============================================
+ *
+ * Ten states charge a refundable deposit on beverage containers.
+ * In those states a soda can is worth 5–10¢ back at a redemption
+ * center — tossing it in the recycling cart throws that away.
+ *
+ * HOW IT WORKS:
+ * - datasets/bottleBills.json holds each program: refund tiers,
+ *   covered container materials and beverage types, and where to
+ *   redeem
+ * - depositFor() decides whether a detected item is a covered
+ *   container ("Coca-Cola can", "12 oz beer bottle"), reading the
+ *   beverage type and size from the item's name and materials, and
+ *   picks the refund tier
+ *
+ * DEPOSIT TIERS:
+ *   { value: 0.10, minOunces: 24 }           → 10¢ for 24 oz and up
+ *   { value: 0.15, beverages: ["liquor"] }   → 15¢ for liquor only
+ *   Tiers restricted to a beverage win over general ones; minOunces
+ *   is inclusive, maxOunces exclusive.
+ *
+ * ADD NEW PROGRAMS in datasets/bottleBills.json.
+ *
+ * ============================================
+ */
+
+const BOTTLE_BILLS = require('../datasets/bottleBills.json');
+
+// Beverage types, as named in the dataset, and how items mention them
+const BEVERAGE_TERMS = {
+  beer: /\b(?:beer|lager|ipa|stout|pilsner|malt beverage)s?\b/i,
+  soda: /\b(?:soda|pop|cola|coke|pepsi|sprite|soft drink|seltzer|sparkling water|energy drink|carbonated)s?\b/i,
+  water: /\bwater\b/i,
+  sports_drink: /\b(?:sports? drink|gatorade|powerade|electrolyte)s?\b/i,
+  juice: /\b(?:juice|lemonade|nectar)s?\b/i,
+  coffee: /\b(?:coffee|cold brew|latte)s?\b/i,
+  tea: /\b(?:iced tea|tea)s?\b/i,
+  kombucha: /\bkombucha\b/i,
+  hard_cider: /\b(?:hard )?ciders?\b/i,
+  wine: /\b(?:wine|champagne|prosecco)s?\b/i,
+  liquor: /\b(?:liquor|spirits?|vodka|whiske?y|rum|gin|tequila|bourbon)s?\b/i
+};
+
+// Containers no program covers (checked first — "chocolate milk"
+// isn't soda, a soup can isn't a drink can)
+const NEVER_COVERED = /\b(?:milk|dairy|infant formula|baby formula|medicine|syrup|food|soup|beans?|tuna|sauce|ketchup|oil|paint|aerosol|spray|cleaner|detergent|shampoo|lotion|bleach)\b/i;
+
+// Container material, as named in the dataset
+const CONTAINER_MATERIALS = [
+  { material: 'glass', pattern: /\bglass\b/i },
+  { material: 'plastic', pattern: /\b(?:plastic|pete?|hdpe)\b|#\s*[12]\b/i },
+  { material: 'bimetal', pattern: /\b(?:steel|tin|bimetal)\b/i },
+  // Checked last — a can that isn't steel is aluminum
+  { material: 'aluminum', pattern: /\balumin(?:um|ium)\b|\bcans?\b/i }
+];
+
+// Only sealed drink containers carry a deposit
+const CONTAINER_FORM = /\b(?:bottles?|cans?|jugs?|tall ?boys?|growlers?)\b/i;
+
+// Sizes on the label: "12 oz", "16.9 fl oz", "2L", "500 ml"
+const SIZE = /(\d+(?:\.\d+)?)\s*(fl\.?\s*oz|oz|ounces?|ml|milliliters?|millilitres?|l|liters?|litres?)\b/i;
+const OUNCES_PER_UNIT = { oz: 1, ml: 1 / 29.5735, l: 33.814 };
+
+/**
+ * A state's container deposit program
+ *
+ * @param {string} state - 2-letter postal code
+ * @returns {Object|null} { state, name, program, deposits, materials, beverages, redemption, source },
+ *          null when the state has no bottle bill
+ */
+function getBottleBill(state) {
+  const bill = state ? BOTTLE_BILLS[String(state).toUpperCase()] : null;
+  return bill ? { state: String(state).toUpperCase(), ...bill } : null;
+}
+
+/**
+ * Read a container size from text
+ *
+ * @param {string} text - Item name / materials
+ * @returns {number|null} Size in fluid ounces
+ *
+ * @example
+ * parseOunces('Coke 2L bottle');  // => 67.6
+ * parseOunces('12 oz can');       // => 12
+ */
+function parseOunces(text) {
+  const match = text.match(SIZE);
+  if (!match) return null;
+
+  const unit = match[2].toLowerCase();
+  const factor = unit.includes('oz') || unit.startsWith('ounce')
+    ? OUNCES_PER_UNIT.oz
+    : (unit.startsWith('m') ? OUNCES_PER_UNIT.ml : OUNCES_PER_UNIT.l);
+  return Math.round(Number(match[1]) * factor * 10) / 10;
+}
+
+/**
+ * Format a refund value
+ *
+ * @param {number} value - Dollars (0.05)
+ * @returns {string} "5¢"
+ */
+function formatCents(value) {
+  return `${Math.round(value * 100)}¢`;
+}
+
+/**
+ * Pick the refund tiers that apply to a container
+ *
+ * @param {Array} deposits - Tiers from the bottle bill
+ * @param {string|null} beverage - Beverage type, null when unknown
+ * @param {number|null} ounces - Container size, null when unknown
+ * @returns {Array} Matching tiers (several when the size is unknown)
+ */
+function matchingTiers(deposits, beverage, ounces) {
+  const restricted = deposits.filter(tier => tier.beverages && tier.beverages.includes(beverage));
+  const candidates = restricted.length > 0 ? restricted : deposits.filter(tier => !tier.beverages);
+
+  if (ounces == null) return candidates;
+  return candidates.filter(tier =>
+    (tier.minOunces == null || ounces >= tier.minOunces) &&
+    (tier.maxOunces == null || ounces < tier.maxOunces)
+  ).slice(0, 1);
+}
+
+/**
+ * Does a detected item carry a container deposit, and how much?
+ *
+ * Items whose beverage can't be told ("aluminum can") are treated as
+ * covered when the program covers the usual drinks in them (soda, beer)
+ * — but flagged `confirmed: false`.
+ *
+ * @param {Object} item - Detected item { name, materials }
+ * @param {Object|null} bottleBill - getBottleBill() result
+ * @returns {Object|null} null when not covered, otherwise
+ *          { state, program, value, label, confirmed, ounces, beverage, redemption, source }
+ *          value is null (label a range, "5¢–10¢") when the size decides it but is unknown
+ *
+ * @example
+ * depositFor({ name: '12 oz soda can', materials: ['aluminum'] }, getBottleBill('MI'));
+ * // => { state: 'MI', program: 'Michigan Bottle Deposit', value: 0.1, label: '10¢', confirmed: true, ... }
+ */
+function depositFor(item, bottleBill) {
+  if (!bottleBill || !item) return null;
+
+  const text = [item.name, ...(item.materials || [])].filter(Boolean).join(' ');
+  if (!CONTAINER_FORM.test(text) || NEVER_COVERED.test(text)) return null;
+
+  const container = CONTAINER_MATERIALS.find(({ pattern }) => pattern.test(text));
+  if (!container || !bottleBill.materials.includes(container.material)) return null;
+
+  const beverage = Object.keys(BEVERAGE_TERMS).find(type => BEVERAGE_TERMS[type].test(text)) || null;
+  if (beverage && !bottleBill.beverages.includes(beverage)) return null;
+  // An unlabeled can or bottle is most likely soda, beer or water
+  if (!beverage && !['soda', 'beer'].some(type => bottleBill.beverages.includes(type))) return null;
+
+  const ounces = parseOunces(text);
+  const tiers = matchingTiers(bottleBill.deposits, beverage, ounces);
+  if (tiers.length === 0) return null;
+
+  const values = [...new Set(tiers.map(tier => tier.value))].sort((a, b) => a - b);
+  const value = values.length === 1 ? values[0] : null;
+
+  return {
+    state: bottleBill.state,
+    program: bottleBill.program,
+    value,
+    label: value != null ? formatCents(value) : `${formatCents(values[0])}–${formatCents(values[values.length - 1])}`,
+    confirmed: Boolean(beverage) && value != null,
+    ounces,
+    beverage,
+    redemption: bottleBill.redemption,
+    source: bottleBill.source
+  };
+}
+
+module.exports = {
+  getBottleBill,
+  depositFor,
+
+  // Export helpers for testing
+  parseOunces,
+  matchingTiers,
+  formatCents
+};
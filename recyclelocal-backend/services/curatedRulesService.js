@@ -0,0 +1,406 @@
+/**
+ * ============================================
+ * Curated Rules Service
+ * ============================================
+ *
+ * Stores hand-verified municipal recycling rules.
+ *
+ * Scraping five Google snippets is a best guess. For places
+ * where we KNOW the rules (e.g. our own county), an admin can
+ * enter them once and they'll be served instead of the scrape.
+ *
+ * RULE SET SHAPE:
+ *   {
+ *     id: 1,
+ *     jurisdiction: "Athens-Clarke County, GA",
+ *     zip_codes: ["30601", "30602", "30605"],
+ *     accepted: [{ material: "Cardboard", notes: "Flatten" }],
+ *     not_accepted: [{ material: "Plastic Bags", notes: "Return to grocery stores", streams: ["retail_takeback"] }],
+ *     notes: "Glass goes to drop-off centers, not curbside",
+ *     source: "https://www.accgov.com/recycling",
+ *     last_verified: "2026-02-01",
+ *     schedule: {
+ *       collections: [{ type: "recycling", day: "tuesday", frequency: "biweekly", startDate: "2026-01-06" }],
+ *       holidayShift: "next_day"
+ *     }
+ *   }
+ *
+ * schedule is optional — see scheduleService.js for its shape.
+ *
+ * LEVELS:
+ * Most rule sets cover a list of ZIPs (level "zip", the default).
+ * County- and state-wide rules cover a region instead and are layered
+ * under every ZIP inside it (see jurisdictionService.js):
+ *   { level: "county", region: "13059", zip_codes: [], ... }   ← county FIPS code
+ *   { level: "state",  region: "GA",    zip_codes: [], ... }   ← state postal code
+ *
+ * zip_codes may also hold Canadian and UK postal codes, stored as
+ * location keys ("CA-K1A0B1"; see utils/validators.js). A code for a
+ * whole outward code / FSA ("GB-SW1A", "CA-K1A") covers the area.
+ *
+ * FRONTEND INTEGRATION:
+ * Managed through the admin endpoints in routes/adminRoutes.js.
+ * Read transparently by getRecyclingRules() in recyclingService.
+ *
+ * ============================================
+ */
+
+const { db } = require('../config/database');
+const { listStreams, rejectedStreams } = require('./disposalStreams');
+const { validateSchedule, normalizeSchedule } = require('./scheduleService');
+const { detectConditions, detectGeneralConditions } = require('./ruleConditions');
+const { toLocationKey, areaKey } = require('../utils/validators');
+
+// Columns returned by every SELECT (JSON columns get parsed in rowToRuleSet)
+const COLUMNS = 'id, jurisdiction, level, region, zip_codes, accepted, not_accepted, notes, source, last_verified, schedule, created_at, updated_at';
+
+// What a rule set can cover, most local first
+const RULE_LEVELS = ['zip', 'county', 'state'];
+
+// Region formats per level (zip-level rule sets have no region)
+const REGION_PATTERNS = {
+  county: /^\d{5}$/,
+  state: /^[A-Z]{2}$/
+};
+
+/**
+ * Convert a database row into a rule set object
+ *
+ * @param {Object} row - Raw row from curated_rules
+ * @returns {Object|null} Rule set with JSON columns parsed
+ */
+function rowToRuleSet(row) {
+  if (!row) return null;
+
+  return {
+    ...row,
+    zip_codes: JSON.parse(row.zip_codes),
+    accepted: JSON.parse(row.accepted),
+    not_accepted: JSON.parse(row.not_accepted),
+    schedule: row.schedule ? JSON.parse(row.schedule) : null
+  };
+}
+
+/**
+ * Normalize a list of materials
+ *
+ * Admins may send plain strings ("Cardboard") or objects
+ * ({ material: "Cardboard", notes: "Flatten" }). We always store objects.
+ * Not accepted materials may say where they go instead
+ * ({ material: "Batteries", streams: ["hhw"] }).
+ *
+ * @param {Array<string|Object>} list - Materials from the request body
+ * @returns {Array<{material: string, notes: string, streams?: string[]}>}
+ */
+function normalizeMaterials(list) {
+  return list.map(entry => {
+    if (typeof entry === 'string') return { material: entry.trim(), notes: '' };
+
+    const material = { material: String(entry.material).trim(), notes: entry.notes ? String(entry.notes) : '' };
+    if (Array.isArray(entry.streams) && entry.streams.length > 0) material.streams = entry.streams;
+    return material;
+  });
+}
+
+/**
+ * Normalize a rule set's postal codes to location keys
+ *
+ * ZIPs stay as they are; Canadian and UK codes are stored as keys
+ * ("K1A 0B1" → "CA-K1A0B1"). A partial code ("SW1A", "CA-K1A")
+ * covers every postal code in that area.
+ *
+ * @param {Array<string>} codes - Validated codes from the request body
+ * @returns {Array<string>} Unique location keys
+ */
+function normalizeZipCodes(codes) {
+  return [...new Set(codes.map(toLocationKey))];
+}
+
+/**
+ * Normalize a rule set's region for its level
+ *
+ * @param {string} level - "zip" | "county" | "state"
+ * @param {string|null} region - Region from the request body
+ * @returns {string|null} Upper-cased region, null for zip-level rule sets
+ */
+function normalizeRegion(level, region) {
+  return level === 'zip' || !region ? null : String(region).trim().toUpperCase();
+}
+
+/**
+ * Validate a rule set from the request body
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (for updates)
+ * @returns {Array<string>} Validation error messages (empty = valid)
+ */
+function validateRuleSet(input, { partial = false } = {}) {
+  const errors = [];
+  const has = field => input[field] !== undefined;
+
+  if (!input || typeof input !== 'object') {
+    return ['Request body must be a JSON object'];
+  }
+
+  if (!partial || has('jurisdiction')) {
+    if (typeof input.jurisdiction !== 'string' || !input.jurisdiction.trim()) {
+      errors.push('"jurisdiction" is required');
+    }
+  }
+
+  const level = input.level === undefined ? 'zip' : input.level;
+  if (!RULE_LEVELS.includes(level)) {
+    errors.push(`"level" must be one of: ${RULE_LEVELS.join(', ')}`);
+  }
+
+  // County / state rule sets don't need ZIPs of their own
+  if ((!partial && level === 'zip') || has('zip_codes')) {
+    if (!Array.isArray(input.zip_codes) || (level === 'zip' && input.zip_codes.length === 0)) {
+      errors.push(level === 'zip' ? '"zip_codes" must be a non-empty array' : '"zip_codes" must be an array');
+    } else if (!input.zip_codes.every(code => toLocationKey(code))) {
+      errors.push('"zip_codes" must only contain US ZIP codes, Canadian postal codes or UK postcodes');
+    }
+  }
+
+  if (partial && has('region') && !has('level')) {
+    errors.push('"level" is required when changing "region"');
+  } else if (REGION_PATTERNS[level] && (!partial || has('level')) &&
+      !(typeof input.region === 'string' && REGION_PATTERNS[level].test(input.region.trim().toUpperCase()))) {
+    errors.push(level === 'county'
+      ? '"region" must be a 5-digit county FIPS code for county rule sets'
+      : '"region" must be a 2-letter state code for state rule sets');
+  }
+
+  for (const field of ['accepted', 'not_accepted']) {
+    if (!has(field)) continue;
+
+    const valid = Array.isArray(input[field]) && input[field].every(entry =>
+      (typeof entry === 'string' && entry.trim()) ||
+      (entry && typeof entry.material === 'string' && entry.material.trim())
+    );
+    if (!valid) {
+      errors.push(`"${field}" must be an array of material names or { material, notes } objects`);
+      continue;
+    }
+
+    const streamIds = listStreams().map(stream => stream.id);
+    const badStreams = input[field].some(entry => entry && entry.streams !== undefined &&
+      (!Array.isArray(entry.streams) || !entry.streams.every(id => streamIds.includes(id))));
+    if (badStreams) {
+      errors.push(`"${field}" streams must be arrays of: ${streamIds.join(', ')}`);
+    }
+  }
+
+  if (has('last_verified') && input.last_verified !== null &&
+      !/^\d{4}-\d{2}-\d{2}$/.test(input.last_verified)) {
+    errors.push('"last_verified" must be a YYYY-MM-DD date');
+  }
+
+  if (has('schedule') && input.schedule !== null) {
+    errors.push(...validateSchedule(input.schedule));
+  }
+
+  return errors;
+}
+
+/**
+ * List all curated rule sets
+ *
+ * @returns {Array<Object>} Rule sets, newest first
+ */
+function listRuleSets() {
+  return db.prepare(`SELECT ${COLUMNS} FROM curated_rules ORDER BY updated_at DESC, id DESC`)
+    .all()
+    .map(rowToRuleSet);
+}
+
+/**
+ * Get one curated rule set by ID
+ *
+ * @param {number} id - Rule set ID
+ * @returns {Object|null}
+ */
+function getRuleSet(id) {
+  return rowToRuleSet(
+    db.prepare(`SELECT ${COLUMNS} FROM curated_rules WHERE id = ?`).get(id)
+  );
+}
+
+/**
+ * Create a curated rule set
+ *
+ * @param {Object} input - Validated request body
+ * @returns {Object} The created rule set
+ */
+function createRuleSet(input) {
+  const result = db.prepare(`
+    INSERT INTO curated_rules (jurisdiction, level, region, zip_codes, accepted, not_accepted, notes, source, last_verified, schedule)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    input.jurisdiction.trim(),
+    input.level || 'zip',
+    normalizeRegion(input.level || 'zip', input.region),
+    JSON.stringify(normalizeZipCodes(input.zip_codes || [])),
+    JSON.stringify(normalizeMaterials(input.accepted || [])),
+    JSON.stringify(normalizeMaterials(input.not_accepted || [])),
+    input.notes || null,
+    input.source || null,
+    input.last_verified || null,
+    input.schedule ? JSON.stringify(normalizeSchedule(input.schedule)) : null
+  );
+
+  return getRuleSet(result.lastInsertRowid);
+}
+
+/**
+ * Update a curated rule set (only the fields provided are changed)
+ *
+ * @param {number} id - Rule set ID
+ * @param {Object} input - Validated (partial) request body
+ * @returns {Object|null} The updated rule set, or null if it doesn't exist
+ */
+function updateRuleSet(id, input) {
+  const existing = getRuleSet(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...input };
+
+  db.prepare(`
+    UPDATE curated_rules
+    SET jurisdiction = ?, level = ?, region = ?, zip_codes = ?, accepted = ?, not_accepted = ?,
+        notes = ?, source = ?, last_verified = ?, schedule = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    merged.jurisdiction.trim(),
+    merged.level,
+    normalizeRegion(merged.level, merged.region),
+    JSON.stringify(normalizeZipCodes(merged.zip_codes)),
+    JSON.stringify(normalizeMaterials(merged.accepted)),
+    JSON.stringify(normalizeMaterials(merged.not_accepted)),
+    merged.notes || null,
+    merged.source || null,
+    merged.last_verified || null,
+    merged.schedule ? JSON.stringify(normalizeSchedule(merged.schedule)) : null,
+    id
+  );
+
+  return getRuleSet(id);
+}
+
+/**
+ * Delete a curated rule set
+ *
+ * @param {number} id - Rule set ID
+ * @returns {boolean} true if a row was deleted
+ */
+function deleteRuleSet(id) {
+  return db.prepare('DELETE FROM curated_rules WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Find the curated rule set covering a ZIP code
+ *
+ * If several rule sets list the same ZIP, the most recently
+ * verified one wins. Outside the US, a rule set for the whole
+ * outward code / FSA ("GB-SW1A") covers its full postcodes too,
+ * but one listing the exact postcode wins.
+ *
+ * @param {string} zip - Location key ("90210", "GB-SW1A1AA")
+ * @returns {Object|null}
+ */
+function findRuleSetForZip(zip) {
+  const find = db.prepare(`
+    SELECT ${COLUMNS.split(', ').map(col => `curated_rules.${col}`).join(', ')}
+    FROM curated_rules, json_each(curated_rules.zip_codes)
+    WHERE json_each.value = ? AND curated_rules.level = 'zip'
+    ORDER BY curated_rules.last_verified DESC, curated_rules.updated_at DESC
+    LIMIT 1
+  `);
+
+  const area = areaKey(zip);
+  return rowToRuleSet(find.get(zip) || (area ? find.get(area) : null));
+}
+
+/**
+ * Find the curated rule set covering a county or state
+ *
+ * If several rule sets cover the same region, the most recently
+ * verified one wins.
+ *
+ * @param {string} level - "county" | "state"
+ * @param {string} region - County FIPS code ("13059") or state postal code ("GA")
+ * @returns {Object|null}
+ */
+function findRuleSetForRegion(level, region) {
+  const row = db.prepare(`
+    SELECT ${COLUMNS} FROM curated_rules
+    WHERE level = ? AND region = ?
+    ORDER BY last_verified DESC, updated_at DESC
+    LIMIT 1
+  `).get(level, region);
+
+  return rowToRuleSet(row);
+}
+
+/**
+ * Convert a curated rule set into the same shape extractRules() returns
+ *
+ * So the frontend, formatters and compareMaterials don't need
+ * to know where the rules came from.
+ *
+ * @param {Object} ruleSet - Curated rule set
+ * @returns {Object} Structured recycling rules
+ */
+function ruleSetToRules(ruleSet) {
+  // Curated rules come from one hand-checked source, so there is
+  // no quoted span — the evidence just points at that source
+  const evidence = ruleSet.source
+    ? [{ url: ruleSet.source, title: `${ruleSet.jurisdiction} (curated)`, quote: null }]
+    : [];
+
+  const toEntry = (item, defaultNote, streams, conditions = []) => ({
+    material: item.material,
+    notes: item.notes || defaultNote,
+    ...(conditions.length > 0 ? { conditions } : {}),
+    confidence: 'high',
+    score: 1,
+    streams,
+    evidence
+  });
+
+  return {
+    location: ruleSet.jurisdiction,
+    // Conditions are read from the notes ("Flatten", "Only if clean")
+    accepted: ruleSet.accepted.map(item =>
+      toEntry(item, 'Verified by local program', ['curbside'], detectConditions(item.notes))),
+    not_accepted: ruleSet.not_accepted.map(item =>
+      toEntry(item, 'Check local guidelines for disposal', rejectedStreams(item.material, item.streams))),
+    conditions: detectGeneralConditions(ruleSet.notes),
+    conflicts: [],
+    schedule: ruleSet.schedule ? { source: 'curated', ...ruleSet.schedule } : null,
+    tips: ruleSet.notes ? [ruleSet.notes] : [],
+    sources: ruleSet.source
+      ? [{ title: `${ruleSet.jurisdiction} (curated)`, url: ruleSet.source }]
+      : [],
+    meta: {
+      sourcesAnalyzed: 0,
+      materialsFound: ruleSet.accepted.length + ruleSet.not_accepted.length,
+      curatedRuleId: ruleSet.id,
+      lastVerified: ruleSet.last_verified
+    }
+  };
+}
+
+module.exports = {
+  RULE_LEVELS,
+  validateRuleSet,
+  listRuleSets,
+  getRuleSet,
+  createRuleSet,
+  updateRuleSet,
+  deleteRuleSet,
+  findRuleSetForZip,
+  findRuleSetForRegion,
+  ruleSetToRules
+};
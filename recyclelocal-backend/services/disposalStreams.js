@@ -0,0 +1,253 @@
+/**
+ * ============================================
+ * Disposal Streams
+ * ============================================
+ *
+ * "Not accepted in curbside recycling" isn't an answer — a banana
+ * peel, a paint can and a broken mirror all go somewhere different.
+ * A disposal stream is WHERE a material should go:
+ *
+ *   curbside        → recycling cart
+ *   compost         → organics cart / home compost
+ *   yard_waste      → yard waste pickup
+ *   hhw             → household hazardous waste drop-off
+ *   e_waste         → electronics recycling
+ *   retail_takeback → back to a store (bags, batteries, bulbs)
+ *   drop_off        → recycling center / drop-off site
+ *   reuse           → donate
+ *   landfill        → trash
+ *
+ * HOW IT WORKS:
+ * - Locally accepted materials go to the curbside stream
+ * - Anything else resolves to one or more streams, most likely first:
+ *   1. what the sources said ("food scraps go in the green organics
+ *      cart" → compost), detected by detectStream()
+ *   2. otherwise the material's usual streams from the taxonomy
+ *      (Batteries → hhw, retail_takeback)
+ *   3. otherwise DEFAULT_STREAMS (drop-off if there is one, trash)
+ *
+ * ADD NEW STREAMS HERE, and give taxonomy nodes a `streams` list in
+ * materialTaxonomy.js.
+ *
+ * ============================================
+ */
+
+const { getNode, getAncestors, findNode } = require('./materialTaxonomy');
+
+// In display order — curbside first, trash last.
+// mapQuery is what to search a map for to find where to take it
+// (null when there's nowhere to go).
+const DISPOSAL_STREAMS = [
+  {
+    id: 'curbside',
+    name: 'Curbside Recycling',
+    icon: '♻️',
+    instructions: 'Empty and rinse, then place loose in your recycling cart',
+    mapQuery: null
+  },
+  {
+    id: 'compost',
+    name: 'Compost / Organics',
+    icon: '🌱',
+    instructions: 'Use your organics cart if your city collects food scraps, or compost at home',
+    mapQuery: 'compost drop-off'
+  },
+  {
+    id: 'yard_waste',
+    name: 'Yard Waste',
+    icon: '🍂',
+    instructions: 'Set out for yard waste pickup in paper bags or a yard waste cart, or compost at home',
+    mapQuery: 'yard waste drop-off'
+  },
+  {
+    id: 'hhw',
+    name: 'Household Hazardous Waste',
+    icon: '☣️',
+    instructions: 'Take to a household hazardous waste facility or collection event — never in the trash or recycling',
+    mapQuery: 'household hazardous waste drop-off'
+  },
+  {
+    id: 'e_waste',
+    name: 'E-Waste',
+    icon: '🔌',
+    instructions: 'Take to an electronics recycling drop-off or retailer program; wipe personal data first',
+    mapQuery: 'electronics recycling'
+  },
+  {
+    id: 'retail_takeback',
+    name: 'Retail Take-Back',
+    icon: '🛒',
+    instructions: 'Return to a participating store — look for bag, battery or bulb collection bins',
+    mapQuery: 'store take-back recycling'
+  },
+  {
+    id: 'drop_off',
+    name: 'Recycling Drop-Off',
+    icon: '🏭',
+    instructions: 'Take to a recycling center or drop-off site',
+    mapQuery: 'recycling center'
+  },
+  {
+    id: 'reuse',
+    name: 'Donate / Reuse',
+    icon: '🤝',
+    instructions: 'Donate usable items; some drop-off sites also take worn textiles',
+    mapQuery: 'donation center'
+  },
+  {
+    id: 'landfill',
+    name: 'Trash',
+    icon: '🗑️',
+    instructions: 'Put in your trash cart',
+    mapQuery: null
+  }
+];
+
+const streamsById = new Map(DISPOSAL_STREAMS.map(stream => [stream.id, stream]));
+
+// Where a rejected material goes when neither the sources nor the
+// taxonomy say anything more specific
+const DEFAULT_STREAMS = ['drop_off', 'landfill'];
+
+// ============================================
+// STREAM CUES
+// ============================================
+// Phrases that send a material to a specific stream. Checked in
+// order, so "take batteries to the hazardous waste facility, not
+// the trash" is hhw, not landfill.
+// ============================================
+
+const STREAM_CUES = [
+  { stream: 'hhw', pattern: /\b(?:household hazardous waste|hhw|hazardous waste (?:facility|center|drop-?off|collection|day|event)s?)\b/i },
+  { stream: 'e_waste', pattern: /\b(?:e-?waste (?:recycling|drop-?off|collection|event|center)s?|electronics? recycl(?:ing|er)s?)\b/i },
+  { stream: 'compost', pattern: /\b(?:compost(?:ed|ing)?|organics? (?:cart|bin|collection|program)s?|green (?:cart|bin)s?|food scraps? (?:cart|bin|collection)s?)\b/i },
+  { stream: 'yard_waste', pattern: /\b(?:yard (?:waste|debris|trimmings) (?:cart|bin|bag|pickup|collection)s?|brush (?:pickup|collection))\b/i },
+  { stream: 'retail_takeback', pattern: /\b(?:(?:return|take|bring)\b[^.;]{0,30}\b(?:store|retailer|grocer(?:y|s)?|supermarket)s?|take-?back|store drop-?off)\b/i },
+  { stream: 'reuse', pattern: /\b(?:donat(?:e|ed|ion)|thrift store|goodwill|salvation army)\b/i },
+  { stream: 'drop_off', pattern: /\b(?:recycling (?:center|centre|drop-?off|facility)|drop-?off (?:center|centre|site|location)s?|transfer station)\b/i },
+  { stream: 'landfill', pattern: /\b(?:put|place|throw|toss|bag|goes?|belongs?)\b[^.;]{0,30}\b(?:trash|garbage|landfill)\b/i }
+];
+
+// Curbside language — the clause is about the recycling cart itself
+const CURBSIDE_CUE = /\b(?:curbside|at the curb|recycling (?:cart|bin|container)|blue (?:cart|bin))\b/i;
+
+// "do not put batteries in the trash" is not a landfill instruction
+const NEGATED_LANDFILL = /\b(?:do not|don't|never|not)\b[^.;]{0,20}\b(?:put|place|throw|toss|bag)\b/i;
+
+/**
+ * Look up a stream definition
+ *
+ * @param {string} id - Stream id
+ * @returns {Object|null} { id, name, icon, instructions, mapQuery }
+ */
+function getStream(id) {
+  return streamsById.get(id) || null;
+}
+
+/**
+ * Every stream definition, in display order
+ *
+ * @returns {Array<Object>} [{ id, name, icon, instructions, mapQuery }]
+ */
+function listStreams() {
+  return DISPOSAL_STREAMS;
+}
+
+/**
+ * Which stream a piece of text sends its materials to
+ *
+ * @param {string} text - A clause from a source ("Food scraps go in the green cart")
+ * @returns {string|null} Stream id, or null when the text says nothing about
+ *          where things go (or talks about the curbside cart itself)
+ *
+ * @example
+ * detectStream('Food scraps go in the green organics cart'); // => 'compost'
+ * detectStream('Glass: take to the recycling drop-off center'); // => 'drop_off'
+ * detectStream('Do not put batteries in the trash');          // => null
+ */
+function detectStream(text) {
+  if (!text || CURBSIDE_CUE.test(text)) return null;
+
+  for (const { stream, pattern } of STREAM_CUES) {
+    if (!pattern.test(text)) continue;
+    if (stream === 'landfill' && NEGATED_LANDFILL.test(text)) continue;
+    return stream;
+  }
+  return null;
+}
+
+/**
+ * Usual streams of a rejected taxonomy node, inherited from the
+ * nearest ancestor that has any
+ *
+ * @param {string} id - Node id
+ * @returns {string[]} Stream ids, most likely first
+ */
+function nodeStreams(id) {
+  for (const nodeId of [id, ...getAncestors(id)]) {
+    const streams = getNode(nodeId).streams;
+    if (streams) return streams;
+  }
+  return DEFAULT_STREAMS;
+}
+
+/**
+ * Streams for a material that is NOT accepted curbside
+ *
+ * @param {string} material - Material name ("Batteries", "Glass jars")
+ * @param {string[]} [localStreams] - Streams the local sources named, if any
+ * @returns {string[]} Stream ids, most likely first
+ *
+ * @example
+ * rejectedStreams('Batteries');              // => ['hhw', 'retail_takeback']
+ * rejectedStreams('Glass', ['drop_off']);    // => ['drop_off', 'landfill']
+ */
+function rejectedStreams(material, localStreams = []) {
+  const node = findNode(material);
+  const usual = node ? nodeStreams(node.id) : DEFAULT_STREAMS;
+  return [...new Set([...localStreams, ...usual])];
+}
+
+/**
+ * Group a rules object's materials by stream
+ *
+ * Each material appears under its primary (first) stream.
+ * Entries without `streams` (older cached rules) are resolved
+ * from the taxonomy.
+ *
+ * @param {Object} rules - extractRules() / ruleSetToRules() output
+ * @returns {Array<Object>} [{ id, name, icon, instructions, materials: [entry, ...] }]
+ *          in display order, empty streams left out
+ */
+function groupByStream(rules) {
+  const groups = new Map();
+  const add = (streamId, item) => {
+    if (!groups.has(streamId)) groups.set(streamId, []);
+    groups.get(streamId).push(item);
+  };
+
+  for (const item of rules.accepted || []) {
+    const streams = item.streams || ['curbside'];
+    // The "could not extract" placeholder has no stream
+    if (streams.length > 0) add(streams[0], item);
+  }
+  for (const item of rules.not_accepted || []) {
+    add((item.streams || rejectedStreams(item.material))[0], item);
+  }
+
+  return DISPOSAL_STREAMS
+    .filter(stream => groups.has(stream.id))
+    .map(stream => ({ ...stream, materials: groups.get(stream.id) }));
+}
+
+module.exports = {
+  DISPOSAL_STREAMS,
+  getStream,
+  listStreams,
+  detectStream,
+  rejectedStreams,
+  groupByStream,
+
+  // Export helpers for testing
+  nodeStreams
+};
@@ -0,0 +1,401 @@
+/**
+ * ============================================
+ * Evaluation Service
+ * ============================================
+ *
+ * Measures how accurate extraction is against hand-labelled
+ * ("golden") rules, so a change to extractRules, extractTips or
+ * compareMaterials shows up as a number instead of a hunch.
+ *
+ * DATASET LAYOUT (same as the fixture provider's, plus labels):
+ *   <dir>/search/<key>.json     → recorded search results (fixtureProvider.js)
+ *   <dir>/pages/<file>.html     → recorded pages behind them
+ *   <dir>/expected/<key>.json   → what the rules SHOULD say:
+ *     {
+ *       "materials": { "Cardboard": "curbside", "Glass": "drop_off", "Plastic Bags": "retail_takeback" },
+ *       "tips": ["Rinse containers before recycling"],                       // optional
+ *       "items": [                                                          // optional
+ *         { "name": "Pizza box", "materials": ["cardboard"],
+ *           "expect": { "overallStatus": "recyclable", "stream": "curbside" } }
+ *       ]
+ *     }
+ *   Every material the location's sources cover should be labelled,
+ *   with the stream it goes to first ("curbside" = accepted). Names go
+ *   through the taxonomy, so "glass jars" and "Glass Bottles" are the same.
+ *
+ * HOW IT WORKS:
+ * 1. Each labelled location runs through the real pipeline, offline:
+ *    fixture search → recorded pages → extractRules() (tips included)
+ * 2. Every labelled or extracted material is one instance, right when
+ *    the extracted stream equals the label. Precision / recall are
+ *    reported per material, per stream and overall; tips by text;
+ *    items by compareMaterials() verdict
+ * 3. diffReports() compares a run with a saved baseline: anything
+ *    right before and wrong now is a regression
+ *
+ * USAGE: npm run eval (scripts/evaluate.js)
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fixtureProvider = require('./searchProviders/fixtureProvider');
+const { enrichResultsWithPages } = require('./pageFetchService');
+const { extractRulesWithMode, compareMaterials } = require('./recyclingService');
+const { findNode } = require('./materialTaxonomy');
+const { getStream } = require('./disposalStreams');
+
+/**
+ * Name a material the way the taxonomy does
+ *
+ * @param {string} name - Material as labelled or extracted
+ * @returns {string} Taxonomy node name, or the name itself outside the taxonomy
+ */
+function canonicalName(name) {
+  const node = findNode(name);
+  return node ? node.name : name;
+}
+
+/**
+ * Read every expected-rules file in a dataset
+ *
+ * @param {string} dir - Dataset root
+ * @returns {Array<{key: string, expected: Object}>} Sorted by key
+ * @throws {Error} If a file is malformed or labels an unknown stream
+ */
+function loadExpected(dir) {
+  const expectedDir = path.join(dir, 'expected');
+  if (!fs.existsSync(expectedDir)) return [];
+
+  return fs.readdirSync(expectedDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const key = path.basename(file, '.json');
+      let expected;
+      try {
+        expected = JSON.parse(fs.readFileSync(path.join(expectedDir, file), 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid expected rules ${file}: ${error.message}`);
+      }
+
+      for (const [material, stream] of Object.entries(expected.materials || {})) {
+        if (!getStream(stream)) {
+          throw new Error(`Unknown stream "${stream}" for ${material} in ${file}`);
+        }
+      }
+      return { key, expected };
+    });
+}
+
+/**
+ * Run the extraction pipeline for one recorded location
+ *
+ * Uses the fixture provider directly (no cache, no history), so it
+ * reads whatever SEARCH_FIXTURES_DIR points at.
+ *
+ * @param {string} key - Location key
+ * @param {Object} [options]
+ * @param {string} [options.extraction='keyword'] - "keyword" | "llm"
+ * @returns {Promise<Object>} extractRules() output
+ */
+async function runPipeline(key, options = {}) {
+  const { extraction = 'keyword' } = options;
+  const results = await fixtureProvider.search(null, { zip: key });
+  const searchResults = await enrichResultsWithPages(results, { loadPage: fixtureProvider.loadPage });
+  return extractRulesWithMode(key, searchResults, extraction);
+}
+
+/**
+ * Where the extracted rules send each material
+ *
+ * Collapsed groups count for each member ("Glass" including
+ * "Glass Bottles"). A material in both lists goes where its
+ * better-scored rule says.
+ *
+ * @param {Object} rules - extractRules() output
+ * @returns {Map<string, string>} Material name -> first stream
+ */
+function predictedStreams(rules) {
+  const best = new Map();
+
+  for (const item of [...(rules.accepted || []), ...(rules.not_accepted || [])]) {
+    if (!item.streams || item.streams.length === 0) continue;
+
+    for (const name of [item.material, ...(item.includes || [])]) {
+      const material = canonicalName(name);
+      const current = best.get(material);
+      if (!current || (item.score ?? 0) > current.score) {
+        best.set(material, { stream: item.streams[0], score: item.score ?? 0 });
+      }
+    }
+  }
+
+  return new Map([...best].map(([material, { stream }]) => [material, stream]));
+}
+
+/**
+ * Score one location's rules against its labels
+ *
+ * @param {Object} expected - Expected rules (see DATASET LAYOUT)
+ * @param {Object} rules - extractRules() output
+ * @returns {Object} {
+ *   location,
+ *   materials: { [name]: { expected, predicted, correct } },
+ *   tips: { expected, found, missing, extra } | null,
+ *   items: [{ name, expected, actual, correct }] | null
+ * }
+ */
+function scoreLocation(expected, rules) {
+  const labels = new Map(Object.entries(expected.materials || {})
+    .map(([material, stream]) => [canonicalName(material), stream]));
+  const predicted = predictedStreams(rules);
+
+  const materials = {};
+  for (const material of [...new Set([...labels.keys(), ...predicted.keys()])].sort()) {
+    const label = labels.get(material) || null;
+    const stream = predicted.get(material) || null;
+    materials[material] = { expected: label, predicted: stream, correct: label !== null && label === stream };
+  }
+
+  let tips = null;
+  if (expected.tips) {
+    const key = tip => tip.toLowerCase().trim();
+    const extracted = new Set((rules.tips || []).map(key));
+    const labelled = new Set(expected.tips.map(key));
+    tips = {
+      expected: expected.tips,
+      found: expected.tips.filter(tip => extracted.has(key(tip))),
+      missing: expected.tips.filter(tip => !extracted.has(key(tip))),
+      extra: (rules.tips || []).filter(tip => !labelled.has(key(tip)))
+    };
+  }
+
+  let items = null;
+  if (expected.items) {
+    const comparison = compareMaterials(
+      expected.items.map(({ name, materials: itemMaterials }) => ({ name, materials: itemMaterials, confidence: 'high' })),
+      rules
+    );
+    items = expected.items.map((item, i) => {
+      const result = comparison.items[i];
+      const actual = { overallStatus: result.overallStatus, stream: result.stream ? result.stream.id : null };
+      const correct = actual.overallStatus === item.expect.overallStatus &&
+        (item.expect.stream === undefined || actual.stream === item.expect.stream);
+      return { name: item.name, expected: item.expect, actual, correct };
+    });
+  }
+
+  return { location: rules.location, materials, tips, items };
+}
+
+/**
+ * Precision / recall from counts
+ *
+ * @param {number} tp - Right
+ * @param {number} fp - Extracted but wrong (or unlabelled)
+ * @param {number} fn - Labelled but missed (or wrong)
+ * @returns {{tp: number, fp: number, fn: number, precision: number|null, recall: number|null, f1: number|null}}
+ *          null where there is nothing to divide by
+ */
+function precisionRecall(tp, fp, fn) {
+  const precision = tp + fp > 0 ? round(tp / (tp + fp)) : null;
+  const recall = tp + fn > 0 ? round(tp / (tp + fn)) : null;
+  const f1 = precision === null || recall === null ? null
+    : (precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : 0);
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+/**
+ * Aggregate scored locations into metrics
+ *
+ * A wrong stream counts against both sides: a false positive for the
+ * stream extracted and a false negative for the stream labelled.
+ *
+ * @param {Object<string, Object>} locations - Location key -> scoreLocation() result
+ * @returns {Object} { overall, materials: { [name]: pr }, streams: { [id]: pr }, tips: pr|null,
+ *          items: { correct, total, accuracy }|null }
+ */
+function aggregate(locations) {
+  const materialCounts = {};
+  const streamCounts = {};
+  const bump = (counts, name, field) => {
+    counts[name] = counts[name] || { tp: 0, fp: 0, fn: 0 };
+    counts[name][field]++;
+  };
+
+  const tipCounts = { tp: 0, fp: 0, fn: 0 };
+  const itemCounts = { correct: 0, total: 0 };
+  let hasTips = false;
+
+  for (const scored of Object.values(locations)) {
+    for (const [material, { expected, predicted, correct }] of Object.entries(scored.materials)) {
+      if (correct) {
+        bump(materialCounts, material, 'tp');
+        bump(streamCounts, expected, 'tp');
+        continue;
+      }
+      if (predicted) {
+        bump(materialCounts, material, 'fp');
+        bump(streamCounts, predicted, 'fp');
+      }
+      if (expected) {
+        bump(materialCounts, material, 'fn');
+        bump(streamCounts, expected, 'fn');
+      }
+    }
+
+    if (scored.tips) {
+      hasTips = true;
+      tipCounts.tp += scored.tips.found.length;
+      tipCounts.fn += scored.tips.missing.length;
+      tipCounts.fp += scored.tips.extra.length;
+    }
+
+    for (const item of scored.items || []) {
+      itemCounts.total++;
+      if (item.correct) itemCounts.correct++;
+    }
+  }
+
+  const toMetrics = counts => Object.fromEntries(Object.keys(counts).sort()
+    .map(name => [name, precisionRecall(counts[name].tp, counts[name].fp, counts[name].fn)]));
+  const total = field => Object.values(materialCounts).reduce((sum, counts) => sum + counts[field], 0);
+
+  return {
+    overall: precisionRecall(total('tp'), total('fp'), total('fn')),
+    materials: toMetrics(materialCounts),
+    streams: toMetrics(streamCounts),
+    tips: hasTips ? precisionRecall(tipCounts.tp, tipCounts.fp, tipCounts.fn) : null,
+    items: itemCounts.total > 0
+      ? { ...itemCounts, accuracy: round(itemCounts.correct / itemCounts.total) }
+      : null
+  };
+}
+
+/**
+ * Evaluate every labelled location in a dataset
+ *
+ * @param {string} dir - Dataset root (must also be SEARCH_FIXTURES_DIR)
+ * @param {Object} [options]
+ * @param {string} [options.extraction='keyword'] - "keyword" | "llm"
+ * @returns {Promise<Object>} Report: { generatedAt, extraction, locations, metrics }
+ */
+async function evaluateDataset(dir, options = {}) {
+  const { extraction = 'keyword' } = options;
+  const locations = {};
+
+  for (const { key, expected } of loadExpected(dir)) {
+    const rules = await runPipeline(key, { extraction });
+    locations[key] = scoreLocation(expected, rules);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    extraction,
+    locations,
+    metrics: aggregate(locations)
+  };
+}
+
+/**
+ * What got worse (and better) since a baseline report
+ *
+ * @param {Object} baseline - Earlier evaluateDataset() report
+ * @param {Object} report - Current evaluateDataset() report
+ * @returns {Object} {
+ *   regressions: [{ key, kind, name, was, now }],   kind: "material" | "tip" | "item"
+ *   fixed: [{ key, kind, name, was, now }],
+ *   metrics: [{ scope, name, metric, was, now, delta }],   scope: "overall" | "material" | "stream"
+ *   newLocations: string[], missingLocations: string[]
+ * }
+ *
+ * @example
+ * // Glass used to go to drop-off, now lands in curbside:
+ * diffReports(baseline, report).regressions;
+ * // => [{ key: '30602', kind: 'material', name: 'Glass',
+ * //       was: { expected: 'drop_off', predicted: 'drop_off' },
+ * //       now: { expected: 'drop_off', predicted: 'curbside' } }]
+ */
+function diffReports(baseline, report) {
+  const regressions = [];
+  const fixed = [];
+  const note = (wasRight, nowRight, change) => {
+    if (wasRight && !nowRight) regressions.push(change);
+    if (!wasRight && nowRight) fixed.push(change);
+  };
+
+  for (const [key, now] of Object.entries(report.locations)) {
+    const was = baseline.locations[key];
+    if (!was) continue;
+
+    for (const [name, outcome] of Object.entries(now.materials)) {
+      const before = was.materials[name] || { expected: outcome.expected, predicted: null, correct: false };
+      const pick = ({ expected, predicted }) => ({ expected, predicted });
+      // An extra, unlabelled material is wrong too — but only new ones are news
+      const wasRight = before.correct || (!before.expected && !before.predicted);
+      const nowRight = outcome.correct || (!outcome.expected && !outcome.predicted);
+      note(wasRight, nowRight, { key, kind: 'material', name, was: pick(before), now: pick(outcome) });
+    }
+
+    if (now.tips && was.tips) {
+      for (const tip of now.tips.expected) {
+        note(was.tips.found.includes(tip), now.tips.found.includes(tip),
+          { key, kind: 'tip', name: tip, was: was.tips.found.includes(tip), now: now.tips.found.includes(tip) });
+      }
+    }
+
+    for (const item of now.items || []) {
+      const before = (was.items || []).find(other => other.name === item.name);
+      if (before) {
+        note(before.correct, item.correct, { key, kind: 'item', name: item.name, was: before.actual, now: item.actual });
+      }
+    }
+  }
+
+  const metrics = [];
+  const compare = (scope, name, was, now) => {
+    for (const metric of ['precision', 'recall']) {
+      const before = was ? was[metric] : null;
+      const after = now ? now[metric] : null;
+      if (before !== after) {
+        metrics.push({ scope, name, metric, was: before, now: after, delta: round((after ?? 0) - (before ?? 0)) });
+      }
+    }
+  };
+
+  compare('overall', 'overall', baseline.metrics.overall, report.metrics.overall);
+  for (const scope of ['materials', 'streams']) {
+    const names = new Set([...Object.keys(baseline.metrics[scope]), ...Object.keys(report.metrics[scope])]);
+    for (const name of [...names].sort()) {
+      compare(scope === 'materials' ? 'material' : 'stream', name, baseline.metrics[scope][name], report.metrics[scope][name]);
+    }
+  }
+
+  return {
+    regressions,
+    fixed,
+    metrics: metrics.sort((a, b) => a.delta - b.delta),
+    newLocations: Object.keys(report.locations).filter(key => !baseline.locations[key]),
+    missingLocations: Object.keys(baseline.locations).filter(key => !report.locations[key])
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  loadExpected,
+  runPipeline,
+  evaluateDataset,
+  diffReports,
+
+  // Export helpers for testing
+  canonicalName,
+  predictedStreams,
+  scoreLocation,
+  precisionRecall,
+  aggregate
+};
@@ -4,28 +4,41 @@
  * ============================================
  * 
  * Converts browser geolocation coordinates (lat/lng)
- * to a US ZIP code using the US Census Bureau's
- * free geocoder API. No API key required.
+ * to a postal code using the US Census Bureau's
+ * free geocoder API, falling back to OpenStreetMap's
+ * Nominatim outside the US. No API key required.
+ * 
+ * SUPPORTED COUNTRIES: see COUNTRIES in utils/validators.js
+ * (US, Canada, UK). Coordinates elsewhere are rejected.
  * 
  * FRONTEND INTEGRATION:
  * The frontend gets coordinates via navigator.geolocation,
  * sends them to the backend, and this service converts
- * them to a ZIP code for the recycling rules lookup.
+ * them to a postal code for the recycling rules lookup.
  * 
  * ============================================
  */
 
 const https = require('https');
+const { findCountry, normalizePostalCode, locationKey } = require('../utils/validators');
 
 /**
- * Convert latitude/longitude to a ZIP code
- * Uses the US Census Bureau reverse geocoder (free, no key needed)
+ * Convert latitude/longitude to a postal code
+ * Uses the US Census Bureau reverse geocoder (free, no key needed);
+ * anywhere the Census doesn't cover goes to Nominatim.
  * 
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @returns {Promise<{zip: string, city: string, state: string}>}
+ * @returns {Promise<{country: string, postalCode: string, key: string, zip: string|null,
+ *          city: string|null, state: string|null, county: string|null, region: string|null}>}
+ *          key is the location key used for rules lookups; zip is only set in the US
+ * 
+ * @example
+ * await reverseGeocode(45.4215, -75.6972);
+ * // => { country: 'CA', postalCode: 'K1P 1J1', key: 'CA-K1P1J1', zip: null,
+ * //      city: 'Ottawa', state: 'ON', county: null, region: 'Ontario' }
  */
-async function coordsToZip(lat, lng) {
+async function reverseGeocode(lat, lng) {
   const url = `https://geocoding.geo.census.gov/geocoder/geographies/coordinates?x=${lng}&y=${lat}&benchmark=Public_AR_Current&vintage=Current_Current&format=json`;
 
   return new Promise((resolve, reject) => {
@@ -52,12 +65,21 @@ async function coordsToZip(lat, lng) {
             const county = block.COUNTY || null;
 
             if (zip) {
-              return resolve({ zip, state, county });
+              return resolve({
+                country: 'US',
+                postalCode: zip,
+                key: zip,
+                zip,
+                city: null,
+                state,
+                county,
+                region: null
+              });
             }
           }
 
-          // Fallback: try BigQuery-style geocoding with a second API
-          return resolve(fallbackCoordsToZip(lat, lng));
+          // Outside the US (or no ZCTA here): ask OpenStreetMap
+          return resolve(fallbackReverseGeocode(lat, lng));
         } catch (error) {
           reject(new Error('Failed to parse geocoder response: ' + error.message));
         }
@@ -70,9 +92,10 @@ async function coordsToZip(lat, lng) {
 
 /**
  * Fallback: Use Nominatim (OpenStreetMap) for reverse geocoding
- * Free, no key, but has a 1 req/sec rate limit
+ * Free, no key, but has a 1 req/sec rate limit. Works worldwide;
+ * the province / nation comes from the ISO 3166-2 code ("CA-ON").
  */
-async function fallbackCoordsToZip(lat, lng) {
+async function fallbackReverseGeocode(lat, lng) {
   const url = `https://nominatim.openstreetmap.org/reverse?lat=${lat}&lon=${lng}&format=json&addressdetails=1`;
 
   return new Promise((resolve, reject) => {
@@ -92,17 +115,28 @@ async function fallbackCoordsToZip(lat, lng) {
           const result = JSON.parse(data);
           const address = result?.address;
 
-          if (address?.postcode) {
-            // Take first 5 digits (some return ZIP+4)
-            const zip = address.postcode.substring(0, 5);
+          const country = findCountry(address?.country_code);
+          if (address?.country_code && !country) {
+            return reject(new Error(`Recycling rules aren't available in ${address.country || address.country_code.toUpperCase()} yet`));
+          }
+
+          // Normalizing also trims ZIP+4 and spaces out "K1A0B1"
+          const postalCode = country ? normalizePostalCode(address.postcode, country) : null;
+          if (postalCode) {
+            const subdivision = address['ISO3166-2-lvl4'] || null;
             return resolve({
-              zip,
+              country,
+              postalCode,
+              key: locationKey(country, postalCode),
+              zip: country === 'US' ? postalCode : null,
               city: address.city || address.town || address.village || null,
-              state: address.state || null
+              state: country === 'US' ? (address.state || null) : (subdivision ? subdivision.split('-')[1] : null),
+              county: address.county || null,
+              region: address.state || null
             });
           }
 
-          reject(new Error('Could not determine ZIP code from coordinates'));
+          reject(new Error('Could not determine postal code from coordinates'));
         } catch (error) {
           reject(new Error('Failed to parse fallback geocoder response: ' + error.message));
         }
@@ -113,6 +147,15 @@ async function fallbackCoordsToZip(lat, lng) {
   });
 }
 
+/**
+ * Convert latitude/longitude to a ZIP code
+ *
+ * Kept for backward compatibility — same result as reverseGeocode(),
+ * which also handles Canadian and UK postal codes.
+ */
+const coordsToZip = reverseGeocode;
+
 module.exports = {
+  reverseGeocode,
   coordsToZip
 };
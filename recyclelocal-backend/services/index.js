@@ -26,5 +26,7 @@ module.exports = {
   MATERIAL_DATABASE: recyclingService.MATERIAL_DATABASE,
   
   // Search Service exports
-  searchGoogle: searchService.searchGoogle
+  searchRecyclingInfo: searchService.searchRecyclingInfo,
+  searchGoogle: searchService.searchGoogle,
+  SearchError: searchService.SearchError
 };
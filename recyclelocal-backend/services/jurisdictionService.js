@@ -0,0 +1,338 @@
+/**
+ * ============================================
+ * Jurisdiction Service
+ * ============================================
+ *
+ * Recycling rules don't all come from the city. A ZIP sits inside
+ * a county and a state, and each level can add rules of its own:
+ *
+ *   ZIP     → "We take #1–#5 plastics, no glass"      (city / hauler)
+ *   county  → "Bring batteries to the county HHW site"
+ *   state   → "Electronics are banned from landfills" (state law)
+ *
+ * HOW IT WORKS:
+ * 1. Resolve the chain ZIP → county → state. State and county come
+ *    from the geocoder when the request had coordinates (reverseGeocode
+ *    returns state + county FIPS codes), otherwise from the bundled
+ *    ZIP dataset (zipPlacesService), and for ZIPs missing from it the
+ *    state falls back to the ZIP's first three digits.
+ * 2. Load each level's rules:
+ *    - county → curated rule set with level "county"
+ *    - state  → curated rule set with level "state", otherwise the
+ *               bundled statewide rules (datasets/stateRules.json)
+ * 3. Merge with explicit precedence ZIP > county > state: a material
+ *    the ZIP's rules already cover is never overridden by a wider
+ *    level; wider levels only fill in materials the ZIP said nothing
+ *    about. Every entry is tagged with the level it came from.
+ * 4. Attach the state's container deposit program, if it has one
+ *    (containerDeposits.js)
+ *
+ * Outside the US (Canadian / UK postal codes) the chain is just the
+ * postal code for now: no county or state layers, no bottle bill.
+ *
+ * FRONTEND INTEGRATION:
+ * Applied by getRecyclingRules() in recyclingService, so every
+ * /api/recycling response carries `jurisdictions`, `bottleBill` and
+ * a `jurisdiction` level on each material.
+ *
+ * ============================================
+ */
+
+const { findNode } = require('./materialTaxonomy');
+const { rejectedStreams } = require('./disposalStreams');
+const { findRuleSetForRegion, ruleSetToRules } = require('./curatedRulesService');
+const { getBottleBill } = require('./containerDeposits');
+const { lookupZip } = require('./zipPlacesService');
+const { isValidZip } = require('../utils/validators');
+const STATE_RULES = require('../datasets/stateRules.json');
+
+// ============================================
+// STATES
+// ============================================
+// [postal code, FIPS code, name]. The Census geocoder returns FIPS
+// codes ("13"), Nominatim returns names ("Georgia").
+// ============================================
+
+const STATES = [
+  ['AL', '01', 'Alabama'], ['AK', '02', 'Alaska'], ['AZ', '04', 'Arizona'],
+  ['AR', '05', 'Arkansas'], ['CA', '06', 'California'], ['CO', '08', 'Colorado'],
+  ['CT', '09', 'Connecticut'], ['DE', '10', 'Delaware'], ['DC', '11', 'District of Columbia'],
+  ['FL', '12', 'Florida'], ['GA', '13', 'Georgia'], ['HI', '15', 'Hawaii'],
+  ['ID', '16', 'Idaho'], ['IL', '17', 'Illinois'], ['IN', '18', 'Indiana'],
+  ['IA', '19', 'Iowa'], ['KS', '20', 'Kansas'], ['KY', '21', 'Kentucky'],
+  ['LA', '22', 'Louisiana'], ['ME', '23', 'Maine'], ['MD', '24', 'Maryland'],
+  ['MA', '25', 'Massachusetts'], ['MI', '26', 'Michigan'], ['MN', '27', 'Minnesota'],
+  ['MS', '28', 'Mississippi'], ['MO', '29', 'Missouri'], ['MT', '30', 'Montana'],
+  ['NE', '31', 'Nebraska'], ['NV', '32', 'Nevada'], ['NH', '33', 'New Hampshire'],
+  ['NJ', '34', 'New Jersey'], ['NM', '35', 'New Mexico'], ['NY', '36', 'New York'],
+  ['NC', '37', 'North Carolina'], ['ND', '38', 'North Dakota'], ['OH', '39', 'Ohio'],
+  ['OK', '40', 'Oklahoma'], ['OR', '41', 'Oregon'], ['PA', '42', 'Pennsylvania'],
+  ['RI', '44', 'Rhode Island'], ['SC', '45', 'South Carolina'], ['SD', '46', 'South Dakota'],
+  ['TN', '47', 'Tennessee'], ['TX', '48', 'Texas'], ['UT', '49', 'Utah'],
+  ['VT', '50', 'Vermont'], ['VA', '51', 'Virginia'], ['WA', '53', 'Washington'],
+  ['WV', '54', 'West Virginia'], ['WI', '55', 'Wisconsin'], ['WY', '56', 'Wyoming'],
+  ['PR', '72', 'Puerto Rico']
+].map(([code, fips, name]) => ({ code, fips, name }));
+
+// ============================================
+// ZIP PREFIXES
+// ============================================
+// First three ZIP digits → state, as [first, last, state] ranges.
+// A handful of prefixes cross state lines (055 is Massachusetts
+// inside Vermont's range, 885 is El Paso), so the ranges are split
+// around them. Military (AA/AE/AP) and territory prefixes other
+// than Puerto Rico are left out.
+// ============================================
+
+const ZIP3_RANGES = [
+  [5, 5, 'NY'], [6, 7, 'PR'], [9, 9, 'PR'],
+  [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+  [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 200, 'DC'], [201, 201, 'VA'], [202, 205, 'DC'], [206, 219, 'MD'],
+  [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'],
+  [300, 319, 'GA'], [320, 339, 'FL'], [341, 349, 'FL'], [350, 369, 'AL'],
+  [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'],
+  [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'],
+  [530, 549, 'WI'], [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'],
+  [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'],
+  [660, 679, 'KS'], [680, 693, 'NE'], [700, 715, 'LA'], [716, 729, 'AR'],
+  [730, 731, 'OK'], [733, 733, 'TX'], [734, 749, 'OK'], [750, 799, 'TX'],
+  [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'],
+  [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'],
+  [900, 961, 'CA'], [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'],
+  [995, 999, 'AK']
+];
+
+/**
+ * Find a state from its postal code, FIPS code or name
+ *
+ * @param {string} value - "GA", "13" or "Georgia" (any case)
+ * @returns {Object|null} { code, fips, name }
+ *
+ * @example
+ * findState('13');       // => { code: 'GA', fips: '13', name: 'Georgia' }
+ * findState('vermont');  // => { code: 'VT', fips: '50', name: 'Vermont' }
+ */
+function findState(value) {
+  if (value == null) return null;
+
+  const text = String(value).trim().toLowerCase();
+  return STATES.find(state =>
+    state.code.toLowerCase() === text ||
+    state.fips === text.padStart(2, '0') ||
+    state.name.toLowerCase() === text
+  ) || null;
+}
+
+/**
+ * Which state a ZIP code is in, from its first three digits
+ *
+ * @param {string} zip - 5-digit US ZIP code
+ * @returns {Object|null} { code, fips, name }, null for unknown prefixes
+ */
+function stateForZip(zip) {
+  const prefix = Number(String(zip).slice(0, 3));
+  const range = ZIP3_RANGES.find(([first, last]) => prefix >= first && prefix <= last);
+  return range ? findState(range[2]) : null;
+}
+
+/**
+ * Resolve the jurisdictions a ZIP belongs to
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {Object} [hints] - What the geocoder knew (reverseGeocode)
+ * @param {string} [hints.state] - State FIPS code, postal code or name
+ * @param {string} [hints.county] - 3-digit county FIPS code ("059"), or
+ *        the full 5-digit state + county code ("13059")
+ * @returns {Array<{level: string, region: string, name: string|null}>}
+ *          Most local first; the county is left out when unknown
+ *
+ * @example
+ * getJurisdictionChain('30601');
+ * // => [
+ * //   { level: 'zip', region: '30601', name: 'Athens' },
+ * //   { level: 'county', region: '13059', name: 'Clarke' },
+ * //   { level: 'state', region: 'GA', name: 'Georgia' }
+ * // ]
+ */
+function getJurisdictionChain(zip, hints = {}) {
+  if (!isValidZip(zip)) return [{ level: 'zip', region: zip, name: null }];
+
+  const place = lookupZip(zip);
+  const state = findState(hints.state) || findState(place && place.state) || stateForZip(zip);
+  const chain = [{ level: 'zip', region: zip, name: place ? place.city : null }];
+
+  const hinted = hints.county ? String(hints.county).trim() : '';
+  const county = /^\d{5}$/.test(hinted) ? hinted
+    : (state && /^\d{3}$/.test(hinted) ? `${state.fips}${hinted}` : (place && place.fips.county));
+  if (county) {
+    const name = place && place.fips.county === county ? place.county : null;
+    chain.push({ level: 'county', region: county, name });
+  }
+
+  if (state) chain.push({ level: 'state', region: state.code, name: state.name });
+  return chain;
+}
+
+/**
+ * Rules for a county or state, shaped like extractRules() output
+ *
+ * Curated rule sets win; states fall back to the bundled dataset.
+ *
+ * @param {Object} jurisdiction - Entry from getJurisdictionChain()
+ * @returns {{rules: Object, source: string, name: string}|null} null when there are none
+ */
+function loadLevelRules(jurisdiction) {
+  const curated = findRuleSetForRegion(jurisdiction.level, jurisdiction.region);
+  if (curated) {
+    return { rules: ruleSetToRules(curated), source: 'curated', name: curated.jurisdiction };
+  }
+
+  const statewide = jurisdiction.level === 'state' ? STATE_RULES[jurisdiction.region] : null;
+  if (!statewide) return null;
+
+  const evidence = [{ url: statewide.source, title: `${statewide.name} state rules`, quote: null }];
+  return {
+    source: 'dataset',
+    name: statewide.name,
+    rules: {
+      accepted: [],
+      not_accepted: statewide.not_accepted.map(item => ({
+        material: item.material,
+        notes: item.notes,
+        confidence: 'high',
+        score: 1,
+        streams: rejectedStreams(item.material, item.streams),
+        evidence
+      })),
+      tips: [],
+      sources: [{ title: `${statewide.name} state rules`, url: statewide.source }]
+    }
+  };
+}
+
+/**
+ * Key a rule by the taxonomy node it covers (or its name)
+ *
+ * @param {Object} entry - Rule entry { material, includes? }
+ * @returns {string[]} Every key the entry decides
+ */
+function ruleKeys(entry) {
+  return [entry.material, ...(entry.includes || [])].map(name => {
+    const node = findNode(name);
+    return node ? node.id : name.toLowerCase();
+  });
+}
+
+/**
+ * Merge wider-level rules under a ZIP's rules
+ *
+ * Levels are applied most local first. A material any earlier level
+ * decided (accepted OR not accepted) is skipped — precedence is by
+ * level, not by verdict. Within one level both lists are kept as-is,
+ * so a level's own conflicts survive.
+ *
+ * @param {Object} zipRules - The ZIP's rules (curated, cached or searched)
+ * @param {Array<{level: string, rules: Object}>} layers - Wider levels, most local first
+ * @returns {Object} Copy of zipRules with the layers merged in and
+ *          every accepted / not_accepted entry tagged with `jurisdiction`
+ */
+function layerRules(zipRules, layers) {
+  const tag = level => entry => ({ ...entry, jurisdiction: level });
+  const merged = {
+    ...zipRules,
+    accepted: (zipRules.accepted || []).map(tag('zip')),
+    not_accepted: (zipRules.not_accepted || []).map(tag('zip')),
+    conditions: [...(zipRules.conditions || [])],
+    tips: [...(zipRules.tips || [])],
+    sources: [...(zipRules.sources || [])]
+  };
+
+  // A rejection limited by a condition ("no black plastic containers")
+  // leaves the rest of the material to the wider levels
+  const decides = (list, entry) => !(list === 'not_accepted' && entry.conditions?.length > 0);
+  const decided = new Set(
+    [...merged.accepted, ...merged.not_accepted.filter(entry => decides('not_accepted', entry))]
+      .filter(entry => !entry.streams || entry.streams.length > 0)
+      .flatMap(ruleKeys)
+  );
+
+  for (const { level, rules } of layers) {
+    const added = [];
+
+    for (const list of ['accepted', 'not_accepted']) {
+      for (const entry of rules[list] || []) {
+        const keys = ruleKeys(entry);
+        if (keys.some(key => decided.has(key))) continue;
+
+        merged[list].push(tag(level)(entry));
+        if (decides(list, entry)) added.push(...keys);
+      }
+    }
+    added.forEach(key => decided.add(key));
+
+    // General conditions ("nothing smaller than a credit card") the
+    // more local levels haven't set for the same materials
+    merged.conditions.push(...(rules.conditions || []).filter(condition =>
+      !merged.conditions.some(known => known.type === condition.type && known.appliesTo === condition.appliesTo)));
+
+    merged.tips.push(...(rules.tips || []).filter(tip => !merged.tips.includes(tip)));
+    merged.sources.push(...(rules.sources || []).filter(source =>
+      !merged.sources.some(existing => existing.url === source.url)));
+  }
+
+  // The "could not extract" placeholder is moot once a wider level
+  // says what's accepted
+  if (merged.accepted.some(entry => entry.jurisdiction !== 'zip')) {
+    merged.accepted = merged.accepted.filter(entry => !entry.streams || entry.streams.length > 0);
+  }
+
+  return merged;
+}
+
+/**
+ * Layer county and state rules onto a ZIP's rules
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {Object} zipRules - The ZIP's rules (curated, cached or searched)
+ * @param {Object} [hints] - { state, county } from the geocoder (see getJurisdictionChain)
+ * @returns {Object} Rules with the wider levels merged in, plus:
+ *          jurisdictions: [{ level, region, name, source, materials }] (levels with rules;
+ *            materials = how many entries that level contributed)
+ *          bottleBill: the state's container deposit program, or null
+ */
+function applyJurisdictions(zip, zipRules, hints = {}) {
+  const chain = getJurisdictionChain(zip, hints);
+  const layers = [];
+
+  for (const jurisdiction of chain.slice(1)) {
+    const loaded = loadLevelRules(jurisdiction);
+    if (loaded) layers.push({ ...jurisdiction, ...loaded });
+  }
+
+  const rules = layerRules(zipRules, layers);
+  const count = level => [...rules.accepted, ...rules.not_accepted]
+    .filter(entry => entry.jurisdiction === level).length;
+  const state = chain.find(jurisdiction => jurisdiction.level === 'state');
+
+  return {
+    ...rules,
+    jurisdictions: [
+      { level: 'zip', region: zip, name: zipRules.location || null, source: zipRules.meta?.resolvedBy || null },
+      ...layers.map(({ level, region, name, source }) => ({ level, region, name, source }))
+    ].map(jurisdiction => ({ ...jurisdiction, materials: count(jurisdiction.level) })),
+    bottleBill: state ? getBottleBill(state.region) : null
+  };
+}
+
+module.exports = {
+  findState,
+  stateForZip,
+  getJurisdictionChain,
+  applyJurisdictions,
+
+  // Export helpers for testing
+  layerRules,
+  loadLevelRules
+};
@@ -0,0 +1,258 @@
+/**
+ * ============================================
+ * LLM Rule Extractor
+ * ============================================
+ *
+ * An alternative to the keyword scanner (materialClassifier): the
+ * source text goes through a local model (ollamaService), which can
+ * spot materials the pages phrase in ways MATERIAL_DATABASE doesn't
+ * list ("corrugated shipping boxes", "clamshell containers"...).
+ *
+ * Models make things up, so nothing they say is taken on trust:
+ * - The output must have the schema's shape (ruleExtractionSchema)
+ * - Every material must be a taxonomy node
+ * - Every claim must quote its source, the quote must really be in
+ *   that source's text (case and spacing ignored), and the words the
+ *   model says mention the material must be inside the quote
+ * - Conditions ("rinse", "lids off") must share a word with the quote
+ * Claims failing a check are dropped and counted. When the model is
+ * unreachable, answers garbage, or none of its claims survive, the
+ * caller falls back to the keyword path (recyclingService).
+ *
+ * HOW IT WORKS:
+ * 1. Each result's text is trimmed (MAX_SOURCE_CHARS, MAX_TOTAL_CHARS)
+ *    and numbered [1], [2]... in the prompt
+ * 2. The model answers
+ *    { materials: [{ material, mention, polarity, conditions, quote, source }] }
+ * 3. Verified claims become classifier-style mentions, so extractRules
+ *    scores, collapses and routes them like keyword mentions — the
+ *    evidence quote is the span found in the page, not the model's copy
+ *
+ * MODE SELECTION:
+ * - RULES_EXTRACTION_MODE: keyword | llm (default: keyword)
+ * - Per request: { extraction: "llm" } on POST /api/recycling
+ *
+ * ============================================
+ */
+
+const { extractRecyclingRules } = require('./ollamaService');
+const { listMaterialNodes, findNode } = require('./materialTaxonomy');
+
+const EXTRACTION_MODES = ['keyword', 'llm'];
+
+// How much text the model gets — small local models have small contexts
+const MAX_SOURCE_CHARS = 3000;
+const MAX_TOTAL_CHARS = 18000;
+
+/**
+ * Check an extraction mode name
+ *
+ * @param {string} mode - Mode from a request or the environment
+ * @returns {boolean} true for "keyword" or "llm"
+ */
+function isExtractionMode(mode) {
+  return EXTRACTION_MODES.includes(mode);
+}
+
+/**
+ * Configured extraction mode
+ *
+ * Read on every call so .env changes take effect without a restart.
+ *
+ * @returns {string} RULES_EXTRACTION_MODE, default "keyword"
+ */
+function getExtractionMode() {
+  const mode = (process.env.RULES_EXTRACTION_MODE || '').trim().toLowerCase();
+  return isExtractionMode(mode) ? mode : 'keyword';
+}
+
+/**
+ * Trim source texts to what fits in the model's context
+ *
+ * @param {Array<{url: string, text: string}>} sources - One entry per search result
+ * @returns {Array<{url: string, text: string}>} Same order; later sources
+ *          are shortened (or emptied) once the total budget is spent
+ */
+function trimSources(sources) {
+  let budget = MAX_TOTAL_CHARS;
+
+  return sources.map(source => {
+    const text = (source.text || '').slice(0, Math.min(MAX_SOURCE_CHARS, budget));
+    budget -= text.length;
+    return { url: source.url, text };
+  });
+}
+
+/**
+ * Find a quote in a source text
+ *
+ * Case, runs of whitespace and curly vs straight quotes are ignored;
+ * the words themselves must match exactly.
+ *
+ * @param {string} text - Source text
+ * @param {string} quote - Quote claimed by the model
+ * @returns {{index: number, span: string}|null} Where the quote is, and the
+ *          exact text it covers in the source
+ *
+ * @example
+ * findQuote('We accept\n  Cardboard boxes.', 'we accept cardboard boxes');
+ * // => { index: 0, span: 'We accept\n  Cardboard boxes' }
+ */
+function findQuote(text, quote) {
+  const words = straightenQuotes(quote || '')
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'i');
+  const match = straightenQuotes(text || '').match(pattern);
+  return match ? { index: match.index, span: text.slice(match.index, match.index + match[0].length) } : null;
+}
+
+/**
+ * Check one claim and turn it into a mention for extractRules
+ *
+ * @param {Object} claim - One entry of the model's materials list
+ * @param {Array<{url: string, text: string}>} sources - Full source texts, in prompt order
+ * @returns {{url: string, mention: Object}|{reason: string}} The mention and its
+ *          source, or why the claim was rejected:
+ *          "malformed" | "not_in_taxonomy" | "quote_not_found" | "mention_not_in_quote"
+ */
+function verifyClaim(claim, sources) {
+  if (!claim || typeof claim.material !== 'string' || typeof claim.mention !== 'string' ||
+      typeof claim.quote !== 'string' || !['accepted', 'not_accepted'].includes(claim.polarity)) {
+    return { reason: 'malformed' };
+  }
+
+  const node = findNode(claim.material);
+  if (!node || node.terms.length === 0) return { reason: 'not_in_taxonomy' };
+
+  // The claimed source first, then the others (models miscount)
+  const claimed = Number.isInteger(claim.source) ? claim.source - 1 : -1;
+  const order = [claimed, ...sources.keys()].filter((i, pos, all) => sources[i] && all.indexOf(i) === pos);
+
+  let found = null;
+  let sourceIndex = -1;
+  for (const i of order) {
+    found = findQuote(sources[i].text, claim.quote);
+    if (found) {
+      sourceIndex = i;
+      break;
+    }
+  }
+  if (!found) return { reason: 'quote_not_found' };
+
+  const inQuote = findQuote(found.span, claim.mention);
+  if (!inQuote) return { reason: 'mention_not_in_quote' };
+
+  const quoteWords = new Set(found.span.toLowerCase().match(/[a-z]{4,}/g) || []);
+  const conditions = (Array.isArray(claim.conditions) ? claim.conditions : [])
+    .filter(condition => typeof condition === 'string' && condition.trim())
+    .map(condition => condition.trim())
+    .filter(condition => (condition.toLowerCase().match(/[a-z]{4,}/g) || []).some(word => quoteWords.has(word)));
+
+  return {
+    url: sources[sourceIndex].url,
+    mention: {
+      term: inQuote.span.toLowerCase(),
+      canonical: node.name,
+      category: node.status,
+      match: inQuote.span,
+      polarity: claim.polarity,
+      segment: found.span,
+      clause: found.span,
+      heading: null,
+      index: found.index + inQuote.index,
+      conditions
+    }
+  };
+}
+
+/**
+ * Extract material mentions from search results with the model
+ *
+ * Never throws: every failure is reported as a fallback, so the
+ * caller can run the keyword path instead.
+ *
+ * @param {Array<{url: string, text: string}>} sources - One entry per search result
+ *        (snippet + page text)
+ * @returns {Promise<Object>}
+ *   { status: 'ok', mentionsByUrl: Map<url, mentions[]>, claims } or
+ *   { status: 'fallback', reason, message, claims? } where reason is
+ *   "unavailable" | "invalid_output" | "no_verified_claims", and
+ *   claims = { received, verified, rejected: [{ material, mention, reason }] }
+ *
+ * @example
+ * const llm = await extractMentionsWithLlm([{ url, text: 'We take corrugated boxes.' }]);
+ * llm.mentionsByUrl.get(url)[0].canonical; // => 'Cardboard'
+ */
+async function extractMentionsWithLlm(sources) {
+  const materialNames = listMaterialNodes().map(node => node.name);
+  const trimmed = trimSources(sources);
+
+  let output;
+  try {
+    output = await extractRecyclingRules(trimmed.filter(source => source.text), materialNames);
+  } catch (error) {
+    return { status: 'fallback', reason: 'unavailable', message: error.message };
+  }
+
+  if (!output || !Array.isArray(output.materials)) {
+    return { status: 'fallback', reason: 'invalid_output', message: 'Model output has no materials list' };
+  }
+
+  // Prompt numbering skips empty sources, so verify against the same
+  // list — with the full text, the model only saw the start of it
+  const prompted = sources.filter((source, i) => trimmed[i].text);
+  const mentionsByUrl = new Map();
+  const claims = { received: output.materials.length, verified: 0, rejected: [] };
+
+  for (const claim of output.materials) {
+    const result = verifyClaim(claim, prompted);
+    if (result.reason) {
+      claims.rejected.push({
+        material: claim && claim.material ? String(claim.material) : null,
+        mention: claim && claim.mention ? String(claim.mention) : null,
+        reason: result.reason
+      });
+      continue;
+    }
+
+    if (!mentionsByUrl.has(result.url)) mentionsByUrl.set(result.url, []);
+    mentionsByUrl.get(result.url).push(result.mention);
+    claims.verified++;
+  }
+
+  if (claims.verified === 0) {
+    return {
+      status: 'fallback',
+      reason: 'no_verified_claims',
+      message: `None of the model's ${claims.received} claim(s) could be verified against the sources`,
+      claims
+    };
+  }
+
+  return { status: 'ok', mentionsByUrl, claims };
+}
+
+function straightenQuotes(text) {
+  return text.replace(/[‘’]/g, "'").replace(/[“”]/g, '"');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  EXTRACTION_MODES,
+  isExtractionMode,
+  getExtractionMode,
+  extractMentionsWithLlm,
+
+  // Export helpers for testing
+  trimSources,
+  findQuote,
+  verifyClaim
+};
@@ -0,0 +1,378 @@
+/**
+ * ============================================
+ * Material Classifier
+ * ============================================
+ *
+ * Finds every material mention in a block of text and decides,
+ * PER MENTION, whether the text says it's accepted or not.
+ *
+ * WHY NOT A SIMPLE KEYWORD SCAN?
+ * "We accept cardboard; no plastic bags" contains "no ", so a flat
+ * scan would mark cardboard as rejected too. Here negation only
+ * applies to the phrase it governs:
+ *
+ *   "We accept cardboard; no plastic bags"
+ *     → cardboard: accepted, plastic bags: not_accepted
+ *
+ * HOW IT WORKS:
+ * 1. Split text into segments (lines, list items, sentences)
+ * 2. Track headings: "Accepted:" / "Not accepted:" set the polarity
+ *    of the list items under them, or of the sentences after an
+ *    inline heading on the same line
+ * 3. Split each segment into clauses (";", "but", "however"...)
+ * 4. Inside a clause:
+ *    - prefix cues ("no", "do not", "except") negate what FOLLOWS them
+ *    - suffix cues ("are not accepted", "prohibited") negate what PRECEDES them
+ *    - conditions ("if not greasy") qualify the item before them;
+ *      a "not" inside one doesn't negate the items after it
+ * 5. Every occurrence of every term is reported (longest term wins
+ *    when two terms overlap, e.g. "glass bottles" over "glass")
+ *
+ * POLARITY VALUES:
+ * - "accepted"     → explicitly accepted (heading, "we accept", "yes")
+ * - "not_accepted" → explicitly rejected
+ * - "neutral"      → mentioned without any cue either way
+ *
+ * Labelled sentences live in fixtures/classifier/sentences.json —
+ * add a case there for every bug fixed here (npm run check:classifier).
+ *
+ * ============================================
+ */
+
+const { tokenize, findOccurrences } = require('./materialMatcher');
+
+// Cues that negate the materials AFTER them in the same clause
+const PREFIX_NEGATION = /\b(?:no longer accept(?:s|ed)?|no(?!\.?\s*\d)|not(?! only)|never|neither|nor|do not|don't|does not|doesn't|cannot|can't|except(?: for)?|excluding|other than|keep out)\b/gi;
+
+// Cues that negate the materials BEFORE them in the same clause
+const SUFFIX_NEGATION = /\b(?:(?:is|are)\s+not\s+(?:accepted|allowed|permitted|recyclable|collected)|(?:not|no longer)\s+(?:accepted|allowed|permitted|recyclable|collected)|prohibited|banned|cannot be recycled|can't be recycled|(?:do|does) not belong|(?:should|must|may)(?:\s+not|\s+never|n't)\s+(?:be\s+)?(?:placed|put|go|included|recycled|collected|accepted|allowed)|(?:don't|doesn't) belong|(?:goes|go|belongs?) in (?:the )?(?:trash|garbage|landfill))\b/gi;
+
+// Conditions on the item before them: "if not greasy", "(unless wet)",
+// "as long as it is not shredded". They run to the next comma, bracket
+// or semicolon, and a negation inside one negates nothing after it
+const CONDITION_SPAN = /\b(?:if|unless|as long as|so long as|provided(?: that)?|only when)\b[^,;()]*/gi;
+
+// Where the rest of a clause says something about every material
+// before it ("bottles and cans must be rinsed")
+const SHARED_PREDICATE = /^\s*(?:must|should|need|needs|has|have|are|is|can|may|will|go|goes)\b/i;
+
+// Cues that explicitly mark materials as accepted
+const POSITIVE_CUE = /\b(?:accept(?:s|ed)?|acceptable|allowed|permitted|recyclable|recycle|yes|include(?:s|d)?|can go|goes in)\b/i;
+const POSITIVE_CUE_GLOBAL = new RegExp(POSITIVE_CUE.source, 'gi');
+
+// Clause boundaries — negation never crosses these
+const CLAUSE_BOUNDARY = /;|\s+\bbut\b\s+|\s+\bhowever\b,?\s+|\s+\bwhereas\b\s+|\s+\bwhile\b\s+/i;
+
+// Headings like "Not accepted:", "What goes in your bin:", "Yes:", "No:"
+const HEADING_NEGATIVE = /\b(?:not accepted|not allowed|unacceptable|prohibited|do not|don't|never|no|keep out|trash|garbage|landfill)\b/i;
+const HEADING_POSITIVE = /\b(?:accepted|acceptable|allowed|yes|recyclables?|recycling|what goes in|we take|include|okay|ok)\b/i;
+
+// List item markers
+const LIST_ITEM = /^\s*(?:[-*•–·]|\d+[.)])\s+/;
+
+// Inline heading at the start of a line or sentence: "Not accepted: bags"
+const INLINE_HEADING = /^([^:.;]{2,40}):\s+(\S.*)$/;
+
+/**
+ * Decide what polarity a heading gives to the list below it
+ *
+ * @param {string} heading - Heading text (without the trailing colon)
+ * @returns {string|null} "accepted", "not_accepted" or null (not a polarity heading)
+ */
+function headingPolarity(heading) {
+  if (HEADING_NEGATIVE.test(heading)) return 'not_accepted';
+  if (HEADING_POSITIVE.test(heading)) return 'accepted';
+  return null;
+}
+
+/**
+ * Split text into segments with heading context applied
+ *
+ * Headings set the polarity for the list items after them
+ * until a blank line, a plain line, or the next heading.
+ *
+ * @param {string} text - Source text (original case)
+ * @returns {Array<{text: string, offset: number, headingPolarity: string|null, heading: string|null, isListItem: boolean}>}
+ */
+function segmentText(text) {
+  const segments = [];
+  let currentHeading = null;
+  let currentHeadingText = null;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      // Blank line ends the current headed list
+      currentHeading = null;
+      continue;
+    }
+
+    const isListItem = LIST_ITEM.test(trimmed);
+
+    // Plain lines end the headed list — headings only govern list items
+    if (!isListItem && !trimmed.endsWith(':')) {
+      currentHeading = null;
+    }
+
+    // Standalone heading: short line ending with a colon
+    if (!isListItem && trimmed.endsWith(':') && trimmed.length <= 80) {
+      currentHeading = headingPolarity(trimmed.slice(0, -1));
+      currentHeadingText = currentHeading ? trimmed.slice(0, -1) : null;
+      continue;
+    }
+
+    if (isListItem) {
+      const item = trimmed.replace(LIST_ITEM, '');
+      segments.push({
+        text: item,
+        offset: lineOffset + line.indexOf(item),
+        headingPolarity: currentHeading,
+        heading: currentHeading ? currentHeadingText : null,
+        isListItem
+      });
+      continue;
+    }
+
+    // Everything else is split into sentences. An inline heading
+    // ("Accepted: cardboard, paper") covers its sentence and the ones
+    // after it on the line, until the next inline heading takes over
+    // ("... Not accepted: bags.")
+    let lineHeading = currentHeading;
+    let lineHeadingText = currentHeading ? currentHeadingText : null;
+    let cursor = 0;
+
+    for (const sentence of splitSentences(trimmed)) {
+      const inline = sentence.match(INLINE_HEADING);
+      const polarity = inline ? headingPolarity(inline[1]) : null;
+      if (polarity) {
+        lineHeading = polarity;
+        lineHeadingText = inline[1];
+      }
+
+      const part = polarity ? inline[2] : sentence;
+      const partOffset = line.indexOf(part, cursor);
+      cursor = partOffset + part.length;
+
+      segments.push({
+        text: part,
+        offset: lineOffset + partOffset,
+        headingPolarity: lineHeading,
+        heading: lineHeadingText,
+        isListItem: false
+      });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Split a line into sentences
+ *
+ * @param {string} line - One line of text
+ * @returns {string[]} Sentences
+ */
+function splitSentences(line) {
+  return line.split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/);
+}
+
+/**
+ * Split a segment into clauses that negation can't cross
+ *
+ * @param {string} segment - Segment text
+ * @returns {Array<{text: string, offset: number}>} Clauses with offsets into the segment
+ */
+function splitClauses(segment) {
+  const clauses = [];
+  let rest = segment;
+  let offset = 0;
+
+  while (rest.length > 0) {
+    const match = rest.match(CLAUSE_BOUNDARY);
+    if (!match) {
+      clauses.push({ text: rest, offset });
+      break;
+    }
+
+    clauses.push({ text: rest.slice(0, match.index), offset });
+    offset += match.index + match[0].length;
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return clauses.filter(clause => clause.text.trim());
+}
+
+/**
+ * Find every term occurrence in a clause (longest match wins on overlap)
+ *
+ * Plain terms go through materialMatcher — whole words, plurals,
+ * British / Spanish spellings — but without typo tolerance: on long
+ * pages, near-misses ("cartoon" / "cartons") cost more than typos.
+ *
+ * @param {string} clauseLower - Lowercased clause text
+ * @param {Array<{term?: string, pattern?: RegExp}>} lexicon - Terms (or patterns) to look for
+ * @returns {Array<{entry: Object, start: number, end: number}>} Non-overlapping matches, in order
+ */
+function findTerms(clauseLower, lexicon) {
+  const candidates = [];
+  const tokens = tokenize(clauseLower);
+
+  for (const entry of lexicon) {
+    // Entries can give a RegExp (e.g. resin code runs) instead of a plain term
+    if (entry.pattern) {
+      const pattern = new RegExp(entry.pattern.source, 'gi');
+      let match;
+      while ((match = pattern.exec(clauseLower)) !== null) {
+        candidates.push({ entry, start: match.index, end: match.index + match[0].length });
+      }
+      continue;
+    }
+
+    for (const { start, end } of findOccurrences(tokens, entry.term.toLowerCase(), { fuzzy: false })) {
+      candidates.push({ entry, start, end });
+    }
+  }
+
+  // Longest first, then keep only matches that don't overlap an accepted one
+  candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+
+  const taken = [];
+  for (const candidate of candidates) {
+    const overlaps = taken.some(t => candidate.start < t.end && t.start < candidate.end);
+    if (!overlaps) taken.push(candidate);
+  }
+
+  return taken.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Decide the polarity of a mention inside its clause
+ *
+ * @param {string} clauseLower - Lowercased clause text
+ * @param {number} start - Mention start index in the clause
+ * @param {number} end - Mention end index in the clause
+ * @param {string|null} inheritedPolarity - Polarity from a heading, if any
+ * @returns {string} "accepted" | "not_accepted" | "neutral"
+ */
+function mentionPolarity(clauseLower, start, end, inheritedPolarity) {
+  const before = clauseLower.slice(0, start);
+  const after = clauseLower.slice(end);
+
+  // Prefix negation, unless a positive cue comes after it
+  // ("no bags or foam, and we accept cardboard" → cardboard is fine).
+  // Each "no" in a list governs its own item ("no bags, no mirrors"),
+  // so only back-to-back cues cancel out ("not never" → positive),
+  // and a negated cue isn't positive ("we do not accept glass").
+  const conditionSpans = [...clauseLower.matchAll(CONDITION_SPAN)]
+    .map(m => ({ start: m.index, end: m.index + m[0].length }));
+  const negations = [...before.matchAll(PREFIX_NEGATION)]
+    .filter(n => !conditionSpans.some(span => n.index >= span.start && n.index < span.end));
+  const last = negations[negations.length - 1];
+  const previous = negations[negations.length - 2];
+  const followsNegation = m => negations.some(n => m.index - (n.index + n[0].length) <= 1 && m.index > n.index);
+  const lastPositive = [...before.matchAll(POSITIVE_CUE_GLOBAL)]
+    .filter(m => !followsNegation(m))
+    .reduce((max, m) => Math.max(max, m.index), -1);
+  const doubleNegative = last && previous && last.index - (previous.index + previous[0].length) <= 1;
+  const negatedBefore = Boolean(last) && last.index > lastPositive && !doubleNegative;
+
+  const negatedAfter = SUFFIX_NEGATION.test(after);
+  SUFFIX_NEGATION.lastIndex = 0;
+
+  if (negatedBefore || negatedAfter) {
+    // A negated item under a "Not accepted:" heading is still not accepted
+    return 'not_accepted';
+  }
+
+  if (inheritedPolarity) return inheritedPolarity;
+
+  return POSITIVE_CUE.test(clauseLower) ? 'accepted' : 'neutral';
+}
+
+/**
+ * The part of a clause that's about one mention
+ *
+ * In "We accept cardboard, pizza boxes if not greasy, cans with caps on"
+ * the condition after each item is its own: a mention gets the clause's
+ * lead-in ("We accept"), its own stretch up to the next mention, and a
+ * closing predicate the whole clause shares ("... must be rinsed").
+ *
+ * @param {string} clauseText - Clause text
+ * @param {Array<{start: number, end: number}>} terms - findTerms() matches in the clause
+ * @param {number} i - Which match
+ * @returns {string} Phrase text
+ *
+ * @example
+ * // "We accept pizza boxes if not greasy, glass bottles and cans."
+ * // → "We accept glass bottles and " for glass bottles
+ */
+function mentionPhrase(clauseText, terms, i) {
+  const last = terms[terms.length - 1];
+  const lead = clauseText.slice(0, terms[0].start);
+  const own = clauseText.slice(terms[i].start, i + 1 < terms.length ? terms[i + 1].start : clauseText.length);
+  const tail = clauseText.slice(last.end);
+  const shared = i < terms.length - 1 && SHARED_PREDICATE.test(tail) ? tail : '';
+
+  return `${lead}${own}${shared}`.trim();
+}
+
+/**
+ * Classify every material mention in a text
+ *
+ * @param {string} text - Source text (snippet and/or page text, original case)
+ * @param {Array<{term?: string, pattern?: RegExp}>} lexicon - Terms (or patterns) to detect;
+ *        any extra fields (e.g. canonical name, category) are passed through on each mention
+ * @returns {Array<{match: string, polarity: string, segment: string, clause: string, phrase: string, heading: string|null, index: number}>}
+ *          One entry per mention, in text order, with the lexicon entry's fields spread in;
+ *          phrase is the part of the clause about this mention (mentionPhrase)
+ *
+ * @example
+ * classifyMentions('We accept cardboard; no plastic bags', [
+ *   { term: 'cardboard', canonical: 'Cardboard' },
+ *   { term: 'plastic bags', canonical: 'Plastic Bags' }
+ * ]);
+ * // => [
+ * //   { term: 'cardboard', canonical: 'Cardboard', polarity: 'accepted', segment: 'We accept cardboard; no plastic bags', index: 10 },
+ * //   { term: 'plastic bags', canonical: 'Plastic Bags', polarity: 'not_accepted', segment: '...', index: 24 }
+ * // ]
+ */
+function classifyMentions(text, lexicon) {
+  if (!text) return [];
+
+  const mentions = [];
+
+  for (const segment of segmentText(text)) {
+    for (const clause of splitClauses(segment.text)) {
+      const clauseLower = clause.text.toLowerCase();
+      const terms = findTerms(clauseLower, lexicon);
+
+      terms.forEach(({ entry, start, end }, i) => {
+        mentions.push({
+          ...entry,
+          match: clause.text.slice(start, end),
+          polarity: mentionPolarity(clauseLower, start, end, segment.headingPolarity),
+          segment: segment.text.trim(),
+          clause: clause.text.trim(),
+          phrase: mentionPhrase(clause.text, terms, i),
+          heading: segment.heading,
+          index: segment.offset + clause.offset + start
+        });
+      });
+    }
+  }
+
+  return mentions;
+}
+
+module.exports = {
+  classifyMentions,
+  segmentText,
+
+  // Export helpers for testing
+  splitClauses,
+  headingPolarity
+};
@@ -0,0 +1,387 @@
+/**
+ * ============================================
+ * Material Matcher
+ * ============================================
+ *
+ * One way to decide whether a piece of text mentions a material
+ * term, shared by the rules extractor (materialClassifier), the
+ * taxonomy lookup behind compareMaterials (materialTaxonomy,
+ * plasticsModel) and the image analysis fallback (ollamaService).
+ *
+ * Plain includes() both misses and over-matches:
+ *   "aluminium", "alu can", "botella de plástico" → no match
+ *   "pp" → matches inside "shopping"
+ *
+ * HOW IT WORKS:
+ * 1. Text is split into words — matching is word by word, so a
+ *    term never matches inside a longer word
+ * 2. Each word is brought to US English: accents dropped, British
+ *    spellings (SPELLINGS), abbreviations (ABBREVIATIONS) and
+ *    Spanish words (SPANISH) mapped — "botella de plástico" also
+ *    gets its English word order ("plastic bottle")
+ * 3. Words are stemmed (plurals → singular: "batteries" → "battery")
+ * 4. A term matches when its words appear in a row in the text;
+ *    with `fuzzy`, long words may be one or two edits off
+ *    ("cardbord", "polypropelene")
+ *
+ * Every match keeps the offsets of the ORIGINAL text, so callers can
+ * quote what was matched.
+ *
+ * ADD NEW SPELLINGS / SYNONYMS to the tables below.
+ *
+ * ============================================
+ */
+
+// British → US spellings (and UK names for the same thing)
+const SPELLINGS = {
+  aluminium: 'aluminum',
+  catalogue: 'catalog',
+  colour: 'color',
+  fibre: 'fiber',
+  fibreboard: 'fiberboard',
+  tyre: 'tire',
+  mould: 'mold',
+  moulded: 'molded',
+  polythene: 'polyethylene',
+  jewellery: 'jewelry',
+  litre: 'liter',
+  nappy: 'diaper',
+  rubbish: 'trash',
+  tetrapak: 'carton'
+};
+
+// Abbreviations and short forms → what they stand for
+const ABBREVIATIONS = {
+  alu: 'aluminum',
+  alum: 'aluminum',
+  styro: 'styrofoam',
+  eps: 'polystyrene foam',
+  ewaste: 'e-waste',
+  hhw: 'household hazardous waste',
+  cfl: 'fluorescent bulb',
+  bev: 'beverage',
+  mag: 'magazine',
+  elec: 'electronics'
+};
+
+// Spanish → English (accents already dropped)
+const SPANISH = {
+  plastico: 'plastic',
+  vidrio: 'glass',
+  cristal: 'glass',
+  aluminio: 'aluminum',
+  lata: 'can',
+  botella: 'bottle',
+  papel: 'paper',
+  periodico: 'newspaper',
+  revista: 'magazine',
+  bolsa: 'bag',
+  caja: 'box',
+  frasco: 'jar',
+  tarro: 'jar',
+  envase: 'container',
+  recipiente: 'container',
+  tapa: 'lid',
+  tapon: 'cap',
+  pila: 'battery',
+  bateria: 'battery',
+  unicel: 'styrofoam',
+  poliestireno: 'polystyrene',
+  espuma: 'foam',
+  ropa: 'clothing',
+  tela: 'fabric',
+  leche: 'milk',
+  jugo: 'juice',
+  zumo: 'juice',
+  acero: 'steel',
+  hojalata: 'tin',
+  electronico: 'electronics',
+  bombilla: 'bulb',
+  foco: 'bulb',
+  vaso: 'cup',
+  plato: 'dish',
+  ceramica: 'ceramics',
+  panal: 'diaper',
+  comida: 'food',
+  residuo: 'waste',
+  desecho: 'waste',
+  jardin: 'yard',
+  hoja: 'leaf',
+  rama: 'branch'
+};
+
+// "botella de plástico" → "plastic bottle"
+const SPANISH_OF = new Set(['de', 'del']);
+
+// Plurals the suffix rules get wrong
+const STEM_EXCEPTIONS = {
+  leaves: 'leaf',
+  knives: 'knife',
+  shelves: 'shelf',
+  news: 'news',
+  tvs: 'tv',
+  cds: 'cd',
+  pcs: 'pc'
+};
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Stemmed words of each term, computed once
+const termKeysCache = new Map();
+
+/**
+ * Lowercase a word and drop its accents ("Plástico" → "plastico")
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function foldWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Reduce a word to its singular ("bottles" → "bottle", "batteries" → "battery")
+ *
+ * @param {string} word - Folded word
+ * @returns {string}
+ */
+function stem(word) {
+  if (STEM_EXCEPTIONS[word]) return STEM_EXCEPTIONS[word];
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:sses|xes|ches|shes|zzes)$/.test(word)) return word.slice(0, -2);
+  if (/(?:ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * US English for one folded word
+ *
+ * Plurals are looked up too ("botellas", "tapones"), so the tables
+ * only need the singular.
+ *
+ * @param {string} word - Folded word
+ * @returns {string} Replacement (may be several words), or the word itself
+ */
+function translateWord(word) {
+  for (const form of [word, stem(word), word.replace(/es$/, '')]) {
+    const replacement = SPELLINGS[form] || ABBREVIATIONS[form] || SPANISH[form];
+    if (replacement) return replacement;
+  }
+  return word;
+}
+
+/**
+ * Normalize text for matching and display
+ *
+ * Lowercases, drops accents, maps British spellings, abbreviations
+ * and Spanish words, and puts "X de Y" in English order. Punctuation
+ * and spacing are kept ("#5" stays "#5"); words are NOT stemmed.
+ *
+ * @param {string} text - Material or item description
+ * @returns {string}
+ *
+ * @example
+ * normalizeText('Botella de Plástico'); // => 'plastic bottle'
+ * normalizeText('alu can');             // => 'aluminum can'
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(WORD, word => translateWord(foldWord(word)))
+    .replace(/([\p{L}\p{N}]+)\s+del?\s+([\p{L}\p{N}]+)/gu, '$2 $1');
+}
+
+/**
+ * Split text into matchable words
+ *
+ * @param {string} text - Any text (original case)
+ * @returns {Array<{key: string, start: number, end: number}>} Stemmed US English
+ *          words with the offsets of the original word they came from (a
+ *          word that expands, like "hhw", gives several keys with the same offsets)
+ *
+ * @example
+ * tokenize('Botellas de plástico').map(t => t.key); // => ['plastic', 'bottle']
+ */
+function tokenize(text) {
+  const words = [];
+  for (const match of (text || '').matchAll(WORD)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    for (const word of translateWord(foldWord(match[0])).split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+      words.push({ key: stem(word), start, end });
+    }
+  }
+
+  // "X de Y" → "Y X"
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    if (SPANISH_OF.has(words[i].key) && tokens.length > 0 && i + 1 < words.length) {
+      tokens.splice(tokens.length - 1, 0, words[i + 1]);
+      i++;
+      continue;
+    }
+    tokens.push(words[i]);
+  }
+  return tokens;
+}
+
+/**
+ * Stemmed words of a term (cached)
+ *
+ * @param {string} term - Lexicon term ("plastic bags")
+ * @returns {string[]}
+ */
+function termKeys(term) {
+  if (!termKeysCache.has(term)) {
+    termKeysCache.set(term, tokenize(term).map(token => token.key));
+  }
+  return termKeysCache.get(term);
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions, swaps)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Whether two stemmed words match
+ *
+ * With fuzzy, words of 6+ letters may be one edit apart, 10+ letters
+ * two — shorter words must match exactly ("glass" is not "grass").
+ * The first letter always has to match.
+ *
+ * @param {string} word - Word from the text
+ * @param {string} key - Word of the term
+ * @param {boolean} fuzzy
+ * @returns {{matched: boolean, fuzzy: boolean}}
+ */
+function compareWords(word, key, fuzzy) {
+  if (word === key) return { matched: true, fuzzy: false };
+  if (!fuzzy || word[0] !== key[0] || /\d/.test(word + key)) return { matched: false, fuzzy: false };
+
+  const shortest = Math.min(word.length, key.length);
+  const allowed = shortest >= 10 ? 2 : (shortest >= 6 ? 1 : 0);
+  if (allowed === 0 || Math.abs(word.length - key.length) > allowed) return { matched: false, fuzzy: false };
+
+  return editDistance(word, key) <= allowed ? { matched: true, fuzzy: true } : { matched: false, fuzzy: false };
+}
+
+/**
+ * Every place a term appears in tokenized text
+ *
+ * @param {Array} tokens - tokenize() output
+ * @param {string} term - Term to look for
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=true] - Tolerate small typos in long words
+ * @returns {Array<{start: number, end: number, fuzzy: boolean}>} Offsets in the original text
+ */
+function findOccurrences(tokens, term, options = {}) {
+  const fuzzy = options.fuzzy !== false;
+  const keys = termKeys(term);
+  const found = [];
+  if (keys.length === 0) return found;
+
+  for (let i = 0; i + keys.length <= tokens.length; i++) {
+    let approximate = false;
+    let matched = true;
+    for (let k = 0; k < keys.length && matched; k++) {
+      const result = compareWords(tokens[i + k].key, keys[k], fuzzy);
+      matched = result.matched;
+      approximate = approximate || result.fuzzy;
+    }
+    if (!matched) continue;
+
+    const span = tokens.slice(i, i + keys.length);
+    found.push({
+      start: Math.min(...span.map(token => token.start)),
+      end: Math.max(...span.map(token => token.end)),
+      fuzzy: approximate
+    });
+  }
+  return found;
+}
+
+/**
+ * First place a term appears in a text
+ *
+ * @param {string} text - Text to search
+ * @param {string} term - Term to look for
+ * @param {Object} [options] - { fuzzy } (see findOccurrences)
+ * @returns {{start: number, end: number, fuzzy: boolean}|null}
+ *
+ * @example
+ * matchTerm('Aluminium cans', 'aluminum cans');  // => { start: 0, end: 14, fuzzy: false }
+ * matchTerm('shopping bag', 'pp');               // => null
+ */
+function matchTerm(text, term, options = {}) {
+  return findOccurrences(tokenize(text), term, options)[0] || null;
+}
+
+/**
+ * Whether a text mentions a term
+ *
+ * @param {string} text - Text to search
+ * @param {string} term - Term to look for
+ * @param {Object} [options] - { fuzzy } (see findOccurrences)
+ * @returns {boolean}
+ */
+function containsTerm(text, term, options = {}) {
+  return matchTerm(text, term, options) !== null;
+}
+
+/**
+ * Whether a short text is part of a term ("plastic" of "plastic bags")
+ *
+ * Whole words only, and at least one of 3+ letters, so "clot" is
+ * not part of "clothing" and "a" is not part of anything.
+ *
+ * @param {string} text - Short text (a material name)
+ * @param {string} term - Longer term
+ * @returns {boolean}
+ */
+function isPartOfTerm(text, term) {
+  const words = tokenize(text).map(token => token.key);
+  const keys = termKeys(term);
+  if (words.length === 0 || words.length >= keys.length || !words.some(word => word.length >= 3)) return false;
+
+  for (let i = 0; i + words.length <= keys.length; i++) {
+    if (words.every((word, k) => keys[i + k] === word)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  findOccurrences,
+  matchTerm,
+  containsTerm,
+  isPartOfTerm,
+
+  // Export helpers for testing
+  stem,
+  translateWord,
+  editDistance
+};
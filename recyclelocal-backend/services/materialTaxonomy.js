@@ -0,0 +1,371 @@
+/**
+ * ============================================
+ * Material Taxonomy
+ * ============================================
+ *
+ * An explicit tree of materials, from broad groups down to
+ * specific items:
+ *
+ *   Glass
+ *   ├── Glass Bottles
+ *   ├── Mirrors
+ *   └── Window Glass
+ *
+ * Each node has:
+ * - id:       stable key ("glass-bottles")
+ * - name:     display / canonical name ("Glass Bottles")
+ * - terms:    words that mention it in text (empty for pure groups)
+ * - status:   usual curbside status — "accepted" | "notAccepted" | null
+ * - streams:  where it usually goes when not recycled curbside, most
+ *             likely first (see disposalStreams.js; inherited by children)
+ * - children: more specific materials
+ *
+ * WHY A TREE?
+ * Real rules are hierarchical: "Glass" accepted but "Mirrors"
+ * not; "Plastic Bottles" accepted but "Plastic Bags" not.
+ * The tree lets us:
+ * - collapse a child into its parent when both are in the same
+ *   list ("Glass" already covers "Glass Bottles")
+ * - keep siblings apart even when they share words
+ *   ("Plastic Bottles" vs "Plastic Bags")
+ * - resolve an item by walking up from the most specific node
+ *   until a local rule applies
+ *
+ * ADD NEW MATERIALS HERE if you want to expand coverage.
+ *
+ * ============================================
+ */
+
+const { tokenize, findOccurrences, isPartOfTerm } = require('./materialMatcher');
+
+const MATERIAL_TAXONOMY = [
+  {
+    id: 'paper-products', name: 'Paper & Cardboard', terms: [], status: null,
+    children: [
+      {
+        id: 'cardboard', name: 'Cardboard', terms: ['cardboard', 'corrugated', 'boxes'], status: 'accepted',
+        children: [
+          // Usually only accepted if not greasy — kept apart so that condition stays on them
+          { id: 'pizza-boxes', name: 'Pizza Boxes', terms: ['pizza boxes', 'pizza box'], status: 'accepted' }
+        ]
+      },
+      { id: 'paper', name: 'Paper', terms: ['paper', 'office paper', 'junk mail', 'mail'], status: 'accepted' },
+      { id: 'newspaper', name: 'Newspaper', terms: ['newspaper', 'newspapers', 'newsprint'], status: 'accepted' },
+      { id: 'magazines', name: 'Magazines', terms: ['magazines', 'catalogs', 'catalogues'], status: 'accepted' },
+      { id: 'cartons', name: 'Cartons', terms: ['cartons', 'milk cartons', 'juice cartons', 'beverage cartons'], status: 'accepted' }
+    ]
+  },
+  {
+    id: 'metal', name: 'Metal', terms: [], status: null,
+    children: [
+      { id: 'aluminum-cans', name: 'Aluminum Cans', terms: ['aluminum cans', 'aluminum', 'soda cans', 'beer cans'], status: 'accepted' },
+      { id: 'metal-cans', name: 'Metal Cans', terms: ['metal cans', 'tin cans', 'steel cans', 'food cans'], status: 'accepted' },
+      { id: 'scrap-metal', name: 'Scrap Metal', terms: ['scrap metal', 'large metal', 'metal furniture'], status: 'notAccepted', streams: ['drop_off'] }
+    ]
+  },
+  {
+    id: 'glass', name: 'Glass', terms: ['glass'], status: 'accepted',
+    children: [
+      { id: 'glass-bottles', name: 'Glass Bottles', terms: ['glass bottles', 'glass jars', 'glass containers'], status: 'accepted' },
+      { id: 'mirrors', name: 'Mirrors', terms: ['mirrors'], status: 'notAccepted', streams: ['landfill'] },
+      { id: 'window-glass', name: 'Window Glass', terms: ['window glass', 'broken glass'], status: 'notAccepted', streams: ['landfill'] }
+    ]
+  },
+  {
+    id: 'plastics', name: 'Plastics', terms: [], status: null,
+    children: [
+      {
+        // Resin codes ("#1", "plastics 1-7") are handled by plasticsModel.js
+        id: 'rigid-plastics', name: 'Rigid Plastics', terms: ['rigid plastics', 'hard plastics', 'pete', 'hdpe'], status: 'accepted',
+        children: [
+          { id: 'plastic-bottles', name: 'Plastic Bottles', terms: ['plastic bottles', 'water bottles', 'soda bottles'], status: 'accepted' },
+          { id: 'plastic-containers', name: 'Plastic Containers', terms: ['plastic containers', 'plastic tubs', 'plastic jugs'], status: 'accepted' }
+        ]
+      },
+      { id: 'plastic-bags', name: 'Plastic Bags', terms: ['plastic bags', 'grocery bags', 'shopping bags', 'film plastic'], status: 'notAccepted', streams: ['retail_takeback'] },
+      { id: 'styrofoam', name: 'Styrofoam', terms: ['styrofoam', 'polystyrene', 'foam', 'packing peanuts'], status: 'notAccepted', streams: ['landfill', 'drop_off'] }
+    ]
+  },
+  {
+    id: 'organics', name: 'Organics', terms: [], status: null, streams: ['compost'],
+    children: [
+      { id: 'food-waste', name: 'Food Waste', terms: ['food waste', 'food scraps', 'food-soiled', 'food contaminated'], status: 'notAccepted', streams: ['compost', 'landfill'] },
+      { id: 'yard-waste', name: 'Yard Waste', terms: ['yard waste', 'grass clippings', 'leaves', 'branches'], status: 'notAccepted', streams: ['yard_waste', 'compost'] }
+    ]
+  },
+  { id: 'electronics', name: 'Electronics', terms: ['electronics', 'e-waste', 'computers', 'phones', 'tvs'], status: 'notAccepted', streams: ['e_waste'] },
+  { id: 'batteries', name: 'Batteries', terms: ['batteries', 'battery'], status: 'notAccepted', streams: ['hhw', 'retail_takeback'] },
+  { id: 'hazardous-waste', name: 'Hazardous Waste', terms: ['hazardous', 'toxic', 'chemicals', 'pesticides'], status: 'notAccepted', streams: ['hhw'] },
+  { id: 'light-bulbs', name: 'Light Bulbs', terms: ['light bulbs', 'bulbs', 'fluorescent'], status: 'notAccepted', streams: ['hhw', 'retail_takeback'] },
+  { id: 'textiles', name: 'Textiles', terms: ['textiles', 'clothing', 'clothes', 'fabric'], status: 'notAccepted', streams: ['reuse', 'drop_off'] },
+  { id: 'diapers', name: 'Diapers', terms: ['diapers', 'sanitary products'], status: 'notAccepted', streams: ['landfill'] },
+  { id: 'ceramics', name: 'Ceramics', terms: ['ceramics', 'pottery', 'dishes', 'china'], status: 'notAccepted', streams: ['reuse', 'landfill'] },
+  { id: 'tanglers', name: 'Tanglers', terms: ['hoses', 'cords', 'wires', 'chains', 'tanglers'], status: 'notAccepted', streams: ['landfill'] }
+];
+
+// ============================================
+// INDEXES
+// ============================================
+// Built once at load time: id -> node, name -> node, id -> parent id
+
+const nodesById = new Map();
+const nodesByName = new Map();
+const parentOf = new Map();
+
+(function index(nodes, parentId) {
+  for (const node of nodes) {
+    nodesById.set(node.id, node);
+    nodesByName.set(node.name.toLowerCase(), node);
+    parentOf.set(node.id, parentId);
+    index(node.children || [], node.id);
+  }
+})(MATERIAL_TAXONOMY, null);
+
+/**
+ * Look up a node by id
+ *
+ * @param {string} id - Node id
+ * @returns {Object|null} Taxonomy node
+ */
+function getNode(id) {
+  return nodesById.get(id) || null;
+}
+
+/**
+ * Ids of a node's ancestors, nearest first
+ *
+ * @param {string} id - Node id
+ * @returns {string[]} e.g. getAncestors('plastic-bottles') → ['rigid-plastics', 'plastics']
+ */
+function getAncestors(id) {
+  const ancestors = [];
+  for (let parent = parentOf.get(id); parent; parent = parentOf.get(parent)) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+/**
+ * Whether one node is an ancestor of another
+ *
+ * @param {string} ancestorId - Possible ancestor
+ * @param {string} id - Possible descendant
+ * @returns {boolean}
+ */
+function isAncestor(ancestorId, id) {
+  return getAncestors(id).includes(ancestorId);
+}
+
+/**
+ * Every node that has text terms, flattened
+ *
+ * @returns {Array<Object>} Nodes in tree order (parents before children)
+ */
+function listMaterialNodes() {
+  return [...nodesById.values()].filter(node => node.terms.length > 0);
+}
+
+/**
+ * Map free text to the most specific taxonomy node
+ *
+ * 1. A node's name or term appearing in the text ("clear glass jar" → Glass Bottles).
+ *    The longest match wins, so "glass bottles" beats "glass". Matching is
+ *    word by word, stemmed, typo-tolerant and knows British / Spanish words
+ *    ("botella de vidrio" → Glass Bottles) — see materialMatcher.js.
+ * 2. Otherwise the text being part of node names/terms ("plastic" → "plastic bottles",
+ *    "plastic bags"...). When several nodes match, we return their closest common
+ *    ancestor ("plastic" → Plastics) rather than guessing one of them.
+ *
+ * @param {string} text - Material or item name
+ * @returns {Object|null} Taxonomy node
+ *
+ * @example
+ * findNode('Glass Jar').id;  // => 'glass-bottles'
+ * findNode('plastic').id;    // => 'plastics'
+ */
+function findNode(text) {
+  return matchNodes(text).node;
+}
+
+/**
+ * findNode(), showing its work
+ *
+ * Lists every node the text matched and how, for explaining a verdict
+ * (compareMaterials with explain). `specificity` is what findNode
+ * compares: the length of the matched term (0 for partial matches,
+ * which only count when nothing matched outright).
+ *
+ * @param {string} text - Material or item name
+ * @returns {{node: Object|null, matches: Array<Object>}}
+ *          matches: [{ id, name, term, match, specificity }]
+ *          match: "name" (whole text is the node's name) | "term" | "fuzzy"
+ *          (a term, give or take a typo) | "partial"
+ *
+ * @example
+ * matchNodes('plastic clamshell').matches;
+ * // => [{ id: 'plastics', name: 'Plastics', term: 'plastics', match: 'term', specificity: 8 }, ...]
+ */
+function matchNodes(text) {
+  const lower = (text || '').toLowerCase().trim();
+  if (!lower) return { node: null, matches: [] };
+
+  if (nodesByName.has(lower)) {
+    const node = nodesByName.get(lower);
+    return { node, matches: [{ id: node.id, name: node.name, term: lower, match: 'name', specificity: lower.length }] };
+  }
+
+  let best = null;
+  let bestLength = 0;
+  const partial = [];
+  const matches = [];
+  const tokens = tokenize(lower);
+
+  for (const node of nodesById.values()) {
+    for (const term of [node.name.toLowerCase(), ...node.terms]) {
+      const found = findOccurrences(tokens, term)[0];
+      if (found) {
+        matches.push({ id: node.id, name: node.name, term, match: found.fuzzy ? 'fuzzy' : 'term', specificity: term.length });
+        if (term.length > bestLength) {
+          best = node;
+          bestLength = term.length;
+        }
+      } else if (isPartOfTerm(lower, term) && !partial.includes(node)) {
+        partial.push(node);
+        matches.push({ id: node.id, name: node.name, term, match: 'partial', specificity: 0 });
+      }
+    }
+  }
+
+  if (best) return { node: best, matches };
+  if (partial.length === 0) return { node: null, matches };
+  return { node: commonAncestor(partial.map(node => node.id)), matches };
+}
+
+/**
+ * Closest node that is (or contains) all the given nodes
+ *
+ * @param {string[]} ids - Node ids
+ * @returns {Object|null} Common ancestor, or null if they only share the root
+ */
+function commonAncestor(ids) {
+  const chains = ids.map(id => [id, ...getAncestors(id)]);
+  const shared = chains[0].find(id => chains.every(chain => chain.includes(id)));
+  return shared ? nodesById.get(shared) : null;
+}
+
+/**
+ * Collapse a material list by taxonomy structure
+ *
+ * When a material and one of its descendants are in the SAME list,
+ * the descendant folds into the ancestor ("Glass" already covers
+ * "Glass Bottles") and is listed in the ancestor's `includes`.
+ * Siblings and unrelated materials are always kept, even when they
+ * share words ("Plastic Bottles" and "Plastic Bags"), and so are
+ * descendants with conditions of their own — "Pizza Boxes" (if not
+ * greasy) don't fold into plain "Cardboard".
+ *
+ * Scored items (see scoreMaterialLists) keep their scores: a child
+ * only folds into an ancestor scored at least as high, so a
+ * well-sourced "Mirrors" stays separate from a weak "Glass". The
+ * child's evidence is listed under the parent for display only.
+ *
+ * Items whose material isn't in the taxonomy (e.g. free-text curated
+ * rules) are left untouched.
+ *
+ * @param {Array} materials - [{ material, notes?, sourceCount?, ... }]
+ * @returns {Array} Collapsed list, in the original order
+ *
+ * @example
+ * collapseMaterials([{ material: 'Glass' }, { material: 'Glass Bottles' }, { material: 'Mirrors' }]);
+ * // => [{ material: 'Glass', includes: ['Glass Bottles', 'Mirrors'] }]
+ */
+function collapseMaterials(materials) {
+  const nodeIds = materials.map(item => {
+    const node = nodesByName.get(item.material.toLowerCase());
+    return node ? node.id : null;
+  });
+  const present = new Set(nodeIds.filter(Boolean));
+  const scoreByNode = new Map(nodeIds.map((id, i) => [id, materials[i].score]));
+
+  // Where each item folds into: its highest ancestor also in the list
+  // that is scored no lower than the item itself
+  const target = nodeIds.map((id, i) => {
+    if (!id || (materials[i].conditions && materials[i].conditions.length > 0)) return null;
+    const ancestors = getAncestors(id)
+      .filter(a => present.has(a) && !(scoreByNode.get(a) < materials[i].score));
+    return ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
+  });
+
+  const result = [];
+  const byNodeId = new Map();
+
+  materials.forEach((item, i) => {
+    if (target[i]) return;
+    const copy = { ...item };
+    result.push(copy);
+    if (nodeIds[i]) byNodeId.set(nodeIds[i], copy);
+  });
+
+  materials.forEach((item, i) => {
+    if (!target[i]) return;
+    const parent = byNodeId.get(target[i]);
+
+    parent.includes = [...(parent.includes || []), item.material];
+    // The parent keeps its own notes; borrow the child's if it has none
+    if (!parent.notes && item.notes) parent.notes = item.notes;
+    parent.sourceCount = Math.max(parent.sourceCount || 0, item.sourceCount || 0);
+    // Show the child's evidence too — the parent was already scored
+    // on its own, so this doesn't add to its support
+    if (item.evidence) {
+      const known = new Set((parent.evidence || []).map(e => `${e.url}\n${e.quote}`));
+      parent.evidence = [...(parent.evidence || []), ...item.evidence.filter(e => !known.has(`${e.url}\n${e.quote}`))];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Usual curbside status of a node, inherited from the nearest
+ * ancestor when the node itself is just a group
+ *
+ * @param {string} id - Node id
+ * @returns {string|null} "accepted" | "notAccepted" | null
+ */
+function defaultStatus(id) {
+  for (const nodeId of [id, ...getAncestors(id)]) {
+    const status = nodesById.get(nodeId).status;
+    if (status) return status;
+  }
+  return null;
+}
+
+/**
+ * The tree in API shape (for GET /api/recycling/materials)
+ *
+ * @returns {Array<Object>} [{ id, name, status, streams, terms, children: [...] }]
+ */
+function getTaxonomyTree() {
+  const toApi = node => ({
+    id: node.id,
+    name: node.name,
+    status: node.status,
+    streams: node.streams || null,
+    terms: node.terms,
+    children: (node.children || []).map(toApi)
+  });
+  return MATERIAL_TAXONOMY.map(toApi);
+}
+
+module.exports = {
+  MATERIAL_TAXONOMY,
+  getNode,
+  getAncestors,
+  isAncestor,
+  listMaterialNodes,
+  findNode,
+  matchNodes,
+  collapseMaterials,
+  defaultStatus,
+  getTaxonomyTree
+};
@@ -13,6 +13,7 @@
 
 const https = require('https');
 const http = require('http');
+const { tokenize, findOccurrences } = require('./materialMatcher');
 
 // Gist URL containing the Ollama endpoint configuration
 const GIST_URL = 'https://gist.githubusercontent.com/AnthonyP05/163634f39557cf0a8fbee049126c8cf3/raw/ollama.json';
@@ -53,8 +54,13 @@ async function getOllamaUrl() {
 
 /**
  * Make a request to the Ollama API
+ *
+ * @param {string} endpoint - API path ("/api/chat")
+ * @param {Object} payload - Request body
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Give up after this long (default: no limit)
  */
-async function makeOllamaRequest(endpoint, payload) {
+async function makeOllamaRequest(endpoint, payload, options = {}) {
   const baseUrl = await getOllamaUrl();
   const url = new URL(endpoint, baseUrl);
   
@@ -115,6 +121,12 @@ async function makeOllamaRequest(endpoint, payload) {
       reject(error);
     });
 
+    if (options.timeoutMs) {
+      req.setTimeout(options.timeoutMs, () => {
+        req.destroy(new Error(`Ollama request timed out after ${options.timeoutMs}ms`));
+      });
+    }
+
     req.write(JSON.stringify(payload));
     req.end();
   });
@@ -147,6 +159,195 @@ async function chatWithRecyclingAssistant(userMessage) {
   return response.message.content;
 }
 
+/**
+ * JSON schema the rule extraction model must answer in
+ *
+ * Passed as Ollama's `format`, so the model can only produce this
+ * shape. Every claim carries the exact sentence it came from, so the
+ * caller can check it against the page (see llmRuleExtractor.js).
+ *
+ * @param {string[]} materialNames - Taxonomy names the model may use
+ * @returns {Object} JSON schema
+ */
+function ruleExtractionSchema(materialNames) {
+  return {
+    type: 'object',
+    properties: {
+      materials: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            material: { type: 'string', enum: materialNames },
+            mention: { type: 'string' },
+            polarity: { type: 'string', enum: ['accepted', 'not_accepted'] },
+            conditions: { type: 'array', items: { type: 'string' } },
+            quote: { type: 'string' },
+            source: { type: 'integer' }
+          },
+          required: ['material', 'mention', 'polarity', 'conditions', 'quote', 'source']
+        }
+      }
+    },
+    required: ['materials']
+  };
+}
+
+/**
+ * Extract recycling rules from page text using Ollama
+ *
+ * The model reads numbered sources and lists every material they
+ * say is (or isn't) accepted in the recycling bin.
+ *
+ * Environment variables:
+ * - OLLAMA_EXTRACTION_MODEL: Model to use (default: qwen2.5:3b)
+ * - OLLAMA_EXTRACTION_TIMEOUT_MS: Give up after this long (default: 60000)
+ *
+ * @param {Array<{text: string}>} sources - Source texts, numbered from 1 in the prompt
+ * @param {string[]} materialNames - Taxonomy names the model may use
+ * @returns {Promise<Object>} Parsed model output ({ materials: [...] } when it behaved)
+ * @throws {Error} If Ollama is unreachable, times out or answers with invalid JSON
+ */
+async function extractRecyclingRules(sources, materialNames) {
+  const timeoutMs = parseInt(process.env.OLLAMA_EXTRACTION_TIMEOUT_MS, 10) || 60000;
+  const numbered = sources.map((source, i) => `[${i + 1}]\n${source.text}`).join('\n\n');
+
+  const payload = {
+    model: process.env.OLLAMA_EXTRACTION_MODEL || 'qwen2.5:3b',
+    messages: [
+      {
+        role: 'system',
+        content: `You extract curbside recycling rules from municipal web pages.
+
+For every material the sources say IS or IS NOT accepted in the recycling bin, return:
+- material: the closest name from this list: ${materialNames.join(', ')}
+- mention: the words the source uses for it, copied exactly
+- polarity: "accepted" or "not_accepted"
+- conditions: requirements the source states for it ("rinse", "flatten", "lids off"), or []
+- quote: the sentence or list item that says so, copied exactly from the source
+- source: the number of the source the quote comes from
+
+Only report what the sources say. Do not use general knowledge. Do not paraphrase quotes.
+If the sources say nothing about recycling rules, return an empty materials list.`
+      },
+      {
+        role: 'user',
+        content: numbered
+      }
+    ],
+    format: ruleExtractionSchema(materialNames),
+    stream: false,
+    options: {
+      temperature: 0,
+      num_ctx: 8192
+    }
+  };
+
+  const response = await makeOllamaRequest('/api/chat', payload, { timeoutMs });
+  const content = response.message ? response.message.content : '';
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error('Rule extraction model returned invalid JSON: ' + error.message);
+  }
+}
+
+/**
+ * JSON schema the packaging model must answer in (Ollama's `format`)
+ */
+const PACKAGING_SCHEMA = {
+  type: 'object',
+  properties: {
+    materials: { type: 'array', items: { type: 'string' } },
+    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+    components: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          material: { type: 'string' },
+          removable: { type: 'boolean' }
+        },
+        required: ['name', 'material', 'removable']
+      }
+    }
+  },
+  required: ['materials', 'confidence', 'components']
+};
+
+/**
+ * Work out what a product is packaged in using Ollama
+ *
+ * The packaging, not the contents: a cereal box is cardboard and a
+ * plastic liner, not oats.
+ *
+ * Environment variables:
+ * - OLLAMA_EXTRACTION_MODEL: Model to use (default: qwen2.5:3b)
+ * - OLLAMA_EXTRACTION_TIMEOUT_MS: Give up after this long (default: 60000)
+ *
+ * @param {string} itemName - Product title ("Coca-Cola 12 oz can")
+ * @param {Object|null} details - UPCItemDB item, for brand / description / category
+ * @returns {Promise<{materials: string[], confidence: string, components: Array|null}>}
+ *          components as parseComponents() returns them (null for one material)
+ * @throws {Error} If Ollama is unreachable, times out or answers with invalid JSON
+ *
+ * @example
+ * await identifyPackaging('Coca-Cola 12 oz can', item);
+ * // => { materials: ['aluminum'], confidence: 'high', components: null }
+ */
+async function identifyPackaging(itemName, details) {
+  const timeoutMs = parseInt(process.env.OLLAMA_EXTRACTION_TIMEOUT_MS, 10) || 60000;
+
+  const payload = {
+    model: process.env.OLLAMA_EXTRACTION_MODEL || 'qwen2.5:3b',
+    messages: [
+      {
+        role: 'system',
+        content: `You are a recycling assistant. Given a product, identify the PACKAGING MATERIALS (what the product is physically packaged in), NOT the food ingredients or contents inside.
+
+For example, a cereal box has packaging materials like: cardboard, plastic bag (inner liner), ink/dye.
+A soda can has: aluminum. A water bottle has: plastic (PET), plastic cap.
+
+List every separate part (lid, cap, label, sleeve, liner...) in "components" with its material, and whether it can be taken off ("removable"). Use an empty "components" list when the packaging is a single material.
+
+Do NOT list food ingredients, chemicals, vitamins, or nutritional contents. ONLY list physical packaging materials.`
+      },
+      {
+        role: 'user',
+        content: `Item: ${itemName}\nDetails: ${details ? JSON.stringify(details) : 'No details found'}`
+      }
+    ],
+    format: PACKAGING_SCHEMA,
+    stream: false,
+    options: {
+      temperature: 0
+    }
+  };
+
+  const response = await makeOllamaRequest('/api/chat', payload, { timeoutMs });
+  const content = response.message ? response.message.content : '';
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error('Packaging model returned invalid JSON: ' + error.message);
+  }
+
+  const components = parseComponents(parsed.components);
+  const materials = (Array.isArray(parsed.materials) ? parsed.materials : [])
+    .filter(material => typeof material === 'string' && material.trim())
+    .map(material => material.trim());
+
+  return {
+    materials: materials.length > 0 ? materials : (components || []).map(part => part.material),
+    confidence: ['high', 'medium', 'low'].includes(parsed.confidence) ? parsed.confidence : 'low',
+    components
+  };
+}
+
 /**
  * Analyze an image using Ollama vision model
  * Returns structured data with materials and confidence ratings
@@ -163,6 +364,7 @@ When given an image:
 - Use a specific name for the item
 - Use a specific name for the materials the item is composed of (only if it's a recyclable material, otherwise, list as non-recyclable)
 - Prefer recycling-relevant terms
+- If the item has parts made of different materials (lid, cap, label, sleeve, straw...), list each part with its material and whether it can be taken off
 
 Analyze the image and respond in JSON only:
 
@@ -170,10 +372,12 @@ Analyze the image and respond in JSON only:
 "item": "<generic item name>",
 "brand": "<brand name or null>",
 "material": "<material or unknown>",
-"confidence": "high | medium | low"
+"confidence": "high | medium | low",
+"components": [{ "name": "<part name>", "material": "<material>", "removable": true | false }]
 }
 
 Rules:
+- Use an empty components list when the item is a single material
 - Only name a brand if clearly visible
 - Do not guess
 - If unsure, set fields to null or "unknown"
@@ -200,13 +404,18 @@ If the item cannot be confidently identified, set confidence to low`,
         if (parsed.material && parsed.material !== 'unknown' && parsed.material !== 'non-recyclable') {
           materials.push(parsed.material);
         }
+        const components = parseComponents(parsed.components);
+        if (materials.length === 0 && components) {
+          materials.push(...new Set(components.map(part => part.material)));
+        }
         return {
           items: [{
             name: parsed.item,
             brand: parsed.brand || null,
             materials,
             confidence: (parsed.confidence || 'medium').toLowerCase().trim(),
-            preparation: getPreparationNote(parsed.item.toLowerCase())
+            preparation: getPreparationNote(parsed.item.toLowerCase()),
+            ...(components ? { components } : {})
           }],
           rawResponse,
           summary: `Found: ${parsed.item}${parsed.brand ? ` (${parsed.brand})` : ''}`
@@ -229,20 +438,50 @@ If the item cannot be confidently identified, set confidence to low`,
   };
 }
 
+/**
+ * Clean up the parts list from the vision model
+ * 
+ * Parts without a known material are dropped; "removable" may come
+ * back as a boolean or as "yes" / "true".
+ * 
+ * @param {*} raw - parsed.components from the model's JSON
+ * @returns {Array<{name: string, material: string, removable: boolean}>|null}
+ *          null when there are fewer than two parts (nothing to separate)
+ */
+function parseComponents(raw) {
+  if (!Array.isArray(raw)) return null;
+
+  const parts = raw
+    .filter(part => part && typeof part === 'object' && typeof part.material === 'string')
+    .map(part => ({
+      name: typeof part.name === 'string' && part.name.trim() ? part.name.trim() : part.material.trim(),
+      material: part.material.trim(),
+      removable: part.removable === true || ['yes', 'true'].includes(String(part.removable).toLowerCase().trim())
+    }))
+    .filter(part => part.material && !['unknown', 'null'].includes(part.material.toLowerCase()));
+
+  return parts.length > 1 ? parts : null;
+}
+
 /**
  * Parse natural language response from vision model to extract items and materials
+ * 
+ * Keywords are matched as whole words through materialMatcher, so
+ * "pp" doesn't fire inside "shopping" and "aluminium" or "botella de
+ * plástico" are understood.
  */
 function parseImageAnalysisResponse(text) {
   if (!text) return [];
   
   const items = [];
-  const lowerText = text.toLowerCase();
+  const tokens = tokenize(text);
+  const mentions = term => findOccurrences(tokens, term).length > 0;
   
   // Material keywords to detect
   const materialKeywords = {
     'plastic': ['plastic', 'pet', 'hdpe', 'pvc', 'ldpe', 'pp', 'ps', 'polypropylene', 'polyethylene'],
     'glass': ['glass'],
-    'aluminum': ['aluminum', 'aluminium', 'aluminum can'],
+    'aluminum': ['aluminum', 'aluminum can'],
     'cardboard': ['cardboard', 'corrugated'],
     'paper': ['paper'],
     'metal': ['metal', 'steel', 'tin', 'iron'],
@@ -252,30 +491,30 @@ function parseImageAnalysisResponse(text) {
     'food waste': ['food', 'organic', 'compost']
   };
   
-  // Item patterns to look for
+  // Item terms to look for
   const itemPatterns = [
-    { pattern: /(?:plastic\s+)?(?:water\s+)?bottle/i, name: 'plastic bottle', materials: ['plastic'] },
-    { pattern: /glass\s+bottle/i, name: 'glass bottle', materials: ['glass'] },
-    { pattern: /(?:aluminum|aluminium|soda|beer)\s+can/i, name: 'aluminum can', materials: ['aluminum'] },
-    { pattern: /(?:tin|metal|food)\s+can/i, name: 'metal can', materials: ['metal'] },
-    { pattern: /cardboard\s+box/i, name: 'cardboard box', materials: ['cardboard'] },
-    { pattern: /(?:cardboard|box)/i, name: 'cardboard', materials: ['cardboard'] },
-    { pattern: /(?:news)?paper/i, name: 'paper', materials: ['paper'] },
-    { pattern: /magazine/i, name: 'magazine', materials: ['paper'] },
-    { pattern: /glass\s+jar/i, name: 'glass jar', materials: ['glass'] },
-    { pattern: /plastic\s+(?:container|tub|jug)/i, name: 'plastic container', materials: ['plastic'] },
-    { pattern: /styrofoam|foam\s+cup/i, name: 'styrofoam', materials: ['styrofoam'] },
-    { pattern: /plastic\s+bag/i, name: 'plastic bag', materials: ['plastic'] },
-    { pattern: /milk\s+(?:carton|jug)/i, name: 'milk container', materials: ['plastic', 'cardboard'] },
-    { pattern: /juice\s+(?:box|carton)/i, name: 'juice carton', materials: ['cardboard', 'plastic'] },
+    { terms: ['bottle'], name: 'plastic bottle', materials: ['plastic'] },
+    { terms: ['glass bottle'], name: 'glass bottle', materials: ['glass'] },
+    { terms: ['aluminum can', 'soda can', 'beer can'], name: 'aluminum can', materials: ['aluminum'] },
+    { terms: ['tin can', 'metal can', 'food can'], name: 'metal can', materials: ['metal'] },
+    { terms: ['cardboard box'], name: 'cardboard box', materials: ['cardboard'] },
+    { terms: ['cardboard', 'box'], name: 'cardboard', materials: ['cardboard'] },
+    { terms: ['paper', 'newspaper'], name: 'paper', materials: ['paper'] },
+    { terms: ['magazine'], name: 'magazine', materials: ['paper'] },
+    { terms: ['glass jar'], name: 'glass jar', materials: ['glass'] },
+    { terms: ['plastic container', 'plastic tub', 'plastic jug'], name: 'plastic container', materials: ['plastic'] },
+    { terms: ['styrofoam', 'foam cup'], name: 'styrofoam', materials: ['styrofoam'] },
+    { terms: ['plastic bag'], name: 'plastic bag', materials: ['plastic'] },
+    { terms: ['milk carton', 'milk jug'], name: 'milk container', materials: ['plastic', 'cardboard'] },
+    { terms: ['juice box', 'juice carton'], name: 'juice carton', materials: ['cardboard', 'plastic'] },
   ];
   
   // Track what we've found to avoid duplicates
   const foundItems = new Set();
   
   // First, try to match specific item patterns
-  for (const { pattern, name, materials } of itemPatterns) {
-    if (pattern.test(text) && !foundItems.has(name)) {
+  for (const { terms, name, materials } of itemPatterns) {
+    if (terms.some(mentions) && !foundItems.has(name)) {
       foundItems.add(name);
       items.push({
         name,
@@ -290,7 +529,7 @@ function parseImageAnalysisResponse(text) {
   if (items.length === 0) {
     for (const [material, keywords] of Object.entries(materialKeywords)) {
       for (const keyword of keywords) {
-        if (lowerText.includes(keyword) && !foundItems.has(material)) {
+        if (mentions(keyword) && !foundItems.has(material)) {
           foundItems.add(material);
           items.push({
             name: `${material} item`,
@@ -330,5 +569,8 @@ function getPreparationNote(itemName) {
 module.exports = {
   chatWithRecyclingAssistant,
   analyzeRecyclingImage,
+  extractRecyclingRules,
+  ruleExtractionSchema,
+  identifyPackaging,
   getOllamaUrl
 };
@@ -0,0 +1,373 @@
+/**
+ * ============================================
+ * Page Fetch Service
+ * ============================================
+ *
+ * Downloads the full municipal pages behind each search result,
+ * so extraction can read the real "what goes in your bin" list
+ * instead of a ~160 character snippet.
+ *
+ * BEING A GOOD CITIZEN:
+ * - robots.txt is fetched (once per host) and respected, including
+ *   on every host a redirect leads to
+ * - Every request has a timeout (overridable per host)
+ * - Responses larger than the size limit are cut off
+ * - Only HTML pages are parsed
+ *
+ * Parsing itself lives in utils/htmlExtractor.js (pure, offline).
+ * enrichResultsWithPages() accepts a custom page loader, so the
+ * whole stage can run against saved HTML fixtures with no network.
+ *
+ * ENVIRONMENT VARIABLES:
+ * - PAGE_FETCH_ENABLED: Set to "false" to only use search snippets (default: true)
+ * - PAGE_FETCH_TIMEOUT_MS: Default per-request timeout (default: 5000)
+ * - PAGE_FETCH_HOST_TIMEOUTS: Per-host overrides, e.g. "accgov.com=10000,slow.gov=15000"
+ * - PAGE_FETCH_MAX_BYTES: Max bytes read per page (default: 1000000)
+ *
+ * ============================================
+ */
+
+const { extractPageText } = require('../utils/htmlExtractor');
+
+const USER_AGENT = 'RecycleLocal/1.0';
+
+// robots.txt rules per origin:
+// origin -> { rules: Promise<{allow: string[], disallow: string[]}|null>, expiresAt: number }
+// null means "don't fetch anything from this host". Failed lookups expire
+// quickly so one flaky response doesn't lock a host out until restart.
+const robotsCache = new Map();
+const ROBOTS_FAILURE_TTL_MS = 60 * 1000;
+
+// Redirects are followed by hand so each hop can be checked against robots.txt
+const MAX_REDIRECTS = 5;
+
+/**
+ * Current page fetch settings (read per call so .env changes apply)
+ *
+ * @returns {{enabled: boolean, timeoutMs: number, maxBytes: number, hostTimeouts: Object}}
+ */
+function getFetchSettings() {
+  const hostTimeouts = {};
+  for (const pair of (process.env.PAGE_FETCH_HOST_TIMEOUTS || '').split(',')) {
+    const [host, ms] = pair.split('=').map(part => part && part.trim());
+    if (host && Number(ms) > 0) {
+      hostTimeouts[host.toLowerCase()] = Number(ms);
+    }
+  }
+
+  return {
+    enabled: process.env.PAGE_FETCH_ENABLED !== 'false',
+    timeoutMs: Number(process.env.PAGE_FETCH_TIMEOUT_MS) || 5000,
+    maxBytes: Number(process.env.PAGE_FETCH_MAX_BYTES) || 1000000,
+    hostTimeouts
+  };
+}
+
+/**
+ * Timeout to use for a hostname
+ *
+ * "www.accgov.com" matches an override for "accgov.com".
+ *
+ * @param {string} hostname - URL hostname
+ * @param {Object} settings - From getFetchSettings()
+ * @returns {number} Timeout in milliseconds
+ */
+function timeoutForHost(hostname, settings) {
+  const host = hostname.toLowerCase();
+  const key = Object.keys(settings.hostTimeouts)
+    .find(h => host === h || host.endsWith(`.${h}`));
+  return key ? settings.hostTimeouts[key] : settings.timeoutMs;
+}
+
+/**
+ * Fetch a URL as text with a timeout and a size limit
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Abort after this many ms
+ * @param {number} options.maxBytes - Stop reading after this many bytes
+ * @param {string} [options.redirect='follow'] - "manual" returns 3xx responses
+ *        as-is (with `location` set) instead of following them
+ * @returns {Promise<{status: number, contentType: string, body: string, truncated: boolean, location: string|null}>}
+ */
+async function fetchText(url, { timeoutMs, maxBytes, redirect = 'follow' }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,text/plain;q=0.9' },
+      redirect,
+      signal: controller.signal
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const location = response.headers.get('location');
+
+    // Nothing worth reading in a redirect
+    if (location && response.status >= 300 && response.status < 400) {
+      if (response.body) await response.body.cancel();
+      return { status: response.status, contentType, body: '', truncated: false, location };
+    }
+
+    // Stream the body so a huge page can't blow up memory
+    const chunks = [];
+    let received = 0;
+    let truncated = false;
+
+    if (response.body) {
+      const reader = response.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        received += value.length;
+        if (received > maxBytes) {
+          chunks.push(value.slice(0, value.length - (received - maxBytes)));
+          truncated = true;
+          await reader.cancel();
+          break;
+        }
+        chunks.push(value);
+      }
+    }
+
+    return {
+      status: response.status,
+      contentType,
+      body: Buffer.concat(chunks).toString('utf8'),
+      truncated,
+      location: null
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us
+ *
+ * Uses the group for "RecycleLocal" if present, otherwise "*".
+ *
+ * @param {string} text - robots.txt content
+ * @returns {{allow: string[], disallow: string[]}}
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], allow: [], disallow: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' && value) current.allow.push(value);
+    if (field === 'disallow' && value) current.disallow.push(value);
+  }
+
+  const ours = groups.find(g => g.agents.some(a => a !== '*' && USER_AGENT.toLowerCase().startsWith(a)));
+  const wildcard = groups.find(g => g.agents.includes('*'));
+  const group = ours || wildcard;
+
+  return group ? { allow: group.allow, disallow: group.disallow } : { allow: [], disallow: [] };
+}
+
+/**
+ * Check a path against robots.txt rules (longest match wins, Allow wins ties)
+ *
+ * @param {{allow: string[], disallow: string[]}} rules - From parseRobotsTxt()
+ * @param {string} path - URL path + query
+ * @returns {boolean} true if we may fetch it
+ */
+function isPathAllowed(rules, path) {
+  const matchLength = pattern => {
+    // Support the common "*" wildcard and "$" end anchor
+    const regex = new RegExp(
+      '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+        .replace(/\\\$$/, '$')
+    );
+    return regex.test(path) ? pattern.length : -1;
+  };
+
+  const bestAllow = Math.max(-1, ...rules.allow.map(matchLength));
+  const bestDisallow = Math.max(-1, ...rules.disallow.map(matchLength));
+
+  return bestAllow >= bestDisallow;
+}
+
+/**
+ * Get robots.txt rules for a host (cached per process)
+ *
+ * - 2xx → parsed rules
+ * - 4xx → no robots.txt, everything allowed
+ * - 5xx / network error → treat the host as off-limits for
+ *   ROBOTS_FAILURE_TTL_MS, then ask again
+ *
+ * @param {URL} url - Any URL on the host
+ * @param {Object} settings - From getFetchSettings()
+ * @returns {Promise<{allow: string[], disallow: string[]}|null>}
+ */
+function getRobotsRules(url, settings) {
+  const origin = url.origin;
+  const cached = robotsCache.get(origin);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  const entry = { rules: null, expiresAt: Infinity };
+  entry.rules = fetchText(`${origin}/robots.txt`, {
+    timeoutMs: timeoutForHost(url.hostname, settings),
+    maxBytes: 100000
+  })
+    .then(({ status, body }) => {
+      if (status >= 200 && status < 300) return parseRobotsTxt(body);
+      if (status >= 400 && status < 500) return { allow: [], disallow: [] };
+      return null;
+    })
+    .catch(() => null)
+    .then(rules => {
+      if (!rules) entry.expiresAt = Date.now() + ROBOTS_FAILURE_TTL_MS;
+      return rules;
+    });
+
+  robotsCache.set(origin, entry);
+  return entry.rules;
+}
+
+/**
+ * Check robots.txt for a URL
+ *
+ * @param {URL} url - URL about to be fetched
+ * @param {Object} settings - From getFetchSettings()
+ * @returns {Promise<string|null>} A skip reason, or null if we may fetch it
+ */
+async function robotsSkipReason(url, settings) {
+  const robots = await getRobotsRules(url, settings);
+  if (!robots) return 'robots_unavailable';
+  if (!isPathAllowed(robots, url.pathname + url.search)) return 'robots_disallowed';
+  return null;
+}
+
+/**
+ * Fetch one page and extract its text
+ *
+ * Never throws — failures come back as { text: '', skipped: reason }
+ * so one broken site doesn't sink the whole lookup.
+ *
+ * @param {string} pageUrl - URL from a search result
+ * @returns {Promise<{text: string, title: string|null, truncated?: boolean, skipped?: string}>}
+ */
+async function fetchPage(pageUrl) {
+  const settings = getFetchSettings();
+
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch {
+    return { text: '', title: null, skipped: 'invalid_url' };
+  }
+
+  try {
+    // Follow redirects one hop at a time, checking robots.txt on each
+    let response;
+    for (let hop = 0; ; hop++) {
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { text: '', title: null, skipped: 'unsupported_protocol' };
+      }
+
+      const skipped = await robotsSkipReason(url, settings);
+      if (skipped) {
+        return { text: '', title: null, skipped };
+      }
+
+      response = await fetchText(url.href, {
+        timeoutMs: timeoutForHost(url.hostname, settings),
+        maxBytes: settings.maxBytes,
+        redirect: 'manual'
+      });
+
+      if (!response.location) break;
+      if (hop >= MAX_REDIRECTS) {
+        return { text: '', title: null, skipped: 'too_many_redirects' };
+      }
+      url = new URL(response.location, url);
+    }
+
+    const { status, contentType, body, truncated } = response;
+
+    if (status < 200 || status >= 300) {
+      return { text: '', title: null, skipped: `http_${status}` };
+    }
+    if (contentType && !/html|text\/plain/i.test(contentType)) {
+      return { text: '', title: null, skipped: 'not_html' };
+    }
+
+    const { title, text } = extractPageText(body);
+    return { title, text, truncated };
+  } catch (error) {
+    return { text: '', title: null, skipped: error.name === 'AbortError' ? 'timeout' : 'fetch_failed' };
+  }
+}
+
+/**
+ * Add full page text to search results
+ *
+ * Runs after searchGoogle(): each result gets a `pageText` field
+ * (empty string if the page couldn't be fetched) and, when it
+ * failed, a `pageSkipped` reason for debugging.
+ *
+ * @param {Array<{title: string, url: string, snippet: string}>} searchResults
+ * @param {Object} [options]
+ * @param {Function} [options.loadPage] - async (url) => { text, skipped? }.
+ *        Defaults to fetchPage (network). Pass a fixture loader for offline runs.
+ * @returns {Promise<Array>} Search results with pageText added
+ */
+async function enrichResultsWithPages(searchResults, options = {}) {
+  const { loadPage = fetchPage } = options;
+
+  if (!options.loadPage && !getFetchSettings().enabled) {
+    return searchResults;
+  }
+
+  return Promise.all(searchResults.map(async result => {
+    const page = await loadPage(result.url);
+
+    if (process.env.DEBUG === 'true' && page.skipped) {
+      console.log(`[PAGES] Skipped ${result.url}: ${page.skipped}`);
+    }
+
+    return {
+      ...result,
+      pageText: page.text || '',
+      ...(page.skipped ? { pageSkipped: page.skipped } : {})
+    };
+  }));
+}
+
+module.exports = {
+  fetchPage,
+  enrichResultsWithPages,
+
+  // Export helpers for testing
+  parseRobotsTxt,
+  isPathAllowed
+};
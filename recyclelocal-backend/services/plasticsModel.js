@@ -0,0 +1,251 @@
+/**
+ * ============================================
+ * Plastics Model
+ * ============================================
+ *
+ * Models plastics the way municipalities actually write rules:
+ * by resin identification code (the number in the chasing-arrows
+ * triangle) plus the form factor of the item.
+ *
+ *   "#1, #2 and #5 tubs only"  →  codes [1, 2, 5], forms ["tub"]
+ *   "Plastics #1-#7"           →  codes [1..7], any form
+ *
+ * RESIN CODES:
+ *   1 PET   2 HDPE   3 PVC   4 LDPE   5 PP   6 PS   7 Other
+ *
+ * FORM FACTORS:
+ *   bottle, tub, film, clamshell
+ *
+ * ============================================
+ */
+
+const { tokenize, findOccurrences } = require('./materialMatcher');
+
+const PLASTIC_RESINS = {
+  1: {
+    code: 1, abbr: 'PET', name: 'Polyethylene terephthalate',
+    aliases: ['pet', 'pete', 'polyethylene terephthalate'],
+    // Whether curbside programs usually take it (null = varies a lot)
+    typicallyAccepted: true
+  },
+  2: {
+    code: 2, abbr: 'HDPE', name: 'High-density polyethylene',
+    aliases: ['hdpe', 'pe-hd', 'high-density polyethylene', 'high density polyethylene'],
+    typicallyAccepted: true
+  },
+  3: {
+    code: 3, abbr: 'PVC', name: 'Polyvinyl chloride',
+    aliases: ['pvc', 'vinyl', 'polyvinyl chloride'],
+    typicallyAccepted: false
+  },
+  4: {
+    code: 4, abbr: 'LDPE', name: 'Low-density polyethylene',
+    aliases: ['ldpe', 'pe-ld', 'low-density polyethylene', 'low density polyethylene'],
+    typicallyAccepted: false
+  },
+  5: {
+    code: 5, abbr: 'PP', name: 'Polypropylene',
+    aliases: ['pp', 'polypropylene'],
+    typicallyAccepted: null
+  },
+  6: {
+    code: 6, abbr: 'PS', name: 'Polystyrene',
+    aliases: ['ps', 'polystyrene'],
+    typicallyAccepted: false
+  },
+  7: {
+    code: 7, abbr: 'Other', name: 'Other plastics (PC, PLA, multi-layer)',
+    aliases: ['polycarbonate', 'pla', 'bioplastic', 'other plastic', 'other plastics'],
+    typicallyAccepted: false
+  }
+};
+
+// Form factor -> words that indicate it
+const PLASTIC_FORMS = {
+  bottle: ['bottle', 'bottles', 'jug', 'jugs'],
+  tub: ['tub', 'tubs', 'cup', 'cups'],
+  film: ['film', 'bag', 'bags', 'wrap', 'shrink wrap', 'sleeve'],
+  clamshell: ['clamshell', 'clamshells', 'clam shell', 'clam shells', 'takeout container', 'takeout containers']
+};
+
+// A run of resin codes: "#1-#5", "#1, #2 and #5", "plastics 1 through 7", "codes 1 & 2"
+const RESIN_RUN = /(?:#\s*|\b(?:plastics?|numbers?|codes?|resins?|types?)\s+#?\s*|\bnos?\.\s*#?\s*)[1-7](?:\s*(?:,|\band\b|\bor\b|&|\/|-|–|—|\bthrough\b|\bthru\b|\bto\b)\s*#?\s*[1-7](?![0-9]))*(?![0-9])/gi;
+
+/**
+ * Expand a resin run into its codes
+ *
+ * @param {string} run - Matched run, e.g. "#1-#5" or "plastics 1, 2 and 5"
+ * @returns {number[]} Sorted, unique resin codes
+ *
+ * @example
+ * parseResinRun('#1-#3 and #5'); // => [1, 2, 3, 5]
+ */
+function parseResinRun(run) {
+  const codes = new Set();
+  const tokens = [...run.matchAll(/([1-7])|(-|–|—|through|thru|\bto\b)/gi)];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const code = tokens[i][1];
+    if (!code) continue;
+
+    const isRangeStart = tokens[i + 1] && tokens[i + 1][2] && tokens[i + 2] && tokens[i + 2][1];
+    if (isRangeStart) {
+      const from = Number(code);
+      const to = Number(tokens[i + 2][1]);
+      for (let c = Math.min(from, to); c <= Math.max(from, to); c++) codes.add(c);
+      i += 2;
+    } else {
+      codes.add(Number(code));
+    }
+  }
+
+  return [...codes].sort((a, b) => a - b);
+}
+
+/**
+ * Find all resin codes mentioned in a piece of text
+ *
+ * @param {string} text - Any text
+ * @returns {number[]} Sorted, unique resin codes
+ *
+ * @example
+ * parseResinCodes('We take plastics #1-#5, but no #6'); // => [1, 2, 3, 4, 5, 6]
+ */
+function parseResinCodes(text) {
+  const codes = new Set();
+  for (const match of (text || '').matchAll(RESIN_RUN)) {
+    parseResinRun(match[0]).forEach(code => codes.add(code));
+  }
+  return [...codes].sort((a, b) => a - b);
+}
+
+/**
+ * Find the form factor words in a piece of text
+ *
+ * @param {string} text - Any text
+ * @returns {string[]} Form factors mentioned (keys of PLASTIC_FORMS)
+ */
+function findForms(text) {
+  const lower = (text || '').toLowerCase();
+  return Object.entries(PLASTIC_FORMS)
+    .filter(([, words]) => words.some(word => new RegExp(`\\b${word}\\b`).test(lower)))
+    .map(([form]) => form);
+}
+
+/**
+ * Find the form factors that qualify a resin run
+ *
+ * Looks right after the run first ("#1 and #2 bottles"), up to the
+ * next punctuation or conjunction, then right before it ("bottles #1 and #2").
+ *
+ * @param {string} segment - Sentence / list item containing the run
+ * @param {number} start - Run start index within the segment
+ * @param {number} end - Run end index within the segment
+ * @returns {string[]} Form factors
+ */
+function formsAroundRun(segment, start, end) {
+  // Stop at punctuation or a conjunction that starts a new item ("no #6 or plastic bags")
+  const after = segment.slice(end).split(/[.;:,(]|\b(?:or|but|no|not|except)\b/i)[0].slice(0, 40);
+  const formsAfter = findForms(after);
+  if (formsAfter.length > 0) return formsAfter;
+
+  const before = segment.slice(Math.max(0, start - 25), start);
+  return findForms(before.split(/[.;:,)]/).pop());
+}
+
+/**
+ * Identify the resin of a material description
+ *
+ * Matches "#5", "plastic 5", "PP", "polypropylene", "PETE bottle"...
+ *
+ * @param {string} text - Material and/or item name
+ * @returns {Object|null} Entry from PLASTIC_RESINS
+ */
+function identifyResin(text) {
+  const found = matchResin(text);
+  return found ? found.resin : null;
+}
+
+/**
+ * identifyResin(), also telling which words identified it
+ *
+ * @param {string} text - Material and/or item name
+ * @returns {{resin: Object, term: string}|null} term: the code ("#5") or alias ("pete") that matched
+ */
+function matchResin(text) {
+  const lower = (text || '').toLowerCase();
+
+  const codeMatch = lower.match(/#\s*([1-7])(?![0-9])|\b(?:plastic|resin|type|code|recycling code)\s*#?\s*([1-7])(?![0-9])/);
+  if (codeMatch) {
+    return { resin: PLASTIC_RESINS[Number(codeMatch[1] || codeMatch[2])], term: codeMatch[0] };
+  }
+
+  const tokens = tokenize(lower);
+  for (const resin of Object.values(PLASTIC_RESINS)) {
+    const alias = resin.aliases.find(alias => findOccurrences(tokens, alias).length > 0);
+    if (alias) return { resin, term: alias };
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a plastic item is accepted, given its resin and form
+ *
+ * Uses the location's resin rules when it has any for this code,
+ * otherwise the typical curbside acceptance for the resin.
+ *
+ * @param {Object} resin - Entry from PLASTIC_RESINS
+ * @param {string|null} form - Form factor of the item (bottle, tub, film, clamshell)
+ * @param {Array} [localRules] - rules.plastics from extractRules()
+ * @returns {{status: string, reason: string, source: string, rule: Object|null}}
+ *          status: "recyclable" | "not_recyclable" | "unknown"
+ *          source: "local" | "typical"
+ *          rule: the local resin rule that decided (null for typical)
+ */
+function resinVerdict(resin, form, localRules = []) {
+  const label = `#${resin.code} ${resin.abbr}`;
+  const rejected = localRules.find(r => r.code === resin.code && r.status === 'not_accepted' &&
+    (r.forms.length === 0 || (form && r.forms.includes(form))));
+  const accepted = localRules.find(r => r.code === resin.code && r.status === 'accepted');
+
+  if (rejected) {
+    return { status: 'not_recyclable', reason: `${label}${form ? ` ${form}s` : ''} not accepted locally`, source: 'local', rule: rejected };
+  }
+
+  if (accepted) {
+    if (accepted.forms.length === 0 || (form && accepted.forms.includes(form))) {
+      return { status: 'recyclable', reason: `${label} accepted locally`, source: 'local', rule: accepted };
+    }
+    const allowed = accepted.forms.map(f => `${f}s`).join(', ');
+    return form
+      ? { status: 'not_recyclable', reason: `Only ${label} ${allowed} accepted locally`, source: 'local', rule: accepted }
+      : { status: 'unknown', reason: `Only ${label} ${allowed} accepted locally — check the item's shape`, source: 'local', rule: accepted };
+  }
+
+  // Plastic film (bags, wrap) jams sorting machines whatever the resin
+  if (form === 'film') {
+    return { status: 'not_recyclable', reason: 'Plastic film is not accepted curbside — use store drop-off', source: 'typical', rule: null };
+  }
+
+  if (resin.typicallyAccepted === true) {
+    return { status: 'recyclable', reason: `${label} is accepted by most curbside programs`, source: 'typical', rule: null };
+  }
+  if (resin.typicallyAccepted === false) {
+    return { status: 'not_recyclable', reason: `${label} is rarely accepted curbside`, source: 'typical', rule: null };
+  }
+  return { status: 'unknown', reason: `${label} acceptance varies — check local guidelines`, source: 'typical', rule: null };
+}
+
+module.exports = {
+  PLASTIC_RESINS,
+  PLASTIC_FORMS,
+  RESIN_RUN,
+  parseResinRun,
+  parseResinCodes,
+  findForms,
+  formsAroundRun,
+  identifyResin,
+  matchResin,
+  resinVerdict
+};
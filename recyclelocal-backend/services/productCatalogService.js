@@ -0,0 +1,400 @@
+/**
+ * ============================================
+ * Product Catalog Service
+ * ============================================
+ *
+ * Remembers every scanned product, so the same soda can scanned
+ * twice costs one UPCItemDB lookup (trial tier = 100 a day) and one
+ * packaging guess from the model, not two.
+ *
+ * HOW IT WORKS:
+ * - Barcodes are normalized to 14-digit GTINs: UPC-A, UPC-E, EAN-8
+ *   and EAN-13 of the same product share one entry, and codes with a
+ *   wrong check digit are turned away
+ * - lookupProduct serves the stored UPCItemDB item, or looks it up
+ *   and stores it
+ * - resolvePackaging serves the stored packaging, or asks the model
+ *   (ollamaService.identifyPackaging) and stores the answer
+ * - Admins curate entries (updateProduct): curated packaging is never
+ *   replaced by a model guess
+ *
+ * PRODUCT SHAPE:
+ *   {
+ *     gtin: "00049000028904",
+ *     title: "Coca-Cola Classic 12 oz can",
+ *     brand: "Coca-Cola",
+ *     upc: { ean, title, brand, description, category, ... },  // UPCItemDB item
+ *     packaging: {
+ *       components: [{ name: "can", material: "aluminum", removable: false }] | null,
+ *       materials: ["aluminum"],
+ *       confidence: 0.9,            // 0–1
+ *       source: "llm" | "curated"
+ *     } | null,
+ *     lookedUpAt: "2026-10-19T...", // last UPCItemDB lookup, null for curated-only entries
+ *     updatedAt: "2026-10-19T..."
+ *   }
+ *
+ * ============================================
+ */
+
+const { db } = require('../config/database');
+const { identifyPackaging } = require('./ollamaService');
+
+// How sure a model guess is, from the confidence it gave itself
+const CONFIDENCE_SCORES = { high: 0.9, medium: 0.6, low: 0.3 };
+
+const COLUMNS = `gtin, title, brand, upc_json, components, materials,
+  materials_confidence, materials_source, looked_up_at, updated_at`;
+
+/**
+ * Error from the UPCItemDB lookup
+ *
+ * status is UPCItemDB's HTTP status (429 when rate limited), or null
+ * when it couldn't be reached.
+ */
+class UpcLookupError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'UpcLookupError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check a GS1 check digit (the last digit)
+ *
+ * @param {string} digits - Full code, check digit included
+ * @returns {boolean}
+ */
+function hasValidCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Expand a zero-suppressed UPC-E code to UPC-A
+ *
+ * @param {string} code - 8 digits: number system (0/1), 6 digits, check digit
+ * @returns {string|null} 12-digit UPC-A, null when it isn't UPC-E
+ */
+function expandUpcE(code) {
+  if (!/^[01]\d{7}$/.test(code)) return null;
+  const [system, d1, d2, d3, d4, d5, d6, check] = code;
+
+  let body;
+  if (d6 <= '2') body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+  return `${system}${body}${check}`;
+}
+
+/**
+ * Normalize a scanned barcode to a 14-digit GTIN
+ *
+ * @param {string|number} code - UPC-A, UPC-E, EAN-8, EAN-13 or GTIN-14
+ *        (spaces and dashes allowed)
+ * @returns {string|null} Zero-padded GTIN-14, or null when it isn't a
+ *          valid code (wrong length or check digit)
+ *
+ * @example
+ * normalizeGtin('049000028904');  // => '00049000028904' (UPC-A)
+ * normalizeGtin('04252614');      // => '00042100005264' (UPC-E → UPC-A)
+ * normalizeGtin('049000028905');  // => null (bad check digit)
+ */
+function normalizeGtin(code) {
+  const digits = String(code ?? '').replace(/[\s-]/g, '');
+  if (!/^(\d{8}|\d{12,14})$/.test(digits)) return null;
+
+  let gtin = digits;
+  // 8 digits are EAN-8, unless only the UPC-E reading checks out
+  if (digits.length === 8 && !hasValidCheckDigit(digits)) {
+    gtin = expandUpcE(digits);
+  }
+
+  return gtin && hasValidCheckDigit(gtin) ? gtin.padStart(14, '0') : null;
+}
+
+/**
+ * The code to send UPCItemDB: the GTIN without padding, at least 12 digits
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @returns {string}
+ */
+function upcQueryCode(gtin) {
+  const significant = gtin.replace(/^0+/, '').length;
+  return gtin.slice(-Math.max(12, significant));
+}
+
+/**
+ * Convert a database row into the product shape
+ *
+ * @param {Object|undefined} row - Raw row from the products table
+ * @returns {Object|null}
+ */
+function rowToProduct(row) {
+  if (!row) return null;
+
+  const components = row.components ? JSON.parse(row.components) : null;
+  const materials = row.materials ? JSON.parse(row.materials) : null;
+
+  return {
+    gtin: row.gtin,
+    title: row.title,
+    brand: row.brand,
+    upc: row.upc_json ? JSON.parse(row.upc_json) : null,
+    packaging: components || materials
+      ? {
+        components,
+        materials: materials || (components || []).map(part => part.material),
+        confidence: row.materials_confidence,
+        source: row.materials_source
+      }
+      : null,
+    lookedUpAt: row.looked_up_at ? new Date(row.looked_up_at).toISOString() : null,
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+/**
+ * Get a product from the catalog
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @returns {Object|null} Product, or null when it was never stored
+ */
+function getProduct(gtin) {
+  const row = db.prepare(`SELECT ${COLUMNS} FROM products WHERE gtin = ?`).get(gtin);
+  return rowToProduct(row);
+}
+
+/**
+ * Look a code up on UPCItemDB
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @returns {Promise<Object|null>} The first item, null when UPCItemDB doesn't know it
+ * @throws {UpcLookupError} When UPCItemDB can't be reached or answers with an error
+ */
+async function fetchUpcItem(gtin) {
+  const lookupUrl = `https://api.upcitemdb.com/prod/trial/lookup?upc=${encodeURIComponent(upcQueryCode(gtin))}`;
+
+  let response;
+  try {
+    response = await fetch(lookupUrl);
+  } catch (error) {
+    throw new UpcLookupError(`UPCItemDB unreachable: ${error.message}`);
+  }
+
+  // Unknown codes come back as an empty items list, or a 404
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new UpcLookupError(`UPCItemDB returned status ${response.status}`, response.status);
+  }
+
+  const data = await response.json();
+  return Array.isArray(data.items) && data.items.length > 0 ? data.items[0] : null;
+}
+
+/**
+ * Get a product's UPC details, from the catalog or UPCItemDB
+ *
+ * Products found on UPCItemDB are stored, so the next scan is served
+ * from the catalog, as are products curated by hand. Codes UPCItemDB
+ * doesn't know aren't stored.
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @returns {Promise<{product: Object|null, cached: boolean}>} product is null
+ *          when neither the catalog nor UPCItemDB know the code
+ * @throws {UpcLookupError} When the lookup was needed and failed
+ */
+async function lookupProduct(gtin) {
+  const known = getProduct(gtin);
+  // Curated entries don't need UPCItemDB's details to be useful
+  if (known && (known.upc || known.packaging?.source === 'curated')) return { product: known, cached: true };
+
+  const item = await fetchUpcItem(gtin);
+  if (!item) return { product: known, cached: Boolean(known) };
+
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO products (gtin, title, brand, upc_json, looked_up_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(gtin) DO UPDATE SET
+      title = COALESCE(products.title, excluded.title),
+      brand = COALESCE(products.brand, excluded.brand),
+      upc_json = excluded.upc_json,
+      looked_up_at = excluded.looked_up_at,
+      updated_at = excluded.updated_at
+  `).run(gtin, item.title || null, item.brand || null, JSON.stringify(item), now, now);
+
+  return { product: getProduct(gtin), cached: false };
+}
+
+/**
+ * Store packaging for a product
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @param {Object|null} packaging - { components, materials, confidence (0–1) };
+ *        null clears it, back to unknown packaging
+ * @param {string|null} source - "llm" | "curated" (null when clearing)
+ */
+function savePackaging(gtin, packaging, source) {
+  db.prepare(`
+    UPDATE products
+    SET components = ?, materials = ?, materials_confidence = ?, materials_source = ?, updated_at = ?
+    WHERE gtin = ?
+  `).run(
+    packaging?.components ? JSON.stringify(packaging.components) : null,
+    packaging ? JSON.stringify(packaging.materials || []) : null,
+    packaging ? packaging.confidence : null,
+    packaging ? source : null,
+    Date.now(),
+    gtin
+  );
+}
+
+/**
+ * Get what a product is packaged in, from the catalog or the model
+ *
+ * Never throws: when the model can't answer, the product comes back
+ * with packaging null and nothing is stored, so the next scan tries again.
+ *
+ * @param {Object} product - lookupProduct() product
+ * @returns {Promise<Object>} The product, with packaging when known
+ */
+async function resolvePackaging(product) {
+  if (product.packaging) return product;
+
+  const name = product.title || product.upc?.description || product.brand || 'unknown item';
+  let guess;
+  try {
+    guess = await identifyPackaging(name, product.upc);
+  } catch (error) {
+    console.error(`Packaging inference failed for ${product.gtin}:`, error.message);
+    return product;
+  }
+  if (guess.materials.length === 0) return product;
+
+  savePackaging(product.gtin, {
+    components: guess.components,
+    materials: guess.materials,
+    confidence: CONFIDENCE_SCORES[guess.confidence]
+  }, 'llm');
+  return getProduct(product.gtin);
+}
+
+/**
+ * Validate a curated product body
+ *
+ * @param {Object} input - Request body
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateProduct(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['Body must be a JSON object'];
+  }
+
+  for (const field of ['title', 'brand']) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+
+  if (input.materials !== undefined &&
+      (!Array.isArray(input.materials) || !input.materials.every(m => typeof m === 'string' && m.trim()))) {
+    errors.push('"materials" must be an array of material names');
+  }
+
+  if (input.components !== undefined && input.components !== null) {
+    const valid = Array.isArray(input.components) && input.components.every(part =>
+      part && typeof part.name === 'string' && part.name.trim() &&
+      typeof part.material === 'string' && part.material.trim() &&
+      (part.removable === undefined || typeof part.removable === 'boolean'));
+    if (!valid) {
+      errors.push('"components" must be an array of { name, material, removable? } objects');
+    }
+  }
+
+  if (input.materials_confidence !== undefined &&
+      !(typeof input.materials_confidence === 'number' && input.materials_confidence >= 0 && input.materials_confidence <= 1)) {
+    errors.push('"materials_confidence" must be a number from 0 to 1');
+  }
+
+  if (input.materials === undefined && input.components === undefined &&
+      input.title === undefined && input.brand === undefined) {
+    errors.push('Nothing to update — send title, brand, materials and/or components');
+  }
+
+  return errors;
+}
+
+/**
+ * Create or update a product by hand (assumes validateProduct passed)
+ *
+ * Sending materials or components marks the packaging as curated,
+ * with confidence 1 unless materials_confidence says otherwise. When
+ * that leaves no materials ({ components: null }, materials: []), the
+ * packaging is cleared instead, so the next scan asks the model again.
+ *
+ * @param {string} gtin - normalizeGtin() output
+ * @param {Object} input - { title?, brand?, materials?, components?, materials_confidence? }
+ * @returns {Object} The stored product
+ */
+function updateProduct(gtin, input) {
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO products (gtin, updated_at) VALUES (?, ?)
+    ON CONFLICT(gtin) DO NOTHING
+  `).run(gtin, now);
+
+  const current = getProduct(gtin);
+  db.prepare('UPDATE products SET title = ?, brand = ?, updated_at = ? WHERE gtin = ?').run(
+    input.title !== undefined ? input.title : current.title,
+    input.brand !== undefined ? input.brand : current.brand,
+    now,
+    gtin
+  );
+
+  if (input.materials !== undefined || input.components !== undefined) {
+    const components = input.components !== undefined
+      ? (input.components || []).map(part => ({
+        name: part.name.trim(),
+        material: part.material.trim(),
+        removable: part.removable === true
+      }))
+      : current.packaging?.components || null;
+    const materials = input.materials !== undefined
+      ? input.materials.map(material => material.trim())
+      : (components || []).map(part => part.material);
+
+    savePackaging(gtin, materials.length > 0
+      ? {
+        components: components && components.length > 0 ? components : null,
+        materials,
+        confidence: input.materials_confidence ?? 1
+      }
+      : null, 'curated');
+  }
+
+  return getProduct(gtin);
+}
+
+module.exports = {
+  UpcLookupError,
+  normalizeGtin,
+  getProduct,
+  lookupProduct,
+  resolvePackaging,
+  validateProduct,
+  updateProduct,
+
+  // Export helpers for testing
+  hasValidCheckDigit,
+  expandUpcE,
+  upcQueryCode
+};
@@ -8,11 +8,21 @@
  * extracts structured, actionable recycling information.
  * 
  * HOW IT WORKS:
- * 1. Receives raw search results from searchService
- * 2. Scans snippets for known recyclable materials
- * 3. Cross-references multiple sources for accuracy
- * 4. Extracts contextual notes (rinse, flatten, etc.)
- * 5. Deduplicates and formats the results
+ * 0. Serves curated rules (curatedRulesService) or cached rules
+ *    (rulesCacheService) from SQLite when available
+ * 1. Receives raw search results from searchService (SerpAPI,
+ *    DuckDuckGo or recorded fixtures) and downloads the full pages behind them (pageFetchService)
+ * 2. Classifies every material mention in snippets + page text
+ *    as accepted / not accepted (materialClassifier), or has a local
+ *    model extract them, checked against the sources (llmRuleExtractor)
+ * 3. Scores every rule by source authority and agreement (confidenceScorer)
+ * 4. Extracts contextual notes (rinse, flatten, etc.) and the collection
+ *    schedule (scheduleService)
+ * 5. Resolves where rejected materials go instead — compost, hazardous
+ *    waste drop-off, trash... (disposalStreams)
+ * 6. Collapses materials by taxonomy (materialTaxonomy) and formats the results
+ * 7. Layers county and state rules under the ZIP's, and attaches the
+ *    state's bottle bill (jurisdictionService, containerDeposits)
  * 
  * FRONTEND INTEGRATION:
  * This service is used internally by the route handlers.
@@ -21,58 +31,66 @@
  * ============================================
  */
 
-const { searchGoogle } = require('./searchService');
+const { searchRecyclingInfo, getSearchProvider, SearchError } = require('./searchService');
+const { getCachedRules, setCachedRules } = require('./rulesCacheService');
+const { findRuleSetForZip, ruleSetToRules } = require('./curatedRulesService');
+const { enrichResultsWithPages } = require('./pageFetchService');
+const { recordSnapshot, plasticKey } = require('./rulesHistoryService');
+const { classifyMentions, segmentText } = require('./materialClassifier');
+const { getExtractionMode, extractMentionsWithLlm } = require('./llmRuleExtractor');
+const { parseSchedule } = require('./scheduleService');
+const { applyJurisdictions } = require('./jurisdictionService');
+const { depositFor } = require('./containerDeposits');
+const { lookupZip, lookupPlace, describeZip } = require('./zipPlacesService');
+const { parseLocationKey } = require('../utils/validators');
+const {
+  PLASTIC_RESINS,
+  RESIN_RUN,
+  parseResinRun,
+  formsAroundRun,
+  findForms,
+  matchResin,
+  resinVerdict
+} = require('./plasticsModel');
+const {
+  getNode,
+  getAncestors,
+  listMaterialNodes,
+  findNode,
+  matchNodes,
+  collapseMaterials,
+  defaultStatus
+} = require('./materialTaxonomy');
+const { getStream, detectStream, rejectedStreams } = require('./disposalStreams');
+const { normalizeText } = require('./materialMatcher');
+const {
+  detectConditions,
+  detectGeneralConditions,
+  mergeConditions,
+  applyConditions
+} = require('./ruleConditions');
+const {
+  findLocationAnchors,
+  evidenceWeight,
+  scoreMaterialLists,
+  scorePlastics
+} = require('./confidenceScorer');
 
 // ============================================
 // MATERIAL DATABASE
 // ============================================
-// Maps canonical material names to their variations.
+// Flat view of the material taxonomy (materialTaxonomy.js):
+// canonical material name -> variations, split by usual status.
 // This helps us match different ways people describe
 // the same material (e.g., "aluminum cans" vs "soda cans").
 // 
-// ADD NEW MATERIALS HERE if you want to expand coverage.
+// ADD NEW MATERIALS in materialTaxonomy.js — this is derived.
 // ============================================
 
-const MATERIAL_DATABASE = {
-  // Materials that CAN typically be recycled curbside
-  accepted: {
-    'Cardboard': ['cardboard', 'corrugated', 'boxes'],
-    'Paper': ['paper', 'office paper', 'junk mail', 'mail'],
-    'Newspaper': ['newspaper', 'newspapers', 'newsprint'],
-    'Magazines': ['magazines', 'catalogs', 'catalogues'],
-    'Aluminum Cans': ['aluminum cans', 'aluminum', 'soda cans', 'beer cans'],
-    'Glass Bottles': ['glass bottles', 'glass jars', 'glass containers'],
-    'Glass': ['glass'],
-    'Plastic Bottles': ['plastic bottles', 'water bottles', 'soda bottles'],
-    'Plastic Containers': ['plastic containers', 'plastic tubs', 'plastic jugs'],
-    'Metal Cans': ['metal cans', 'tin cans', 'steel cans', 'food cans'],
-    'Cartons': ['cartons', 'milk cartons', 'juice cartons', 'beverage cartons'],
-    'Rigid Plastics': ['rigid plastics', 'hard plastics', 'plastic #1', 'plastic #2', 'pete', 'hdpe']
-  },
-
-  // Materials that are commonly NOT accepted in curbside recycling
-  notAccepted: {
-    'Plastic Bags': ['plastic bags', 'grocery bags', 'shopping bags', 'film plastic'],
-    'Styrofoam': ['styrofoam', 'polystyrene', 'foam', 'packing peanuts'],
-    'Food Waste': ['food waste', 'food scraps', 'food-soiled', 'food contaminated'],
-    'Electronics': ['electronics', 'e-waste', 'computers', 'phones', 'tvs'],
-    'Batteries': ['batteries', 'battery'],
-    'Hazardous Waste': ['hazardous', 'toxic', 'chemicals', 'pesticides'],
-    'Yard Waste': ['yard waste', 'grass clippings', 'leaves', 'branches'],
-    'Textiles': ['textiles', 'clothing', 'clothes', 'fabric'],
-    'Diapers': ['diapers', 'sanitary products'],
-    'Ceramics': ['ceramics', 'pottery', 'dishes', 'china'],
-    'Mirrors': ['mirrors', 'window glass', 'broken glass'],
-    'Light Bulbs': ['light bulbs', 'bulbs', 'fluorescent'],
-    'Tanglers': ['hoses', 'cords', 'wires', 'chains', 'tanglers'],
-    'Scrap Metal': ['scrap metal', 'large metal', 'metal furniture']
-  }
-};
-
-// Words that indicate something is NOT accepted
-const REJECTION_PATTERNS = [
-  'not accepted', 'do not', "don't", 'cannot', 'no ', 'never', 'prohibited', 'banned'
-];
+const MATERIAL_DATABASE = { accepted: {}, notAccepted: {} };
+for (const node of listMaterialNodes()) {
+  MATERIAL_DATABASE[node.status][node.name] = node.terms;
+}
 
 // Items that are almost universally not recyclable curbside
 const ALWAYS_NOT_ACCEPTED = ['plastic bags', 'styrofoam', 'batteries', 'electronics', 'hazardous'];
@@ -85,170 +103,502 @@ const ALWAYS_NOT_ACCEPTED = ['plastic bags', 'styrofoam', 'batteries', 'electron
  * Get recycling rules for a ZIP code
  * 
  * This is the main entry point for the recycling service.
- * It orchestrates the search and parsing process.
+ * Curated (hand-verified) rule sets always win. Otherwise it
+ * serves rules from the SQLite cache when possible and only
+ * searches (and re-parses) when the cache is empty, expired,
+ * or a refresh is forced.
+ * 
+ * meta.resolvedBy tells the caller which path produced the rules:
+ * - "curated" → an admin-maintained rule set covers this ZIP
+ * - "search"  → scraped from search results (possibly cached)
+ * 
+ * CACHE BEHAVIOR (see rulesCacheService.js):
+ * - fresh entry  → served directly            (meta.cache.status = "hit")
+ * - stale entry  → served, refreshed in background (meta.cache.status = "stale")
+ * - no entry     → searched synchronously      (meta.cache.status = "miss")
+ * - refresh=true → searched synchronously      (meta.cache.status = "refresh")
+ * - search broken → last cached entry, however old (meta.cache.status = "fallback")
+ * 
+ * Every freshly searched or curated resolution is recorded in the
+ * rules history (rulesHistoryService) — cache hits are copies of an
+ * already-recorded version.
  * 
- * @param {string} zip - 5-digit US ZIP code
+ * meta.search = { provider, status } tells which provider produced the
+ * rules and whether it found anything ("ok" | "empty").
+ * 
+ * County and state rules (jurisdictionService) are layered on AFTER
+ * the cache and history: they cover many ZIPs and change on their own
+ * schedule, so they are never baked into a ZIP's cached rules.
+ * 
+ * Locations outside the US come in as location keys ("CA-K1A0B1",
+ * see utils/validators.js) and go through the same path.
+ * 
+ * EXTRACTION MODE (see llmRuleExtractor.js):
+ * Searched rules are extracted by keyword scanning, or by a local model
+ * when RULES_EXTRACTION_MODE=llm or options.extraction = "llm".
+ * meta.extraction = { requested, mode, fallback?, claims? } tells which
+ * one produced the rules — mode is "keyword" when the model was
+ * unavailable or none of its claims checked out. Asking for a mode
+ * explicitly skips cached rules extracted with the other one.
+ * 
+ * @param {string} zip - Location key: 5-digit US ZIP, or "CA-K1A0B1" / "GB-SW1A1AA"
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Bypass the cache and search again
+ * @param {string} [options.state] - State from the geocoder (FIPS code, postal code or name);
+ *        otherwise inferred from the ZIP
+ * @param {string} [options.county] - County FIPS code from the geocoder ("059" or "13059")
+ * @param {string} [options.extraction] - "keyword" | "llm" (default: RULES_EXTRACTION_MODE)
  * @returns {Promise<Object>} Structured recycling rules
+ * @throws {SearchError} If the search provider fails and nothing is cached
  * 
  * @example
  * const rules = await getRecyclingRules('90210');
- * // Returns: { location, accepted, not_accepted, tips, sources, meta }
+ * // Returns: { location, place, accepted, not_accepted, tips, sources, jurisdictions, bottleBill, meta }
  */
-async function getRecyclingRules(zip) {
-  // Step 1: Search Google for recycling information
-  const searchResults = await searchGoogle(zip);
+async function getRecyclingRules(zip, options = {}) {
+  const { refresh = false, state = null, county = null, extraction = null } = options;
 
-  // Step 2: Check if we found anything
-  if (searchResults.length === 0) {
-    return {
-      location: `ZIP ${zip}`,
-      accepted: [],
-      not_accepted: [],
-      tips: [],
-      sources: [],
-      meta: { sourcesAnalyzed: 0, materialsFound: 0 },
-      error: 'No recycling info found for this area'
-    };
+  const rules = await resolveZipRules(zip, refresh, extraction);
+  return { ...applyJurisdictions(zip, rules, { state, county }), place: lookupPlace(zip) };
+}
+
+/**
+ * Resolve a ZIP's own rules: curated, cached or searched
+ * 
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {boolean} refresh - Bypass the cache and search again
+ * @param {string|null} extraction - Requested extraction mode, null for the configured one
+ * @returns {Promise<Object>} Structured recycling rules (ZIP level only)
+ * @throws {SearchError} If the search provider fails and nothing is cached
+ */
+async function resolveZipRules(zip, refresh, extraction) {
+  // Curated rules are authoritative — no search, no cache needed
+  const curated = findRuleSetForZip(zip);
+  if (curated) {
+    const rules = ruleSetToRules(curated);
+    recordSnapshot(zip, { ...rules, meta: { ...rules.meta, resolvedBy: 'curated' } });
+    return { ...rules, meta: { ...rules.meta, resolvedBy: 'curated' } };
+  }
+
+  if (!refresh) {
+    const cached = getCachedRules(zip);
+
+    // Rules cached before extraction modes existed were keyword-extracted
+    const cachedMode = cached && cached.rules.meta && cached.rules.meta.extraction
+      ? cached.rules.meta.extraction.requested
+      : 'keyword';
+
+    if (cached && (!extraction || cachedMode === extraction)) {
+      // Stale entries are still served, but we kick off a refresh
+      // so the next request gets fresh data
+      if (cached.isStale) {
+        revalidateInBackground(zip, cachedMode);
+      }
+
+      return withCacheMeta(cached.rules, {
+        status: cached.isStale ? 'stale' : 'hit',
+        cachedAt: cached.fetchedAt,
+        expiresAt: cached.expiresAt
+      });
+    }
+  }
+
+  let lookup;
+  try {
+    lookup = await fetchAndCacheRules(zip, extraction || getExtractionMode());
+  } catch (error) {
+    if (!(error instanceof SearchError)) throw error;
+
+    // The provider is down / out of quota — old rules beat no rules
+    const fallback = getCachedRules(zip, { allowExpired: true });
+    if (!fallback) throw error;
+
+    console.error(`Search failed for ZIP ${zip} (${error.code}), serving cached rules:`, error.message);
+
+    const rules = withCacheMeta(fallback.rules, {
+      status: 'fallback',
+      cachedAt: fallback.fetchedAt,
+      expiresAt: fallback.expiresAt
+    });
+    rules.meta.searchError = { code: error.code, provider: error.provider, message: error.message };
+    return rules;
+  }
+
+  const { rules, cacheInfo } = lookup;
+
+  return withCacheMeta(rules, {
+    status: refresh ? 'refresh' : 'miss',
+    cachedAt: cacheInfo ? cacheInfo.fetchedAt : null,
+    expiresAt: cacheInfo ? cacheInfo.expiresAt : null
+  });
+}
+
+// In-flight lookups per "zip:extraction", so concurrent requests share
+// one search — but an "llm" request never gets a keyword lookup's rules
+const pendingLookups = new Map();
+
+/**
+ * Search for a ZIP, extract rules, and store them in the cache
+ * 
+ * Concurrent calls for the same ZIP and extraction mode share a single search.
+ * Empty results are NOT cached (search coverage changes — we
+ * don't want to pin "nothing found" for a week). Provider
+ * failures are thrown as SearchError and never cached either.
+ * 
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {string} extraction - "keyword" | "llm"
+ * @returns {Promise<{rules: Object, cacheInfo: Object|null}>}
+ * @throws {SearchError} If the search provider fails
+ */
+function fetchAndCacheRules(zip, extraction) {
+  const key = `${zip}:${extraction}`;
+  if (pendingLookups.has(key)) {
+    return pendingLookups.get(key);
+  }
+
+  const lookup = (async () => {
+    // Step 1: Search for recycling information (throws SearchError if the provider is broken)
+    const search = await searchRecyclingInfo(zip);
+    const searchMeta = { provider: search.provider, status: search.status };
+
+    // Step 2: Check if we found anything
+    if (search.status === 'empty') {
+      return {
+        rules: {
+          location: describeZip(zip),
+          accepted: [],
+          not_accepted: [],
+          tips: [],
+          sources: [],
+          meta: { sourcesAnalyzed: 0, materialsFound: 0, search: searchMeta },
+          error: 'No recycling info found for this area'
+        },
+        cacheInfo: null
+      };
+    }
+
+    // Step 3: Download the full pages — snippets alone rarely list everything.
+    // Providers with recorded pages (fixtures) serve them instead of the network.
+    const provider = getSearchProvider();
+    const searchResults = await enrichResultsWithPages(
+      search.results,
+      provider.loadPage ? { loadPage: provider.loadPage } : {}
+    );
+
+    // Step 4: Extract structured rules from search results + page text
+    const extracted = await extractRulesWithMode(zip, searchResults, extraction);
+    const rules = { ...extracted, meta: { ...extracted.meta, search: searchMeta } };
+
+    // Step 5: Cache rules + raw results for next time
+    const cacheInfo = setCachedRules(zip, rules, searchResults);
+
+    // Step 6: Version the rules so program changes show up in the history
+    recordSnapshot(zip, { ...rules, meta: { ...rules.meta, resolvedBy: 'search' } });
+
+    return { rules, cacheInfo };
+  })();
+
+  pendingLookups.set(key, lookup);
+  lookup.then(
+    () => pendingLookups.delete(key),
+    () => pendingLookups.delete(key)
+  );
+
+  return lookup;
+}
+
+/**
+ * Refresh a stale cache entry without blocking the caller
+ * 
+ * Errors are logged, not thrown — the caller already has
+ * (stale) rules to work with.
+ * 
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {string} extraction - Extraction mode the cached rules were requested with
+ */
+function revalidateInBackground(zip, extraction) {
+  if (pendingLookups.has(`${zip}:${extraction}`)) return;
+
+  fetchAndCacheRules(zip, extraction).catch(err => {
+    console.error(`Background refresh failed for ZIP ${zip}:`, err.message);
+  });
+}
+
+/**
+ * Attach cache hit/miss info to the rules' meta block
+ * 
+ * @param {Object} rules - Structured recycling rules
+ * @param {Object} cache - { status, cachedAt, expiresAt } (timestamps in ms)
+ * @returns {Object} Copy of rules with meta.cache set
+ */
+function withCacheMeta(rules, cache) {
+  return {
+    ...rules,
+    meta: {
+      ...rules.meta,
+      resolvedBy: 'search',
+      cache: {
+        status: cache.status,
+        cachedAt: cache.cachedAt ? new Date(cache.cachedAt).toISOString() : null,
+        expiresAt: cache.expiresAt ? new Date(cache.expiresAt).toISOString() : null
+      }
+    }
+  };
+}
+
+/**
+ * Extract rules in the requested mode, falling back to keywords
+ * 
+ * @param {string} zip - Location key, for location detection
+ * @param {Array} searchResults - Array of { title, url, snippet, pageText? }
+ * @param {string} mode - "keyword" | "llm"
+ * @returns {Promise<Object>} extractRules() output with meta.extraction set
+ */
+async function extractRulesWithMode(zip, searchResults, mode) {
+  const withExtraction = (rules, extraction) => ({ ...rules, meta: { ...rules.meta, extraction } });
+
+  if (mode !== 'llm') {
+    return withExtraction(extractRules(zip, searchResults), { requested: mode, mode: 'keyword' });
+  }
+
+  const llm = await extractMentionsWithLlm(
+    searchResults.map(result => ({ url: result.url, text: getResultText(result) }))
+  );
+
+  if (llm.status === 'ok') {
+    return withExtraction(
+      extractRules(zip, searchResults, { mentionsByUrl: llm.mentionsByUrl }),
+      { requested: 'llm', mode: 'llm', claims: llm.claims }
+    );
   }
 
-  // Step 3: Extract structured rules from search results
-  return extractRules(zip, searchResults);
+  console.warn(`LLM extraction failed for ZIP ${zip} (${llm.reason}), using keywords:`, llm.message);
+
+  return withExtraction(extractRules(zip, searchResults), {
+    requested: 'llm',
+    mode: 'keyword',
+    fallback: { reason: llm.reason, message: llm.message },
+    ...(llm.claims ? { claims: llm.claims } : {})
+  });
 }
 
 /**
  * Extract structured recycling rules from raw search results
  * 
  * This is where the magic happens — we parse Google snippets
- * to extract specific recyclable materials and instructions.
+ * (and the full page text, when it was fetched) to extract
+ * specific recyclable materials and instructions.
  * 
- * @param {string} zip - ZIP code for location detection
- * @param {Array} searchResults - Array of { title, url, snippet }
+ * Material mentions come from the keyword classifier, unless
+ * options.mentionsByUrl brings verified model mentions
+ * (llmRuleExtractor) — resin code runs are always read by the
+ * classifier, the model doesn't report them.
+ * 
+ * @param {string} zip - Location key, for location detection
+ * @param {Array} searchResults - Array of { title, url, snippet, pageText? }
+ * @param {Object} [options]
+ * @param {Map<string, Array>} [options.mentionsByUrl] - Source URL -> material mentions
+ *        to use instead of the classifier's
  * @returns {Object} Structured recycling rules with confidence levels
  */
-function extractRules(zip, searchResults) {
+function extractRules(zip, searchResults, options = {}) {
+  const { mentionsByUrl = null } = options;
+
   // ----------------------------------------------------------------
   // Track materials found and which sources mentioned them
   // ----------------------------------------------------------------
   // We use Maps to track:
   // - Which materials were found
-  // - How many different sources mentioned each material
+  // - Which sources mentioned each material, and what they said
   // - Any special notes/instructions for each material
   // ----------------------------------------------------------------
-  const acceptedBySource = new Map();    // material -> Set of source URLs
-  const notAcceptedBySource = new Map(); // material -> Set of source URLs
+  const acceptedBySource = new Map();    // material -> Map of source URL -> { quote, weight }
+  const notAcceptedBySource = new Map(); // material -> Map of source URL -> { quote, weight }
   const restrictionNotes = new Map();    // material -> extracted notes
+  const localStreams = new Map();        // material -> Set of streams the sources named
+  const plasticsByCode = new Map();      // "code:status" -> { code, status, forms, anyForm, sources }
+  const conditionsByMaterial = new Map(); // material -> conditions on accepting it (ruleConditions)
+  const colorRejections = new Map();     // material -> Map of source URL -> { quote, weight }
+  let generalConditions = [];            // conditions on every material, or a whole group
 
   // ----------------------------------------------------------------
   // Process each search result
   // ----------------------------------------------------------------
+  // Every term we know, tagged with its canonical name and default category
+  const lexicon = buildLexicon();
+  const titlesByUrl = new Map();
+
+  // Where these results are about (from the bundled ZIP dataset) —
+  // mentions near the ZIP / postal code, city or county count more
+  const place = lookupZip(zip);
+  const location = describeZip(zip);
+  const postalCode = parseLocationKey(zip)?.postalCode || zip;
+
   for (const result of searchResults) {
-    const text = (result.snippet || '').toLowerCase();
     const url = result.url;
+    const text = getResultText(result);
+    const anchors = findLocationAnchors(text, postalCode, location, place ? place.county : null);
+    titlesByUrl.set(url, result.title);
+
+    // ----------------------------------------------------------------
+    // Classify each mention on its own
+    // ----------------------------------------------------------------
+    // The classifier scopes negation to the phrase it governs, so
+    // "we accept cardboard; no plastic bags" only rejects the bags.
+    // ----------------------------------------------------------------
+    const classified = classifyMentions(text, lexicon);
+    const mentions = mentionsByUrl
+      ? [...classified.filter(mention => mention.kind === 'resin'), ...(mentionsByUrl.get(url) || [])]
+      : classified;
+
+    // Size and color rules in sentences that name no material
+    // ("nothing smaller than a credit card") cover everything
+    const mentionedSegments = new Set(classified.map(mention => mention.segment));
+    for (const segment of segmentText(text)) {
+      if (mentionedSegments.has(segment.text.trim())) continue;
+      generalConditions = mergeGeneralConditions(generalConditions, detectGeneralConditions(segment.text));
+    }
 
-    // Check for accepted materials
-    for (const [canonical, variations] of Object.entries(MATERIAL_DATABASE.accepted)) {
-      for (const term of variations) {
-        if (text.includes(term)) {
-          // Add this source to the material's source set
-          if (!acceptedBySource.has(canonical)) {
-            acceptedBySource.set(canonical, new Set());
-          }
-          acceptedBySource.get(canonical).add(url);
-
-          // Try to extract any special instructions
-          extractNotes(text, term, canonical, restrictionNotes);
-          break; // Found a match, move to next material category
-        }
+    for (const mention of mentions) {
+      // How much this mention counts: source authority × location proximity
+      const weight = evidenceWeight(url, mention.index, anchors);
+
+      // Resin code runs ("#1, #2 and #5 tubs") are tracked per code
+      if (mention.kind === 'resin') {
+        recordResinMention(mention, url, weight, plasticsByCode);
+        continue;
       }
-    }
 
-    // Check for not accepted materials
-    const hasRejectionContext = REJECTION_PATTERNS.some(p => text.includes(p));
+      const { canonical, term, category, polarity } = mention;
+      // "Food scraps go in the green cart" — somewhere other than curbside
+      const stream = detectStream(mention.clause);
+      let target = null;
+
+      if (polarity === 'not_accepted' || stream) {
+        target = notAcceptedBySource;
+      } else if (category === 'accepted' || polarity === 'accepted') {
+        // Explicitly accepted, or a normally-recyclable material mentioned plainly
+        target = acceptedBySource;
+      } else if (ALWAYS_NOT_ACCEPTED.some(a => term.includes(a))) {
+        // Universally non-recyclable items count even without rejection language
+        target = notAcceptedBySource;
+      }
 
-    for (const [canonical, variations] of Object.entries(MATERIAL_DATABASE.notAccepted)) {
-      for (const term of variations) {
-        if (text.includes(term)) {
-          // Only count as "not accepted" if:
-          // 1. There's rejection language in the text, OR
-          // 2. It's a universally non-recyclable item
-          if (hasRejectionContext || ALWAYS_NOT_ACCEPTED.some(a => term.includes(a))) {
-            if (!notAcceptedBySource.has(canonical)) {
-              notAcceptedBySource.set(canonical, new Set());
-            }
-            notAcceptedBySource.get(canonical).add(url);
-            extractNotes(text, term, canonical, restrictionNotes);
-          }
-          break;
+      if (!target) continue;
+
+      // "No black plastic containers" rejects a color, not the material
+      const color = target === notAcceptedBySource && !stream ? colorQualifier(mention) : null;
+      if (color) {
+        addConditions(conditionsByMaterial, canonical, [color]);
+        if (!colorRejections.has(canonical)) colorRejections.set(canonical, new Map());
+        recordEvidence(colorRejections.get(canonical), url, mention, weight);
+        continue;
+      }
+
+      // Remember this source and the span that triggered the rule
+      // (best-weighted mention per source)
+      if (!target.has(canonical)) {
+        target.set(canonical, new Map());
+      }
+      recordEvidence(target.get(canonical), url, mention, weight);
+
+      if (stream) {
+        if (!localStreams.has(canonical)) localStreams.set(canonical, new Set());
+        localStreams.get(canonical).add(stream);
+      }
+
+      // Conditions the model read from the quote, otherwise any
+      // special instructions in the same segment
+      if (mention.conditions && mention.conditions.length > 0) {
+        if (!restrictionNotes.has(canonical)) {
+          const formatted = mention.conditions.join(', ');
+          restrictionNotes.set(canonical, formatted.charAt(0).toUpperCase() + formatted.slice(1));
         }
+      } else {
+        extractNotes(mention.segment.toLowerCase(), mention.match.toLowerCase(), canonical, restrictionNotes);
+      }
+
+      // Strings attached to accepting it: "if not greasy", "caps on" —
+      // read from the phrase about this material, so one item's
+      // condition in a list doesn't spread to the others
+      if (target === acceptedBySource) {
+        const conditionText = mention.conditions && mention.conditions.length > 0
+          ? mention.conditions.join('; ')
+          : mention.phrase || mention.segment;
+        addConditions(conditionsByMaterial, canonical, detectConditions(conditionText));
       }
     }
   }
 
   // ----------------------------------------------------------------
-  // Build the accepted materials list
+  // Keep color rejections nothing else accepts
   // ----------------------------------------------------------------
-  // Materials confirmed by 2+ sources get "high" confidence
-  // Single-source materials get "medium" confidence
+  // "No black plastic containers" alone is still a rule: the material
+  // is rejected on that condition (the rest of it isn't)
   // ----------------------------------------------------------------
-  const accepted = [];
-  const singleSourceAccepted = [];
-
-  for (const [material, sources] of acceptedBySource) {
-    const item = {
-      material,
-      notes: restrictionNotes.get(material) || '',
-      confidence: sources.size >= 2 ? 'high' : 'medium',
-      sourceCount: sources.size
-    };
-
-    if (sources.size >= 2) {
-      accepted.push(item);
-    } else {
-      singleSourceAccepted.push(item);
-    }
-  }
-
-  // Sort: multi-source first, then alphabetically
-  accepted.sort((a, b) => b.sourceCount - a.sourceCount || a.material.localeCompare(b.material));
-  singleSourceAccepted.sort((a, b) => a.material.localeCompare(b.material));
-
-  // Append single-source items with a verification note
-  for (const item of singleSourceAccepted) {
-    item.notes = item.notes || 'Verify with local guidelines';
-    accepted.push(item);
+  const rejectedConditions = new Map(); // material -> conditions its rejection is limited to
+  for (const [material, sources] of colorRejections) {
+    if (acceptedBySource.has(material) || notAcceptedBySource.has(material)) continue;
+    notAcceptedBySource.set(material, sources);
+    rejectedConditions.set(material, conditionsByMaterial.get(material));
   }
 
   // ----------------------------------------------------------------
-  // Build the not accepted materials list
+  // Build the accepted / not accepted materials lists
   // ----------------------------------------------------------------
-  const notAccepted = [];
-  for (const [material, sources] of notAcceptedBySource) {
-    notAccepted.push({
-      material,
-      notes: restrictionNotes.get(material) || 'Check local drop-off options',
-      confidence: sources.size >= 2 ? 'high' : 'medium',
-      sourceCount: sources.size
-    });
-  }
-  notAccepted.sort((a, b) => b.sourceCount - a.sourceCount || a.material.localeCompare(b.material));
+  // Every rejected material also gets its disposal streams: what the
+  // sources said first, then where it usually goes
+  const accepted = [...acceptedBySource].map(([material, sources]) => ({
+    material,
+    notes: restrictionNotes.get(material) || '',
+    ...(conditionsByMaterial.has(material) ? { conditions: conditionsByMaterial.get(material) } : {}),
+    sourceCount: sources.size,
+    streams: ['curbside'],
+    evidence: toEvidence(sources, titlesByUrl)
+  }));
+
+  const notAccepted = [...notAcceptedBySource].map(([material, sources]) => ({
+    material,
+    notes: restrictionNotes.get(material) || '',
+    ...(rejectedConditions.has(material) ? { conditions: rejectedConditions.get(material) } : {}),
+    sourceCount: sources.size,
+    streams: rejectedStreams(material, [...(localStreams.get(material) || [])]),
+    evidence: toEvidence(sources, titlesByUrl)
+  }));
 
   // ----------------------------------------------------------------
-  // Deduplicate materials
+  // Score each rule (0–1) from its evidence
   // ----------------------------------------------------------------
-  // Remove overlaps like "Glass" when "Glass Bottles" already exists
+  // An official .gov page near the ZIP counts for more than a blog,
+  // agreeing sources add up, and a material found in both lists is
+  // penalized on both sides and reported as a conflict. Each material
+  // is scored on its own evidence, before collapsing — "No mirrors"
+  // says nothing about the rest of the glass.
   // ----------------------------------------------------------------
-  const deduplicatedAccepted = deduplicateMaterials(accepted);
-  const deduplicatedNotAccepted = deduplicateMaterials(notAccepted);
+  const scored = scoreMaterialLists(accepted, notAccepted);
 
   // ----------------------------------------------------------------
-  // Extract location
+  // Collapse materials by taxonomy
   // ----------------------------------------------------------------
-  const location = extractLocation(zip, searchResults);
+  // "Glass Bottles" folds into "Glass" when both are accepted, but
+  // "Plastic Bottles" and "Plastic Bags" stay separate (siblings), and
+  // a child better supported than its parent keeps its own entry
+  // ----------------------------------------------------------------
+  const collapsedAccepted = collapseMaterials(scored.accepted);
+  const collapsedNotAccepted = collapseMaterials(scored.notAccepted);
+
+  // Anything short of high confidence gets a verification note
+  for (const item of collapsedAccepted) {
+    if (item.confidence !== 'high') {
+      item.notes = item.notes || 'Verify with local guidelines';
+    }
+  }
 
   // ----------------------------------------------------------------
-  // Extract tips
+  // Extract tips and the collection schedule
   // ----------------------------------------------------------------
   const tips = extractTips(searchResults);
+  const schedule = parseSchedule(searchResults);
 
   // ----------------------------------------------------------------
   // Deduplicate sources
@@ -258,20 +608,54 @@ function extractRules(zip, searchResults) {
   // ----------------------------------------------------------------
   // Clean up output format
   // ----------------------------------------------------------------
-  // Remove internal tracking fields (sourceCount) from final output
+  // Remove internal tracking fields (sourceCount) from final output.
+  // evidence = [{ url, title, quote }] — the exact span each source
+  // said, so users can check a surprising rule themselves.
+  // streams = where the material goes, most likely first
+  // ("curbside" for accepted materials; see disposalStreams.js).
+  // conditions = what accepting it depends on (see ruleConditions.js),
+  // or on a rejected material, what the rejection is limited to
+  // ("No black plastic containers")
   // ----------------------------------------------------------------
-  const cleanAccepted = deduplicatedAccepted.map(({ material, notes, confidence }) => ({
+  const cleanAccepted = collapsedAccepted.map(({ material, notes, conditions, confidence, score, includes, streams, evidence }) => ({
     material,
-    notes: notes || (confidence === 'high' ? 'Confirmed by multiple sources' : 'Verify with source'),
-    confidence
+    notes: notes || (confidence === 'high' ? 'Confirmed by reliable sources' : 'Verify with source'),
+    ...(conditions ? { conditions } : {}),
+    confidence,
+    score,
+    ...(includes ? { includes } : {}),
+    streams,
+    evidence
   }));
 
-  const cleanNotAccepted = deduplicatedNotAccepted.map(({ material, notes, confidence }) => ({
+  const cleanNotAccepted = collapsedNotAccepted.map(({ material, notes, conditions, confidence, score, includes, streams, evidence }) => ({
     material,
     notes: notes || 'Check local guidelines for disposal',
-    confidence
+    ...(conditions ? { conditions } : {}),
+    confidence,
+    score,
+    ...(includes ? { includes } : {}),
+    streams,
+    evidence
   }));
 
+  // ----------------------------------------------------------------
+  // Build the per-resin-code plastics rules
+  // ----------------------------------------------------------------
+  // e.g. [{ code: 5, resin: 'PP', status: 'accepted', forms: ['tub'] }]
+  // An empty forms array means "any form".
+  // ----------------------------------------------------------------
+  const scoredPlastics = scorePlastics([...plasticsByCode.values()]
+    .map(({ code, status, forms, anyForm, sources }) => ({
+      code,
+      resin: PLASTIC_RESINS[code].abbr,
+      status,
+      forms: anyForm ? [] : [...forms].sort(),
+      evidence: toEvidence(sources, titlesByUrl)
+    }))
+    .sort((a, b) => a.code - b.code || a.status.localeCompare(b.status)));
+  const plastics = scoredPlastics.plastics;
+
   // ----------------------------------------------------------------
   // Return the final structured result
   // ----------------------------------------------------------------
@@ -279,8 +663,12 @@ function extractRules(zip, searchResults) {
     location,
     accepted: cleanAccepted.length > 0 
       ? cleanAccepted 
-      : [{ material: 'See sources below', notes: 'Could not extract specific materials', confidence: 'low' }],
+      : [{ material: 'See sources below', notes: 'Could not extract specific materials', confidence: 'low', streams: [] }],
     not_accepted: cleanNotAccepted.length > 0 ? cleanNotAccepted : [],
+    plastics,
+    conditions: generalConditions,
+    conflicts: [...scored.conflicts, ...scoredPlastics.conflicts],
+    schedule,
     tips,
     sources,
     meta: {
@@ -294,6 +682,178 @@ function extractRules(zip, searchResults) {
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Flatten MATERIAL_DATABASE into a term list for the classifier
+ * 
+ * @returns {Array<Object>} { term, canonical, category } entries, where category
+ *          is "accepted" or "notAccepted" (the material's usual status),
+ *          plus one { pattern, kind: 'resin' } entry for resin code runs
+ */
+function buildLexicon() {
+  // Resin code runs come first so they win ties with plain terms
+  const lexicon = [{ pattern: RESIN_RUN, kind: 'resin' }];
+
+  for (const category of ['accepted', 'notAccepted']) {
+    for (const [canonical, variations] of Object.entries(MATERIAL_DATABASE[category])) {
+      for (const term of variations) {
+        lexicon.push({ term, canonical, category });
+      }
+    }
+  }
+
+  return lexicon;
+}
+
+/**
+ * Record a resin code run ("#1-#5", "#1, #2 and #5 tubs") for extractRules
+ * 
+ * Plain mentions count as accepted (they're almost always in an
+ * "accepted plastics" sentence); negated ones as not accepted.
+ * 
+ * @param {Object} mention - Classifier mention with kind "resin"
+ * @param {string} url - Source URL
+ * @param {number} weight - Evidence weight of this mention (confidenceScorer)
+ * @param {Map} plasticsByCode - "code:status" -> accumulated rule (sources: URL -> { quote, weight })
+ */
+function recordResinMention(mention, url, weight, plasticsByCode) {
+  const status = mention.polarity === 'not_accepted' ? 'not_accepted' : 'accepted';
+  const start = mention.segment.toLowerCase().indexOf(mention.match.toLowerCase());
+  const forms = formsAroundRun(mention.segment, start, start + mention.match.length);
+
+  for (const code of parseResinRun(mention.match)) {
+    const key = `${code}:${status}`;
+    if (!plasticsByCode.has(key)) {
+      plasticsByCode.set(key, { code, status, forms: new Set(), anyForm: false, sources: new Map() });
+    }
+
+    const entry = plasticsByCode.get(key);
+    recordEvidence(entry.sources, url, mention, weight);
+    if (forms.length === 0) {
+      entry.anyForm = true;
+    } else {
+      forms.forEach(form => entry.forms.add(form));
+    }
+  }
+}
+
+// Longest quote we keep per source — enough for a sentence or list item
+const MAX_QUOTE_LENGTH = 200;
+
+/**
+ * The exact text span that triggered a rule
+ * 
+ * The classifier already scopes each mention to its sentence or list
+ * item, which is exactly what a reader needs to check the rule. List
+ * items keep the heading that gave them their meaning. Long segments
+ * are trimmed around the match.
+ * 
+ * @param {Object} mention - Classifier mention { match, segment, heading? }
+ * @returns {string} Quoted span, whitespace collapsed
+ * 
+ * @example
+ * quoteMention({ match: 'Mirrors', segment: 'Mirrors', heading: 'Not accepted' });
+ * // => "Not accepted: Mirrors"
+ */
+function quoteMention(mention) {
+  const segment = mention.heading ? `${mention.heading}: ${mention.segment}` : mention.segment;
+  const text = segment.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_QUOTE_LENGTH) return text;
+
+  const idx = Math.max(0, text.toLowerCase().indexOf(mention.match.toLowerCase()));
+  const start = Math.max(0, Math.min(idx - MAX_QUOTE_LENGTH / 2, text.length - MAX_QUOTE_LENGTH));
+  const quote = text.slice(start, start + MAX_QUOTE_LENGTH).trim();
+
+  return `${start > 0 ? '…' : ''}${quote}${start + MAX_QUOTE_LENGTH < text.length ? '…' : ''}`;
+}
+
+/**
+ * Keep the best-weighted mention per source for a rule
+ * 
+ * @param {Map} sources - Source URL -> { quote, weight }
+ * @param {string} url - Source URL
+ * @param {Object} mention - Classifier mention
+ * @param {number} weight - Evidence weight of this mention
+ */
+function recordEvidence(sources, url, mention, weight) {
+  const current = sources.get(url);
+  if (!current || weight > current.weight) {
+    sources.set(url, { quote: quoteMention(mention), weight });
+  }
+}
+
+/**
+ * Add conditions to a material's list, keeping the first of each type
+ *
+ * @param {Map<string, Array>} conditionsByMaterial - Material -> conditions
+ * @param {string} material - Canonical material name
+ * @param {Array} conditions - detectConditions() output
+ */
+function addConditions(conditionsByMaterial, material, conditions) {
+  if (conditions.length === 0) return;
+  conditionsByMaterial.set(material, mergeConditions(conditionsByMaterial.get(material) || [], conditions));
+}
+
+/**
+ * Merge general conditions, keeping the first of each type per target
+ *
+ * @param {Array} conditions - Conditions already known
+ * @param {Array} more - detectGeneralConditions() output
+ * @returns {Array}
+ */
+function mergeGeneralConditions(conditions, more) {
+  const merged = [...conditions];
+  for (const condition of more) {
+    if (!merged.some(known => known.type === condition.type && known.appliesTo === condition.appliesTo)) {
+      merged.push(condition);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Color condition behind a rejection like "no black plastic containers"
+ *
+ * @param {Object} mention - Classifier mention
+ * @returns {Object|null} { type: 'color', text, exclude } when a color word
+ *          comes right before the material, null otherwise
+ */
+function colorQualifier(mention) {
+  const clause = mention.clause || '';
+  const at = clause.toLowerCase().indexOf(mention.match.toLowerCase());
+  const color = at > 0 ? clause.slice(0, at).match(/\b(black|dark|colou?red|tinted)\s+$/i) : null;
+  if (!color) return null;
+
+  return {
+    type: 'color',
+    text: `${color[1]} ${mention.match}`,
+    exclude: [color[1].toLowerCase().replace('coloured', 'colored')]
+  };
+}
+
+/**
+ * Turn a URL -> { quote, weight } map into the evidence array we return
+ * 
+ * @param {Map<string, Object>} sources - Source URL -> { quote, weight }
+ * @param {Map<string, string>} titlesByUrl - Source URL -> page title
+ * @returns {Array<{url: string, title: string, quote: string, weight: number}>}
+ */
+function toEvidence(sources, titlesByUrl) {
+  return [...sources].map(([url, { quote, weight }]) => ({ url, title: titlesByUrl.get(url) || url, quote, weight }));
+}
+
+/**
+ * Get all the text we have for a search result
+ * 
+ * The snippet always exists; pageText is only there when
+ * pageFetchService managed to download the page.
+ * 
+ * @param {Object} result - Search result { snippet, pageText? }
+ * @returns {string} Snippet followed by page text
+ */
+function getResultText(result) {
+  return [result.snippet, result.pageText].filter(Boolean).join('\n');
+}
+
 /**
  * Extract contextual notes/instructions for a material
  * 
@@ -301,7 +861,7 @@ function extractRules(zip, searchResults) {
  * actionable instructions like "rinse", "flatten", etc.
  * 
  * @param {string} text - Full snippet text (lowercase)
- * @param {string} term - The search term that was found
+ * @param {string} term - The text that was matched (mention.match, lowercase)
  * @param {string} canonical - The canonical material name
  * @param {Map} notesMap - Map to store extracted notes
  */
@@ -332,102 +892,10 @@ function extractNotes(text, term, canonical, notesMap) {
   }
 }
 
-/**
- * Deduplicate materials to avoid redundancy
- * 
- * For example, if we found both "Glass" and "Glass Bottles",
- * we keep only "Glass Bottles" (more specific).
- * 
- * @param {Array} materials - Array of material objects
- * @returns {Array} Deduplicated array
- */
-function deduplicateMaterials(materials) {
-  const seen = new Set();
-  const result = [];
-
-  // Sort by specificity (longer names = more specific = first priority)
-  const sorted = [...materials].sort((a, b) => b.material.length - a.material.length);
-
-  for (const item of sorted) {
-    const words = item.material.toLowerCase().split(' ');
-    
-    // Check if any word in this material is already in a seen material
-    const isDuplicate = words.some(word =>
-      [...seen].some(seenMaterial =>
-        seenMaterial.toLowerCase().includes(word) && word.length > 3
-      )
-    );
-
-    if (!isDuplicate) {
-      seen.add(item.material);
-      result.push(item);
-    }
-  }
-
-  // Re-sort by source count (confidence)
-  return result.sort((a, b) => (b.sourceCount || 0) - (a.sourceCount || 0));
-}
-
-/**
- * Extract location name from search results
- * 
- * Tries multiple strategies:
- * 1. Look for "City, ST" pattern in titles
- * 2. Look for city names in titles
- * 3. Extract from URL domain
- * 
- * @param {string} zip - ZIP code (fallback)
- * @param {Array} searchResults - Search results to analyze
- * @returns {string} Location name
- */
-function extractLocation(zip, searchResults) {
-  let location = `ZIP ${zip}`;
-
-  for (const result of searchResults) {
-    // Strategy 1: Look for "| City, ST" pattern in title
-    const titleMatch = result.title.match(/\|\s*([A-Za-z\s]+,\s*[A-Z]{2})\s*$/) ||
-                       result.title.match(/([A-Za-z\s]+(?:City|County|Town|Village|Borough))/i);
-    if (titleMatch) {
-      location = titleMatch[1].trim();
-      break;
-    }
-
-    // Strategy 2: Extract from URL domain
-    const urlMatch = result.url.match(/(?:www\.)?([a-z]+)(?:city|county|town|village)?\.(gov|org)/i);
-    if (urlMatch) {
-      let city = urlMatch[1];
-      
-      // Common city name mappings (URLs often concatenate words)
-      const cityMappings = {
-        'beverlyhills': 'Beverly Hills',
-        'losangeles': 'Los Angeles',
-        'newyork': 'New York',
-        'sanfrancisco': 'San Francisco',
-        'sandiego': 'San Diego',
-        'santamonica': 'Santa Monica',
-        'longbeach': 'Long Beach'
-      };
-
-      if (cityMappings[city.toLowerCase()]) {
-        city = cityMappings[city.toLowerCase()];
-      } else {
-        // Try to split camelCase or just capitalize
-        city = city.replace(/([a-z])([A-Z])/g, '$1 $2');
-        city = city.charAt(0).toUpperCase() + city.slice(1);
-      }
-
-      location = city;
-      break;
-    }
-  }
-
-  return location;
-}
-
 /**
  * Extract recycling tips from search results
  * 
- * Looks for common recycling instructions in snippets
+ * Looks for common recycling instructions in snippets and page text
  * like "rinse containers", "flatten cardboard", etc.
  * 
  * @param {Array} searchResults - Search results to analyze
@@ -448,7 +916,7 @@ function extractTips(searchResults) {
   const foundTips = new Set();
 
   for (const result of searchResults) {
-    const text = result.snippet || '';
+    const text = getResultText(result);
     for (const { pattern, tip } of tipPatterns) {
       if (pattern.test(text)) {
         foundTips.add(tip);
@@ -500,169 +968,177 @@ function deduplicateSources(searchResults) {
 /**
  * Compare detected materials against recycling rules
  * 
- * @param {Array} detectedItems - Items from AI analysis [{name, materials, confidence, preparation}]
+ * Every material (and item) also gets a disposal stream — where it
+ * should go: "curbside" when recyclable, otherwise compost, hazardous
+ * waste drop-off, retail take-back, trash... (see disposalStreams.js).
+ * An item's stream is that of its first material that can't go
+ * curbside, since that's the part needing a special trip.
+ * 
+ * MULTI-PART ITEMS:
+ * Items may list their parts instead of (or besides) plain materials —
+ * a coffee cup is a paper cup, a plastic lid and a cardboard sleeve:
+ *   components: [{ name: "lid", material: "polystyrene", removable: true }, ...]
+ * Each part gets its own verdict and stream, plus step-by-step
+ * `instructions` ("Separate the lid", "Recycle the cup and sleeve
+ * curbside", "Put the lid in the trash"). A part that can't be
+ * recycled only sinks the item when it can't be taken off — otherwise
+ * the item is "separate": recyclable once the part is removed.
+ * 
+ * CONDITIONAL RULES:
+ * Rules may come with conditions (ruleConditions.js) — "pizza boxes
+ * if not greasy", "nothing smaller than a credit card", "no black
+ * plastic". Until the user answers, such a material (and its item) is
+ * "conditional" and lists its questions:
+ *   questions: [{ key: "clean", question: "Is it clean and empty...?", passIf: true, rule: "not greasy" }]
+ * Send the answers back on the item to get the final verdict:
+ *   { name: "pizza box", materials: ["cardboard"], answers: { clean: false } }
+ * A wrong answer makes it "not_recyclable" (a greasy pizza box → compost
+ * or trash). Parts are asked about by "<part>.<type>" keys ("lid.clean").
+ * Conditions that only say how to put it out ("flatten", "caps on")
+ * become the material's `preparation` steps.
+ * 
+ * In bottle bill states (recyclingRules.bottleBill), beverage
+ * containers also get a `deposit` — the refund and where to redeem
+ * it (see containerDeposits.js).
+ * 
+ * @param {Array} detectedItems - Items from AI analysis
+ *        [{ name, materials, components?, answers?, confidence, preparation }]
  * @param {Object} recyclingRules - Rules from getRecyclingRules()
+ * @param {Object} [options]
+ * @param {boolean} [options.explain] - Give every material an `explanation`: the
+ *        taxonomy nodes / resin its words matched, every rule considered (the
+ *        ZIP's or the global default) and the one that won — see explainTaxonomy()
  * @returns {Object} Comparison results with recyclability for each item
+ *          items: [{ name, overallStatus, stream, deposit, materials: [{ material, status, stream, streams, ... }] }]
+ *          overallStatus: "recyclable" | "not_recyclable" | "separate" | "conditional" | "check_locally"
+ *          stream: { id, name, icon, instructions, mapQuery } (null when unknown)
+ *          deposit: { state, program, value, label, confirmed, redemption, ... } (null when none)
+ *          items with parts also have components: [{ name, removable, material, status, stream, ... }]
+ *          and instructions: [{ action, parts, stream, text }]
+ *          (action: "separate" | "recycle" | "dispose" | "check")
+ *          summary.byStream: { curbside: 2, hhw: 1, ... } (items per stream)
+ *          conditional items also have questions: [{ key, type, question, passIf, rule, part? }]
+ *          summary.separate: items recyclable once a part is removed
+ *          summary.conditional: items waiting for answers
+ *          summary.depositEligible: items carrying a container deposit
+ * 
+ * @example
+ * compareMaterials([{
+ *   name: 'coffee cup',
+ *   components: [
+ *     { name: 'cup', material: 'paper', removable: false },
+ *     { name: 'lid', material: 'styrofoam', removable: true }
+ *   ]
+ * }], rules).items[0];
+ * // => { overallStatus: 'separate', stream: { id: 'curbside', ... }, instructions: [
+ * //      { action: 'separate', parts: ['lid'], stream: null, text: 'Separate the lid from the coffee cup' },
+ * //      { action: 'recycle', parts: ['cup'], stream: 'curbside', text: 'Recycle the cup curbside' },
+ * //      { action: 'dispose', parts: ['lid'], stream: 'landfill', text: 'Put the lid in the trash' }
+ * //    ], ... }
  */
-function compareMaterials(detectedItems, recyclingRules) {
+function compareMaterials(detectedItems, recyclingRules, options = {}) {
   if (!detectedItems || !Array.isArray(detectedItems)) {
-    return { items: [], summary: { recyclable: 0, notRecyclable: 0, unknown: 0 } };
+    return { items: [], summary: { recyclable: 0, notRecyclable: 0, unknown: 0, separate: 0, conditional: 0, byStream: {}, depositEligible: 0 } };
   }
 
-  // Build lookup sets for quick matching
-  const acceptedMaterials = new Set();
-  const notAcceptedMaterials = new Set();
-  
-  // Add canonical names and variations to sets
-  for (const [canonical, variations] of Object.entries(MATERIAL_DATABASE.accepted)) {
-    acceptedMaterials.add(canonical.toLowerCase());
-    for (const v of variations) {
-      acceptedMaterials.add(v.toLowerCase());
-    }
-  }
-  
-  for (const [canonical, variations] of Object.entries(MATERIAL_DATABASE.notAccepted)) {
-    notAcceptedMaterials.add(canonical.toLowerCase());
-    for (const v of variations) {
-      notAcceptedMaterials.add(v.toLowerCase());
-    }
-  }
-
-  // Also add materials specifically accepted/not accepted in user's location
-  if (recyclingRules.accepted) {
-    for (const item of recyclingRules.accepted) {
-      acceptedMaterials.add(item.material.toLowerCase());
-    }
-  }
-  if (recyclingRules.not_accepted) {
-    for (const item of recyclingRules.not_accepted) {
-      notAcceptedMaterials.add(item.material.toLowerCase());
-    }
-  }
+  // ----------------------------------------------------------------
+  // Index the location's rules by taxonomy node
+  // ----------------------------------------------------------------
+  // Rule names are usually canonical ("Glass Bottles") but curated
+  // rule sets may use free text ("Glass jars and bottles") — findNode
+  // maps both. Children collapsed into a rule (rule.includes) are
+  // indexed too.
+  // ----------------------------------------------------------------
+  const rules = {
+    accepted: indexRulesByNode(recyclingRules.accepted),
+    notAccepted: indexRulesByNode(recyclingRules.not_accepted),
+    plastics: recyclingRules.plastics,
+    conditions: recyclingRules.conditions || []
+  };
 
   const results = [];
   let recyclableCount = 0;
   let notRecyclableCount = 0;
   let unknownCount = 0;
+  let separateCount = 0;
+  let conditionalCount = 0;
+  let depositCount = 0;
+  const byStream = {};
 
   for (const item of detectedItems) {
-    const itemMaterials = item.materials || [];
-    const itemName = (item.name || '').toLowerCase();
-    const materialResults = [];
-    let itemRecyclable = true;
-    let hasUnknown = false;
-
-    for (const material of itemMaterials) {
-      const materialLower = material.toLowerCase();
-      
-      // Use both item name and material for matching
-      // e.g. item "plastic bottle" with material "plastic" should match "Plastic Bottles"
-      const searchTerms = [itemName, materialLower];
-      
-      let isAccepted = false;
-      let isNotAccepted = false;
-      let matchedRule = null;
-      let acceptedMatchSpecificity = 0;
-      let notAcceptedMatchSpecificity = 0;
-
-      // Check accepted materials - track how specific the match is
-      for (const accepted of acceptedMaterials) {
-        for (const term of searchTerms) {
-          if (term.includes(accepted) || accepted.includes(term)) {
-            // More specific match = longer matched string
-            const specificity = Math.min(term.length, accepted.length);
-            if (specificity > acceptedMatchSpecificity) {
-              acceptedMatchSpecificity = specificity;
-              isAccepted = true;
-              matchedRule = recyclingRules.accepted?.find(r => 
-                r.material.toLowerCase().includes(term) || 
-                term.includes(r.material.toLowerCase())
-              );
-            }
-          }
-        }
-      }
+    const itemName = normalizeText(item.name);
+    const components = normalizeComponents(item.components);
+    // The user's answers to this item's questions ({ clean: true, "lid.clean": false })
+    const answers = item.answers && typeof item.answers === 'object' ? item.answers : {};
 
-      // Check not accepted materials
-      for (const notAccepted of notAcceptedMaterials) {
-        for (const term of searchTerms) {
-          if (term.includes(notAccepted) || notAccepted.includes(term)) {
-            const specificity = Math.min(term.length, notAccepted.length);
-            if (specificity > notAcceptedMatchSpecificity) {
-              notAcceptedMatchSpecificity = specificity;
-              isNotAccepted = true;
-            }
-          }
-        }
-      }
-
-      // The more specific match wins
-      // e.g. "plastic bottle" matching "Plastic Bottles" (accepted, specificity=14) 
-      // beats "plastic" matching "Plastic Bags" (not accepted, specificity=7)
-      if (isAccepted && isNotAccepted) {
-        if (acceptedMatchSpecificity >= notAcceptedMatchSpecificity) {
-          isNotAccepted = false;
-        } else {
-          isAccepted = false;
-          matchedRule = recyclingRules.not_accepted?.find(r => 
-            r.material.toLowerCase().includes(itemName) || 
-            itemName.includes(r.material.toLowerCase()) ||
-            r.material.toLowerCase().includes(materialLower) || 
-            materialLower.includes(r.material.toLowerCase())
-          );
-        }
-      }
-
-      if (isNotAccepted) {
-        itemRecyclable = false;
-        materialResults.push({
-          material,
-          status: 'not_recyclable',
-          recyclable: false,
-          reason: matchedRule?.notes || 'Not accepted in curbside recycling'
-        });
-      } else if (isAccepted) {
-        materialResults.push({
-          material,
-          status: 'recyclable',
-          recyclable: true,
-          notes: matchedRule?.notes || null
-        });
+    let overallStatus;
+    let itemStream;
+    let materialResults;
+    let parts = null;
+
+    if (components) {
+      // ----------------------------------------------------------------
+      // Judge each part on its own — the part's name comes first, so a
+      // "cap" of a "water bottle" is judged as a cap, then as the bottle
+      // ----------------------------------------------------------------
+      parts = components.map(component => ({
+        name: component.name,
+        removable: component.removable,
+        ...judgeMaterial(component.material, `${normalizeText(component.name)} ${itemName}`, rules,
+          { ...options, answers, part: component.name })
+      }));
+      materialResults = parts.map(({ name, removable, ...result }) => result);
+      ({ overallStatus, stream: itemStream } = resolveComponentsStatus(parts));
+    } else {
+      materialResults = (item.materials || []).map(material =>
+        judgeMaterial(material, itemName, rules, { ...options, answers }));
+
+      // Determine overall item recyclability
+      // If any material is accepted and none are explicitly rejected, it's recyclable
+      // (once the user has answered the questions of any conditional one)
+      const rejected = materialResults.find(m => m.status === 'not_recyclable');
+      if (rejected) {
+        overallStatus = 'not_recyclable';
+      } else if (materialResults.some(m => m.status === 'conditional')) {
+        overallStatus = 'conditional';
+      } else if (materialResults.some(m => m.status === 'recyclable')) {
+        overallStatus = 'recyclable';
+      } else if (materialResults.some(m => m.status === 'unknown')) {
+        overallStatus = 'check_locally';
       } else {
-        hasUnknown = true;
-        materialResults.push({
-          material,
-          status: 'unknown',
-          recyclable: 'unknown',
-          reason: 'Material not recognized - check local guidelines'
-        });
+        overallStatus = 'recyclable';
       }
-    }
 
-    // Determine overall item recyclability
-    // If any material is accepted and none are explicitly rejected, it's recyclable
-    let overallStatus;
-    const hasRecyclableMaterial = materialResults.some(m => m.status === 'recyclable');
-    if (!itemRecyclable) {
-      overallStatus = 'not_recyclable';
-      notRecyclableCount++;
-    } else if (hasRecyclableMaterial) {
-      overallStatus = 'recyclable';
-      recyclableCount++;
-    } else if (hasUnknown) {
-      overallStatus = 'check_locally';
-      unknownCount++;
-    } else {
-      overallStatus = 'recyclable';
-      recyclableCount++;
+      // The part needing a special trip decides where the item goes
+      itemStream = rejected
+        ? rejected.stream
+        : (overallStatus === 'recyclable' ? getStream('curbside') : null);
     }
 
+    if (overallStatus === 'recyclable') recyclableCount++;
+    if (overallStatus === 'not_recyclable') notRecyclableCount++;
+    if (overallStatus === 'check_locally') unknownCount++;
+    if (overallStatus === 'separate') separateCount++;
+    if (overallStatus === 'conditional') conditionalCount++;
+    if (itemStream) byStream[itemStream.id] = (byStream[itemStream.id] || 0) + 1;
+
+    // A deposit container is worth more redeemed than put in the cart
+    const deposit = depositFor(
+      parts && !item.materials ? { ...item, materials: parts.map(part => part.material) } : item,
+      recyclingRules.bottleBill
+    );
+    if (deposit) depositCount++;
+
     results.push({
       name: item.name,
       confidence: item.confidence,
       preparation: item.preparation,
       overallStatus,
-      materials: materialResults
+      stream: itemStream,
+      deposit,
+      materials: materialResults,
+      ...(overallStatus === 'conditional' ? { questions: itemQuestions(materialResults) } : {}),
+      ...(parts ? { components: parts, instructions: disassemblySteps(item.name, parts) } : {})
     });
   }
 
@@ -673,26 +1149,663 @@ function compareMaterials(detectedItems, recyclingRules) {
       recyclable: recyclableCount,
       notRecyclable: notRecyclableCount,
       unknown: unknownCount,
-      total: detectedItems.length
+      separate: separateCount,
+      conditional: conditionalCount,
+      total: detectedItems.length,
+      byStream,
+      depositEligible: depositCount
     },
     tips: recyclingRules.tips || []
   };
 }
 
+/**
+ * Judge one material of an item against the local rules
+ * 
+ * @param {string} material - Material as detected ("plastic", "PP", "cardboard")
+ * @param {string} itemName - Item (or "part item") name, normalizeText()-ed, for context
+ * @param {Object} rules - { accepted, notAccepted } (indexRulesByNode), plastics
+ *        and conditions (the location's general conditions)
+ * @param {Object} [options]
+ * @param {boolean} [options.explain] - Attach an `explanation` (explainResin / explainTaxonomy)
+ * @param {Object} [options.answers] - The user's answers to condition questions
+ * @param {string} [options.part] - Part name, when judging one part of an item
+ * @returns {Object} { material, status, recyclable, reason|notes, resin|taxonomy, stream, streams,
+ *          conditions?, questions?, preparation?, explanation? }
+ *          status: "recyclable" | "not_recyclable" | "conditional" | "unknown"
+ */
+function judgeMaterial(material, itemName, rules, options = {}) {
+  // "Botella de plástico" → "plastic bottle", "aluminium" → "aluminum"
+  const materialLower = normalizeText(material);
+
+  // ----------------------------------------------------------------
+  // Plastics with a resin code or polymer name get a per-code verdict
+  // ----------------------------------------------------------------
+  // e.g. "PP" on a "yogurt tub" → #5 PP, form "tub"
+  // Only look at the item name when the material itself says plastic,
+  // so "pet food bag" made of "paper" isn't read as PET.
+  // ----------------------------------------------------------------
+  const materialResin = matchResin(materialLower);
+  const resinMatch = materialResin ||
+    (materialLower.includes('plastic') ? matchResin(itemName) : null);
+
+  if (resinMatch) {
+    const { resin } = resinMatch;
+    const form = findForms(`${itemName} ${materialLower}`)[0] || null;
+    const verdict = resinVerdict(resin, form, rules.plastics);
+    const resinInfo = { code: resin.code, abbr: resin.abbr, name: resin.name, form };
+
+    let result;
+    if (verdict.status === 'not_recyclable') {
+      // "#4 LDPE bag" → Plastic Bags → retail take-back
+      result = {
+        material,
+        status: 'not_recyclable',
+        recyclable: false,
+        reason: verdict.reason,
+        resin: resinInfo,
+        ...streamFields(rejectedStreams(`${itemName} ${materialLower}`))
+      };
+    } else if (verdict.status === 'recyclable') {
+      result = withConditions({
+        material,
+        status: 'recyclable',
+        recyclable: true,
+        notes: verdict.reason,
+        resin: resinInfo,
+        ...streamFields(['curbside'])
+      }, conditionsFor(verdict.rule, ['plastics'], rules.conditions), rejectedStreams(`${itemName} ${materialLower}`), options);
+    } else {
+      result = {
+        material,
+        status: 'unknown',
+        recyclable: 'unknown',
+        reason: verdict.reason,
+        resin: resinInfo,
+        ...streamFields([])
+      };
+    }
+
+    if (!options.explain) return result;
+    const match = { from: materialResin ? 'material' : 'item', text: materialResin ? materialLower : itemName, term: resinMatch.term };
+    return { ...result, explanation: explainResin(resin, form, match, verdict, rules.plastics) };
+  }
+
+  // ----------------------------------------------------------------
+  // Place the material in the taxonomy
+  // ----------------------------------------------------------------
+  // Use both item name and material: item "water bottle" made of
+  // "plastic" is a Plastic Bottle, not just any plastic.
+  // ----------------------------------------------------------------
+  const materialNodes = matchNodes(materialLower);
+  const itemNodes = matchNodes(itemName);
+  const node = pickMoreSpecific(materialNodes.node, itemNodes.node);
+  const verdict = node ? resolveNodeStatus(node, rules.accepted, rules.notAccepted) : null;
+  const taxonomy = node ? { id: node.id, name: node.name } : null;
+
+  let result;
+  if (verdict && verdict.status === 'notAccepted') {
+    result = {
+      material,
+      status: 'not_recyclable',
+      recyclable: false,
+      reason: verdict.rule?.notes || 'Not accepted in curbside recycling',
+      taxonomy,
+      ...streamFields(nodeRejectedStreams(node, verdict.rule))
+    };
+  } else if (verdict && verdict.status === 'accepted') {
+    // A soiled paper item goes in the compost, not the trash
+    const path = [node.id, ...getAncestors(node.id)];
+    const failStreams = path.includes('paper-products') ? ['compost', 'landfill'] : nodeRejectedStreams(node, null);
+    result = withConditions({
+      material,
+      status: 'recyclable',
+      recyclable: true,
+      notes: verdict.rule?.notes || null,
+      taxonomy,
+      ...streamFields(['curbside'])
+    }, mergeConditions(conditionsFor(verdict.rule, path, rules.conditions), verdict.conditions || []), failStreams, options);
+  } else {
+    result = {
+      material,
+      status: 'unknown',
+      recyclable: 'unknown',
+      reason: node
+        ? `${node.name} varies by item — check local guidelines`
+        : 'Material not recognized - check local guidelines',
+      taxonomy,
+      ...streamFields([])
+    };
+  }
+
+  return options.explain
+    ? { ...result, explanation: explainTaxonomy(node, materialNodes, itemNodes, verdict, rules) }
+    : result;
+}
+
+/**
+ * Conditions on accepting a material: its rule's, then the location's
+ * general ones covering it
+ * 
+ * @param {Object|null} rule - The rule that accepted it
+ * @param {string[]} path - Taxonomy node ids it falls under (node + ancestors)
+ * @param {Array} general - rules.conditions ({ appliesTo: node id | null })
+ * @returns {Array}
+ */
+function conditionsFor(rule, path, general = []) {
+  const covering = general.filter(condition => !condition.appliesTo || path.includes(condition.appliesTo));
+  return mergeConditions(rule?.conditions || [], covering);
+}
+
+/**
+ * Apply the conditions on a recyclable material (applyConditions)
+ * 
+ * @param {Object} result - judgeMaterial() result with status "recyclable"
+ * @param {Array} conditions - conditionsFor() output
+ * @param {string[]} failStreams - Where it goes when it fails a condition
+ * @param {Object} options - judgeMaterial() options ({ answers, part })
+ * @returns {Object} result unchanged without conditions, otherwise with
+ *          conditions / preparation and — until answered — status
+ *          "conditional" and the questions, or "not_recyclable" after a
+ *          wrong answer
+ * 
+ * @example
+ * withConditions(cardboard, [{ type: 'clean', text: 'not greasy' }], ['compost', 'landfill'], { answers: { clean: false } });
+ * // => { status: 'not_recyclable', reason: 'Not accepted — the local rule says "not greasy"', stream: { id: 'compost', ... }, ... }
+ */
+function withConditions(result, conditions, failStreams, options) {
+  if (conditions.length === 0) return result;
+
+  const applied = applyConditions(conditions, options.answers, options.part);
+  const judged = {
+    ...result,
+    conditions,
+    ...(applied.preparation.length > 0 ? { preparation: applied.preparation } : {})
+  };
+
+  if (applied.status === 'conditional') {
+    return { ...judged, status: 'conditional', recyclable: 'conditional', questions: applied.questions };
+  }
+  if (applied.status === 'not_recyclable') {
+    const { notes, ...rest } = judged;
+    return {
+      ...rest,
+      status: 'not_recyclable',
+      recyclable: false,
+      reason: `Not accepted — the local rule says "${applied.failed[0].rule}"`,
+      failed: applied.failed,
+      ...streamFields(failStreams)
+    };
+  }
+  return judged;
+}
+
+/**
+ * Every question a conditional item's materials ask, once per key
+ * 
+ * @param {Array} materialResults - judgeMaterial() results
+ * @returns {Array} [{ key, type, question, passIf, rule, part? }]
+ */
+function itemQuestions(materialResults) {
+  const questions = [];
+  for (const question of materialResults.flatMap(result => result.questions || [])) {
+    if (!questions.some(known => known.key === question.key)) questions.push(question);
+  }
+  return questions;
+}
+
+/**
+ * Why a plastic got its verdict
+ * 
+ * Candidates are the location's rules for the resin code, then the
+ * usual curbside acceptance of the resin (global, plasticsModel.js).
+ * 
+ * @param {Object} resin - Entry from PLASTIC_RESINS
+ * @param {string|null} form - Form factor of the item
+ * @param {{from: string, text: string, term: string}} match - What identified the resin
+ * @param {Object} verdict - resinVerdict() result
+ * @param {Array} localPlastics - rules.plastics
+ * @returns {Object} { path: "resin", matches, chosen, candidates, winner, summary }
+ */
+function explainResin(resin, form, match, verdict, localPlastics = []) {
+  const label = `#${resin.code} ${resin.abbr}`;
+  const candidates = localPlastics
+    .filter(rule => rule.code === resin.code)
+    .map(rule => ({
+      rule: plasticKey(rule),
+      list: rule.status,
+      source: 'zip',
+      jurisdiction: rule.jurisdiction || null,
+      score: rule.score ?? null,
+      won: rule === verdict.rule
+    }));
+
+  // resinVerdict's typical path: film first, then the resin's usual status
+  if (form === 'film') {
+    candidates.push({ rule: 'Plastic film', list: 'not_accepted', source: 'global', jurisdiction: null, score: null, won: false });
+  }
+  candidates.push({
+    rule: `${label} (usual curbside acceptance)`,
+    list: resin.typicallyAccepted === true ? 'accepted' : (resin.typicallyAccepted === false ? 'not_accepted' : null),
+    source: 'global',
+    jurisdiction: null,
+    score: null,
+    won: false
+  });
+  if (verdict.source === 'typical') {
+    candidates.find(candidate => candidate.source === 'global').won = true;
+  }
+
+  return {
+    path: 'resin',
+    matches: [{ ...match, resin: label, form }],
+    chosen: { resin: label, form, from: match.from, term: match.term },
+    candidates,
+    winner: candidates.find(candidate => candidate.won) || null,
+    summary: verdict.reason
+  };
+}
+
+/**
+ * Why a material got its verdict from the taxonomy
+ * 
+ * matches: every taxonomy node the material and the item name matched
+ * (matchNodes) — the longest term (highest specificity) wins within
+ * each, then the more specific of the two nodes (pickMoreSpecific).
+ * candidates: every rule on the way from that node up to the root —
+ * the ZIP's own (rules.accepted / not_accepted) and the usual status
+ * from the global MATERIAL_DATABASE — in the order resolveNodeStatus
+ * weighs them. Exactly one has won: true when there is a verdict.
+ * 
+ * @param {Object|null} node - Node that was judged
+ * @param {Object} materialNodes - matchNodes(material)
+ * @param {Object} itemNodes - matchNodes(item name)
+ * @param {Object|null} verdict - resolveNodeStatus() result
+ * @param {Object} rules - { accepted, notAccepted } (indexRulesByNode)
+ * @returns {Object} { path: "taxonomy", matches, chosen, candidates, winner, summary }
+ */
+function explainTaxonomy(node, materialNodes, itemNodes, verdict, rules) {
+  const matches = [
+    ...materialNodes.matches.map(match => ({ from: 'material', ...match })),
+    ...itemNodes.matches.map(match => ({ from: 'item', ...match }))
+  ];
+
+  if (!node) {
+    return { path: 'taxonomy', matches, chosen: null, candidates: [], winner: null, summary: 'No known material matched' };
+  }
+
+  const from = node === materialNodes.node ? 'material' : 'item';
+  const best = matches
+    .filter(match => match.from === from && match.id === node.id)
+    .sort((a, b) => b.specificity - a.specificity)[0];
+  let why;
+  if (materialNodes.node && itemNodes.node && materialNodes.node !== itemNodes.node) {
+    why = from === 'item'
+      ? `${node.name} (from the item name) is a more specific kind of ${materialNodes.node.name}`
+      : `The material decides — ${itemNodes.node.name} (from the item name) is not a kind of ${node.name}`;
+  } else {
+    why = materialNodes.node && itemNodes.node ? 'Material and item name agree' : `Only the ${from === 'item' ? 'item name' : 'material'} matched`;
+  }
+
+  const chosen = {
+    id: node.id,
+    name: node.name,
+    from,
+    term: best ? best.term : null,
+    specificity: best ? best.specificity : 0,
+    depth: getAncestors(node.id).length,
+    why
+  };
+
+  // Same walk as resolveNodeStatus: local rules node by node, then usual statuses
+  const path = [node.id, ...getAncestors(node.id)];
+  const candidates = [];
+  for (const id of path) {
+    const pathNode = getNode(id);
+    for (const [list, byNode] of [['accepted', rules.accepted], ['not_accepted', rules.notAccepted]]) {
+      if (!byNode.has(id)) continue;
+      const rule = byNode.get(id);
+      candidates.push({
+        node: { id, name: pathNode.name },
+        rule: rule.material,
+        list,
+        source: 'zip',
+        jurisdiction: rule.jurisdiction || null,
+        score: rule.score ?? null,
+        won: false,
+        ref: rule
+      });
+    }
+  }
+  for (const id of path) {
+    const pathNode = getNode(id);
+    if (!pathNode.status) continue;
+    candidates.push({
+      node: { id, name: pathNode.name },
+      rule: pathNode.name,
+      list: pathNode.status === 'accepted' ? 'accepted' : 'not_accepted',
+      source: 'global',
+      jurisdiction: null,
+      score: null,
+      won: false,
+      ref: null
+    });
+  }
+
+  const list = verdict ? (verdict.status === 'accepted' ? 'accepted' : 'not_accepted') : null;
+  const winner = verdict
+    ? candidates.find(candidate => (verdict.rule ? candidate.ref === verdict.rule : candidate.source === 'global') && candidate.list === list)
+    : null;
+  if (winner) winner.won = true;
+  candidates.forEach(candidate => delete candidate.ref);
+
+  let summary;
+  if (!winner) {
+    summary = `${node.name} has no local rule and no usual status`;
+  } else if (winner.source === 'zip') {
+    summary = `Local rule "${winner.rule}" (${winner.list.replace('_', ' ')}) applies to ${node.name}`;
+  } else if (candidates.some(candidate => candidate.source === 'zip' && candidate.list === 'accepted')) {
+    const overridden = candidates.find(candidate => candidate.source === 'zip' && candidate.list === 'accepted');
+    summary = `${winner.rule} is usually not accepted, even though "${overridden.rule}" is accepted locally`;
+  } else {
+    summary = `No local rule for ${node.name} — ${winner.rule} is usually ${winner.list.replace('_', ' ')} curbside`;
+  }
+
+  return { path: 'taxonomy', matches, chosen, candidates, winner: winner || null, summary };
+}
+
+/**
+ * Clean up an item's parts list
+ * 
+ * @param {*} components - item.components as sent by the client / model
+ * @returns {Array<{name: string, material: string, removable: boolean}>|null}
+ *          null when there are no usable parts (a part needs a material or a name)
+ */
+function normalizeComponents(components) {
+  if (!Array.isArray(components)) return null;
+
+  const parts = components
+    .filter(component => component && typeof component === 'object')
+    .map(component => {
+      const name = typeof component.name === 'string' ? component.name.trim() : '';
+      const material = typeof component.material === 'string' ? component.material.trim() : '';
+      return { name: name || material, material: material || name, removable: component.removable === true };
+    })
+    .filter(part => part.material);
+
+  return parts.length > 0 ? parts : null;
+}
+
+/**
+ * Overall verdict of an item made of parts
+ * 
+ * - A rejected part that can't be taken off decides for the whole item
+ * - So does an unknown one (check locally)
+ * - Rejected / unknown parts that come off → "separate": the rest is recycled
+ * - Nothing recyclable at all → the first rejected part decides
+ * - Otherwise a conditional part leaves it "conditional" until answered
+ * 
+ * @param {Array} parts - Judged parts (judgeMaterial() + { name, removable })
+ * @returns {{overallStatus: string, stream: Object|null}}
+ */
+function resolveComponentsStatus(parts) {
+  const fixed = parts.filter(part => !part.removable);
+  const rejected = parts.filter(part => part.status === 'not_recyclable');
+  const anyRecyclable = parts.some(part => part.status === 'recyclable' || part.status === 'conditional');
+
+  const blocking = fixed.find(part => part.status === 'not_recyclable') || (!anyRecyclable ? rejected[0] : null);
+  if (blocking) return { overallStatus: 'not_recyclable', stream: blocking.stream };
+
+  // Nothing else to decide before the user answers
+  if (parts.some(part => part.status === 'conditional')) return { overallStatus: 'conditional', stream: null };
+
+  if (!anyRecyclable || fixed.some(part => part.status === 'unknown')) {
+    return { overallStatus: 'check_locally', stream: null };
+  }
+
+  return {
+    overallStatus: parts.every(part => part.status === 'recyclable') ? 'recyclable' : 'separate',
+    stream: getStream('curbside')
+  };
+}
+
+// How to phrase "put these parts in stream X" (anything else: "Take ... to <stream name>")
+const PART_ACTIONS = {
+  curbside: parts => `Recycle the ${parts} curbside`,
+  landfill: parts => `Put the ${parts} in the trash`,
+  compost: parts => `Compost the ${parts}`,
+  yard_waste: parts => `Put the ${parts} out with yard waste`
+};
+
+/**
+ * Step-by-step instructions for an item made of parts
+ * 
+ * Parts that come off and go somewhere else than the rest are
+ * separated first; then every destination gets one step, the one
+ * the item's body goes to first.
+ * 
+ * @param {string} itemName - Item name ("coffee cup")
+ * @param {Array} parts - Judged parts (judgeMaterial() + { name, removable })
+ * @returns {Array<{action: string, parts: string[], stream: string|null, text: string}>}
+ *          action: "separate" | "recycle" | "dispose" | "check"
+ * 
+ * @example
+ * disassemblySteps('water bottle', [body (PET, curbside), cap (removable, curbside), label (removable, trash)]);
+ * // => [
+ * //   { action: 'separate', parts: ['label'], stream: null, text: 'Separate the label from the water bottle' },
+ * //   { action: 'recycle', parts: ['body', 'cap'], stream: 'curbside', text: 'Recycle the body and cap curbside' },
+ * //   { action: 'dispose', parts: ['label'], stream: 'landfill', text: 'Put the label in the trash' }
+ * // ]
+ */
+function disassemblySteps(itemName, parts) {
+  const destination = part => (part.stream ? part.stream.id : null);
+
+  // Where the part you can't take off goes — the rest follows unless removed
+  const body = parts.find(part => !part.removable && part.status === 'not_recyclable') ||
+    parts.find(part => !part.removable && part.status === 'unknown') ||
+    parts.find(part => !part.removable) ||
+    parts[0];
+  const bodyDestination = destination(body);
+
+  const groups = new Map();
+  for (const part of parts) {
+    const where = part.removable ? destination(part) : bodyDestination;
+    if (!groups.has(where)) groups.set(where, []);
+    groups.get(where).push(part);
+  }
+
+  const steps = [];
+  const separated = parts.filter(part => part.removable && destination(part) !== bodyDestination);
+  if (separated.length > 0) {
+    const names = separated.map(part => part.name);
+    steps.push({
+      action: 'separate',
+      parts: names,
+      stream: null,
+      text: `Separate the ${joinNames(names)} from the ${itemName || 'item'}`
+    });
+  }
+
+  const ordered = [bodyDestination, ...[...groups.keys()].filter(where => where !== bodyDestination)];
+  for (const where of ordered) {
+    const names = groups.get(where).map(part => part.name);
+    const list = joinNames(names);
+    const stream = where ? getStream(where) : null;
+
+    let action = 'dispose';
+    let text;
+    if (!stream) {
+      action = 'check';
+      text = `Check local guidelines for the ${list}`;
+    } else if (PART_ACTIONS[where]) {
+      if (where === 'curbside') action = 'recycle';
+      text = PART_ACTIONS[where](list);
+    } else {
+      text = `Take the ${list} to ${stream.name}`;
+    }
+
+    steps.push({ action, parts: names, stream: where, text });
+  }
+
+  return steps;
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ * 
+ * @param {string[]} names
+ * @returns {string}
+ */
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Index local rules by the taxonomy node they refer to
+ * 
+ * @param {Array} rules - recyclingRules.accepted / not_accepted
+ * @returns {Map<string, Object>} node id -> rule
+ */
+function indexRulesByNode(rules) {
+  const byNode = new Map();
+
+  for (const rule of rules || []) {
+    for (const name of [rule.material, ...(rule.includes || [])]) {
+      const node = findNode(name);
+      if (node && !byNode.has(node.id)) {
+        byNode.set(node.id, rule);
+      }
+    }
+  }
+
+  return byNode;
+}
+
+/**
+ * Streams for a taxonomy node that isn't accepted curbside
+ * 
+ * The local rule's streams only apply when the rule is about this
+ * very node — "Glass → recycling drop-off" says nothing about where
+ * a mirror goes.
+ * 
+ * @param {Object} node - Taxonomy node
+ * @param {Object|null} rule - Local not accepted rule that decided it
+ * @returns {string[]} Stream ids, most likely first
+ */
+function nodeRejectedStreams(node, rule) {
+  const ruleNode = rule ? findNode(rule.material) : null;
+  const local = ruleNode && ruleNode.id === node.id ? rule.streams || [] : [];
+  return rejectedStreams(node.name, local);
+}
+
+/**
+ * Stream fields for a compareMaterials() material result
+ * 
+ * @param {string[]} streams - Stream ids, most likely first (empty when unknown)
+ * @returns {{stream: Object|null, streams: string[]}}
+ *          stream = full definition of the first one (disposalStreams.getStream)
+ */
+function streamFields(streams) {
+  return { stream: streams.length > 0 ? getStream(streams[0]) : null, streams };
+}
+
+/**
+ * Of two taxonomy nodes, keep the more specific one
+ * 
+ * If one is an ancestor of the other, the descendant wins
+ * ("plastic" + "water bottle" → Plastic Bottles). Unrelated
+ * nodes keep the first one — the material is what's judged.
+ * 
+ * @param {Object|null} primary - Node for the material
+ * @param {Object|null} secondary - Node for the item name
+ * @returns {Object|null}
+ */
+function pickMoreSpecific(primary, secondary) {
+  if (!primary) return secondary;
+  if (!secondary) return primary;
+  return getAncestors(secondary.id).includes(primary.id) ? secondary : primary;
+}
+
+/**
+ * Decide a node's status by walking up the taxonomy
+ * 
+ * The nearest local rule wins: a jar with no rule of its own
+ * inherits "Glass accepted", while "Mirrors not accepted" beats it
+ * for a mirror. An ancestor's acceptance never extends to materials
+ * that are usually rejected (mirrors stay out even when "glass" is
+ * accepted), but an ancestor's rejection always applies. When the
+ * sources disagree about a node, the higher-scored rule wins. With no
+ * local rule on the path, the material's usual curbside status applies.
+ * 
+ * A rejection limited by conditions ("no black plastic containers")
+ * doesn't decide the node: the walk goes on, and its conditions are
+ * returned to be asked about the item.
+ * 
+ * @param {Object} node - Taxonomy node
+ * @param {Map} acceptedRules - node id -> local accepted rule
+ * @param {Map} notAcceptedRules - node id -> local not accepted rule
+ * @returns {{status: string, rule: Object|null, conditions?: Array}|null}
+ *          status: "accepted" | "notAccepted"; null when unknown
+ */
+function resolveNodeStatus(node, acceptedRules, notAcceptedRules) {
+  const path = [node.id, ...getAncestors(node.id)];
+  const conditions = path
+    .filter(id => notAcceptedRules.has(id) && notAcceptedRules.get(id).conditions?.length > 0)
+    .flatMap(id => notAcceptedRules.get(id).conditions);
+  const verdict = resolveUnconditional(path, acceptedRules, notAcceptedRules);
+  return verdict && conditions.length > 0 ? { ...verdict, conditions } : verdict;
+}
+
+/**
+ * resolveNodeStatus() walk, ignoring conditional rejections
+ * 
+ * @param {string[]} path - Node id, then its ancestors
+ * @param {Map} acceptedRules - node id -> local accepted rule
+ * @param {Map} notAcceptedRules - node id -> local not accepted rule
+ * @returns {{status: string, rule: Object|null}|null}
+ */
+function resolveUnconditional(path, acceptedRules, notAcceptedRules) {
+  const rejects = id => notAcceptedRules.has(id) && !(notAcceptedRules.get(id).conditions?.length > 0);
+
+  for (let i = 0; i < path.length; i++) {
+    // Sources disagree about this node — trust the better-scored rule
+    if (acceptedRules.has(path[i]) && rejects(path[i]) &&
+        (notAcceptedRules.get(path[i]).score ?? 0) > (acceptedRules.get(path[i]).score ?? 0)) {
+      return { status: 'notAccepted', rule: notAcceptedRules.get(path[i]) };
+    }
+    if (acceptedRules.has(path[i])) {
+      const usuallyRejected = path.slice(0, i).some(id => getNode(id).status === 'notAccepted');
+      return usuallyRejected
+        ? { status: 'notAccepted', rule: null }
+        : { status: 'accepted', rule: acceptedRules.get(path[i]) };
+    }
+    if (rejects(path[i])) return { status: 'notAccepted', rule: notAcceptedRules.get(path[i]) };
+  }
+
+  const status = defaultStatus(path[0]);
+  return status ? { status, rule: null } : null;
+}
+
 // ============================================
 // Export the service
 // ============================================
 module.exports = {
   getRecyclingRules,
   extractRules,
+  extractRulesWithMode,
   compareMaterials,
   
   // Export helpers for testing
+  getResultText,
+  buildLexicon,
   extractNotes,
-  extractLocation,
   extractTips,
-  deduplicateMaterials,
   deduplicateSources,
+  judgeMaterial,
+  disassemblySteps,
+  explainTaxonomy,
+  withConditions,
+  colorQualifier,
   
   // Export database for extension
   MATERIAL_DATABASE
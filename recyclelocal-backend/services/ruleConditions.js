@@ -0,0 +1,246 @@
+/**
+ * ============================================
+ * Rule Conditions
+ * ============================================
+ *
+ * Real rules come with strings attached: "pizza boxes OK if not
+ * greasy", "nothing smaller than a credit card", "no black plastic",
+ * "caps on". This module turns that language into machine-readable
+ * conditions, and decides a verdict once the user has answered.
+ *
+ * CONDITION TYPES:
+ *   clean      { type, text }                     "must be clean", "if not greasy", "no food residue"
+ *   rinse      { type, text }                     "rinse", "empty" (advice, no requirement)
+ *   min_size   { type, text, reference, inches }  "smaller than a credit card"
+ *   color      { type, text, exclude: ["black"] } "no black plastic"
+ *   caps       { type, text, required: "on"|"off" }
+ *   flattened  { type, text }
+ *
+ * clean, min_size and color decide WHETHER an item is recyclable —
+ * they turn a verdict into "conditional" until the user answers the
+ * question (see CONDITION_QUESTIONS). rinse, caps and flattened only
+ * say how to put it out, so they become preparation steps. Cleanliness
+ * only decides when the text makes it a requirement — "Rinse and
+ * recycle bottles" is a rinse step, "bottles must be rinsed" is clean.
+ *
+ * HOW IT'S USED:
+ * - extractRules / ruleSetToRules detect conditions in the phrase
+ *   about a material (materialClassifier's mention.phrase, or the
+ *   curated item's notes) → rules.accepted[].conditions, and size
+ *   and color rules in sentences about no material in particular
+ *   ("nothing smaller than a credit card") → rules.conditions, with
+ *   `appliesTo`: a taxonomy node id or null (detectGeneralConditions)
+ * - compareMaterials asks the questions and applies the answers
+ *   (applyConditions)
+ *
+ * ============================================
+ */
+
+// Cleanliness stated as a requirement: "must be clean", "should be rinsed",
+// "if not greasy", "unless soiled", "as long as it's empty", "no food residue"
+const CLEAN = /\b(?:must|should|need(?:s)? to|has to|have to)\s+be\s+(?:\w+\s+)?(?:clean(?:ed)?|rinsed(?: out)?|empty|emptied|dry)\b|\b(?:if|unless|as long as|so long as|provided(?: that)?|only when|when)\s+(?:(?:they|it)(?:'re|'s)?\s+)?(?:(?:is|are)\s+)?(?:not\s+)?(?:clean(?:ed)?|rinsed|empty|emptied|dry|greasy|soiled|dirty|wet|contaminated)\b|\bnot\s+(?:greasy|soiled|dirty|contaminated)\b|\b(?:no|without|free (?:of|from))\s+(?:food(?:\s+(?:residue|waste|scraps))?|grease|residue|liquids?)\b/i;
+
+// Plain advice: "rinse containers", "empty bottles", "Rinse and recycle"
+const RINSE = /\b(?:rinse|rinsing|empty(?: out)?|drain)\b/i;
+
+// "smaller than a credit card", "less than 2 inches", "under 3 in."
+const MIN_SIZE = /\b(?:smaller|less|shorter|under)\s+(?:than\s+)?(?:an?\s+|the size of\s+(?:an?\s+)?)?(credit card|business card|golf ball|(\d+(?:\.\d+)?)\s*(?:inch(?:es)?|in\.|"|(cm|centimet(?:er|re)s?)))/i;
+
+// "no black plastic", "black trays are not accepted"
+const COLOR = /\b(black|dark|colou?red|tinted)\s+(?:plastics?|containers?|trays?|tubs?|bottles?|glass|film|items?)\b/i;
+
+// "caps on", "leave lids on" / "remove caps", "lids off"
+const CAPS_ON = /\b(?:caps?|lids?)\s+(?:on|back on|attached|screwed on)\b|\b(?:leave|keep|put)\s+(?:the\s+)?(?:caps?|lids?)\s+(?:back\s+)?on\b/i;
+const CAPS_OFF = /\b(?:remove|take off|discard|no)\s+(?:the\s+|all\s+)?(?:caps?|lids?)\b|\b(?:caps?|lids?)\s+(?:off|removed)\b/i;
+
+const FLATTENED = /\b(?:flatten(?:ed)?|break down|broken down|collapsed?)\b/i;
+
+// Which taxonomy node a general color rule is about ("no black
+// plastic" → plastics); the first pattern found in the rule wins
+const COLOR_TARGETS = [
+  { pattern: /\bglass\b/i, node: 'glass' },
+  { pattern: /\bfilm\b/i, node: 'plastic-bags' },
+  { pattern: /./, node: 'plastics' }
+];
+
+// Approximate sizes of the everyday objects rules compare to
+const REFERENCE_INCHES = { 'credit card': 3.4, 'business card': 3.5, 'golf ball': 1.7 };
+
+// What to ask for each deciding condition. passIf: the answer that
+// keeps the item recyclable.
+const CONDITION_QUESTIONS = {
+  clean: () => ({ question: 'Is it clean and empty — no food, grease or liquid left?', passIf: true }),
+  min_size: condition => ({
+    question: `Is it bigger than ${condition.reference ? `a ${condition.reference}` : `${condition.inches} inches`}?`,
+    passIf: true
+  }),
+  color: condition => ({ question: `Is it ${condition.exclude.join(' or ')}?`, passIf: false })
+};
+
+// What to do for each preparation condition
+const PREPARATION_STEPS = {
+  rinse: () => 'Empty and rinse it',
+  caps: condition => (condition.required === 'on' ? 'Put the caps back on' : 'Take the caps and lids off'),
+  flattened: () => 'Flatten it'
+};
+
+/**
+ * Find the conditions a piece of rule text puts on a material
+ *
+ * @param {string} text - Sentence / list item ("Pizza boxes OK if not greasy")
+ * @returns {Array<Object>} Conditions (see CONDITION TYPES), at most one per type
+ *
+ * @example
+ * detectConditions('Rinse bottles and put caps back on; nothing smaller than a credit card');
+ * // => [
+ * //   { type: 'rinse', text: 'Rinse' },
+ * //   { type: 'min_size', text: 'smaller than a credit card', reference: 'credit card', inches: 3.4 },
+ * //   { type: 'caps', text: 'caps back on', required: 'on' }
+ * // ]
+ */
+function detectConditions(text) {
+  if (!text) return [];
+  const conditions = [];
+
+  // A cleanliness requirement already covers rinsing it
+  const clean = text.match(CLEAN);
+  const rinse = clean ? null : text.match(RINSE);
+  if (clean) conditions.push({ type: 'clean', text: clean[0] });
+  if (rinse) conditions.push({ type: 'rinse', text: rinse[0] });
+
+  const size = text.match(MIN_SIZE);
+  if (size) {
+    const reference = REFERENCE_INCHES[size[1].toLowerCase()] ? size[1].toLowerCase() : null;
+    const inches = reference
+      ? REFERENCE_INCHES[reference]
+      : Math.round(Number(size[2]) / (size[3] ? 2.54 : 1) * 10) / 10;
+    conditions.push({ type: 'min_size', text: size[0], reference, inches });
+  }
+
+  const color = text.match(COLOR);
+  if (color) {
+    conditions.push({ type: 'color', text: color[0], exclude: [color[1].toLowerCase().replace('coloured', 'colored')] });
+  }
+
+  const capsOn = text.match(CAPS_ON);
+  const capsOff = capsOn ? null : text.match(CAPS_OFF);
+  if (capsOn || capsOff) {
+    conditions.push({ type: 'caps', text: (capsOn || capsOff)[0], required: capsOn ? 'on' : 'off' });
+  }
+
+  const flattened = text.match(FLATTENED);
+  if (flattened) conditions.push({ type: 'flattened', text: flattened[0] });
+
+  return conditions;
+}
+
+/**
+ * Find the conditions a sentence puts on every material it covers
+ *
+ * For rule text that names no material in particular: only size and
+ * color rules are kept — "rinse everything" is advice, not a rule
+ * worth asking about for every item.
+ *
+ * @param {string} text - Sentence / list item ("Nothing smaller than a credit card")
+ * @returns {Array<Object>} Conditions with `appliesTo`: the taxonomy node
+ *          id they're limited to, or null for every material
+ *
+ * @example
+ * detectGeneralConditions('No black plastic trays');
+ * // => [{ type: 'color', text: 'black plastic', exclude: ['black'], appliesTo: 'plastics' }]
+ */
+function detectGeneralConditions(text) {
+  return detectConditions(text)
+    .filter(condition => condition.type === 'min_size' || condition.type === 'color')
+    .map(condition => ({
+      ...condition,
+      appliesTo: condition.type === 'color'
+        ? COLOR_TARGETS.find(target => target.pattern.test(condition.text)).node
+        : null
+    }));
+}
+
+/**
+ * Whether a condition decides recyclability (vs. only how to prepare it)
+ *
+ * @param {Object} condition
+ * @returns {boolean}
+ */
+function isDeciding(condition) {
+  return Boolean(CONDITION_QUESTIONS[condition.type]);
+}
+
+/**
+ * Merge two condition lists, keeping the first of each type
+ *
+ * @param {Array} conditions - Conditions already known
+ * @param {Array} more - Conditions to add
+ * @returns {Array}
+ */
+function mergeConditions(conditions, more) {
+  const merged = [...conditions];
+  for (const condition of more) {
+    if (!merged.some(known => known.type === condition.type)) merged.push(condition);
+  }
+  return merged;
+}
+
+/**
+ * Apply a material's conditions to a "recyclable" verdict
+ *
+ * Unanswered deciding conditions turn the verdict "conditional" and
+ * list the questions; a failed answer turns it "not_recyclable".
+ * Answers are looked up by `key` — "clean", or "lid.clean" for one
+ * part of a multi-part item.
+ *
+ * @param {Array} conditions - Conditions that apply to the material
+ * @param {Object} [answers] - { [key]: true | false } from the user
+ * @param {string} [part] - Part name, for items made of parts
+ * @returns {{status: string, questions: Array, failed: Array, preparation: string[]}}
+ *          status: "recyclable" | "conditional" | "not_recyclable"
+ *          questions: [{ key, type, question, passIf, rule, part? }] (unanswered)
+ *          failed: [{ key, type, question, rule }] (answered the wrong way)
+ *
+ * @example
+ * applyConditions([{ type: 'clean', text: 'not greasy' }], {});
+ * // => { status: 'conditional', questions: [{ key: 'clean', question: 'Is it clean and empty...', passIf: true, ... }], ... }
+ * applyConditions([{ type: 'clean', text: 'not greasy' }], { clean: false }).status;
+ * // => 'not_recyclable'
+ */
+function applyConditions(conditions, answers = {}, part = null) {
+  const questions = [];
+  const failed = [];
+  const preparation = [];
+
+  for (const condition of conditions) {
+    if (!isDeciding(condition)) {
+      if (PREPARATION_STEPS[condition.type]) preparation.push(PREPARATION_STEPS[condition.type](condition));
+      continue;
+    }
+
+    const key = part ? `${part}.${condition.type}` : condition.type;
+    const { question, passIf } = CONDITION_QUESTIONS[condition.type](condition);
+    const answer = answers[key] ?? answers[condition.type];
+
+    if (typeof answer !== 'boolean') {
+      questions.push({ key, type: condition.type, question, passIf, rule: condition.text, ...(part ? { part } : {}) });
+    } else if (answer !== passIf) {
+      failed.push({ key, type: condition.type, question, rule: condition.text });
+    }
+  }
+
+  let status = 'recyclable';
+  if (failed.length > 0) status = 'not_recyclable';
+  else if (questions.length > 0) status = 'conditional';
+
+  return { status, questions, failed, preparation };
+}
+
+module.exports = {
+  CONDITION_QUESTIONS,
+  detectConditions,
+  detectGeneralConditions,
+  isDeciding,
+  mergeConditions,
+  applyConditions
+};
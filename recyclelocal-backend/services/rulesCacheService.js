@@ -0,0 +1,115 @@
+/**
+ * ============================================
+ * Rules Cache Service
+ * ============================================
+ *
+ * Persists recycling rules per ZIP code in SQLite so repeat
+ * lookups don't hit SerpAPI (free tier = 100 searches/month).
+ *
+ * HOW IT WORKS:
+ * - Each ZIP has one row: extracted rules + the raw search results
+ * - Entries younger than the TTL are "fresh" and served as-is
+ * - Entries past the TTL but inside the stale window are served
+ *   immediately while a background refresh updates them
+ *   (stale-while-revalidate)
+ * - Entries older than TTL + stale window are treated as a miss
+ *
+ * ENVIRONMENT VARIABLES:
+ * - RULES_CACHE_TTL_HOURS: How long an entry stays fresh (default: 168 = 7 days)
+ * - RULES_CACHE_STALE_HOURS: How long past the TTL a stale entry may
+ *   still be served while revalidating (default: 720 = 30 days)
+ *
+ * ============================================
+ */
+
+const { db } = require('../config/database');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read a numeric env var (in hours) and convert it to milliseconds
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallbackHours - Default when unset or invalid
+ * @returns {number} Duration in milliseconds
+ */
+function hoursFromEnv(name, fallbackHours) {
+  const value = parseFloat(process.env[name]);
+  return (Number.isFinite(value) && value >= 0 ? value : fallbackHours) * HOUR_MS;
+}
+
+/**
+ * Current cache timing settings
+ *
+ * Read on every call so tests / .env changes take effect without a restart.
+ *
+ * @returns {{ttlMs: number, staleMs: number}}
+ */
+function getCacheSettings() {
+  return {
+    ttlMs: hoursFromEnv('RULES_CACHE_TTL_HOURS', 168),
+    staleMs: hoursFromEnv('RULES_CACHE_STALE_HOURS', 720)
+  };
+}
+
+/**
+ * Look up cached rules for a ZIP code
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowExpired=false] - Return entries past the stale
+ *   window too (last resort when the search provider is down)
+ * @returns {Object|null} Cache entry with freshness info, or null if nothing usable
+ *   { rules, searchResults, fetchedAt, expiresAt, isStale }
+ */
+function getCachedRules(zip, options = {}) {
+  const { allowExpired = false } = options;
+  const row = db.prepare(
+    'SELECT rules_json, search_results_json, fetched_at FROM rules_cache WHERE zip = ?'
+  ).get(zip);
+
+  if (!row) return null;
+
+  const { ttlMs, staleMs } = getCacheSettings();
+  const age = Date.now() - row.fetched_at;
+
+  // Too old even to serve while revalidating — treat as a miss
+  if (age >= ttlMs + staleMs && !allowExpired) return null;
+
+  return {
+    rules: JSON.parse(row.rules_json),
+    searchResults: JSON.parse(row.search_results_json),
+    fetchedAt: row.fetched_at,
+    expiresAt: row.fetched_at + ttlMs,
+    isStale: age >= ttlMs
+  };
+}
+
+/**
+ * Store (or replace) the cached rules for a ZIP code
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {Object} rules - Extracted rules (output of extractRules)
+ * @param {Array} searchResults - Raw search results the rules came from
+ * @returns {{fetchedAt: number, expiresAt: number}}
+ */
+function setCachedRules(zip, rules, searchResults) {
+  const fetchedAt = Date.now();
+
+  db.prepare(`
+    INSERT INTO rules_cache (zip, rules_json, search_results_json, fetched_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(zip) DO UPDATE SET
+      rules_json = excluded.rules_json,
+      search_results_json = excluded.search_results_json,
+      fetched_at = excluded.fetched_at
+  `).run(zip, JSON.stringify(rules), JSON.stringify(searchResults), fetchedAt);
+
+  return { fetchedAt, expiresAt: fetchedAt + getCacheSettings().ttlMs };
+}
+
+module.exports = {
+  getCachedRules,
+  setCachedRules,
+  getCacheSettings
+};
@@ -0,0 +1,195 @@
+/**
+ * ============================================
+ * Rules Comparison Service
+ * ============================================
+ *
+ * Compares the rules of two locations — "what's different between
+ * home and work?" for people moving or commuting.
+ *
+ * HOW IT WORKS:
+ * - Both sides are full rules (getRecyclingRules() output, built on
+ *   extractRules())
+ * - Materials are matched through the taxonomy, so a group covers
+ *   its members: B accepting "Glass" means A's "Glass Bottles" are
+ *   accepted in both places
+ * - Notes are only compared for materials both sides list the same
+ *   way; generated placeholders ("Verify with local guidelines")
+ *   say nothing about the program, so they don't count as different
+ * - Tips are compared as written (case and spacing ignored)
+ *
+ * FRONTEND INTEGRATION:
+ * GET /api/recycling/compare?a=30602&b=30605 → CompareView
+ *
+ * ============================================
+ */
+
+const { findNode, getAncestors } = require('./materialTaxonomy');
+const { plasticKey } = require('./rulesHistoryService');
+
+// Notes we fill in ourselves when the sources / rule set gave none
+const GENERATED_NOTES = new Set([
+  'Verify with local guidelines',
+  'Verify with source',
+  'Confirmed by reliable sources',
+  'Verified by local program',
+  'Check local guidelines for disposal',
+  'Could not extract specific materials'
+]);
+
+/**
+ * Taxonomy ids a material entry stands for
+ *
+ * @param {Object} item - Entry from rules.accepted / not_accepted
+ * @returns {string[]} Node ids of the material and its collapsed children
+ *          (lower-cased names for materials outside the taxonomy)
+ */
+function entryIds(item) {
+  return [item.material, ...(item.includes || [])].map(name => {
+    const node = findNode(name);
+    return node ? node.id : name.toLowerCase();
+  });
+}
+
+/**
+ * Whether a list covers a material entry
+ *
+ * @param {Set<string>} ids - entryIds() of every entry in the list
+ * @param {Object} item - Entry from the other side
+ * @returns {boolean} true when the list has the material or a group containing it
+ */
+function covers(ids, item) {
+  const [id] = entryIds(item);
+  return ids.has(id) || getAncestors(id).some(ancestor => ids.has(ancestor));
+}
+
+/**
+ * Real materials of a list (no "See sources below" placeholder)
+ *
+ * @param {Array} list - rules.accepted / rules.not_accepted
+ * @returns {Array} Entries
+ */
+function materialsOf(list) {
+  return (list || []).filter(item => item.material && !(item.streams && item.streams.length === 0));
+}
+
+/**
+ * Split two lists into only-in-A, only-in-B and in both
+ *
+ * @param {Array} listA - Entries from A
+ * @param {Array} listB - Entries from B
+ * @returns {{onlyA: Array, onlyB: Array, both: string[]}}
+ *          onlyA / onlyB are { material, notes, confidence, jurisdiction } entries
+ */
+function splitLists(listA, listB) {
+  const idsA = new Set(listA.flatMap(entryIds));
+  const idsB = new Set(listB.flatMap(entryIds));
+  const brief = ({ material, notes, confidence, jurisdiction }) => ({ material, notes, confidence, jurisdiction });
+
+  return {
+    onlyA: listA.filter(item => !covers(idsB, item)).map(brief),
+    onlyB: listB.filter(item => !covers(idsA, item)).map(brief),
+    both: listA.filter(item => covers(idsB, item)).map(item => item.material)
+  };
+}
+
+/**
+ * Notes that differ for materials both sides list the same way
+ *
+ * @param {string} list - "accepted" | "not_accepted"
+ * @param {Array} listA - Entries from A
+ * @param {Array} listB - Entries from B
+ * @returns {Array<{material: string, list: string, a: string|null, b: string|null}>}
+ */
+function differingNotes(list, listA, listB) {
+  const meaningful = notes => (notes && !GENERATED_NOTES.has(notes) ? notes : null);
+  const byId = new Map(listB.map(item => [entryIds(item)[0], item]));
+
+  return listA.flatMap(itemA => {
+    const itemB = byId.get(entryIds(itemA)[0]);
+    if (!itemB) return [];
+
+    const a = meaningful(itemA.notes);
+    const b = meaningful(itemB.notes);
+    if ((a || '').toLowerCase() === (b || '').toLowerCase()) return [];
+    return [{ material: itemA.material, list, a, b }];
+  });
+}
+
+/**
+ * Split two tip lists
+ *
+ * @param {string[]} tipsA - rules.tips of A
+ * @param {string[]} tipsB - rules.tips of B
+ * @returns {{onlyA: string[], onlyB: string[], both: string[]}}
+ */
+function splitTips(tipsA = [], tipsB = []) {
+  const key = tip => tip.toLowerCase().replace(/\s+/g, ' ').trim();
+  const keysA = new Set(tipsA.map(key));
+  const keysB = new Set(tipsB.map(key));
+
+  return {
+    onlyA: tipsA.filter(tip => !keysB.has(key(tip))),
+    onlyB: tipsB.filter(tip => !keysA.has(key(tip))),
+    both: tipsA.filter(tip => keysB.has(key(tip)))
+  };
+}
+
+/**
+ * Compare the rules of two locations
+ *
+ * @param {Object} rulesA - getRecyclingRules() output for A
+ * @param {Object} rulesB - getRecyclingRules() output for B
+ * @returns {Object} {
+ *   accepted: { onlyA, onlyB, both }, not_accepted: { onlyA, onlyB, both },
+ *   plastics: { accepted: { onlyA, onlyB }, not_accepted: { onlyA, onlyB } },
+ *   notes: [{ material, list, a, b }],
+ *   tips: { onlyA, onlyB, both },
+ *   same: boolean
+ * }
+ *
+ * @example
+ * // Glass is curbside in Athens but drop-off only next door:
+ * compareRules(athens, nextDoor).accepted.onlyA;
+ * // => [{ material: 'Glass', notes: 'Rinse', confidence: 'high', jurisdiction: 'zip' }]
+ */
+function compareRules(rulesA, rulesB) {
+  const acceptedA = materialsOf(rulesA.accepted);
+  const acceptedB = materialsOf(rulesB.accepted);
+  const rejectedA = materialsOf(rulesA.not_accepted);
+  const rejectedB = materialsOf(rulesB.not_accepted);
+
+  const plastics = (rules, status) => (rules.plastics || [])
+    .filter(rule => rule.status === status)
+    .map(plasticKey);
+  const splitPlastics = status => {
+    const a = plastics(rulesA, status);
+    const b = plastics(rulesB, status);
+    return { onlyA: a.filter(key => !b.includes(key)), onlyB: b.filter(key => !a.includes(key)) };
+  };
+
+  const result = {
+    accepted: splitLists(acceptedA, acceptedB),
+    not_accepted: splitLists(rejectedA, rejectedB),
+    plastics: { accepted: splitPlastics('accepted'), not_accepted: splitPlastics('not_accepted') },
+    notes: [
+      ...differingNotes('accepted', acceptedA, acceptedB),
+      ...differingNotes('not_accepted', rejectedA, rejectedB)
+    ],
+    tips: splitTips(rulesA.tips, rulesB.tips)
+  };
+
+  result.same = result.notes.length === 0 &&
+    [result.accepted, result.not_accepted, result.plastics.accepted, result.plastics.not_accepted, result.tips]
+      .every(split => split.onlyA.length === 0 && split.onlyB.length === 0);
+
+  return result;
+}
+
+module.exports = {
+  compareRules,
+
+  // Export helpers for testing
+  splitLists,
+  differingNotes,
+  splitTips
+};
@@ -0,0 +1,229 @@
+/**
+ * ============================================
+ * Rules History Service
+ * ============================================
+ *
+ * Keeps a versioned history of the rules resolved for each ZIP,
+ * so we notice when a municipal program changes (e.g. glass gets
+ * dropped from curbside).
+ *
+ * HOW IT WORKS:
+ * - Every time rules are resolved from a search or a curated rule
+ *   set, recordSnapshot() fingerprints the materials + plastics
+ * - Same fingerprint as the latest version → just bump last_seen_at
+ * - Different fingerprint → store a new version (1, 2, 3...)
+ * - Snapshots are full extractRules() outputs, so any two versions
+ *   can be compared with diffSnapshots()
+ *
+ * FRONTEND INTEGRATION:
+ * - GET /api/recycling/:zip/history       → list versions
+ * - GET /api/recycling/:zip/history/diff  → what changed between two versions
+ *
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+/**
+ * The names a material entry covers (itself + collapsed children)
+ *
+ * @param {Object} item - Entry from rules.accepted / not_accepted
+ * @returns {string[]} e.g. ["Glass", "Glass Bottles"]
+ */
+function entryNames(item) {
+  return [item.material, ...(item.includes || [])];
+}
+
+/**
+ * Label for a per-resin-code rule, stable across versions
+ *
+ * @param {Object} rule - Entry from rules.plastics
+ * @returns {string} e.g. "#5 PP (tub)" or "#1 PET"
+ */
+function plasticKey(rule) {
+  return `#${rule.code} ${rule.resin}${rule.forms && rule.forms.length > 0 ? ` (${rule.forms.join(', ')})` : ''}`;
+}
+
+/**
+ * What a snapshot says, reduced to comparable sets
+ *
+ * Confidence, notes and evidence change from search to search
+ * without the program changing, so they are left out.
+ *
+ * @param {Object} rules - extractRules() output
+ * @returns {{accepted: string[], not_accepted: string[], plastics: {accepted: string[], not_accepted: string[]}}}
+ */
+function summarize(rules) {
+  const names = list => [...new Set((list || []).flatMap(entryNames))].sort();
+  const plastics = status => (rules.plastics || [])
+    .filter(rule => rule.status === status)
+    .map(plasticKey)
+    .sort();
+
+  return {
+    accepted: names(rules.accepted),
+    not_accepted: names(rules.not_accepted),
+    plastics: { accepted: plastics('accepted'), not_accepted: plastics('not_accepted') }
+  };
+}
+
+/**
+ * Fingerprint of a snapshot's materials
+ *
+ * @param {Object} rules - extractRules() output
+ * @returns {string} SHA-1 hex digest
+ */
+function fingerprint(rules) {
+  return crypto.createHash('sha1').update(JSON.stringify(summarize(rules))).digest('hex');
+}
+
+/**
+ * Record the rules just resolved for a ZIP
+ *
+ * Error results ("no recycling info found") are skipped — they
+ * say nothing about the program itself.
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {Object} rules - Resolved rules (extractRules() shape)
+ * @returns {{version: number, created: boolean}|null} null when skipped
+ */
+function recordSnapshot(zip, rules) {
+  if (!rules || rules.error) return null;
+
+  const now = Date.now();
+  const print = fingerprint(rules);
+  const latest = db.prepare(
+    'SELECT id, version, fingerprint FROM rules_history WHERE zip = ? ORDER BY version DESC LIMIT 1'
+  ).get(zip);
+
+  if (latest && latest.fingerprint === print) {
+    db.prepare('UPDATE rules_history SET last_seen_at = ? WHERE id = ?').run(now, latest.id);
+    return { version: latest.version, created: false };
+  }
+
+  // Cache/search-error details describe the request, not the rules
+  const { cache, searchError, ...meta } = rules.meta || {};
+  const version = latest ? latest.version + 1 : 1;
+
+  db.prepare(`
+    INSERT INTO rules_history (zip, version, rules_json, fingerprint, resolved_by, created_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(zip, version, JSON.stringify({ ...rules, meta }), print, meta.resolvedBy || 'search', now, now);
+
+  return { version, created: true };
+}
+
+/**
+ * Convert a history row to API shape (without the rules themselves)
+ *
+ * @param {Object} row - rules_history row
+ * @returns {Object} { version, createdAt, lastSeenAt, resolvedBy, counts }
+ */
+function rowToVersion(row) {
+  const rules = JSON.parse(row.rules_json);
+  const summary = summarize(rules);
+
+  return {
+    version: row.version,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastSeenAt: new Date(row.last_seen_at).toISOString(),
+    resolvedBy: row.resolved_by,
+    counts: {
+      accepted: summary.accepted.length,
+      not_accepted: summary.not_accepted.length,
+      plastics: summary.plastics.accepted.length + summary.plastics.not_accepted.length
+    }
+  };
+}
+
+/**
+ * List every version recorded for a ZIP, newest first
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @returns {Array<Object>} [{ version, createdAt, lastSeenAt, resolvedBy, counts }]
+ */
+function listHistory(zip) {
+  return db.prepare('SELECT * FROM rules_history WHERE zip = ? ORDER BY version DESC')
+    .all(zip)
+    .map(rowToVersion);
+}
+
+/**
+ * Get one snapshot
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @param {number} version - Version number
+ * @returns {Object|null} { version, createdAt, lastSeenAt, resolvedBy, counts, rules }
+ */
+function getSnapshot(zip, version) {
+  const row = db.prepare('SELECT * FROM rules_history WHERE zip = ? AND version = ?').get(zip, version);
+  return row ? { ...rowToVersion(row), rules: JSON.parse(row.rules_json) } : null;
+}
+
+/**
+ * Latest version number for a ZIP
+ *
+ * @param {string} zip - Location key (5-digit ZIP in the US)
+ * @returns {number|null}
+ */
+function getLatestVersion(zip) {
+  const row = db.prepare('SELECT MAX(version) AS version FROM rules_history WHERE zip = ?').get(zip);
+  return row.version ?? null;
+}
+
+/**
+ * What changed between two snapshots
+ *
+ * @param {Object} from - Older snapshot (getSnapshot() result)
+ * @param {Object} to - Newer snapshot (getSnapshot() result)
+ * @returns {Object} {
+ *   from: { version, createdAt }, to: { version, createdAt },
+ *   accepted: { added, removed }, not_accepted: { added, removed },
+ *   plastics: { accepted: { added, removed }, not_accepted: { added, removed } },
+ *   changed: boolean
+ * }
+ *
+ * @example
+ * // Glass dropped from curbside between v1 and v2:
+ * diffSnapshots(v1, v2).accepted.removed;     // => ["Glass"]
+ * diffSnapshots(v1, v2).not_accepted.added;   // => ["Glass"]
+ */
+function diffSnapshots(from, to) {
+  const a = summarize(from.rules);
+  const b = summarize(to.rules);
+
+  const diff = (before, after) => ({
+    added: after.filter(name => !before.includes(name)),
+    removed: before.filter(name => !after.includes(name))
+  });
+
+  const result = {
+    from: { version: from.version, createdAt: from.createdAt },
+    to: { version: to.version, createdAt: to.createdAt },
+    accepted: diff(a.accepted, b.accepted),
+    not_accepted: diff(a.not_accepted, b.not_accepted),
+    plastics: {
+      accepted: diff(a.plastics.accepted, b.plastics.accepted),
+      not_accepted: diff(a.plastics.not_accepted, b.plastics.not_accepted)
+    }
+  };
+
+  result.changed = [result.accepted, result.not_accepted, result.plastics.accepted, result.plastics.not_accepted]
+    .some(change => change.added.length > 0 || change.removed.length > 0);
+
+  return result;
+}
+
+module.exports = {
+  recordSnapshot,
+  listHistory,
+  getSnapshot,
+  getLatestVersion,
+  diffSnapshots,
+  plasticKey,
+
+  // Export helpers for testing
+  summarize,
+  fingerprint
+};
@@ -0,0 +1,267 @@
+/**
+ * ============================================
+ * Scan Service
+ * ============================================
+ *
+ * Barcode in, verdict out: the whole scan pipeline on the server, so
+ * a kiosk, mobile app or script gets the same answer as the web app
+ * with one request.
+ *
+ * STAGES (in order):
+ *   lookup    → UPC details from the product catalog / UPCItemDB
+ *   packaging → what it's packaged in (catalog, or the model)
+ *   location  → lat/lng or postal code → location key
+ *   rules     → the location's recycling rules
+ *   compare   → compareMaterials() verdict
+ *
+ * Every stage reports "started" then "done" (or "failed") through
+ * onStage, so callers can show progress while it runs; the result
+ * lists the finished stages with their timings.
+ *
+ * ============================================
+ */
+
+const { normalizeGtin, lookupProduct, resolvePackaging, UpcLookupError } = require('./productCatalogService');
+const { getRecyclingRules, compareMaterials } = require('./recyclingService');
+const { reverseGeocode } = require('./geocodingService');
+const { SearchError } = require('./searchService');
+const { parseLocationInput } = require('../utils/validators');
+
+// What each stage is doing, for status lines
+const STAGE_LABELS = {
+  lookup: 'Looking up product',
+  packaging: 'Identifying packaging materials',
+  location: 'Finding your location',
+  rules: 'Loading local recycling rules',
+  compare: 'Checking recyclability'
+};
+
+/**
+ * Error that stops a scan
+ *
+ * stage is where it stopped, status the HTTP status to answer with,
+ * details anything worth passing on (e.g. { provider, code } of a search error).
+ */
+class ScanError extends Error {
+  constructor(message, { stage, status, details = {} }) {
+    super(message);
+    this.name = 'ScanError';
+    this.stage = stage;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Map a stage's own errors to a ScanError
+ *
+ * @param {string} stage - Stage that failed
+ * @param {Error} error - What it threw
+ * @returns {ScanError}
+ */
+function toScanError(stage, error) {
+  if (error instanceof ScanError) return error;
+  if (error instanceof UpcLookupError) {
+    return new ScanError(error.message, { stage, status: error.status === 429 ? 429 : 502 });
+  }
+  if (error instanceof SearchError) {
+    return new ScanError(error.message, {
+      stage,
+      status: 503,
+      details: { code: error.code, provider: error.provider }
+    });
+  }
+  return new ScanError(error.message, { stage, status: 500 });
+}
+
+/**
+ * A coordinate within ±limit (a number, or a numeric string — never blank)
+ *
+ * @param {*} value - Request value
+ * @param {number} limit - 90 for latitude, 180 for longitude
+ * @returns {boolean}
+ */
+function inRange(value, limit) {
+  if (typeof value === 'string' ? !value.trim() : typeof value !== 'number') return false;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit;
+}
+
+/**
+ * Check a scan request before any stage runs
+ *
+ * Everything that makes a request bad (rather than a lookup fail) is
+ * caught here, so callers can answer 400 before streaming progress.
+ *
+ * @param {Object} input - Scan input (see scanProduct)
+ * @returns {{gtin: string, location: Object|null}} GTIN-14, and the parsed
+ *          location — null when it comes from lat / lng (geocoded later)
+ * @throws {ScanError} 400 for a bad barcode or no usable location
+ */
+function validateScanInput(input) {
+  const gtin = normalizeGtin(input.gtin);
+  if (!gtin) {
+    throw new ScanError('Expected a UPC-A, UPC-E, EAN-8, EAN-13 or GTIN-14 code with a valid check digit', { stage: 'lookup', status: 400 });
+  }
+
+  if (input.lat != null && input.lng != null) {
+    if (!inRange(input.lat, 90) || !inRange(input.lng, 180)) {
+      throw new ScanError('"lat" and "lng" must be numbers, lat from -90 to 90 and lng from -180 to 180', { stage: 'location', status: 400 });
+    }
+    return { gtin, location: null };
+  }
+
+  if (input.zip == null && input.postalCode == null && input.location == null) {
+    throw new ScanError('Request body must include "lat" and "lng", or a "zip" / "location"', { stage: 'location', status: 400 });
+  }
+
+  const { location, error, example } = parseLocationInput(input);
+  if (error) throw new ScanError(error, { stage: 'location', status: 400, details: { example } });
+  return { gtin, location };
+}
+
+/**
+ * Resolve the scan's location
+ *
+ * @param {Object} input - { lat, lng } or { zip } / { location } (as POST /api/recycling)
+ * @param {Object|null} parsed - validateScanInput()'s location
+ * @returns {Promise<Object>} Location ({ country, postalCode, key, state?, county?, ... })
+ * @throws {Error} When geocoding fails
+ */
+async function resolveLocation(input, parsed) {
+  return parsed || reverseGeocode(Number(input.lat), Number(input.lng));
+}
+
+/**
+ * Scan a product: barcode → packaging → local verdict
+ *
+ * @param {Object} input
+ * @param {string} input.gtin - Barcode (UPC-A, UPC-E, EAN-8, EAN-13 or GTIN-14)
+ * @param {number} [input.lat] - Latitude (with lng), or instead:
+ * @param {string} [input.zip] - ZIP / postal code, or a `location` object
+ * @param {Object} [input.answers] - Answers to condition questions (see compareMaterials)
+ * @param {boolean} [input.explain] - Explain every material's verdict
+ * @param {Object} [options]
+ * @param {Function} [options.onStage] - Called with { stage, label, status, detail?, ms? }
+ *        as each stage starts ("started") and ends ("done" | "failed")
+ * @returns {Promise<Object>} The check-recyclability response, plus:
+ *          gtin, product (catalog entry), items (what was compared — send them
+ *          to check-recyclability with answers), verdict and stages:
+ *          {
+ *            comparison, zip, location, canRecycle, needsAnswers,
+ *            gtin: "00049000028904", product: { ... }, items: [{ name, materials, components? }],
+ *            verdict: { status, canRecycle, needsAnswers, stream, instructions, questions, deposit },
+ *            stages: [{ stage: "lookup", label, status: "done", detail, ms: 12 }, ...]
+ *          }
+ * @throws {ScanError} Where and why the scan stopped (400s before any stage starts)
+ *
+ * @example
+ * const result = await scanProduct({ gtin: '049000028904', zip: '30601' });
+ * result.verdict.status; // => 'recyclable'
+ */
+async function scanProduct(input, options = {}) {
+  const { onStage = () => {} } = options;
+  const stages = [];
+
+  // Run one stage, reporting its start, end and timing
+  const runStage = async (stage, work) => {
+    const started = Date.now();
+    onStage({ stage, label: STAGE_LABELS[stage], status: 'started' });
+    try {
+      const { value, detail } = await work();
+      const entry = { stage, label: STAGE_LABELS[stage], status: 'done', detail, ms: Date.now() - started };
+      stages.push(entry);
+      onStage(entry);
+      return value;
+    } catch (error) {
+      const scanError = toScanError(stage, error);
+      const entry = { stage, label: STAGE_LABELS[stage], status: 'failed', detail: scanError.message, ms: Date.now() - started };
+      stages.push(entry);
+      onStage(entry);
+      throw scanError;
+    }
+  };
+
+  const { gtin, location: parsedLocation } = validateScanInput(input);
+
+  const found = await runStage('lookup', async () => {
+    const { product, cached } = await lookupProduct(gtin);
+    if (!product) throw new ScanError(`No product found for ${gtin}`, { stage: 'lookup', status: 404 });
+    return { value: product, detail: `${product.title || gtin}${cached ? ' (catalog)' : ''}` };
+  });
+
+  const product = await runStage('packaging', async () => {
+    const resolved = await resolvePackaging(found);
+    return {
+      value: resolved,
+      detail: resolved.packaging
+        ? resolved.packaging.materials.join(', ')
+        : 'Packaging unknown — judging by the product name'
+    };
+  });
+
+  // One item made of the packaging (or, unknown, of the product name)
+  const name = product.title || product.upc?.description || product.brand || 'unknown item';
+  const item = product.packaging && product.packaging.materials.length > 0
+    ? {
+      name,
+      materials: product.packaging.materials,
+      ...(product.packaging.components ? { components: product.packaging.components } : {})
+    }
+    : { name, materials: [name] };
+  if (input.answers && typeof input.answers === 'object') item.answers = input.answers;
+
+  const location = await runStage('location', async () => {
+    const resolved = await resolveLocation(input, parsedLocation);
+    return { value: resolved, detail: resolved.postalCode };
+  });
+
+  const rules = await runStage('rules', async () => {
+    // The geocoder knows the state and county, so their rules apply too
+    const resolved = await getRecyclingRules(location.key, { state: location.state, county: location.county });
+    return { value: resolved, detail: resolved.location || location.key };
+  });
+
+  const comparison = await runStage('compare', async () => {
+    const compared = compareMaterials([item], rules, { explain: input.explain === true });
+    return { value: compared, detail: compared.items[0].overallStatus };
+  });
+
+  const { summary } = comparison;
+  const canRecycle = (summary.recyclable + summary.separate) > 0 && summary.notRecyclable === 0 && summary.conditional === 0;
+  const needsAnswers = summary.conditional > 0;
+  const judged = comparison.items[0];
+
+  return {
+    comparison,
+    zip: location.key,
+    location,
+    canRecycle,
+    needsAnswers,
+    gtin,
+    product,
+    items: [item],
+    verdict: {
+      status: judged.overallStatus,
+      canRecycle,
+      needsAnswers,
+      stream: judged.stream,
+      instructions: judged.instructions || [],
+      questions: judged.questions || [],
+      deposit: judged.deposit
+    },
+    stages,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  STAGE_LABELS,
+  ScanError,
+  scanProduct,
+  validateScanInput,
+
+  // Export helpers for testing
+  resolveLocation,
+  toScanError
+};
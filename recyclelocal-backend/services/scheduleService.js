@@ -0,0 +1,484 @@
+/**
+ * ============================================
+ * Collection Schedule Service
+ * ============================================
+ *
+ * Answers "which day is recycling pickup?" — the collection days
+ * for recycling, trash and yard waste in a jurisdiction, and the
+ * actual pickup dates once holidays are taken into account.
+ *
+ * SCHEDULE SHAPE:
+ *   {
+ *     source: "curated",              // or "parsed"
+ *     collections: [
+ *       { type: "recycling", day: "tuesday", frequency: "biweekly", startDate: "2026-01-06" },
+ *       { type: "trash", day: "tuesday", frequency: "weekly" },
+ *       { type: "yard_waste", day: "wednesday", frequency: "weekly" }
+ *     ],
+ *     holidayShift: "next_day",       // or "none"; null = unknown
+ *     evidence: [{ url, title, quote }] // parsed schedules only
+ *   }
+ *
+ *   type:      "recycling" | "trash" | "yard_waste" | "compost"
+ *   frequency: "weekly" | "biweekly" — biweekly needs startDate (any
+ *              known pickup date) to know which weeks are pickup weeks
+ *
+ * WHERE SCHEDULES COME FROM:
+ * - Curated rule sets (curatedRulesService) can carry a schedule
+ * - Otherwise parseSchedule() reads it from the same municipal pages
+ *   the rules come from ("Recycling is collected every other Tuesday")
+ *
+ * HOLIDAYS:
+ * With holidayShift "next_day", a weekday holiday on or before the
+ * pickup day pushes that week's pickup one day later — the most
+ * common rule for US haulers.
+ *
+ * FRONTEND INTEGRATION:
+ * - GET /api/recycling/:zip/schedule      → schedule + upcoming pickups
+ * - GET /api/recycling/:zip/schedule.ics  → subscribable calendar
+ *
+ * ============================================
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const COLLECTION_TYPES = {
+  recycling: { name: 'Recycling', icon: '♻️' },
+  trash: { name: 'Trash', icon: '🗑️' },
+  yard_waste: { name: 'Yard waste', icon: '🍂' },
+  compost: { name: 'Compost', icon: '🌱' }
+};
+
+const FREQUENCIES = ['weekly', 'biweekly'];
+const HOLIDAY_SHIFTS = ['next_day', 'none'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// SCHEDULE PARSING
+// ============================================
+// Looks for sentences that say when something is collected:
+//   "Trash and recycling are collected on Tuesdays"
+//   "Trash is picked up Monday and recycling every other Thursday"
+// ============================================
+
+const TYPE_PATTERNS = {
+  recycling: /\brecycl(?:ing|ables)\b/g,
+  trash: /\b(?:trash|garbage|refuse|solid waste)\b/g,
+  yard_waste: /\b(?:yard (?:waste|debris|trimmings)|brush)\b/g,
+  compost: /\b(?:compost|organics|food scraps)\b/g
+};
+
+const DAY_PATTERN = /\b(sun|mon|tues|wednes|thurs|fri|satur)days?\b/g;
+
+// The sentence has to be about collection, not opening hours
+const COLLECTION_CUE = /\b(?:collect(?:ed|ion)?|pick(?:ed)?[- ]?up|pickup|serviced|service day|set out)\b/i;
+
+// "Monday-Friday", "Monday through Saturday" → opening hours
+const DAY_RANGE = /\b(?:mon|tues|wednes|thurs|fri|satur|sun)days?\s*(?:-|–|to|through|thru)\s*(?:mon|tues|wednes|thurs|fri|satur|sun)days?\b/i;
+
+const BIWEEKLY_CUE = /\b(?:every other|bi-?weekly|every two weeks|every 2 weeks|alternat(?:e|ing) weeks?)\b/i;
+
+// Holiday sentences: "Collection is delayed one day for holidays",
+// "Holidays do not affect collection"
+const HOLIDAY_CUE = /\bholidays?\b/i;
+const HOLIDAY_NONE_CUE = /\b(?:no (?:holiday )?(?:delays?|changes?)|(?:does|do) not (?:affect|change|delay))\b/i;
+const HOLIDAY_SHIFT_CUE = /\b(?:delay(?:ed|s)?|slides?|shift(?:ed|s)?|(?:one|a) day later|following day|next day)\b/i;
+
+/**
+ * Find collection days in search results
+ *
+ * The first result that states a day for a type wins (results come
+ * in relevance order). Each type gets the nearest weekday AFTER it in
+ * the sentence, or the nearest one before when none follows.
+ *
+ * @param {Array} searchResults - [{ title, url, snippet, pageText? }]
+ * @returns {Object|null} Parsed schedule (see SCHEDULE SHAPE), null if nothing found
+ *
+ * @example
+ * parseSchedule([{ url, title, snippet: 'Trash is collected Monday and recycling every other Thursday.' }]);
+ * // => { source: 'parsed', collections: [
+ * //      { type: 'recycling', day: 'thursday', frequency: 'biweekly', startDate: null },
+ * //      { type: 'trash', day: 'monday', frequency: 'weekly', startDate: null }
+ * //    ], holidayShift: null, evidence: [...] }
+ */
+function parseSchedule(searchResults) {
+  const collections = new Map(); // type -> collection
+  const evidence = [];
+  let holidayShift = null;
+
+  for (const result of searchResults || []) {
+    const text = [result.snippet, result.pageText].filter(Boolean).join('\n');
+
+    for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+      const quote = sentence.replace(/\s+/g, ' ').trim();
+      if (!quote) continue;
+
+      if (!holidayShift && HOLIDAY_CUE.test(quote)) {
+        if (HOLIDAY_NONE_CUE.test(quote)) holidayShift = 'none';
+        else if (HOLIDAY_SHIFT_CUE.test(quote)) holidayShift = 'next_day';
+      }
+
+      const found = parseSentence(quote).filter(c => !collections.has(c.type));
+      if (found.length === 0) continue;
+
+      found.forEach(collection => collections.set(collection.type, collection));
+      evidence.push({ url: result.url, title: result.title || result.url, quote });
+    }
+  }
+
+  if (collections.size === 0) return null;
+
+  return {
+    source: 'parsed',
+    collections: [...collections.values()],
+    holidayShift,
+    evidence
+  };
+}
+
+/**
+ * Collection days stated in one sentence
+ *
+ * @param {string} sentence - One sentence of source text
+ * @returns {Array<Object>} [{ type, day, frequency, startDate: null }]
+ */
+function parseSentence(sentence) {
+  const lower = sentence.toLowerCase();
+  if (!COLLECTION_CUE.test(lower) || DAY_RANGE.test(lower)) return [];
+
+  const days = [...lower.matchAll(DAY_PATTERN)].map(m => ({ day: `${m[1]}day`, index: m.index }));
+  if (days.length === 0) return [];
+
+  const collections = [];
+  for (const [type, pattern] of Object.entries(TYPE_PATTERNS)) {
+    const match = [...lower.matchAll(pattern)][0];
+    if (!match) continue;
+
+    const after = days.find(d => d.index > match.index);
+    const nearest = after || days[days.length - 1];
+    // Frequency cues apply to the stretch between the type and its day
+    const span = lower.slice(Math.min(match.index, nearest.index), Math.max(match.index, nearest.index) + nearest.day.length);
+
+    collections.push({
+      type,
+      day: nearest.day,
+      frequency: BIWEEKLY_CUE.test(span) ? 'biweekly' : 'weekly',
+      startDate: null
+    });
+  }
+
+  return collections;
+}
+
+// ============================================
+// VALIDATION (curated schedules)
+// ============================================
+
+/**
+ * Validate a schedule from an admin request body
+ *
+ * @param {Object} schedule - { collections, holidayShift? }
+ * @returns {Array<string>} Validation error messages (empty = valid)
+ */
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.collections)) {
+    return ['"schedule" must be an object with a "collections" array'];
+  }
+
+  const errors = [];
+  schedule.collections.forEach((collection, i) => {
+    const where = `schedule.collections[${i}]`;
+    if (!collection || !COLLECTION_TYPES[collection.type]) {
+      errors.push(`"${where}.type" must be one of: ${Object.keys(COLLECTION_TYPES).join(', ')}`);
+      return;
+    }
+    if (!WEEKDAYS.includes(collection.day)) {
+      errors.push(`"${where}.day" must be a lowercase weekday ("tuesday")`);
+    }
+    if (collection.frequency !== undefined && !FREQUENCIES.includes(collection.frequency)) {
+      errors.push(`"${where}.frequency" must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (collection.startDate != null && !isIsoDate(collection.startDate)) {
+      errors.push(`"${where}.startDate" must be a YYYY-MM-DD date`);
+    } else if (collection.startDate && WEEKDAYS[parseDate(collection.startDate).getUTCDay()] !== collection.day) {
+      errors.push(`"${where}.startDate" must fall on a ${collection.day}`);
+    }
+  });
+
+  if (schedule.holidayShift != null && !HOLIDAY_SHIFTS.includes(schedule.holidayShift)) {
+    errors.push(`"schedule.holidayShift" must be one of: ${HOLIDAY_SHIFTS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a validated schedule for storage
+ *
+ * @param {Object} schedule - Validated request body schedule
+ * @returns {Object} { collections: [{ type, day, frequency, startDate }], holidayShift }
+ */
+function normalizeSchedule(schedule) {
+  return {
+    collections: schedule.collections.map(({ type, day, frequency, startDate }) => ({
+      type,
+      day,
+      frequency: frequency || 'weekly',
+      startDate: startDate || null
+    })),
+    holidayShift: schedule.holidayShift || null
+  };
+}
+
+// ============================================
+// PICKUP DATES
+// ============================================
+
+/**
+ * Major US holidays haulers usually shift collection for
+ *
+ * @param {number} year - Calendar year
+ * @returns {Array<{date: string, name: string}>} YYYY-MM-DD dates
+ */
+function holidaysFor(year) {
+  // nth weekday of a month (n = -1 → last)
+  const nthWeekday = (month, weekday, n) => {
+    if (n > 0) {
+      const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+      return new Date(Date.UTC(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7));
+    }
+    const lastDay = new Date(Date.UTC(year, month + 1, 0));
+    return new Date(lastDay.getTime() - ((lastDay.getUTCDay() - weekday + 7) % 7) * DAY_MS);
+  };
+
+  return [
+    { date: new Date(Date.UTC(year, 0, 1)), name: "New Year's Day" },
+    { date: nthWeekday(4, 1, -1), name: 'Memorial Day' },
+    { date: new Date(Date.UTC(year, 6, 4)), name: 'Independence Day' },
+    { date: nthWeekday(8, 1, 1), name: 'Labor Day' },
+    { date: nthWeekday(10, 4, 4), name: 'Thanksgiving' },
+    { date: new Date(Date.UTC(year, 11, 25)), name: 'Christmas Day' }
+  ].map(({ date, name }) => ({ date: formatDate(date), name }));
+}
+
+/**
+ * Actual pickup dates in a date range
+ *
+ * Biweekly collections without a startDate can't be placed on the
+ * calendar and are left out (see `unscheduled` on the response).
+ *
+ * @param {Object} schedule - See SCHEDULE SHAPE
+ * @param {Object} [options]
+ * @param {string} [options.from] - First date, YYYY-MM-DD (default: today)
+ * @param {number} [options.days=30] - How many days to cover
+ * @returns {Array<Object>} [{ type, name, date, day, shifted, holiday? }] sorted by date
+ *
+ * @example
+ * upcomingPickups({ collections: [{ type: 'trash', day: 'monday', frequency: 'weekly' }], holidayShift: 'next_day' },
+ *                 { from: '2026-09-07', days: 7 });
+ * // => [{ type: 'trash', name: 'Trash', date: '2026-09-08', day: 'tuesday', shifted: true, holiday: 'Labor Day' }]
+ */
+function upcomingPickups(schedule, { from = today(), days = 30 } = {}) {
+  const start = parseDate(from);
+  const end = new Date(start.getTime() + days * DAY_MS);
+
+  // Holidays of every year the range touches (plus the one before, for early January)
+  const holidays = new Map();
+  for (let year = start.getUTCFullYear() - 1; year <= end.getUTCFullYear(); year++) {
+    holidaysFor(year).forEach(holiday => holidays.set(holiday.date, holiday.name));
+  }
+
+  const pickups = [];
+  for (const collection of schedule.collections) {
+    if (collection.frequency === 'biweekly' && !collection.startDate) continue;
+
+    const weekday = WEEKDAYS.indexOf(collection.day);
+    // First regular pickup day on or after the range start (minus a
+    // week, in case last week's pickup was shifted into the range)
+    let date = new Date(start.getTime() - 7 * DAY_MS);
+    date = new Date(date.getTime() + ((weekday - date.getUTCDay() + 7) % 7) * DAY_MS);
+
+    for (; date < end; date = new Date(date.getTime() + 7 * DAY_MS)) {
+      if (collection.frequency === 'biweekly') {
+        const weeks = Math.round((date - parseDate(collection.startDate)) / (7 * DAY_MS));
+        if (weeks % 2 !== 0) continue;
+      }
+
+      const pickup = shiftForHolidays(date, schedule.holidayShift, holidays);
+      if (pickup.date < start || pickup.date >= end) continue;
+
+      pickups.push({
+        type: collection.type,
+        name: COLLECTION_TYPES[collection.type].name,
+        date: formatDate(pickup.date),
+        day: WEEKDAYS[pickup.date.getUTCDay()],
+        shifted: Boolean(pickup.holiday),
+        ...(pickup.holiday ? { holiday: pickup.holiday } : {})
+      });
+    }
+  }
+
+  return pickups.sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+}
+
+/**
+ * Push a pickup back a day when a holiday falls earlier in its week
+ *
+ * @param {Date} date - Regular pickup date (UTC midnight)
+ * @param {string|null} holidayShift - "next_day" | "none" | null
+ * @param {Map<string, string>} holidays - YYYY-MM-DD -> holiday name
+ * @returns {{date: Date, holiday: string|null}}
+ */
+function shiftForHolidays(date, holidayShift, holidays) {
+  if (holidayShift !== 'next_day') return { date, holiday: null };
+
+  // Monday of the pickup week through the pickup day itself
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  for (let day = monday; day <= date; day = new Date(day.getTime() + DAY_MS)) {
+    const name = holidays.get(formatDate(day));
+    if (name && day.getUTCDay() >= 1 && day.getUTCDay() <= 5) {
+      return { date: new Date(date.getTime() + DAY_MS), holiday: name };
+    }
+  }
+  return { date, holiday: null };
+}
+
+/**
+ * Collections upcomingPickups() can't place on the calendar
+ *
+ * @param {Object} schedule - See SCHEDULE SHAPE
+ * @returns {Array<Object>} Biweekly collections without a startDate
+ */
+function unscheduledCollections(schedule) {
+  return schedule.collections.filter(c => c.frequency === 'biweekly' && !c.startDate);
+}
+
+// ============================================
+// ICALENDAR EXPORT
+// ============================================
+
+/**
+ * Render a schedule as an iCalendar (.ics) feed
+ *
+ * One all-day event per pickup, holiday shifts already applied, so
+ * calendar apps that subscribe to the URL stay correct as it refreshes.
+ *
+ * @param {Object} schedule - See SCHEDULE SHAPE
+ * @param {Object} options
+ * @param {string} options.zip - ZIP code (for UIDs)
+ * @param {string} options.location - Location name (calendar title)
+ * @param {string} [options.from] - First date, YYYY-MM-DD (default: today)
+ * @param {number} [options.days=365] - How many days of pickups to include
+ * @returns {string} text/calendar content, CRLF line endings
+ */
+function toICalendar(schedule, { zip, location, from = today(), days = 365 }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const compact = date => date.replace(/-/g, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//RecycleLocal//Collection Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`Trash & recycling pickup — ${location}`)}`,
+    'X-PUBLISHED-TTL:P1D'
+  ];
+
+  for (const pickup of upcomingPickups(schedule, { from, days })) {
+    const { icon } = COLLECTION_TYPES[pickup.type];
+    const next = formatDate(new Date(parseDate(pickup.date).getTime() + DAY_MS));
+    const description = pickup.shifted
+      ? `Moved one day later for ${pickup.holiday}.`
+      : `${pickup.name} collection day.`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${zip}-${pickup.type}-${compact(pickup.date)}@recyclelocal`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(pickup.date)}`,
+      `DTEND;VALUE=DATE:${compact(next)}`,
+      `SUMMARY:${escapeIcsText(`${icon} ${pickup.name} pickup`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for an iCalendar TEXT value (RFC 5545 §3.3.11)
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 §3.1)
+ *
+ * @param {string} line - Unfolded line
+ * @returns {string} Line with CRLF + space continuations
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts too
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// ============================================
+// DATE HELPERS (UTC midnight, YYYY-MM-DD)
+// ============================================
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(parseDate(value).getTime());
+}
+
+function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Today in the server's local time zone
+function today() {
+  const now = new Date();
+  return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+}
+
+module.exports = {
+  COLLECTION_TYPES,
+  parseSchedule,
+  validateSchedule,
+  normalizeSchedule,
+  upcomingPickups,
+  unscheduledCollections,
+  toICalendar,
+
+  // Export helpers for testing
+  parseSentence,
+  holidaysFor,
+  isIsoDate
+};
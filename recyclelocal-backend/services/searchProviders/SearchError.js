@@ -0,0 +1,30 @@
+/**
+ * SearchError
+ *
+ * Thrown by search providers when the SEARCH ITSELF is broken,
+ * as opposed to "the search worked but found nothing".
+ *
+ * CODES:
+ * - not_configured → missing API key / unknown provider
+ * - auth_failed    → the provider rejected our credentials
+ * - quota_exceeded → out of searches or rate limited
+ * - provider_error → network failure, bad response, 5xx...
+ */
+class SearchError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details
+   * @param {string} details.code - One of the codes above
+   * @param {string} details.provider - Provider name (e.g. "serpapi")
+   * @param {number} [details.status] - HTTP status from the provider, if any
+   */
+  constructor(message, { code, provider, status = null }) {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+module.exports = SearchError;
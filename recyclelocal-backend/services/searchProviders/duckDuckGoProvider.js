@@ -0,0 +1,136 @@
+/**
+ * ============================================
+ * DuckDuckGo Search Provider
+ * ============================================
+ *
+ * Scrapes DuckDuckGo's no-JavaScript HTML endpoint.
+ * No API key and no monthly quota, but it's rate limited
+ * and the markup can change — use it as a fallback or
+ * when SerpAPI searches run out.
+ *
+ * ============================================
+ */
+
+const SearchError = require('./SearchError');
+const { decodeEntities } = require('../../utils/htmlExtractor');
+
+// DuckDuckGo region codes (kl)
+const REGIONS = { US: 'us-en', CA: 'ca-en', GB: 'uk-en' };
+
+const NAME = 'duckduckgo';
+const MAX_RESULTS = 5;
+
+/**
+ * Strip tags and decode entities in a small HTML fragment
+ *
+ * @param {string} html - Fragment from a result block
+ * @returns {string} Plain text
+ */
+function toText(html) {
+  return decodeEntities((html || '').replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve DuckDuckGo's redirect links to the real URL
+ *
+ * Result links look like //duckduckgo.com/l/?uddg=https%3A%2F%2F...&rut=...
+ *
+ * @param {string} href - href attribute from a result link
+ * @returns {string|null} Target URL
+ */
+function resolveLink(href) {
+  const decoded = decodeEntities(href || '');
+  try {
+    const url = new URL(decoded, 'https://duckduckgo.com');
+    return url.searchParams.get('uddg') || (url.hostname.endsWith('duckduckgo.com') ? null : url.href);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the results page
+ *
+ * @param {string} html - DuckDuckGo HTML results page
+ * @returns {Array<{title: string, url: string, snippet: string}>}
+ */
+function parseResults(html) {
+  const results = [];
+  const blocks = html.split(/<div[^>]+class="[^"]*\bresult\b[^"]*"/i).slice(1);
+
+  for (const block of blocks) {
+    // Skip sponsored results
+    if (/result--ad\b/i.test(block.slice(0, 200))) continue;
+
+    const link = block.match(/<a[^>]+class="[^"]*result__a[^"]*"[^>]+href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i) ||
+                 block.match(/<a[^>]+href="([^"]+)"[^>]+class="[^"]*result__a[^"]*"[^>]*>([\s\S]*?)<\/a>/i);
+    if (!link) continue;
+
+    const url = resolveLink(link[1]);
+    if (!url) continue;
+
+    const snippet = block.match(/class="[^"]*result__snippet[^"]*"[^>]*>([\s\S]*?)<\/(?:a|div|td)>/i);
+
+    results.push({
+      title: toText(link[2]),
+      url,
+      snippet: snippet ? toText(snippet[1]) : ''
+    });
+
+    if (results.length >= MAX_RESULTS) break;
+  }
+
+  return results;
+}
+
+/**
+ * Search via DuckDuckGo HTML
+ *
+ * @param {string} query - Search query
+ * @param {Object} [context]
+ * @param {string} [context.country] - Country to search in ("CA")
+ * @param {number} [context.timeoutMs=10000] - Abort the request after this long
+ * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ * @throws {SearchError}
+ */
+async function search(query, { country, timeoutMs = 10000 } = {}) {
+  const region = REGIONS[country] ? `&kl=${REGIONS[country]}` : '';
+
+  // The body is read inside the try too: a connection dropped (or timed
+  // out) mid-page is just as much a provider failure as one that never opened
+  let response;
+  let html;
+  try {
+    response = await fetch(`https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}${region}`, {
+      headers: { 'User-Agent': 'RecycleLocal/1.0' },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    html = await response.text();
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    throw new SearchError(`DuckDuckGo request failed: ${message}`, { code: 'provider_error', provider: NAME });
+  }
+
+  // DuckDuckGo answers rate-limited clients with 202/403 and a CAPTCHA page
+  if (response.status === 429 || response.status === 202 || response.status === 403 || /anomaly-modal|captcha/i.test(html)) {
+    throw new SearchError('DuckDuckGo is rate limiting requests', {
+      code: 'quota_exceeded', provider: NAME, status: response.status
+    });
+  }
+
+  if (!response.ok) {
+    throw new SearchError(`DuckDuckGo returned HTTP ${response.status}`, {
+      code: 'provider_error', provider: NAME, status: response.status
+    });
+  }
+
+  return parseResults(html);
+}
+
+module.exports = {
+  name: NAME,
+  search,
+
+  // Export helpers for testing
+  parseResults
+};
@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * Fixture Search Provider
+ * ============================================
+ *
+ * Serves recorded search results from disk so the whole pipeline
+ * (search → page fetch → extraction) runs offline. Handy for demos,
+ * local development without a SerpAPI key, and evaluation runs.
+ *
+ * FIXTURE LAYOUT:
+ *   fixtures/search/<key>.json   → [{ title, url, snippet, page? }]
+ *                                  or { results: [...] }
+ *   fixtures/pages/<file>.html   → page served for a result's URL
+ *                                  when the result has "page": "<file>.html"
+ *   fixtures/expected/<key>.json → hand-labelled rules for npm run eval
+ *                                  (see evaluationService.js; ignored here)
+ *
+ * <key> is the location key: the ZIP for US locations ("90210.json"),
+ * "<country>-<code>" elsewhere ("CA-K1A0B1.json", "GB-SW1A1AA.json").
+ * A location with no fixture file is treated as "no results".
+ *
+ * ENVIRONMENT VARIABLES:
+ * - SEARCH_FIXTURES_DIR: Fixture root (default: recyclelocal-backend/fixtures)
+ *
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchError = require('./SearchError');
+const { extractPageText } = require('../../utils/htmlExtractor');
+
+const NAME = 'fixture';
+
+function getFixturesDir() {
+  return process.env.SEARCH_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures');
+}
+
+/**
+ * Read and parse a ZIP's fixture file
+ *
+ * @param {string} zip - ZIP code
+ * @returns {Array|null} Raw fixture results, or null if there is no fixture
+ * @throws {SearchError} If the fixture file is malformed
+ */
+function readFixture(zip) {
+  const file = path.join(getFixturesDir(), 'search', `${path.basename(String(zip))}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : (data.results || []);
+  } catch (error) {
+    throw new SearchError(`Invalid fixture ${file}: ${error.message}`, { code: 'provider_error', provider: NAME });
+  }
+}
+
+/**
+ * Look up recorded results for a ZIP
+ *
+ * @param {string} query - Search query (unused — fixtures are keyed by location)
+ * @param {Object} context
+ * @param {string} context.zip - Location key being searched
+ * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ */
+async function search(query, { zip } = {}) {
+  const fixture = readFixture(zip) || [];
+
+  return fixture.map(result => ({
+    title: result.title,
+    url: result.url,
+    snippet: result.snippet || ''
+  }));
+}
+
+/**
+ * Serve a recorded page for a result URL
+ *
+ * Used by pageFetchService.enrichResultsWithPages() in place of a
+ * real fetch, so fixture runs never touch the network.
+ *
+ * @param {string} url - Result URL
+ * @returns {Promise<{text: string|null, title: string|null, skipped?: string}>}
+ */
+async function loadPage(url) {
+  const searchDir = path.join(getFixturesDir(), 'search');
+  const files = fs.existsSync(searchDir) ? fs.readdirSync(searchDir).filter(f => f.endsWith('.json')) : [];
+
+  for (const file of files) {
+    const fixture = readFixture(path.basename(file, '.json')) || [];
+    const entry = fixture.find(result => result.url === url && result.page);
+    if (!entry) continue;
+
+    const pageFile = path.join(getFixturesDir(), 'pages', path.basename(entry.page));
+    if (!fs.existsSync(pageFile)) break;
+
+    const { title, text } = extractPageText(fs.readFileSync(pageFile, 'utf8'));
+    return { text, title };
+  }
+
+  return { text: null, title: null, skipped: 'no_fixture' };
+}
+
+module.exports = {
+  name: NAME,
+  search,
+  loadPage
+};
@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * SerpAPI Search Provider
+ * ============================================
+ *
+ * Google results via SerpAPI, which returns clean JSON.
+ * Free tier: 100 searches/month (plenty for hackathon)
+ * Docs: https://serpapi.com/search-api
+ *
+ * ENVIRONMENT VARIABLES:
+ * - SERP_API_KEY: Your SerpAPI key (https://serpapi.com)
+ *
+ * ============================================
+ */
+
+const SearchError = require('./SearchError');
+
+// Google country codes (gl) — Google calls the United Kingdom "uk"
+const GOOGLE_COUNTRIES = { US: 'us', CA: 'ca', GB: 'uk' };
+
+const NAME = 'serpapi';
+
+/**
+ * Turn a SerpAPI error message into a SearchError code
+ *
+ * SerpAPI answers with 200 + { error: "..." } for some failures,
+ * so we have to read the message.
+ *
+ * @param {string} message - SerpAPI error text
+ * @param {number} status - HTTP status
+ * @returns {string|null} SearchError code, or null if it just means "no results"
+ */
+function classifyError(message, status) {
+  const text = (message || '').toLowerCase();
+
+  if (text.includes("hasn't returned any results") || text.includes('no results')) return null;
+  if (status === 429 || text.includes('run out of searches') || text.includes('limit')) return 'quota_exceeded';
+  if (status === 401 || status === 403 || text.includes('invalid api key')) return 'auth_failed';
+  return 'provider_error';
+}
+
+/**
+ * Search Google via SerpAPI
+ *
+ * @param {string} query - Search query
+ * @param {Object} [context]
+ * @param {string} [context.country] - Country to search in ("CA")
+ * @param {number} [context.timeoutMs=10000] - Abort the request after this long
+ * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ * @throws {SearchError}
+ */
+async function search(query, { country, timeoutMs = 10000 } = {}) {
+  if (!process.env.SERP_API_KEY) {
+    throw new SearchError('SERP_API_KEY is not set', { code: 'not_configured', provider: NAME });
+  }
+
+  let response;
+  try {
+    response = await fetch(
+      `https://serpapi.com/search.json?` +
+      `q=${encodeURIComponent(query)}` +
+      `&api_key=${process.env.SERP_API_KEY}` +
+      (GOOGLE_COUNTRIES[country] ? `&gl=${GOOGLE_COUNTRIES[country]}` : '') +
+      `&num=5`,  // Only grab top 5 results — that's enough context
+      { signal: AbortSignal.timeout(timeoutMs) }
+    );
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+    throw new SearchError(`SerpAPI request failed: ${message}`, { code: 'provider_error', provider: NAME });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new SearchError(`SerpAPI request failed: timed out after ${timeoutMs}ms`, { code: 'provider_error', provider: NAME });
+    }
+    throw new SearchError(`SerpAPI returned invalid JSON (HTTP ${response.status})`, {
+      code: 'provider_error', provider: NAME, status: response.status
+    });
+  }
+
+  if (process.env.DEBUG === 'true') {
+    console.log('SerpAPI response:', JSON.stringify(data, null, 2));
+  }
+
+  if (data.error || !response.ok) {
+    const code = classifyError(data.error, response.status);
+    if (code) {
+      throw new SearchError(`SerpAPI: ${data.error || `HTTP ${response.status}`}`, {
+        code, provider: NAME, status: response.status
+      });
+    }
+    return [];
+  }
+
+  // We only need three things from each result:
+  // - title: The page title (helps identify the source)
+  // - url: Link to the actual page (for user verification)
+  // - snippet: Google's preview text (often contains the actual rules!)
+  return (data.organic_results || []).map(result => ({
+    title: result.title,
+    url: result.link,
+    snippet: result.snippet
+  }));
+}
+
+module.exports = {
+  name: NAME,
+  search
+};
@@ -2,84 +2,218 @@
  * ============================================
  * Search Service
  * ============================================
- * 
- * Handles all external search API interactions.
- * Currently uses SerpAPI to query Google for recycling information.
- * 
+ *
+ * Handles all external search API interactions through a
+ * pluggable provider layer. Every provider implements:
+ *
+ *   { name: string, search(query, context) → Promise<Array<{title, url, snippet}>> }
+ *
+ * and throws a SearchError when the search itself is broken.
+ *
+ * AVAILABLE PROVIDERS (services/searchProviders/):
+ * - serpapi    → Google results via SerpAPI (default, needs SERP_API_KEY)
+ * - duckduckgo → DuckDuckGo's HTML endpoint (no key, scraped)
+ * - fixture    → Recorded results from disk (offline dev, demos, evaluation)
+ *
  * WHY A SEPARATE SERVICE?
- * - Easy to swap out SerpAPI for another provider later
+ * - Easy to swap out SerpAPI for another provider
  * - Keeps API-specific logic isolated from business logic
- * - Makes testing easier (can mock this service)
- * 
+ * - Makes testing easier (use the fixture provider)
+ *
+ * OUTCOMES ARE REPORTED SEPARATELY:
+ * - results found    → { status: 'ok', results }
+ * - nothing found    → { status: 'empty', results: [] }   ("no info for this area")
+ * - search is broken → throws SearchError with code:
+ *     'not_configured' | 'auth_failed' | 'quota_exceeded' | 'provider_error'
+ *
+ * ENVIRONMENT VARIABLES:
+ * - SEARCH_PROVIDER: serpapi | duckduckgo | fixture (default: serpapi)
+ * - SEARCH_CONCURRENCY: Max searches in flight at once (default: 2).
+ *   Extra searches wait their turn, so a batch lookup across a metro
+ *   area doesn't hammer the provider (or burn its rate limit).
+ * - SEARCH_TIMEOUT_MS: Give up on a provider request after this long
+ *   (default: 10000), so a hung provider can't hold a slot forever
+ *
+ * COUNTRIES:
+ * Queries are worded per country (see QUERY_TEMPLATES), and providers
+ * that support it restrict results to the location's country.
+ *
  * FRONTEND INTEGRATION:
  * This service is used internally by recyclingService.
  * Frontend should NOT call this directly — use the /api/recycling endpoint.
- * 
+ *
  * ============================================
  */
 
+const SearchError = require('./searchProviders/SearchError');
+const { parseLocationKey } = require('../utils/validators');
+const serpApiProvider = require('./searchProviders/serpApiProvider');
+const duckDuckGoProvider = require('./searchProviders/duckDuckGoProvider');
+const fixtureProvider = require('./searchProviders/fixtureProvider');
+
+const PROVIDERS = {
+  serpapi: serpApiProvider,
+  duckduckgo: duckDuckGoProvider,
+  fixture: fixtureProvider
+};
+
+// Searches in flight, and the ones waiting for a slot
+// (see SEARCH_CONCURRENCY)
+let activeSearches = 0;
+const waitingSearches = [];
+
 /**
- * Search Google for recycling information via SerpAPI
- * 
- * @param {string} zip - 5-digit US ZIP code
- * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
- *          Array of search results with title, URL, and snippet text
- * 
+ * Max searches in flight at once
+ *
+ * Read on every call so .env changes take effect without a restart.
+ *
+ * @returns {number} SEARCH_CONCURRENCY, default 2
+ */
+function getSearchConcurrency() {
+  const value = parseInt(process.env.SEARCH_CONCURRENCY, 10);
+  return value > 0 ? value : 2;
+}
+
+/**
+ * How long a provider request may take
+ *
+ * @returns {number} SEARCH_TIMEOUT_MS, default 10000
+ */
+function getSearchTimeout() {
+  const value = parseInt(process.env.SEARCH_TIMEOUT_MS, 10);
+  return value > 0 ? value : 10000;
+}
+
+/**
+ * Wait for a free search slot
+ *
+ * @returns {Promise<void>} Resolves once the caller holds a slot
+ */
+function acquireSearchSlot() {
+  if (activeSearches < getSearchConcurrency()) {
+    activeSearches++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingSearches.push(resolve));
+}
+
+/**
+ * Give a search slot back
+ *
+ * The slot goes straight to the next waiting search (if any), so a
+ * new caller can't slip in between and exceed the limit.
+ */
+function releaseSearchSlot() {
+  const next = waitingSearches.shift();
+  if (next) {
+    next();
+  } else {
+    activeSearches--;
+  }
+}
+
+/**
+ * Get the configured search provider
+ *
+ * @returns {Object} Provider { name, search, loadPage? }
+ * @throws {SearchError} If SEARCH_PROVIDER names an unknown provider
+ */
+function getSearchProvider() {
+  const name = (process.env.SEARCH_PROVIDER || 'serpapi').toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new SearchError(
+      `Unknown SEARCH_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`,
+      { code: 'not_configured', provider: name }
+    );
+  }
+
+  return provider;
+}
+
+// How each country talks about household recycling — "curbside" is
+// American; UK councils say "household recycling", Canadians "blue box"
+const QUERY_TEMPLATES = {
+  US: postalCode => `curbside recycling rules accepted materials ${postalCode}`,
+  CA: postalCode => `blue box curbside recycling accepted materials ${postalCode} Canada`,
+  GB: postalCode => `council household recycling what goes in bin ${postalCode} UK`
+};
+
+/**
+ * Build the search query for a location
+ *
+ * We craft a specific query to get relevant municipal recycling pages.
+ * Keywords like "curbside" and "accepted materials" help filter out
+ * irrelevant results (news articles, recycling companies, etc.)
+ *
+ * @param {string} zip - Location key ("90210", "CA-K1A0B1", "GB-SW1A1AA")
+ * @returns {string} Search query
+ *
  * @example
- * const results = await searchGoogle('90210');
- * // Returns: [
- * //   { title: 'Beverly Hills Recycling...', url: 'https://...', snippet: '...' },
- * //   ...
- * // ]
+ * buildQuery('GB-SW1A1AA');
+ * // => 'council household recycling what goes in bin SW1A 1AA UK'
  */
-async function searchGoogle(zip) {
-  // ----------------------------------------------------------------
-  // Build the search query
-  // ----------------------------------------------------------------
-  // We craft a specific query to get relevant municipal recycling pages.
-  // Keywords like "curbside" and "accepted materials" help filter out
-  // irrelevant results (news articles, recycling companies, etc.)
-  // ----------------------------------------------------------------
-  const query = `curbside recycling rules accepted materials ${zip}`;
-
-  // ----------------------------------------------------------------
-  // Call SerpAPI
-  // ----------------------------------------------------------------
-  // SerpAPI is a Google Search wrapper that returns clean JSON.
-  // Free tier: 100 searches/month (plenty for hackathon)
-  // Docs: https://serpapi.com/search-api
-  // ----------------------------------------------------------------
-  const response = await fetch(
-    `https://serpapi.com/search.json?` +
-    `q=${encodeURIComponent(query)}` +
-    `&api_key=${process.env.SERP_API_KEY}` +
-    `&num=5`  // Only grab top 5 results — that's enough context
-  );
-
-  // Parse the response
-  const data = await response.json();
-
-  // ----------------------------------------------------------------
-  // Log for debugging (remove in production)
-  // ----------------------------------------------------------------
-  if (process.env.DEBUG === 'true') {
-    console.log('SerpAPI response:', JSON.stringify(data, null, 2));
+function buildQuery(zip) {
+  const location = parseLocationKey(zip) || { country: 'US', postalCode: zip };
+  return QUERY_TEMPLATES[location.country](location.postalCode);
+}
+
+/**
+ * Search for recycling information about a location
+ *
+ * Providers get the country with the query ({ zip, country, postalCode })
+ * so they can ask for results from that country, and a timeoutMs to
+ * abort their request after. At most SEARCH_CONCURRENCY searches run
+ * at once; the rest queue.
+ *
+ * @param {string} zip - Location key ("90210", "CA-K1A0B1")
+ * @returns {Promise<{status: 'ok'|'empty', provider: string, results: Array<{title: string, url: string, snippet: string}>}>}
+ * @throws {SearchError} When the provider is misconfigured, out of quota, or failing
+ *
+ * @example
+ * const { status, results } = await searchRecyclingInfo('90210');
+ * // status: 'ok', results: [{ title: 'Beverly Hills Recycling...', url: 'https://...', snippet: '...' }]
+ */
+async function searchRecyclingInfo(zip) {
+  const provider = getSearchProvider();
+  const location = parseLocationKey(zip) || { country: 'US', postalCode: zip };
+
+  await acquireSearchSlot();
+  let results;
+  try {
+    results = await provider.search(buildQuery(zip), {
+      zip,
+      country: location.country,
+      postalCode: location.postalCode,
+      timeoutMs: getSearchTimeout()
+    });
+  } finally {
+    releaseSearchSlot();
   }
 
-  // ----------------------------------------------------------------
-  // Transform results into a clean format
-  // ----------------------------------------------------------------
-  // We only need three things from each result:
-  // - title: The page title (helps identify the source)
-  // - url: Link to the actual page (for user verification)
-  // - snippet: Google's preview text (often contains the actual rules!)
-  // ----------------------------------------------------------------
-  const results = data.organic_results?.map(result => ({
-    title: result.title,
-    url: result.link,
-    snippet: result.snippet
-  })) || [];
+  // Drop results without a URL — they can't be cited or fetched
+  const usable = results.filter(result => result && result.url);
 
+  return {
+    status: usable.length > 0 ? 'ok' : 'empty',
+    provider: provider.name,
+    results: usable
+  };
+}
+
+/**
+ * Search Google for recycling information
+ *
+ * Kept for backward compatibility — returns just the results array.
+ * Prefer searchRecyclingInfo(), which also reports the status.
+ *
+ * @param {string} zip - Location key ("90210", "CA-K1A0B1")
+ * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+ * @throws {SearchError} When the search itself is broken
+ */
+async function searchGoogle(zip) {
+  const { results } = await searchRecyclingInfo(zip);
   return results;
 }
 
@@ -87,5 +221,10 @@ async function searchGoogle(zip) {
 // Export the service
 // ============================================
 module.exports = {
-  searchGoogle
+  searchRecyclingInfo,
+  searchGoogle,
+  getSearchProvider,
+  getSearchConcurrency,
+  buildQuery,
+  SearchError
 };
@@ -0,0 +1,179 @@
+/**
+ * ============================================
+ * ZIP Places Service
+ * ============================================
+ *
+ * Offline ZIP code → place lookup: city, county, state, FIPS codes
+ * and centroid, from a bundled dataset instead of guessing the place
+ * from search result titles.
+ *
+ * DATASET:
+ * datasets/zipPlaces.tsv — one row per ZIP:
+ *   zip  city  county  state  fips  latitude  longitude
+ *   30601  Athens  Clarke  GA  13059  33.9761  -83.3632
+ * fips is the 5-digit county FIPS code (2-digit state + 3-digit
+ * county), empty when unknown. Built from the GeoNames US postal
+ * code dump (https://download.geonames.org/export/zip/US.zip,
+ * CC BY 4.0); military APO/FPO codes are left out.
+ *
+ * HOW IT WORKS:
+ * - On the first lookup the TSV is imported into the zip_places
+ *   table, and re-imported whenever the file changes (its SHA-1 is
+ *   kept in dataset_imports)
+ * - Lookups are single indexed reads after that
+ *
+ * OUTSIDE THE US:
+ * Only US ZIPs are in the dataset. Canadian and UK postal codes
+ * (location keys like "CA-K1A0B1") get a place with just their
+ * country and postal code.
+ *
+ * FRONTEND INTEGRATION:
+ * getRecyclingRules() attaches the place to every rules response
+ * as `place`, next to the `location` display string.
+ *
+ * ============================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../config/database');
+const { COUNTRIES, parseLocationKey } = require('../utils/validators');
+
+const DATASET_NAME = 'zipPlaces';
+const DATASET_PATH = path.join(__dirname, '..', 'datasets', 'zipPlaces.tsv');
+
+// Whether this process already checked the import is current
+let imported = false;
+
+/**
+ * Import the bundled dataset into SQLite if it changed
+ *
+ * @returns {boolean} true when rows were (re)imported
+ */
+function ensureImported() {
+  if (imported) return false;
+
+  const text = fs.readFileSync(DATASET_PATH, 'utf8');
+  const fingerprint = crypto.createHash('sha1').update(text).digest('hex');
+  const current = db.prepare('SELECT fingerprint FROM dataset_imports WHERE name = ?').get(DATASET_NAME);
+
+  imported = true;
+  if (current && current.fingerprint === fingerprint) return false;
+
+  const insert = db.prepare(`
+    INSERT INTO zip_places (zip, city, county, state, county_fips, latitude, longitude)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  // Skip the header row
+  const rows = text.split('\n').slice(1).filter(Boolean).map(line => line.split('\t'));
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM zip_places').run();
+    for (const [zip, city, county, state, fips, latitude, longitude] of rows) {
+      insert.run(zip, city, county || null, state, fips || null,
+        latitude ? Number(latitude) : null, longitude ? Number(longitude) : null);
+    }
+    db.prepare(`
+      INSERT INTO dataset_imports (name, fingerprint, rows, imported_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET fingerprint = excluded.fingerprint,
+        rows = excluded.rows, imported_at = excluded.imported_at
+    `).run(DATASET_NAME, fingerprint, rows.length, Date.now());
+  })();
+
+  return true;
+}
+
+/**
+ * Look up the place a ZIP code belongs to
+ *
+ * @param {string} zip - 5-digit US ZIP code
+ * @returns {Object|null} null when the ZIP isn't in the dataset, otherwise
+ *          { key, country, postalCode, zip, city, county, state, fips: { state, county }, centroid: { lat, lng } }
+ *
+ * @example
+ * lookupZip('30601');
+ * // => { key: '30601', country: 'US', postalCode: '30601', zip: '30601', city: 'Athens',
+ * //      county: 'Clarke', state: 'GA', fips: { state: '13', county: '13059' },
+ * //      centroid: { lat: 33.9761, lng: -83.3632 } }
+ */
+function lookupZip(zip) {
+  ensureImported();
+
+  const row = db.prepare('SELECT * FROM zip_places WHERE zip = ?').get(zip);
+  if (!row) return null;
+
+  return {
+    key: row.zip,
+    country: 'US',
+    postalCode: row.zip,
+    zip: row.zip,
+    city: row.city,
+    county: row.county,
+    state: row.state,
+    fips: {
+      state: row.county_fips ? row.county_fips.slice(0, 2) : null,
+      county: row.county_fips
+    },
+    centroid: row.latitude != null ? { lat: row.latitude, lng: row.longitude } : null
+  };
+}
+
+/**
+ * Look up the place for any location key
+ *
+ * Same shape as lookupZip(), with everything but the country and
+ * postal code null when the dataset doesn't know the place.
+ *
+ * @param {string} key - Location key ("30601", "CA-K1A0B1")
+ * @returns {Object|null} null only for keys that aren't valid at all
+ *
+ * @example
+ * lookupPlace('CA-K1A0B1');
+ * // => { key: 'CA-K1A0B1', country: 'CA', postalCode: 'K1A 0B1', zip: null, city: null,
+ * //      county: null, state: null, fips: null, centroid: null }
+ */
+function lookupPlace(key) {
+  const location = parseLocationKey(key);
+  if (!location) return null;
+
+  const place = location.country === 'US' ? lookupZip(location.postalCode) : null;
+  return place || {
+    key: location.key,
+    country: location.country,
+    postalCode: location.postalCode,
+    zip: location.country === 'US' ? location.postalCode : null,
+    city: null,
+    county: null,
+    state: null,
+    fips: null,
+    centroid: null
+  };
+}
+
+/**
+ * Display name for a ZIP code
+ *
+ * @param {string} zip - Location key ("30601", "CA-K1A0B1")
+ * @returns {string} "Athens, GA", "ZIP 30601" when the ZIP is unknown,
+ *          "K1A 0B1, Canada" outside the US
+ */
+function describeZip(zip) {
+  const location = parseLocationKey(zip);
+  if (location && location.country !== 'US') {
+    return `${location.postalCode}, ${COUNTRIES[location.country].name}`;
+  }
+
+  const place = lookupZip(zip);
+  return place ? `${place.city}, ${place.state}` : `ZIP ${zip}`;
+}
+
+module.exports = {
+  lookupZip,
+  lookupPlace,
+  describeZip,
+
+  // Export helpers for testing
+  ensureImported
+};
@@ -10,6 +10,13 @@
  * - Plain text (formatAsText)
  * - HTML (formatAsHtml) - TODO: add if needed
  * - Markdown (formatAsMarkdown) - TODO: add if needed
+ * - CSV, for batch lookups (formatBatchAsCsv)
+ * 
+ * Materials are grouped by disposal stream: what goes in the
+ * recycling cart first, then one section per other destination
+ * (compost, hazardous waste drop-off, trash...). County and state
+ * rules are marked [countywide] / [statewide], and bottle bill
+ * states get a container deposit section.
  * 
  * FRONTEND INTEGRATION:
  * The frontend can request different formats using the
@@ -18,6 +25,110 @@
  * ============================================
  */
 
+const { groupByStream } = require('../services/disposalStreams');
+
+// Rules from wider than the ZIP say so (see jurisdictionService.js)
+const JURISDICTION_LABELS = { county: 'countywide', state: 'statewide' };
+
+/**
+ * Material name plus the more specific materials folded into it
+ * 
+ * @param {Object} item - Entry from rules.accepted / not_accepted { material, includes?, jurisdiction? }
+ * @returns {string} e.g. "Glass (incl. Glass Bottles)", "Cardboard" or "Electronics [statewide]"
+ */
+function materialLabel(item) {
+  const label = item.includes && item.includes.length > 0
+    ? `${item.material} (incl. ${item.includes.join(', ')})`
+    : item.material;
+  return JURISDICTION_LABELS[item.jurisdiction]
+    ? `${label} [${JURISDICTION_LABELS[item.jurisdiction]}]`
+    : label;
+}
+
+/**
+ * Describe one container deposit tier
+ * 
+ * @param {Object} tier - Entry from rules.bottleBill.deposits { value, minOunces?, maxOunces?, beverages? }
+ * @returns {string} e.g. "10¢ (24 oz and up)" or "15¢ (liquor)"
+ */
+function describeDepositTier(tier) {
+  const limits = [];
+  if (tier.beverages) limits.push(tier.beverages.join(', ').replace(/_/g, ' '));
+  if (tier.minOunces != null && tier.maxOunces != null) limits.push(`${tier.minOunces}–${tier.maxOunces} oz`);
+  else if (tier.minOunces != null) limits.push(`${tier.minOunces} oz and up`);
+  else if (tier.maxOunces != null) limits.push(`under ${tier.maxOunces} oz`);
+
+  const cents = `${Math.round(tier.value * 100)}¢`;
+  return limits.length > 0 ? `${cents} (${limits.join(', ')})` : cents;
+}
+
+/**
+ * Describe a per-resin-code plastics rule in one short line
+ * 
+ * @param {Object} rule - Entry from rules.plastics { code, resin, status, forms }
+ * @returns {string} e.g. "#5 PP (tubs only)" or "#6 PS"
+ */
+function describePlasticRule(rule) {
+  const forms = rule.forms && rule.forms.length > 0
+    ? ` (${rule.forms.map(f => `${f}s`).join(', ')} only)`
+    : '';
+  return `#${rule.code} ${rule.resin}${forms}`;
+}
+
+/**
+ * Describe how a conflict between sources was resolved
+ * 
+ * @param {Object} conflict - Entry from rules.conflicts
+ * @returns {string} e.g. "Glass — sources disagree; most reliable say accepted"
+ */
+function describeConflict(conflict) {
+  const verdicts = {
+    accepted: 'most reliable sources say accepted',
+    not_accepted: 'most reliable sources say not accepted',
+    unresolved: 'check with your local program'
+  };
+  return `${conflict.material} — sources disagree; ${verdicts[conflict.resolution]}`;
+}
+
+/**
+ * Number every piece of evidence for footnotes
+ * 
+ * The same source + quote backing several rules gets one footnote.
+ * 
+ * @param {Object} rules - Structured recycling rules object
+ * @returns {{footnotes: Array<{url: string, title: string, quote: string|null}>, refsFor: Function}}
+ *          footnotes in order (footnote n = index n - 1), and refsFor(item) → footnote numbers
+ */
+function collectFootnotes(rules) {
+  const footnotes = [];
+  const numbers = new Map(); // "url\nquote" -> footnote number
+
+  const refsFor = item => (item.evidence || []).map(evidence => {
+    const key = `${evidence.url}\n${evidence.quote}`;
+    if (!numbers.has(key)) {
+      footnotes.push(evidence);
+      numbers.set(key, footnotes.length);
+    }
+    return numbers.get(key);
+  });
+
+  return { footnotes, refsFor };
+}
+
+/**
+ * Escape text from scraped pages before putting it in HTML
+ * 
+ * @param {string} text - Untrusted text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Format recycling rules as plain text
  * 
@@ -53,22 +164,26 @@ function formatAsText(rules) {
   lines.push(`📍 Location: ${rules.location}`);
   lines.push('');
 
+  const groups = groupByStream(rules);
+  const curbside = groups.find(group => group.id === 'curbside');
+  const elsewhere = groups.filter(group => group.id !== 'curbside');
+
   // ----------------------------------------------------------------
-  // Accepted Materials Section
+  // Curbside Recycling Section
   // ----------------------------------------------------------------
-  lines.push('✅ ACCEPTED MATERIALS');
+  lines.push('✅ CURBSIDE RECYCLING');
   lines.push(divider);
   
-  if (rules.accepted && rules.accepted.length > 0) {
-    for (const item of rules.accepted) {
+  if (curbside) {
+    for (const item of curbside.materials) {
       // Use double checkmark for high-confidence items
       const confidence = item.confidence === 'high' ? '✓✓' : '✓';
-      let line = `  ${confidence} ${item.material}`;
+      let line = `  ${confidence} ${materialLabel(item)}`;
       
       // Add notes if they contain useful info (not just default messages)
       if (item.notes && 
           item.notes !== 'Verify with source' && 
-          item.notes !== 'Confirmed by multiple sources') {
+          item.notes !== 'Confirmed by reliable sources') {
         line += ` — ${item.notes}`;
       }
       lines.push(line);
@@ -79,14 +194,22 @@ function formatAsText(rules) {
   lines.push('');
 
   // ----------------------------------------------------------------
-  // Not Accepted Materials Section
+  // One section per other disposal stream
   // ----------------------------------------------------------------
-  lines.push('❌ NOT ACCEPTED');
-  lines.push(divider);
-  
-  if (rules.not_accepted && rules.not_accepted.length > 0) {
-    for (const item of rules.not_accepted) {
-      let line = `  ✗ ${item.material}`;
+  if (elsewhere.length === 0) {
+    lines.push('❌ NOT ACCEPTED');
+    lines.push(divider);
+    lines.push('  No specific restrictions found.');
+    lines.push('');
+  }
+
+  for (const group of elsewhere) {
+    lines.push(`${group.icon}  ${group.name.toUpperCase()}`);
+    lines.push(divider);
+    lines.push(`  ${group.instructions}`);
+
+    for (const item of group.materials) {
+      let line = `  ✗ ${materialLabel(item)}`;
       
       // Add notes if they contain useful info
       if (item.notes && item.notes !== 'Check local guidelines for disposal') {
@@ -94,10 +217,43 @@ function formatAsText(rules) {
       }
       lines.push(line);
     }
-  } else {
-    lines.push('  No specific restrictions found.');
+    lines.push('');
+  }
+
+  // ----------------------------------------------------------------
+  // Plastics by resin code (only if the sources mentioned codes)
+  // ----------------------------------------------------------------
+  if (rules.plastics && rules.plastics.length > 0) {
+    lines.push('🧴 PLASTICS BY RESIN CODE');
+    lines.push(divider);
+    for (const rule of rules.plastics) {
+      lines.push(`  ${rule.status === 'accepted' ? '✓' : '✗'} ${describePlasticRule(rule)}`);
+    }
+    lines.push('');
+  }
+
+  // ----------------------------------------------------------------
+  // Container deposit (only in bottle bill states)
+  // ----------------------------------------------------------------
+  if (rules.bottleBill) {
+    lines.push('💰 CONTAINER DEPOSIT');
+    lines.push(divider);
+    lines.push(`  ${rules.bottleBill.program}: ${rules.bottleBill.deposits.map(describeDepositTier).join(', ')}`);
+    lines.push(`  ${rules.bottleBill.redemption}`);
+    lines.push('');
+  }
+
+  // ----------------------------------------------------------------
+  // Conflicts (only if sources disagree)
+  // ----------------------------------------------------------------
+  if (rules.conflicts && rules.conflicts.length > 0) {
+    lines.push('⚠️  SOURCES DISAGREE');
+    lines.push(divider);
+    for (const conflict of rules.conflicts) {
+      lines.push(`  ! ${describeConflict(conflict)}`);
+    }
+    lines.push('');
   }
-  lines.push('');
 
   // ----------------------------------------------------------------
   // Tips Section (only if we have tips)
@@ -130,8 +286,8 @@ function formatAsText(rules) {
   // Footer / Legend
   // ----------------------------------------------------------------
   lines.push(divider);
-  lines.push('ℹ️  ✓✓ = Confirmed by multiple sources');
-  lines.push('   ✓  = Found in one source — verify with official guidelines');
+  lines.push('ℹ️  ✓✓ = High confidence (official or multiple agreeing sources)');
+  lines.push('   ✓  = Lower confidence — verify with official guidelines');
   lines.push('');
 
   return lines.join('\n');
@@ -147,19 +303,27 @@ function formatAsText(rules) {
  * @returns {string} Formatted HTML
  */
 function formatAsHtml(rules) {
+  const { footnotes, refsFor } = collectFootnotes(rules);
+  const footnoteRefs = item => refsFor(item)
+    .map(n => `<sup><a href="#evidence-${n}" style="color: #1976d2; text-decoration: none;">[${n}]</a></sup>`)
+    .join('');
+  const groups = groupByStream(rules);
+  const curbside = groups.find(group => group.id === 'curbside');
+  const elsewhere = groups.filter(group => group.id !== 'curbside');
+
   // Simple HTML formatting for web display
   let html = `
     <div style="font-family: system-ui, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
       <h1 style="color: #2e7d32;">♻️ Recycling Guide</h1>
       <p style="color: #666; font-size: 1.1em;">📍 <strong>${rules.location}</strong></p>
       
-      <h2 style="color: #388e3c;">✅ Accepted Materials</h2>
+      <h2 style="color: #388e3c;">✅ Curbside Recycling</h2>
       <ul style="list-style: none; padding: 0;">
   `;
 
-  // Accepted materials
-  if (rules.accepted && rules.accepted.length > 0) {
-    for (const item of rules.accepted) {
+  // Curbside recycling
+  if (curbside) {
+    for (const item of curbside.materials) {
       const icon = item.confidence === 'high' ? '✓✓' : '✓';
       const badge = item.confidence === 'high' 
         ? '<span style="background: #c8e6c9; color: #2e7d32; padding: 2px 6px; border-radius: 3px; font-size: 0.8em; margin-left: 8px;">verified</span>'
@@ -167,7 +331,7 @@ function formatAsHtml(rules) {
       html += `
         <li style="padding: 8px 0; border-bottom: 1px solid #eee;">
           <span style="color: #4caf50; margin-right: 8px;">${icon}</span>
-          <strong>${item.material}</strong>${badge}
+          <strong>${materialLabel(item)}</strong>${footnoteRefs(item)}${badge}
           ${item.notes ? `<br><span style="color: #666; font-size: 0.9em; margin-left: 24px;">${item.notes}</span>` : ''}
         </li>
       `;
@@ -176,24 +340,63 @@ function formatAsHtml(rules) {
     html += '<li style="color: #666;">No specific materials found. Check sources below.</li>';
   }
 
-  html += '</ul><h2 style="color: #d32f2f;">❌ Not Accepted</h2><ul style="list-style: none; padding: 0;">';
+  html += '</ul>';
 
-  // Not accepted materials
-  if (rules.not_accepted && rules.not_accepted.length > 0) {
-    for (const item of rules.not_accepted) {
+  // One section per other disposal stream
+  if (elsewhere.length === 0) {
+    html += '<h2 style="color: #d32f2f;">❌ Not Accepted</h2><ul style="list-style: none; padding: 0;">';
+    html += '<li style="color: #666;">No specific restrictions found.</li></ul>';
+  }
+
+  for (const group of elsewhere) {
+    html += `
+      <h2 style="color: #d32f2f;">${group.icon} ${group.name}</h2>
+      <p style="color: #666; margin-top: -8px;">${group.instructions}</p>
+      <ul style="list-style: none; padding: 0;">
+    `;
+    for (const item of group.materials) {
       html += `
         <li style="padding: 8px 0; border-bottom: 1px solid #eee;">
           <span style="color: #f44336; margin-right: 8px;">✗</span>
-          <strong>${item.material}</strong>
+          <strong>${materialLabel(item)}</strong>${footnoteRefs(item)}
           ${item.notes ? `<br><span style="color: #666; font-size: 0.9em; margin-left: 24px;">${item.notes}</span>` : ''}
         </li>
       `;
     }
-  } else {
-    html += '<li style="color: #666;">No specific restrictions found.</li>';
+    html += '</ul>';
   }
 
-  html += '</ul>';
+  // Plastics by resin code
+  if (rules.plastics && rules.plastics.length > 0) {
+    html += '<h2 style="color: #00897b;">🧴 Plastics by Resin Code</h2><ul style="list-style: none; padding: 0;">';
+    for (const rule of rules.plastics) {
+      const accepted = rule.status === 'accepted';
+      html += `
+        <li style="padding: 4px 0;">
+          <span style="color: ${accepted ? '#4caf50' : '#f44336'}; margin-right: 8px;">${accepted ? '✓' : '✗'}</span>${describePlasticRule(rule)}${footnoteRefs(rule)}
+        </li>
+      `;
+    }
+    html += '</ul>';
+  }
+
+  // Container deposit
+  if (rules.bottleBill) {
+    html += `
+      <h2 style="color: #2e7d32;">💰 Container Deposit</h2>
+      <p><strong>${escapeHtml(rules.bottleBill.program)}:</strong> ${escapeHtml(rules.bottleBill.deposits.map(describeDepositTier).join(', '))}<br>
+      <span style="color: #666; font-size: 0.9em;">${escapeHtml(rules.bottleBill.redemption)}</span></p>
+    `;
+  }
+
+  // Conflicts
+  if (rules.conflicts && rules.conflicts.length > 0) {
+    html += '<h2 style="color: #f57c00;">⚠️ Sources Disagree</h2><ul>';
+    for (const conflict of rules.conflicts) {
+      html += `<li style="padding: 4px 0;">${escapeHtml(describeConflict(conflict))}</li>`;
+    }
+    html += '</ul>';
+  }
 
   // Tips
   if (rules.tips && rules.tips.length > 0) {
@@ -217,12 +420,25 @@ function formatAsHtml(rules) {
   }
   html += '</ol>';
 
+  // Evidence footnotes — what each source actually said
+  if (footnotes.length > 0) {
+    html += '<h2 style="color: #1976d2;">🔎 Evidence</h2><ol style="padding-left: 20px; font-size: 0.9em;">';
+    footnotes.forEach((evidence, i) => {
+      html += `
+        <li id="evidence-${i + 1}" style="padding: 4px 0;">
+          ${evidence.quote ? `<q style="color: #444;">${escapeHtml(evidence.quote)}</q> — ` : ''}<a href="${escapeHtml(evidence.url)}" target="_blank" style="color: #1976d2;">${escapeHtml(evidence.title)}</a>
+        </li>
+      `;
+    });
+    html += '</ol>';
+  }
+
   // Footer
   html += `
       <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
       <p style="color: #999; font-size: 0.85em;">
-        ✓✓ = Confirmed by multiple sources<br>
-        ✓ = Found in one source — verify with official guidelines
+        ✓✓ = High confidence (official or multiple agreeing sources)<br>
+        ✓ = Lower confidence — verify with official guidelines
       </p>
     </div>
   `;
@@ -240,16 +456,22 @@ function formatAsHtml(rules) {
  * @returns {string} Formatted Markdown
  */
 function formatAsMarkdown(rules) {
+  const { footnotes, refsFor } = collectFootnotes(rules);
+  const footnoteRefs = item => refsFor(item).map(n => `[^${n}]`).join('');
+  const groups = groupByStream(rules);
+  const curbside = groups.find(group => group.id === 'curbside');
+  const elsewhere = groups.filter(group => group.id !== 'curbside');
+
   let md = `# ♻️ Recycling Guide\n\n`;
   md += `**📍 Location:** ${rules.location}\n\n`;
 
   // Accepted
-  md += `## ✅ Accepted Materials\n\n`;
-  if (rules.accepted && rules.accepted.length > 0) {
-    for (const item of rules.accepted) {
+  md += `## ✅ Curbside Recycling\n\n`;
+  if (curbside) {
+    for (const item of curbside.materials) {
       const icon = item.confidence === 'high' ? '✓✓' : '✓';
-      md += `- ${icon} **${item.material}**`;
-      if (item.notes && item.notes !== 'Verify with source' && item.notes !== 'Confirmed by multiple sources') {
+      md += `- ${icon} **${materialLabel(item)}**${footnoteRefs(item)}`;
+      if (item.notes && item.notes !== 'Verify with source' && item.notes !== 'Confirmed by reliable sources') {
         md += ` — ${item.notes}`;
       }
       md += '\n';
@@ -259,20 +481,47 @@ function formatAsMarkdown(rules) {
   }
   md += '\n';
 
-  // Not Accepted
-  md += `## ❌ Not Accepted\n\n`;
-  if (rules.not_accepted && rules.not_accepted.length > 0) {
-    for (const item of rules.not_accepted) {
-      md += `- ✗ **${item.material}**`;
+  // One section per other disposal stream
+  if (elsewhere.length === 0) {
+    md += `## ❌ Not Accepted\n\n_No specific restrictions found._\n\n`;
+  }
+
+  for (const group of elsewhere) {
+    md += `## ${group.icon} ${group.name}\n\n_${group.instructions}_\n\n`;
+    for (const item of group.materials) {
+      md += `- ✗ **${materialLabel(item)}**${footnoteRefs(item)}`;
       if (item.notes && item.notes !== 'Check local guidelines for disposal') {
         md += ` — ${item.notes}`;
       }
       md += '\n';
     }
-  } else {
-    md += '_No specific restrictions found._\n';
+    md += '\n';
+  }
+
+  // Plastics by resin code
+  if (rules.plastics && rules.plastics.length > 0) {
+    md += `## 🧴 Plastics by Resin Code\n\n`;
+    for (const rule of rules.plastics) {
+      md += `- ${rule.status === 'accepted' ? '✓' : '✗'} ${describePlasticRule(rule)}${footnoteRefs(rule)}\n`;
+    }
+    md += '\n';
+  }
+
+  // Container deposit
+  if (rules.bottleBill) {
+    md += `## 💰 Container Deposit\n\n`;
+    md += `**${rules.bottleBill.program}:** ${rules.bottleBill.deposits.map(describeDepositTier).join(', ')}\n\n`;
+    md += `_${rules.bottleBill.redemption}_\n\n`;
+  }
+
+  // Conflicts
+  if (rules.conflicts && rules.conflicts.length > 0) {
+    md += `## ⚠️ Sources Disagree\n\n`;
+    for (const conflict of rules.conflicts) {
+      md += `- ${describeConflict(conflict)}\n`;
+    }
+    md += '\n';
   }
-  md += '\n';
 
   // Tips
   if (rules.tips && rules.tips.length > 0) {
@@ -295,16 +544,116 @@ function formatAsMarkdown(rules) {
 
   // Legend
   md += `---\n\n`;
-  md += `_✓✓ = Confirmed by multiple sources | ✓ = Verify with official guidelines_\n`;
+  md += `_✓✓ = High confidence (official or multiple agreeing sources) | ✓ = Verify with official guidelines_\n`;
+
+  // Evidence footnotes — what each source actually said
+  if (footnotes.length > 0) {
+    md += '\n';
+    footnotes.forEach((evidence, i) => {
+      const quote = evidence.quote ? `"${evidence.quote.replace(/\s+/g, ' ')}" — ` : '';
+      md += `[^${i + 1}]: ${quote}[${evidence.title}](${evidence.url})\n`;
+    });
+  }
 
   return md;
 }
 
+// Columns of the batch CSV, in order
+const CSV_COLUMNS = [
+  'zip', 'country', 'postal_code', 'location', 'status', 'resolved_by',
+  'list', 'material', 'jurisdiction', 'confidence', 'score', 'streams', 'notes', 'error'
+];
+
+// Leading characters that make Excel / Sheets treat a cell as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it needs it (RFC 4180)
+ * 
+ * Scraped text goes into these cells, so text that would start a
+ * formula ("=HYPERLINK(...)", "-2+3") is prefixed with ' first.
+ * 
+ * @param {*} value - Field value (null / undefined → empty)
+ * @returns {string} CSV-safe field
+ * 
+ * @example
+ * csvField('Glass, jars');   // => '"Glass, jars"'
+ * csvField('=1+1');          // => "'=1+1"
+ */
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format batch lookup results as CSV
+ * 
+ * One row per ZIP and material — accepted materials first, then
+ * not accepted ones (list says which). ZIPs that failed, or whose
+ * rules list no materials, still get one row so every requested
+ * ZIP shows up in the report.
+ * 
+ * @param {Array} results - Batch results [{ zip, input, status, rules?, error? }]
+ * @returns {string} CSV text with a header row
+ * 
+ * @example
+ * formatBatchAsCsv(results);
+ * // zip,country,postal_code,location,status,resolved_by,list,material,...
+ * // 30601,US,30601,"Athens, GA",ok,search,accepted,Cardboard,zip,high,0.91,curbside,Flatten,
+ */
+function formatBatchAsCsv(results) {
+  const rows = [CSV_COLUMNS];
+
+  for (const result of results) {
+    const rules = result.rules || {};
+    const place = rules.place || {};
+    const base = {
+      zip: result.zip || result.input,
+      country: place.country,
+      postal_code: place.postalCode,
+      location: rules.location,
+      status: result.status,
+      resolved_by: rules.meta?.resolvedBy,
+      error: result.error ? [result.error, result.details].filter(Boolean).join(': ') : rules.error
+    };
+
+    const materials = [
+      ...(rules.accepted || []).map(item => ({ list: 'accepted', item })),
+      ...(rules.not_accepted || []).map(item => ({ list: 'not_accepted', item }))
+    ];
+
+    if (materials.length === 0) {
+      rows.push(CSV_COLUMNS.map(column => base[column]));
+      continue;
+    }
+
+    for (const { list, item } of materials) {
+      const row = {
+        ...base,
+        list,
+        material: item.material,
+        jurisdiction: item.jurisdiction,
+        confidence: item.confidence,
+        score: item.score,
+        streams: (item.streams || []).join(';'),
+        notes: item.notes
+      };
+      rows.push(CSV_COLUMNS.map(column => row[column]));
+    }
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
 // ============================================
 // Export all formatters
 // ============================================
 module.exports = {
   formatAsText,
   formatAsHtml,
-  formatAsMarkdown
+  formatAsMarkdown,
+  formatBatchAsCsv
 };
@@ -0,0 +1,261 @@
+/**
+ * ============================================
+ * HTML Extractor Utility
+ * ============================================
+ *
+ * Turns a municipal web page into plain text that the
+ * material extraction in recyclingService can read.
+ *
+ * Search snippets are ~160 characters. The actual
+ * "What goes in your bin" list is usually further down
+ * the page, in a <ul> or a <table>. This utility:
+ * 1. Drops boilerplate (scripts, styles, nav, header, footer, forms...)
+ * 2. Finds lists and tables, paired with the heading above them
+ * 3. Flags the ones that look like recycling lists
+ * 4. Returns readable text with list items on their own lines
+ *
+ * PURE FUNCTIONS ONLY — no network access here.
+ * Feed it saved HTML to test it offline:
+ *
+ *   const html = fs.readFileSync('fixtures/pages/accgov.html', 'utf8');
+ *   const { text, lists } = extractPageText(html);
+ *
+ * ============================================
+ */
+
+// Elements whose entire contents are boilerplate
+const BOILERPLATE_TAGS = [
+  'script', 'style', 'noscript', 'svg', 'iframe', 'template',
+  'nav', 'header', 'footer', 'aside', 'form', 'select', 'button'
+];
+
+// Headings that introduce a "what goes in your bin" list
+const RECYCLING_HEADING_PATTERN = /recycl|accept|allowed|\bbins?\b|\bcarts?\b|curbside|what goes|do not|don't|prohibited|\b(?:yes|no)\b/i;
+
+// Cap on the text we keep per page (keeps the cache rows reasonable)
+const MAX_TEXT_LENGTH = 20000;
+
+// Common named entities (numeric ones are handled generically)
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘',
+  rdquo: '”', ldquo: '“', hellip: '…', bull: '•'
+};
+
+/**
+ * Decode HTML entities (&amp;, &#39;, &#x2019; ...)
+ *
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const num = code[1].toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : match;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Convert an HTML fragment to a single line of clean text
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with tags removed and whitespace collapsed
+ */
+function htmlToInlineText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove boilerplate elements and comments from a page
+ *
+ * @param {string} html - Full page HTML
+ * @returns {string} HTML with boilerplate removed
+ */
+function stripBoilerplate(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, ' ');
+
+  for (const tag of BOILERPLATE_TAGS) {
+    const pattern = new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi');
+    cleaned = cleaned.replace(pattern, ' ');
+  }
+
+  // Also drop elements that are clearly site chrome by class/id/role
+  cleaned = cleaned.replace(
+    /<(div|section|ul)\b[^>]*(?:role=["'](?:navigation|banner|contentinfo)["']|(?:class|id)=["'][^"']*\b(?:nav|navbar|menu|breadcrumb|cookie|footer|header|sidebar)\b[^"']*["'])[^>]*>[\s\S]*?<\/\1>/gi,
+    ' '
+  );
+
+  return cleaned;
+}
+
+/**
+ * Find the text of the closest heading before a position
+ *
+ * Looks at <h1>-<h6>, <strong>/<b> and <p> blocks that end with a colon
+ * (e.g. "<p><strong>Not accepted:</strong></p>").
+ *
+ * @param {string} html - Page HTML (boilerplate already stripped)
+ * @param {number} position - Index of the list/table in html
+ * @returns {string|null} Heading text
+ */
+function findHeadingBefore(html, position) {
+  // Only look a short distance back — further than that it's a different section
+  const window = html.slice(Math.max(0, position - 1500), position);
+  const headingPattern = /<(h[1-6]|strong|b|p|caption|dt)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+
+  let heading = null;
+  let match;
+  while ((match = headingPattern.exec(window)) !== null) {
+    const text = htmlToInlineText(match[2]);
+    const isHeadingTag = /^h[1-6]$/i.test(match[1]) || /^(strong|b|caption|dt)$/i.test(match[1]);
+    if (text && text.length <= 120 && (isHeadingTag || text.endsWith(':'))) {
+      heading = text;
+    }
+  }
+
+  return heading;
+}
+
+/**
+ * Extract <ul>/<ol> lists with their headings
+ *
+ * @param {string} html - Page HTML (boilerplate already stripped)
+ * @returns {Array<{heading: string|null, items: string[], position: number}>}
+ */
+function extractLists(html) {
+  const lists = [];
+  const listPattern = /<(ul|ol)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+
+  let match;
+  while ((match = listPattern.exec(html)) !== null) {
+    const items = [...match[2].matchAll(/<li\b[^>]*>([\s\S]*?)(?=<li\b|$)/gi)]
+      .map(li => htmlToInlineText(li[1]))
+      .filter(Boolean);
+
+    if (items.length > 0) {
+      lists.push({ heading: findHeadingBefore(html, match.index), items, position: match.index });
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Extract tables as lists
+ *
+ * Recycling tables usually look like
+ *   | Accepted    | Not Accepted |
+ *   | Cardboard   | Plastic bags |
+ * so each COLUMN becomes its own list, headed by its header cell.
+ * Tables without a header row become one list of "cell — cell" rows.
+ *
+ * @param {string} html - Page HTML (boilerplate already stripped)
+ * @returns {Array<{heading: string|null, items: string[], position: number}>}
+ */
+function extractTables(html) {
+  const lists = [];
+  const tablePattern = /<table\b[^>]*>([\s\S]*?)<\/table>/gi;
+
+  let match;
+  while ((match = tablePattern.exec(html)) !== null) {
+    const rows = [...match[1].matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(row => ({
+      isHeader: /<th\b/i.test(row[1]),
+      cells: [...row[1].matchAll(/<(td|th)\b[^>]*>([\s\S]*?)<\/\1>/gi)].map(cell => htmlToInlineText(cell[2]))
+    }));
+
+    if (rows.length === 0) continue;
+
+    const tableHeading = findHeadingBefore(html, match.index);
+
+    if (rows[0].isHeader && rows[0].cells.length > 1) {
+      // One list per column
+      rows[0].cells.forEach((header, col) => {
+        const items = rows.slice(1).map(row => row.cells[col]).filter(Boolean);
+        if (items.length > 0) {
+          lists.push({ heading: header || tableHeading, items, position: match.index });
+        }
+      });
+    } else {
+      const items = rows.map(row => row.cells.filter(Boolean).join(' — ')).filter(Boolean);
+      if (items.length > 0) {
+        lists.push({ heading: tableHeading, items, position: match.index });
+      }
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Extract readable text from a municipal recycling page
+ *
+ * @param {string} html - Full page HTML
+ * @returns {{title: string|null, text: string, lists: Array<{heading: string|null, items: string[], isRecyclingList: boolean}>}}
+ *   - text: recycling lists first (as "Heading:" + "- item" lines),
+ *           then the remaining paragraph text
+ *   - lists: every list/table found, flagged if it looks like a bin list
+ *
+ * @example
+ * extractPageText('<h2>Accepted:</h2><ul><li>Cardboard</li><li>Cans</li></ul>');
+ * // => { title: null, text: 'Accepted:\n- Cardboard\n- Cans', lists: [...] }
+ */
+function extractPageText(html) {
+  if (!html || typeof html !== 'string') {
+    return { title: null, text: '', lists: [] };
+  }
+
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? htmlToInlineText(titleMatch[1]) : null;
+
+  // Work on the <body> (or <main> if the site uses it)
+  const bodyMatch = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) ||
+                    html.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i);
+  const body = stripBoilerplate(bodyMatch ? bodyMatch[1] : html);
+
+  const lists = [...extractLists(body), ...extractTables(body)]
+    .sort((a, b) => a.position - b.position)
+    .map(({ heading, items }) => ({
+      heading,
+      items,
+      isRecyclingList: Boolean(heading && RECYCLING_HEADING_PATTERN.test(heading))
+    }));
+
+  // Recycling lists go first so they survive the length cap
+  const listBlocks = lists
+    .filter(list => list.isRecyclingList)
+    .map(list => [`${list.heading.replace(/:?\s*$/, ':')}`, ...list.items.map(item => `- ${item}`)].join('\n'));
+
+  // Everything else, one block per paragraph-ish element
+  const paragraphText = decodeEntities(
+    body
+      .replace(/<(ul|ol|table)\b[^>]*>[\s\S]*?<\/\1>/gi, '\n')
+      .replace(/<\/(p|div|section|article|h[1-6]|li|tr|br)>|<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+
+  const text = [...listBlocks, paragraphText]
+    .filter(Boolean)
+    .join('\n\n')
+    .slice(0, MAX_TEXT_LENGTH);
+
+  return { title, text, lists };
+}
+
+module.exports = {
+  extractPageText,
+  stripBoilerplate,
+  extractLists,
+  extractTables,
+  decodeEntities
+};
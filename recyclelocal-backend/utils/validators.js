@@ -0,0 +1,257 @@
+/**
+ * ============================================
+ * Validators Utility
+ * ============================================
+ *
+ * Input checks shared by route handlers and services, so every
+ * endpoint accepts (and rejects) the same things.
+ *
+ * POSTAL CODES:
+ * Rules are looked up per postal code, in any supported country:
+ *   US → 5-digit ZIP ("90210", ZIP+4 is trimmed)
+ *   CA → "A1A 1A1" (or just the 3-character FSA, "K1A")
+ *   GB → "SW1A 1AA" (or just the outward code, "SW1A")
+ *
+ * Internally (cache, history, curated rules, URLs) a location is one
+ * string, its LOCATION KEY: US keys are the plain ZIP, so everything
+ * stored before other countries existed still matches; other keys
+ * are "<country>-<code without spaces>" ("CA-K1A0B1", "GB-SW1A1AA").
+ *
+ * ============================================
+ */
+
+// 5-digit US ZIP code
+const ZIP_PATTERN = /^\d{5}$/;
+
+// Error body for a bad ZIP — same wording on every endpoint
+const INVALID_ZIP_ERROR = 'Please provide a valid 5-digit ZIP code';
+
+// Error body for a bad postal code in any supported country
+const INVALID_POSTAL_CODE_ERROR = 'Please provide a valid US ZIP code, Canadian postal code or UK postcode';
+
+// Supported countries. pattern captures [area, rest]; area alone is a
+// valid (partial) code outside the US — UK councils and Canadian
+// municipalities are found by outward code / FSA.
+const COUNTRIES = {
+  US: {
+    name: 'United States',
+    example: '90210',
+    pattern: /^(\d{5})(?:-?\d{4})?$/,
+    format: match => match[1]
+  },
+  CA: {
+    name: 'Canada',
+    example: 'K1A 0B1',
+    pattern: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(?:\s*(\d[ABCEGHJ-NPRSTV-Z]\d))?$/,
+    format: match => (match[2] ? `${match[1]} ${match[2]}` : match[1])
+  },
+  GB: {
+    name: 'United Kingdom',
+    example: 'SW1A 1AA',
+    pattern: /^([A-Z]{1,2}\d[A-Z\d]?)(?:\s*(\d[A-Z]{2}))?$/,
+    format: match => (match[2] ? `${match[1]} ${match[2]}` : match[1])
+  }
+};
+
+// What people call the countries besides their ISO code
+const COUNTRY_ALIASES = { USA: 'US', UK: 'GB', CAN: 'CA' };
+
+/**
+ * Check a ZIP code
+ *
+ * @param {string} zip - ZIP code from a request body, param or query
+ * @returns {boolean} true for a 5-digit US ZIP code
+ *
+ * @example
+ * isValidZip('90210');  // => true
+ * isValidZip('9021');   // => false
+ */
+function isValidZip(zip) {
+  return zip != null && ZIP_PATTERN.test(zip);
+}
+
+/**
+ * Resolve a country code or alias
+ *
+ * @param {string} country - "US", "ca", "UK", "GB"...
+ * @returns {string|null} Supported ISO code ("GB"), or null
+ */
+function findCountry(country) {
+  if (country == null) return null;
+
+  const code = String(country).trim().toUpperCase();
+  const resolved = COUNTRY_ALIASES[code] || code;
+  return COUNTRIES[resolved] ? resolved : null;
+}
+
+/**
+ * Validate and normalize a postal code for a country
+ *
+ * @param {string} postalCode - Code as the user typed it
+ * @param {string} [country='US'] - Supported country code
+ * @returns {string|null} Canonical form ("K1A 0B1"), or null when invalid
+ *
+ * @example
+ * normalizePostalCode('k1a0b1', 'CA');   // => 'K1A 0B1'
+ * normalizePostalCode('sw1a1aa', 'GB');  // => 'SW1A 1AA'
+ * normalizePostalCode('90210-1234');     // => '90210'
+ */
+function normalizePostalCode(postalCode, country = 'US') {
+  const definition = COUNTRIES[findCountry(country)];
+  if (!definition || postalCode == null) return null;
+
+  const match = String(postalCode).trim().toUpperCase().match(definition.pattern);
+  return match ? definition.format(match) : null;
+}
+
+/**
+ * Guess the country of a full postal code
+ *
+ * The full formats don't overlap (5 digits / A1A 1A1 / A9 9AA), so a
+ * complete code is unambiguous. Partial codes ("K1A") are not guessed.
+ *
+ * @param {string} postalCode - Code as the user typed it
+ * @returns {string|null} Country code, or null when no format matches
+ */
+function detectCountry(postalCode) {
+  return Object.keys(COUNTRIES).find(country => {
+    const match = String(postalCode || '').trim().toUpperCase().match(COUNTRIES[country].pattern);
+    return match && (country === 'US' || match[2]);
+  }) || null;
+}
+
+/**
+ * Location key for a country + postal code
+ *
+ * @param {string} country - Supported country code
+ * @param {string} postalCode - Normalized postal code
+ * @returns {string} "90210", "CA-K1A0B1", "GB-SW1A1AA"
+ */
+function locationKey(country, postalCode) {
+  return country === 'US' ? postalCode : `${country}-${postalCode.replace(/\s+/g, '')}`;
+}
+
+/**
+ * Parse a location key back into its parts
+ *
+ * Accepts any spelling a user might put in a URL ("ca-k1a0b1",
+ * "UK-SW1A 1AA") and returns the canonical key too.
+ *
+ * @param {string} key - Location key
+ * @returns {{country: string, postalCode: string, key: string}|null} null when invalid
+ *
+ * @example
+ * parseLocationKey('90210');      // => { country: 'US', postalCode: '90210', key: '90210' }
+ * parseLocationKey('CA-K1A0B1');  // => { country: 'CA', postalCode: 'K1A 0B1', key: 'CA-K1A0B1' }
+ */
+function parseLocationKey(key) {
+  if (isValidZip(key)) return { country: 'US', postalCode: key, key };
+
+  const match = String(key || '').match(/^([A-Za-z]{2,3})-(.+)$/);
+  const country = match ? findCountry(match[1]) : null;
+  const postalCode = country ? normalizePostalCode(match[2], country) : null;
+  return postalCode ? { country, postalCode, key: locationKey(country, postalCode) } : null;
+}
+
+/**
+ * Location key for a code in any accepted spelling
+ *
+ * Takes location keys ("CA-K1A0B1", "gb-sw1a") and full postal codes
+ * whose country shows in their format ("K1A 0B1", "SW1A 1AA").
+ *
+ * @param {string} value - Code or key
+ * @returns {string|null} Canonical location key, or null when invalid
+ *
+ * @example
+ * toLocationKey('k1a 0b1');  // => 'CA-K1A0B1'
+ * toLocationKey('uk-sw1a');  // => 'GB-SW1A'
+ */
+function toLocationKey(value) {
+  const parsed = parseLocationKey(value);
+  if (parsed) return parsed.key;
+
+  const country = detectCountry(value);
+  return country ? locationKey(country, normalizePostalCode(value, country)) : null;
+}
+
+/**
+ * Key of the wider area a location belongs to
+ *
+ * @param {string} key - Location key
+ * @returns {string|null} Key of the outward code / FSA ("GB-SW1A"),
+ *          null for US ZIPs and codes that already are an area
+ */
+function areaKey(key) {
+  const location = parseLocationKey(key);
+  if (!location || location.country === 'US' || !location.postalCode.includes(' ')) return null;
+  return locationKey(location.country, location.postalCode.split(' ')[0]);
+}
+
+/**
+ * Read a location from a request body (or query)
+ *
+ * Accepts, newest first:
+ *   { location: { country: "CA", postalCode: "K1A 0B1" } }
+ *   { country: "CA", postalCode: "K1A 0B1" }
+ *   { zip: "90210" }         ← original shape; full CA / UK codes work too
+ *
+ * country defaults to "US", or to whatever a full code's format says.
+ * Partial codes ("SW1A", "K1A") need an explicit country — their
+ * formats overlap — and get an error saying so instead of the ZIP one.
+ *
+ * @param {Object} input - req.body / req.query
+ * @returns {{location: {country: string, postalCode: string, key: string}}|{error: string, example: Object}}
+ */
+function parseLocationInput(input) {
+  const nested = input && typeof input.location === 'object' && input.location !== null ? input.location : null;
+  const source = nested || input || {};
+  const postalCode = source.postalCode ?? source.zip;
+  const requested = source.country ?? null;
+
+  const country = requested != null ? findCountry(requested) : (detectCountry(postalCode) || 'US');
+  if (!country) {
+    return {
+      error: `Unsupported country "${requested}" (supported: ${Object.keys(COUNTRIES).join(', ')})`,
+      example: { location: { country: 'CA', postalCode: COUNTRIES.CA.example } }
+    };
+  }
+
+  const normalized = normalizePostalCode(postalCode, country);
+  if (!normalized && requested == null) {
+    // "SW1A" / "K1A": valid somewhere, but which country is ambiguous
+    const candidates = Object.keys(COUNTRIES).filter(code => code !== 'US' && normalizePostalCode(postalCode, code));
+    if (candidates.length > 0) {
+      const partial = normalizePostalCode(postalCode, candidates[0]);
+      return {
+        error: `Partial postal code "${partial}" needs a country (${candidates.join(' or ')})`,
+        example: { location: { country: candidates[0], postalCode: partial } }
+      };
+    }
+  }
+  if (!normalized) {
+    return {
+      error: country === 'US' && !nested && source.postalCode == null ? INVALID_ZIP_ERROR : INVALID_POSTAL_CODE_ERROR,
+      example: country === 'US'
+        ? { zip: COUNTRIES.US.example }
+        : { location: { country, postalCode: COUNTRIES[country].example } }
+    };
+  }
+
+  return { location: { country, postalCode: normalized, key: locationKey(country, normalized) } };
+}
+
+module.exports = {
+  ZIP_PATTERN,
+  INVALID_ZIP_ERROR,
+  INVALID_POSTAL_CODE_ERROR,
+  COUNTRIES,
+  isValidZip,
+  findCountry,
+  normalizePostalCode,
+  detectCountry,
+  locationKey,
+  parseLocationKey,
+  toLocationKey,
+  areaKey,
+  parseLocationInput
+};